@@ -0,0 +1,145 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Offline support for the tracker.
+ *
+ *   App shell          – index.html is network-first with the cached copy as fallback;
+ *                        hashed build assets under /static/ are cache-first.
+ *   Balloon feed       – /api/treasure/NN.json is network-first; the last good copy of
+ *                        each hour is kept and served when the network is unreachable.
+ *   NWS alerts         – the active-alerts collection, same as the feed.
+ *   NWS zones          – zone shapes for alerts without a polygon, same as the feed, so
+ *                        forecast and marine zone alerts can be drawn offline.
+ *   Map tiles          – cache-first, so every tile viewed once is available offline;
+ *                        the oldest are evicted beyond MAX_TILES.
+ *
+ * Data served from the cache carries an X-Cached-At header with the time it was
+ * downloaded, which the app uses for its "data as of" indicators.
+ */
+
+const VERSION = "v1";
+const SHELL_CACHE = `windborne-shell-${VERSION}`;
+const DATA_CACHE = `windborne-data-${VERSION}`;
+const TILE_CACHE = `windborne-tiles-${VERSION}`;
+const MAX_TILES = 3000;
+
+const SHELL_URLS = ["./", "index.html", "manifest.json", "favicon.ico", "logo192.png", "logo512.png"];
+const TILE_HOSTS = [
+  "tile.openstreetmap.org",
+  "basemaps.cartocdn.com",
+  "tile.opentopomap.org",
+  "server.arcgisonline.com",
+];
+
+const scopeUrl = new URL(self.registration.scope);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS.map((path) => new URL(path, scopeUrl).href)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith("windborne-") && !current.includes(key))
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isDataRequest(url) {
+  if (url.origin === scopeUrl.origin) {
+    return url.pathname.includes("/api/treasure/")
+      || url.pathname.includes("/weather-api/alerts/active")
+      || url.pathname.includes("/weather-api/zones/");
+  }
+  return url.hostname === "api.weather.gov" && (url.pathname === "/alerts/active" || url.pathname.startsWith("/zones/"));
+}
+
+function isTileRequest(url) {
+  return TILE_HOSTS.some((host) => url.hostname === host || url.hostname.endsWith(`.${host}`))
+    || (url.origin === scopeUrl.origin && url.pathname.includes("/tiles/"));
+}
+
+// Cached feed bodies get the time they were downloaded, so the page can tell how old they are.
+async function storeWithTimestamp(cache, key, response) {
+  const headers = new Headers(response.headers);
+  headers.set("X-Cached-At", new Date().toUTCString());
+  const body = await response.blob();
+  await cache.put(key, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+}
+
+async function networkFirstData(request) {
+  const cache = await caches.open(DATA_CACHE);
+  // One entry per file, whatever query string the request carried.
+  const key = request.url.split("?")[0];
+  try {
+    const response = await fetch(request);
+    if (response.ok) await storeWithTimestamp(cache, key, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(key, { ignoreVary: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function trimTiles(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES)).map((key) => cache.delete(key)));
+}
+
+async function cacheFirstTile(request) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Tile images load without CORS, so most responses are opaque (status 0) but still usable.
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+    if (Math.random() < 0.05) trimTiles(cache);
+  }
+  return response;
+}
+
+async function networkFirstPage(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(new URL("index.html", scopeUrl).href, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(new URL("index.html", scopeUrl).href);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+async function cacheFirstAsset(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate" && url.origin === scopeUrl.origin) {
+    event.respondWith(networkFirstPage(request));
+  } else if (isDataRequest(url)) {
+    event.respondWith(networkFirstData(request));
+  } else if (isTileRequest(url)) {
+    event.respondWith(cacheFirstTile(request));
+  } else if (url.origin === scopeUrl.origin && (url.pathname.includes("/static/") || SHELL_URLS.some((path) => url.href === new URL(path, scopeUrl).href))) {
+    event.respondWith(cacheFirstAsset(request));
+  }
+});
@@ -0,0 +1,278 @@
+import { createFetchClient } from "../src/fetchClient.js";
+import { associateTracks } from "../src/trackAssociation.js";
+import { flagDuplicateHours, summarizeQuality } from "../src/dataQuality.js";
+import {
+  FEED_HOURS,
+  balloonsFromTracks,
+  failedHourStatus,
+  hourFileName,
+  markCorruptedHours,
+  readHourResult,
+  snapshotsFromReports,
+} from "../src/feedProcessing.js";
+import { createZoneResolver, loadCountyGeometries } from "../src/alertZones.js";
+import { buildAlertIndex, matchPoint } from "../src/alertIndex.js";
+import { isAlertInEffect } from "../src/altitudeProfile.js";
+import { diffAlerts, diffPositions } from "../src/liveUpdates.js";
+
+/**
+ * Polls the balloon feed and the active NWS alerts on a schedule and keeps one
+ * processed view of them: tracks reconstructed across the 24 hourly files, the
+ * data-quality summary and, per balloon, the alerts in effect at its current
+ * position. Processing uses the same modules as the browser app, so both agree.
+ * Subscribers are told what changed after each poll (see src/liveUpdates.js).
+ */
+
+const NWS_API_ORIGIN = "https://api.weather.gov";
+
+function alertSummary(props) {
+  return {
+    id: props.id,
+    event: props.event,
+    severity: props.severity,
+    headline: props.headline || null,
+    onset: props.onset || props.effective || null,
+    ends: props.ends || props.expires || null,
+  };
+}
+
+/**
+ * Creates the aggregator. Nothing is fetched until start() or a poll is called.
+ * @param {object} config - From loadConfig.
+ * @param {{ fetchImpl?: Function, now?: Function, sleep?: Function }} [options] - Injectable for tests.
+ * @returns {{
+ *   start: Function,
+ *   stop: Function,
+ *   pollFeed: Function,
+ *   pollAlerts: Function,
+ *   constellation: Function,
+ *   health: Function,
+ *   rawHour: Function,
+ *   rawAlerts: Function,
+ *   subscribe: Function
+ * }} constellation() is the aggregated view, or null before the first feed poll; rawHour(hour)
+ *   and rawAlerts() are the upstream bodies as last fetched, or null; subscribe(listener) calls
+ *   listener(type, data) with each "positions" and "alerts" update and returns an unsubscribe function.
+ */
+export function createAggregator(config, { fetchImpl, now = () => Date.now(), sleep } = {}) {
+  const client = createFetchClient({ fetchImpl, now, sleep });
+  const nwsHeaders = { "User-Agent": config.userAgent, Accept: "application/geo+json" };
+  const startedAt = now();
+
+  const resolveAlertZones = createZoneResolver({
+    // Zone links in alerts point at api.weather.gov; follow them on the configured API.
+    fetchZone: async (zoneUrl) => {
+      const url = zoneUrl.startsWith(NWS_API_ORIGIN) ? config.nwsApiUrl + zoneUrl.slice(NWS_API_ORIGIN.length) : zoneUrl;
+      try {
+        const { data } = await client.getJson(url, { headers: nwsHeaders, timeoutMs: 10000, retries: 1, maxAgeMs: Infinity });
+        return data && data.geometry ? data.geometry : null;
+      } catch (err) {
+        if (err.status) return null;
+        throw err;
+      }
+    },
+    loadCounties: loadCountyGeometries,
+  });
+
+  const feed = { hours: [], rawHours: new Map(), balloons: [], quality: null, polledAt: null, error: null };
+  const alerts = { raw: null, index: null, receivedAt: null, polledAt: null, error: null };
+  let view = null;
+  const subscribers = new Set();
+  // Alerts in effect as last published; null until the first poll, which has nothing to compare against.
+  let publishedAlerts = null;
+  let feedInFlight = null;
+  let alertsInFlight = null;
+  const timers = [];
+
+  async function fetchHour(hour, reports) {
+    let result;
+    try {
+      result = await client.getJson(`${config.treasureUrl}/${hourFileName(hour)}`, { timeoutMs: hour === 0 ? 20000 : 10000 });
+    } catch (err) {
+      return failedHourStatus(hour, err);
+    }
+    feed.rawHours.set(hour, { data: result.data, receivedAt: result.receivedAt });
+    const { status, report } = readHourResult(hour, result);
+    reports.push(report);
+    return status;
+  }
+
+  function publish(type, data) {
+    subscribers.forEach((listener) => {
+      try {
+        listener(type, data);
+      } catch (err) {
+        console.warn(`Could not send the ${type} update:`, err);
+      }
+    });
+  }
+
+  async function refreshFeed() {
+    const fetchedReports = [];
+    const statuses = await Promise.all(Array.from({ length: FEED_HOURS }, (_, hour) => fetchHour(hour, fetchedReports)));
+    const hourReports = flagDuplicateHours(fetchedReports);
+    feed.hours = markCorruptedHours(statuses, hourReports);
+    feed.polledAt = now();
+
+    const snapshots = snapshotsFromReports(hourReports, feed.hours);
+    if (snapshots.length === 0) {
+      feed.error = "No hour file could be loaded; keeping the previous tracks.";
+      console.warn(feed.error);
+      return;
+    }
+    const failed = feed.hours.filter((status) => status.state === "failed").map((status) => hourFileName(status.hour));
+    feed.error = failed.length > 0 ? `${failed.length} of ${FEED_HOURS} hours could not be loaded: ${failed.join(", ")}` : null;
+
+    const previousBalloons = feed.balloons;
+    feed.balloons = balloonsFromTracks(associateTracks(snapshots, { previousTracks: previousBalloons }));
+    feed.quality = summarizeQuality(hourReports, feed.balloons);
+
+    if (previousBalloons.length > 0) {
+      const updates = diffPositions(previousBalloons, feed.balloons);
+      if (updates.length > 0) publish("positions", { generatedAt: new Date(now()).toISOString(), balloons: updates });
+    }
+  }
+
+  async function refreshAlerts() {
+    try {
+      const result = await client.getJson(`${config.nwsApiUrl}/alerts/active`, {
+        headers: nwsHeaders,
+        timeoutMs: 20000,
+        validate: (data) => Boolean(data && data.type === "FeatureCollection" && Array.isArray(data.features)),
+      });
+      // A failed request served from the cache keeps the alerts we already have.
+      if (result.data !== alerts.raw) {
+        alerts.index = buildAlertIndex(await resolveAlertZones(result.data));
+        alerts.raw = result.data;
+      }
+      alerts.receivedAt = result.receivedAt;
+      alerts.error = result.error ? result.error.message : null;
+
+      // Alerts that ran out since the last poll are reported as expired even if still listed.
+      const time = new Date(now());
+      const inEffect = alerts.raw.features.filter((feature) => isAlertInEffect(feature.properties || {}, time));
+      if (publishedAlerts) {
+        const changes = diffAlerts(publishedAlerts, inEffect);
+        if (changes.added.length + changes.updated.length + changes.expired.length > 0) {
+          publish("alerts", { generatedAt: time.toISOString(), ...changes });
+        }
+      }
+      publishedAlerts = inEffect;
+    } catch (err) {
+      console.warn("Could not poll NWS alerts:", err);
+      alerts.error = err.message || String(err);
+    }
+    alerts.polledAt = now();
+  }
+
+  function buildView() {
+    if (feed.polledAt === null) return null;
+    const time = new Date(now());
+    const balloons = feed.balloons.map((balloon) => {
+      const { lat, lon } = balloon.currentPosition;
+      const matches = alerts.index ? matchPoint(alerts.index, lat, lon).filter((props) => isAlertInEffect(props, time)) : [];
+      return { ...balloon, alerts: matches.map(alertSummary) };
+    });
+    return {
+      generatedAt: time.toISOString(),
+      feed: { polledAt: new Date(feed.polledAt).toISOString(), error: feed.error, hours: feed.hours },
+      alerts: {
+        polledAt: alerts.polledAt === null ? null : new Date(alerts.polledAt).toISOString(),
+        receivedAt: alerts.receivedAt === null ? null : new Date(alerts.receivedAt).toISOString(),
+        count: alerts.raw ? alerts.raw.features.length : 0,
+        error: alerts.error,
+      },
+      quality: feed.quality,
+      balloons,
+    };
+  }
+
+  // Overlapping polls share the one already running.
+  function pollFeed() {
+    if (!feedInFlight) {
+      feedInFlight = refreshFeed()
+        .catch((err) => {
+          console.error("Error processing the balloon feed:", err);
+          feed.error = err.message || String(err);
+        })
+        .then(() => {
+          view = buildView();
+        })
+        .finally(() => {
+          feedInFlight = null;
+        });
+    }
+    return feedInFlight;
+  }
+
+  function pollAlerts() {
+    if (!alertsInFlight) {
+      alertsInFlight = refreshAlerts()
+        .then(() => {
+          view = buildView();
+        })
+        .finally(() => {
+          alertsInFlight = null;
+        });
+    }
+    return alertsInFlight;
+  }
+
+  return {
+    start() {
+      pollFeed();
+      pollAlerts();
+      timers.push(setInterval(pollFeed, config.feedPollMs), setInterval(pollAlerts, config.alertsPollMs));
+    },
+
+    stop() {
+      timers.splice(0).forEach(clearInterval);
+    },
+
+    pollFeed,
+    pollAlerts,
+
+    constellation() {
+      return view;
+    },
+
+    /**
+     * "starting" until the first feed poll finishes; "degraded" when the last poll of
+     * either source failed or the feed is more than two poll intervals old.
+     */
+    health() {
+      const time = now();
+      const feedOverdue = feed.polledAt !== null && time - feed.polledAt > 2 * config.feedPollMs;
+      const status = feed.polledAt === null ? "starting"
+        : feed.error || alerts.error || feedOverdue ? "degraded" : "ok";
+      return {
+        status,
+        uptimeS: Math.round((time - startedAt) / 1000),
+        feed: {
+          polledAt: feed.polledAt === null ? null : new Date(feed.polledAt).toISOString(),
+          hoursLoaded: feed.hours.filter((hour) => hour.state === "loaded" || hour.state === "cached").length,
+          balloons: feed.balloons.length,
+          error: feed.error,
+        },
+        alerts: {
+          polledAt: alerts.polledAt === null ? null : new Date(alerts.polledAt).toISOString(),
+          count: alerts.raw ? alerts.raw.features.length : 0,
+          error: alerts.error,
+        },
+      };
+    },
+
+    rawHour(hour) {
+      return feed.rawHours.get(hour) || null;
+    },
+
+    rawAlerts() {
+      return alerts.raw ? { data: alerts.raw, receivedAt: alerts.receivedAt } : null;
+    },
+
+    subscribe(listener) {
+      subscribers.add(listener);
+      return () => subscribers.delete(listener);
+    },
+  };
+}
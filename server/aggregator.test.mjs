@@ -0,0 +1,189 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import nwsAlerts from "../src/__fixtures__/nwsAlerts.js";
+import { createAggregator } from "./aggregator.mjs";
+import { createServer } from "./httpServer.mjs";
+import { DEFAULT_CONFIG } from "./config.mjs";
+
+// Current positions; each balloon drifts 0.3° east per hour. The first sits in the
+// fixture's polygon alert, the second in the zone-only alert's forecast zone.
+const BALLOONS = [[35.5, -97.5, 15], [39.5, -104.5, 12], [10, 20, 18], [-20, 60, 9]];
+const FAILING_HOUR = 5;
+const box = (west, south) => ({
+  type: "Polygon",
+  coordinates: [[[west, south], [west + 1, south], [west + 1, south + 1], [west, south + 1], [west, south]]],
+});
+const ZONES = {
+  "/zones/forecast/COZ039": box(-105, 39),
+  "/zones/forecast/GMZ250": box(-95, 28),
+  "/zones/county/AZC013": box(-113, 33),
+};
+
+// Hours the feed has moved on since the start; each shift adds a new 00.json.
+let feedShift = 0;
+let activeAlerts = nwsAlerts;
+
+function hourFile(hour) {
+  return BALLOONS.map(([lat, lon, alt]) => [lat, lon - 0.3 * (hour - feedShift), alt]);
+}
+
+// Local stand-ins for the treasure feed and api.weather.gov.
+function startUpstream(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      const body = handler(req.url);
+      res.writeHead(body === undefined ? 500 : 200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body === undefined ? { error: "boom" } : body));
+    });
+    server.listen(0, "127.0.0.1", () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+let feedUpstream;
+let nwsUpstream;
+let nwsUp = true;
+let config;
+
+before(async () => {
+  feedUpstream = await startUpstream((url) => {
+    const hour = Number(url.match(/\/treasure\/(\d{2})\.json$/)[1]);
+    return hour === FAILING_HOUR ? undefined : hourFile(hour);
+  });
+  nwsUpstream = await startUpstream((url) => {
+    if (!nwsUp) return undefined;
+    return url === "/alerts/active" ? activeAlerts : { geometry: ZONES[url] || null };
+  });
+  config = { ...DEFAULT_CONFIG, treasureUrl: `${feedUpstream.url}/treasure`, nwsApiUrl: nwsUpstream.url };
+});
+
+after(() => {
+  feedUpstream.server.close();
+  nwsUpstream.server.close();
+});
+
+const noDelay = async () => {};
+
+async function withService(aggregator, fn) {
+  const server = createServer(aggregator, config);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("merges the hourly files into tracks with the alerts at each balloon", async () => {
+  const aggregator = createAggregator(config, { sleep: noDelay });
+  await Promise.all([aggregator.pollFeed(), aggregator.pollAlerts()]);
+  const view = aggregator.constellation();
+
+  assert.equal(view.balloons.length, BALLOONS.length);
+  assert.ok(view.balloons.every((balloon) => balloon.positions.length === 23));
+  assert.equal(view.feed.hours[FAILING_HOUR].state, "failed");
+  assert.match(view.feed.error, /05\.json/);
+  assert.equal(view.alerts.count, nwsAlerts.features.length);
+
+  const alertsAt = (lat) => view.balloons.find((balloon) => balloon.currentPosition.lat === lat).alerts.map((alert) => alert.id);
+  assert.deepEqual(alertsAt(35.5), ["polygon"]);
+  assert.deepEqual(alertsAt(39.5), ["zone-only"]);
+  assert.deepEqual(alertsAt(10), []);
+  // 23 hours of 0.3° a hour along 10° N; the missing hour is bridged.
+  const drifter = view.balloons.find((balloon) => balloon.currentPosition.lat === 10);
+  assert.ok(Math.abs(drifter.totalDistance - 23 * 0.3 * 111.32 * Math.cos(Math.PI / 18)) < 5);
+});
+
+test("serves health, the aggregated view and the upstream copies", async () => {
+  const aggregator = createAggregator(config, { sleep: noDelay });
+  await withService(aggregator, async (baseUrl) => {
+    const starting = await fetch(`${baseUrl}/health`);
+    assert.equal(starting.status, 503);
+    assert.equal((await fetch(`${baseUrl}/api/constellation`)).status, 503);
+
+    await Promise.all([aggregator.pollFeed(), aggregator.pollAlerts()]);
+    const health = await (await fetch(`${baseUrl}/health`)).json();
+    assert.equal(health.status, "degraded");
+    assert.equal(health.feed.hoursLoaded, 23);
+    assert.equal(health.feed.balloons, BALLOONS.length);
+
+    const view = await (await fetch(`${baseUrl}/api/constellation`)).json();
+    assert.equal(view.balloons.length, BALLOONS.length);
+    const head = await fetch(`${baseUrl}/api/constellation`, { method: "HEAD" });
+    assert.equal(head.status, 200);
+    assert.equal(Number(head.headers.get("Content-Length")), Buffer.byteLength(JSON.stringify(view)));
+    assert.equal(await head.text(), "");
+    const hour2 = await fetch(`${baseUrl}/api/treasure/02.json`);
+    assert.deepEqual(await hour2.json(), hourFile(2));
+    assert.equal(Date.parse(hour2.headers.get("X-Received-At")), aggregator.rawHour(2).receivedAt);
+    assert.equal((await fetch(`${baseUrl}/api/treasure/05.json`)).status, 404);
+    assert.equal((await (await fetch(`${baseUrl}/weather-api/alerts/active`)).json()).features.length, nwsAlerts.features.length);
+    assert.deepEqual(await (await fetch(`${baseUrl}/weather-api/zones/forecast/COZ039`)).json(), { geometry: ZONES["/zones/forecast/COZ039"] });
+  });
+});
+
+test("keeps the last alerts when the NWS API goes down", async () => {
+  const aggregator = createAggregator(config, { sleep: noDelay });
+  await Promise.all([aggregator.pollFeed(), aggregator.pollAlerts()]);
+  nwsUp = false;
+  try {
+    await aggregator.pollAlerts();
+  } finally {
+    nwsUp = true;
+  }
+  const view = aggregator.constellation();
+  assert.match(view.alerts.error, /HTTP 500/);
+  assert.equal(view.alerts.count, nwsAlerts.features.length);
+  assert.equal(aggregator.health().status, "degraded");
+  assert.ok(view.balloons.some((balloon) => balloon.alerts.length > 0));
+});
+
+test("streams new fixes and alert changes to subscribers", async () => {
+  let clock = Date.UTC(2025, 4, 1, 12, 10);
+  const aggregator = createAggregator(config, { sleep: noDelay, now: () => clock });
+  await Promise.all([aggregator.pollFeed(), aggregator.pollAlerts()]);
+
+  await withService(aggregator, async (baseUrl) => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/api/events`, { signal: controller.signal });
+    assert.equal(response.headers.get("content-type"), "text/event-stream");
+    const reader = response.body.getReader();
+    let stream = "";
+    const readUntil = async (text) => {
+      // Events can arrive split across chunks; stop only at the end of one.
+      while (!stream.includes(text) || !stream.endsWith("\n\n")) stream += new TextDecoder().decode((await reader.read()).value);
+    };
+    await readUntil(": connected");
+
+    clock += 60 * 60 * 1000;
+    feedShift = 1;
+    const [polygon, multipolygon, ...rest] = nwsAlerts.features;
+    activeAlerts = {
+      ...nwsAlerts,
+      features: [{ ...polygon, properties: { ...polygon.properties, severity: "Extreme" } }, ...rest],
+    };
+    try {
+      await Promise.all([aggregator.pollFeed(), aggregator.pollAlerts()]);
+      await readUntil("event: alerts");
+      await readUntil("event: positions");
+    } finally {
+      feedShift = 0;
+      activeAlerts = nwsAlerts;
+      controller.abort();
+    }
+
+    const events = Object.fromEntries(stream.split("\n\n")
+      .filter((block) => block.startsWith("event: "))
+      .map((block) => {
+        const [eventLine, dataLine] = block.split("\n");
+        return [eventLine.slice("event: ".length), JSON.parse(dataLine.slice("data: ".length))];
+      }));
+    assert.equal(events.positions.balloons.length, BALLOONS.length);
+    const first = events.positions.balloons.find((update) => update.after.lat === 35.5);
+    assert.equal(first.after.lon, -97.5);
+    assert.deepEqual(first.positions.map((pos) => [pos.lat, pos.lon]), [[35.5, -97.2]]);
+    assert.deepEqual(events.alerts.updated.map((feature) => feature.properties.id), ["polygon"]);
+    assert.deepEqual(events.alerts.expired, [multipolygon.properties.id]);
+    assert.deepEqual(events.alerts.added, []);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Service settings, read from the environment:
+ *   PORT            – port to listen on (4000)
+ *   TREASURE_URL    – base URL of the hourly balloon files, without the trailing /NN.json
+ *   NWS_API_URL     – base URL of the National Weather Service API
+ *   FEED_POLL_MS    – how often the balloon feed is polled
+ *   ALERTS_POLL_MS  – how often the active NWS alerts are polled
+ *   STATIC_DIR      – production build to serve alongside the API (../build when it exists)
+ * The upstream URLs are what tests point at local fixture servers.
+ */
+
+import { existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const MS_PER_MINUTE = 60 * 1000;
+const DEFAULT_STATIC_DIR = fileURLToPath(new URL("../build", import.meta.url));
+
+export const DEFAULT_CONFIG = {
+  port: 4000,
+  treasureUrl: "https://a.windbornesystems.com/treasure",
+  nwsApiUrl: "https://api.weather.gov",
+  feedPollMs: 10 * MS_PER_MINUTE,
+  alertsPollMs: 5 * MS_PER_MINUTE,
+  staticDir: null,
+  // api.weather.gov asks every client to identify itself.
+  userAgent: "(Windborne Balloon Tracker, learning project)",
+};
+
+function positiveNumber(value, name, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (isFinite(number) && number > 0) return number;
+  console.warn(`Ignoring ${name}=${value}; using ${fallback}.`);
+  return fallback;
+}
+
+const withoutTrailingSlash = (url) => url.replace(/\/+$/, "");
+
+/**
+ * Settings from environment variables, falling back to DEFAULT_CONFIG.
+ * @param {object} [env]
+ * @returns {object}
+ */
+export function loadConfig(env = process.env) {
+  return {
+    ...DEFAULT_CONFIG,
+    port: positiveNumber(env.PORT, "PORT", DEFAULT_CONFIG.port),
+    treasureUrl: withoutTrailingSlash(env.TREASURE_URL || DEFAULT_CONFIG.treasureUrl),
+    nwsApiUrl: withoutTrailingSlash(env.NWS_API_URL || DEFAULT_CONFIG.nwsApiUrl),
+    feedPollMs: positiveNumber(env.FEED_POLL_MS, "FEED_POLL_MS", DEFAULT_CONFIG.feedPollMs),
+    alertsPollMs: positiveNumber(env.ALERTS_POLL_MS, "ALERTS_POLL_MS", DEFAULT_CONFIG.alertsPollMs),
+    staticDir: env.STATIC_DIR || (existsSync(DEFAULT_STATIC_DIR) ? DEFAULT_STATIC_DIR : null),
+  };
+}
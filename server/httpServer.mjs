@@ -0,0 +1,189 @@
+import http from "node:http";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * Routes:
+ *   GET /health                   – service status (503 until the first feed poll finishes)
+ *   GET /api/constellation        – processed tracks with quality flags and alert matches
+ *   GET /api/events               – live updates as Server-Sent Events (see src/liveUpdates.js)
+ *   GET /api/treasure/NN.json     – the hourly file as last polled, for the browser app
+ *   GET /weather-api/alerts/active – the active alerts as last polled
+ *   GET /weather-api/*            – anything else (zone shapes) forwarded to the NWS API
+ *   GET /*                        – the production build, when a static directory is configured
+ * The /api and /weather-api paths are the ones the app calls, so it needs no other proxy.
+ */
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".ico": "image/x-icon",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".txt": "text/plain; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+};
+
+// HEAD requests get the headers, including Content-Length, without the body.
+function endWithBody(res, body) {
+  res.end(res.req && res.req.method === "HEAD" ? undefined : body);
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(json),
+    "Cache-Control": "no-cache",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Expose-Headers": "X-Received-At",
+    ...headers,
+  });
+  endWithBody(res, json);
+}
+
+// Comment lines keep idle connections from being closed by proxies.
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Streams updates to one client as Server-Sent Events until it disconnects.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Function} subscribe - (listener) => unsubscribe; listener receives (type, data).
+ */
+export function streamEvents(req, res, subscribe) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    // no-transform keeps compressing proxies (such as the dev server's) from buffering events.
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.write(": connected\n\n");
+  const unsubscribe = subscribe((type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`));
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+// Copies of upstream files say when this service downloaded them: Last-Modified for
+// revalidation, and X-Received-At to the millisecond so the app dates the hour files by
+// the poll rather than by when it asked (see fetchClient.js).
+const copyHeaders = (receivedAt) => ({
+  "Last-Modified": new Date(receivedAt).toUTCString(),
+  "X-Received-At": new Date(receivedAt).toISOString(),
+});
+
+async function forwardToNws(config, nwsPath, res) {
+  try {
+    const upstream = await fetch(`${config.nwsApiUrl}${nwsPath}`, {
+      headers: { "User-Agent": config.userAgent, Accept: "application/geo+json" },
+      signal: AbortSignal.timeout(20000),
+    });
+    res.writeHead(upstream.status, {
+      "Content-Type": upstream.headers.get("Content-Type") || "application/geo+json",
+      "Access-Control-Allow-Origin": "*",
+    });
+    endWithBody(res, Buffer.from(await upstream.arrayBuffer()));
+  } catch (err) {
+    console.warn(`Could not forward ${nwsPath} to the NWS API:`, err);
+    sendJson(res, 502, { error: "NWS API unreachable" });
+  }
+}
+
+async function serveStatic(staticDir, urlPath, res) {
+  const root = path.resolve(staticDir);
+  const filePath = path.resolve(root, `.${decodeURIComponent(urlPath)}`);
+  if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+    sendJson(res, 404, { error: "Not found" });
+    return;
+  }
+  // Unknown paths get index.html so client-side URLs (?lat=…&zoom=…) still load the app.
+  for (const candidate of [filePath, path.join(root, "index.html")]) {
+    try {
+      const body = await readFile(candidate);
+      const hashed = candidate.includes(`${path.sep}static${path.sep}`);
+      res.writeHead(200, {
+        "Content-Type": CONTENT_TYPES[path.extname(candidate)] || "application/octet-stream",
+        "Content-Length": body.length,
+        "Cache-Control": hashed ? "public, max-age=31536000, immutable" : "no-cache",
+      });
+      endWithBody(res, body);
+      return;
+    } catch (err) {
+      if (err.code !== "ENOENT" && err.code !== "EISDIR") throw err;
+    }
+  }
+  sendJson(res, 404, { error: "Not found" });
+}
+
+/**
+ * Creates the HTTP server for an aggregator; call listen() on it to start serving.
+ * @param {object} aggregator - From createAggregator.
+ * @param {object} config - From loadConfig.
+ * @returns {http.Server}
+ */
+export function createServer(aggregator, config) {
+  return http.createServer(async (req, res) => {
+    const { pathname, search } = new URL(req.url, "http://localhost");
+    try {
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        sendJson(res, 405, { error: "Method not allowed" }, { Allow: "GET, HEAD" });
+        return;
+      }
+
+      if (pathname === "/health") {
+        const health = aggregator.health();
+        sendJson(res, health.status === "starting" ? 503 : 200, health);
+        return;
+      }
+
+      if (pathname === "/api/constellation") {
+        const view = aggregator.constellation();
+        if (view) sendJson(res, 200, view);
+        else sendJson(res, 503, { error: "The first feed poll has not finished yet" }, { "Retry-After": "5" });
+        return;
+      }
+
+      if (pathname === "/api/events") {
+        streamEvents(req, res, aggregator.subscribe);
+        return;
+      }
+
+      const hourMatch = pathname.match(/^\/api\/treasure\/(\d{2})\.json$/);
+      if (hourMatch) {
+        const hour = aggregator.rawHour(Number(hourMatch[1]));
+        if (hour) sendJson(res, 200, hour.data, copyHeaders(hour.receivedAt));
+        else sendJson(res, 404, { error: `No copy of ${hourMatch[1]}.json` });
+        return;
+      }
+
+      if (pathname === "/weather-api/alerts/active" && !search) {
+        const cached = aggregator.rawAlerts();
+        if (cached) {
+          sendJson(res, 200, cached.data, { "Content-Type": "application/geo+json", ...copyHeaders(cached.receivedAt) });
+          return;
+        }
+      }
+
+      if (pathname.startsWith("/weather-api/")) {
+        await forwardToNws(config, pathname.slice("/weather-api".length) + search, res);
+        return;
+      }
+
+      if (config.staticDir) {
+        await serveStatic(config.staticDir, pathname, res);
+        return;
+      }
+      sendJson(res, 404, { error: "Not found" });
+    } catch (err) {
+      console.error(`Error handling ${req.method} ${req.url}:`, err);
+      if (!res.headersSent) sendJson(res, 500, { error: "Internal error" });
+      else res.end();
+    }
+  });
+}
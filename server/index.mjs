@@ -0,0 +1,28 @@
+import { loadConfig } from "./config.mjs";
+import { createAggregator } from "./aggregator.mjs";
+import { createServer } from "./httpServer.mjs";
+
+/**
+ * Entry point: `npm run server`. Polls the upstream feeds and serves the API
+ * (and the production build, if there is one) until stopped.
+ */
+
+const config = loadConfig();
+const aggregator = createAggregator(config);
+const server = createServer(aggregator, config);
+
+aggregator.start();
+server.listen(config.port, () => {
+  console.log(`Windborne tracker service on http://localhost:${config.port} (feed: ${config.treasureUrl}, alerts: ${config.nwsApiUrl})`);
+  if (config.staticDir) console.log(`Serving the app from ${config.staticDir}`);
+});
+
+function shutdown() {
+  aggregator.stop();
+  server.close(() => process.exit(0));
+  // Event streams stay open until closed from this end.
+  server.closeAllConnections();
+}
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
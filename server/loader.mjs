@@ -0,0 +1,32 @@
+/**
+ * Module hooks that let Node load the app's pure modules from src/ as they are
+ * written for the bundler: ES modules in .js files, imported without extensions,
+ * and JSON imported without import attributes.
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const SRC_URL = new URL("../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const fromSrc = context.parentURL && context.parentURL.startsWith(SRC_URL);
+  if (fromSrc && specifier.startsWith(".") && !/\.[cm]?js(on)?$/.test(specifier)) {
+    const candidate = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(candidate))) {
+      return { url: candidate.href, format: "module", shortCircuit: true };
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  // Bundled data such as the us-atlas boundaries, which the bundler inlines as a default export.
+  if (url.endsWith(".json") && !(context.importAttributes && context.importAttributes.type)) {
+    return { format: "module", source: `export default ${readFileSync(fileURLToPath(url), "utf8")};`, shortCircuit: true };
+  }
+  if (url.startsWith(SRC_URL) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
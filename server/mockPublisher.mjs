@@ -0,0 +1,125 @@
+import http from "node:http";
+import { floorToHour } from "../src/historyArchive.js";
+import { validateHourFile } from "../src/dataQuality.js";
+import { destinationPoint } from "../src/geo.js";
+import { streamEvents } from "./httpServer.mjs";
+
+/**
+ * Mock live-update publisher for trying the push channel without waiting for
+ * new hours: `npm run mock-publisher`, then start the app with
+ * REACT_APP_LIVE_UPDATES_URL=http://localhost:4001/api/events.
+ *
+ * It seeds itself from the current 00.json, so its first updates continue the
+ * tracks the app has just loaded, then every MOCK_INTERVAL_MS publishes one
+ * more simulated hour of drift and cycles a fake NWS alert through added,
+ * updated and expired. Settings: PORT (4001), TREASURE_URL, MOCK_INTERVAL_MS (15000).
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const PORT = Number(process.env.PORT) || 4001;
+const TREASURE_URL = (process.env.TREASURE_URL || "https://a.windbornesystems.com/treasure").replace(/\/+$/, "");
+const INTERVAL_MS = Number(process.env.MOCK_INTERVAL_MS) || 15000;
+
+const subscribers = new Set();
+const subscribe = (listener) => {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+};
+const publish = (type, data) => subscribers.forEach((listener) => listener(type, data));
+
+function boxAround(lat, lon, halfDeg) {
+  return {
+    type: "Polygon",
+    coordinates: [[
+      [lon - halfDeg, lat - halfDeg], [lon + halfDeg, lat - halfDeg], [lon + halfDeg, lat + halfDeg],
+      [lon - halfDeg, lat + halfDeg], [lon - halfDeg, lat - halfDeg],
+    ]],
+  };
+}
+
+function mockAlert(sequence, severity, balloon) {
+  return {
+    type: "Feature",
+    geometry: boxAround(balloon.fix.lat, balloon.fix.lon, 2),
+    properties: {
+      id: `mock-alert-${sequence}`,
+      event: "Special Weather Statement",
+      severity,
+      headline: `Mock alert ${sequence} (${severity.toLowerCase()})`,
+      affectedZones: [],
+      geocode: {},
+    },
+  };
+}
+
+async function seedBalloons() {
+  const response = await fetch(`${TREASURE_URL}/00.json`);
+  if (!response.ok) throw new Error(`HTTP ${response.status} for 00.json`);
+  const { fixes } = validateHourFile(await response.json());
+  const timestamp = floorToHour(Date.now());
+  return fixes.map((fix) => ({
+    fix: { lat: fix.lat, lon: fix.lon, alt: fix.alt, timestamp },
+    // Steady drift per balloon: 20–120 km an hour, mostly eastward.
+    bearing: 45 + Math.random() * 90,
+    speedKmh: 20 + Math.random() * 100,
+  }));
+}
+
+function advance(balloons) {
+  return balloons.map((balloon) => {
+    const { lat, lon } = destinationPoint(balloon.fix.lat, balloon.fix.lon, balloon.bearing, balloon.speedKmh);
+    const alt = Math.round((balloon.fix.alt + (Math.random() - 0.5) * 0.4) * 1000) / 1000;
+    return { ...balloon, fix: { lat, lon, alt, timestamp: new Date(balloon.fix.timestamp.getTime() + MS_PER_HOUR) } };
+  });
+}
+
+async function main() {
+  let balloons = await seedBalloons();
+  console.log(`Seeded ${balloons.length} balloons from ${TREASURE_URL}/00.json`);
+  let tick = 0;
+  let alert = null;
+
+  setInterval(() => {
+    // Hold still until the app is listening, so its first update continues the tracks it loaded.
+    if (subscribers.size === 0) return;
+    const next = advance(balloons);
+    publish("positions", {
+      generatedAt: new Date().toISOString(),
+      balloons: next.map((balloon, i) => ({
+        id: String(i),
+        after: { ...balloons[i].fix, linkConfidence: null },
+        positions: [{ ...balloon.fix, linkConfidence: 1 }],
+      })),
+    });
+    balloons = next;
+
+    // Add, update, then expire one alert around a random balloon.
+    tick++;
+    const generatedAt = new Date().toISOString();
+    if (tick % 3 === 1) {
+      alert = mockAlert(tick, "Moderate", balloons[Math.floor(Math.random() * balloons.length)]);
+      publish("alerts", { generatedAt, added: [alert], updated: [], expired: [] });
+    } else if (tick % 3 === 2 && alert) {
+      alert = { ...alert, properties: { ...alert.properties, severity: "Severe", headline: `${alert.properties.headline} – upgraded` } };
+      publish("alerts", { generatedAt, added: [], updated: [alert], expired: [] });
+    } else if (alert) {
+      publish("alerts", { generatedAt, added: [], updated: [], expired: [alert.properties.id] });
+      alert = null;
+    }
+    console.log(`Published simulated hour ${tick} to ${subscribers.size} subscriber(s)`);
+  }, INTERVAL_MS);
+
+  http.createServer((req, res) => {
+    if (new URL(req.url, "http://localhost").pathname === "/api/events") {
+      streamEvents(req, res, subscribe);
+    } else {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Only /api/events is served here\n");
+    }
+  }).listen(PORT, () => console.log(`Mock publisher on http://localhost:${PORT}/api/events every ${INTERVAL_MS / 1000} s`));
+}
+
+main().catch((err) => {
+  console.error("Mock publisher could not start:", err);
+  process.exit(1);
+});
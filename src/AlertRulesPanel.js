@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { RULE_CONDITIONS, RULE_SEVERITIES, NWS_SEVERITIES, createRule, parseRegion } from './alertRules';
+
+const EMPTY_FORM = {
+  name: '',
+  severity: 'warning',
+  condition: 'enters-alert',
+  altitudeKm: '5',
+  alertSeverities: [],
+  eventTypes: '',
+  minAltitudeKm: '',
+  maxAltitudeKm: '',
+  region: '',
+  balloonIds: '',
+};
+
+function splitList(text) {
+  return text.split(',').map((item) => item.trim()).filter(Boolean);
+}
+
+function optionalNumber(text) {
+  const value = parseFloat(text);
+  return isFinite(value) ? value : null;
+}
+
+function describeRule(rule) {
+  const parts = [RULE_CONDITIONS[rule.condition]];
+  if (rule.condition !== 'enters-alert') parts[0] += ` ${rule.altitudeKm} km`;
+  if (rule.alertSeverities.length > 0) parts.push(rule.alertSeverities.join('/'));
+  if (rule.eventTypes.length > 0) parts.push(`events: ${rule.eventTypes.join(', ')}`);
+  if (rule.minAltitudeKm !== null || rule.maxAltitudeKm !== null) {
+    parts.push(`alt ${rule.minAltitudeKm ?? '…'}–${rule.maxAltitudeKm ?? '…'} km`);
+  }
+  if (rule.region) {
+    const { minLat, minLon, maxLat, maxLon } = rule.region;
+    parts.push(`region ${minLat},${minLon} to ${maxLat},${maxLon}`);
+  }
+  if (rule.balloonIds.length > 0) parts.push(`balloons ${rule.balloonIds.join(', ')}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Lets the user define alerting rules and shows the log of fired events.
+ * @param {{
+ *   rules: Array<object>,
+ *   onRulesChange: Function,
+ *   eventLog: Array<object>,
+ *   onClearLog: Function
+ * }} props
+ */
+function AlertRulesPanel({ rules, onRulesChange, eventLog, onClearLog }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [notificationPermission, setNotificationPermission] = useState(
+    typeof Notification !== 'undefined' ? Notification.permission : 'unsupported'
+  );
+
+  const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const toggleAlertSeverity = (severity) => {
+    const current = form.alertSeverities;
+    setForm({
+      ...form,
+      alertSeverities: current.includes(severity) ? current.filter((s) => s !== severity) : [...current, severity],
+    });
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const rule = createRule({
+      name: form.name.trim() || RULE_CONDITIONS[form.condition],
+      severity: form.severity,
+      condition: form.condition,
+      altitudeKm: optionalNumber(form.altitudeKm) ?? 5,
+      alertSeverities: form.alertSeverities,
+      eventTypes: splitList(form.eventTypes),
+      minAltitudeKm: optionalNumber(form.minAltitudeKm),
+      maxAltitudeKm: optionalNumber(form.maxAltitudeKm),
+      region: parseRegion(form.region),
+      balloonIds: splitList(form.balloonIds),
+    });
+    onRulesChange([...rules, rule]);
+    setForm(EMPTY_FORM);
+  };
+
+  const requestPermission = () => {
+    Notification.requestPermission().then(setNotificationPermission);
+  };
+
+  return (
+    <details className="side-panel alert-rules-panel">
+      <summary>Alert Rules ({rules.filter((rule) => rule.enabled).length} active)</summary>
+
+      {notificationPermission === 'default' && (
+        <button type="button" className="link-button" onClick={requestPermission}>Enable browser notifications</button>
+      )}
+      {notificationPermission === 'denied' && (
+        <p className="data-note">Browser notifications are blocked; events still appear in the log below.</p>
+      )}
+
+      <ul className="rule-list">
+        {rules.map((rule) => (
+          <li key={rule.id} className={`rule-item rule-${rule.severity}`}>
+            <label>
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={() => onRulesChange(rules.map((r) => (r.id === rule.id ? { ...r, enabled: !r.enabled } : r)))}
+              />
+              <strong>{rule.name}</strong>
+            </label>
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => onRulesChange(rules.filter((r) => r.id !== rule.id))}
+              aria-label={`Delete rule ${rule.name}`}
+            >
+              Delete
+            </button>
+            <div><small>{rule.severity} · {describeRule(rule)}</small></div>
+          </li>
+        ))}
+        {rules.length === 0 && <li><small>No rules yet.</small></li>}
+      </ul>
+
+      <form className="rule-form" onSubmit={handleAdd}>
+        <input type="text" placeholder="Rule name" value={form.name} onChange={updateForm('name')} />
+        <select value={form.condition} onChange={updateForm('condition')} aria-label="Condition">
+          {Object.entries(RULE_CONDITIONS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        {form.condition !== 'enters-alert' && (
+          <input type="number" step="0.1" placeholder="Altitude (km)" value={form.altitudeKm} onChange={updateForm('altitudeKm')} />
+        )}
+        <fieldset>
+          <legend>Alert severity</legend>
+          {NWS_SEVERITIES.map((severity) => (
+            <label key={severity}>
+              <input
+                type="checkbox"
+                checked={form.alertSeverities.includes(severity)}
+                onChange={() => toggleAlertSeverity(severity)}
+              />
+              {severity}
+            </label>
+          ))}
+        </fieldset>
+        <input type="text" placeholder="Event types, comma separated" value={form.eventTypes} onChange={updateForm('eventTypes')} />
+        <div className="rule-form-row">
+          <input type="number" step="0.1" placeholder="Min alt (km)" value={form.minAltitudeKm} onChange={updateForm('minAltitudeKm')} />
+          <input type="number" step="0.1" placeholder="Max alt (km)" value={form.maxAltitudeKm} onChange={updateForm('maxAltitudeKm')} />
+        </div>
+        <input type="text" placeholder="Region: minLat, minLon, maxLat, maxLon" value={form.region} onChange={updateForm('region')} />
+        <input type="text" placeholder="Balloon IDs (blank = all)" value={form.balloonIds} onChange={updateForm('balloonIds')} />
+        <div className="rule-form-row">
+          <select value={form.severity} onChange={updateForm('severity')} aria-label="Rule severity">
+            {RULE_SEVERITIES.map((severity) => <option key={severity} value={severity}>{severity}</option>)}
+          </select>
+          <button type="submit">Add rule</button>
+        </div>
+      </form>
+
+      <h4>
+        Event Log
+        {eventLog.length > 0 && <button type="button" className="link-button" onClick={onClearLog}>Clear</button>}
+      </h4>
+      <ul className="event-log">
+        {eventLog.map((event) => (
+          <li key={event.id} className={`rule-${event.severity}`}>
+            <small>{new Date(event.time).toLocaleString()}</small>
+            <div>{event.message}</div>
+            <small>{event.ruleName}</small>
+          </li>
+        ))}
+        {eventLog.length === 0 && <li><small>No events.</small></li>}
+      </ul>
+    </details>
+  );
+}
+
+export default AlertRulesPanel;
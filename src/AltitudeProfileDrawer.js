@@ -0,0 +1,186 @@
+import React, { useMemo, useState } from 'react';
+import { buildAltitudeProfile, classifyPhase, nearestPointIndex } from './altitudeProfile';
+
+const WIDTH = 520;
+const HEIGHT = 170;
+const PAD = { top: 12, right: 12, bottom: 22, left: 40 };
+const PHASE_COLORS = { ascent: '#2e7d32', descent: '#c62828', level: '#607d8b' };
+const PHASE_LABELS = { ascent: 'Ascent', descent: 'Descent', level: 'Level' };
+
+function formatRate(climbRateMs) {
+  if (climbRateMs === null || !isFinite(climbRateMs)) return 'N/A';
+  return `${climbRateMs >= 0 ? '+' : ''}${climbRateMs.toFixed(2)} m/s`;
+}
+
+function formatHours(hours) {
+  return `${hours.toFixed(hours < 10 ? 1 : 0)} h`;
+}
+
+function altitudeTicks(minAlt, maxAlt) {
+  const span = maxAlt - minAlt;
+  const step = span > 10 ? 5 : span > 4 ? 2 : span > 1 ? 0.5 : 0.25;
+  const ticks = [];
+  for (let tick = Math.ceil(minAlt / step) * step; tick <= maxAlt + 1e-9; tick += step) {
+    ticks.push(Number(tick.toFixed(2)));
+  }
+  return ticks;
+}
+
+/**
+ * Drawer with the selected balloon's altitude profile. Hovering the chart
+ * reports the matching fix so the map can mark it on the path.
+ * @param {{
+ *   balloon: object,
+ *   alertMatches: object,
+ *   onHoverPosition: Function,
+ *   onClose: Function
+ * }} props
+ *   alertMatches holds NWS alert properties keyed by index into balloon.positions;
+ *   onHoverPosition receives a profile point, or null when the pointer leaves the chart.
+ */
+function AltitudeProfileDrawer({ balloon, alertMatches, onHoverPosition, onClose }) {
+  const [hoverIndex, setHoverIndex] = useState(-1);
+  const profile = useMemo(
+    () => buildAltitudeProfile(balloon.positions, alertMatches),
+    [balloon.positions, alertMatches]
+  );
+
+  if (!profile) {
+    return (
+      <div className="profile-drawer">
+        <div className="profile-header">
+          <h4>Balloon #{balloon.id} altitude</h4>
+          <button type="button" className="link-button" onClick={onClose} aria-label="Close altitude profile">Close</button>
+        </div>
+        <p className="data-note">Not enough fixes with altitude to draw a profile.</p>
+      </div>
+    );
+  }
+
+  const { points } = profile;
+  const startTime = points[0].timestamp.getTime();
+  const endTime = points[points.length - 1].timestamp.getTime();
+  const altPad = Math.max(0.25, (profile.maxAlt - profile.minAlt) * 0.1);
+  const minAlt = Math.max(0, profile.minAlt - altPad);
+  const maxAlt = profile.maxAlt + altPad;
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = HEIGHT - PAD.top - PAD.bottom;
+  const x = (time) => PAD.left + ((time - startTime) / Math.max(1, endTime - startTime)) * plotWidth;
+  const y = (alt) => PAD.top + (1 - (alt - minAlt) / (maxAlt - minAlt)) * plotHeight;
+
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const chartX = ((e.clientX - rect.left) / rect.width) * WIDTH;
+    const time = startTime + ((chartX - PAD.left) / plotWidth) * (endTime - startTime);
+    const index = nearestPointIndex(points, time);
+    if (index !== hoverIndex) {
+      setHoverIndex(index);
+      onHoverPosition(index >= 0 ? points[index] : null);
+    }
+  };
+
+  const handleMouseLeave = () => {
+    setHoverIndex(-1);
+    onHoverPosition(null);
+  };
+
+  const hovered = hoverIndex >= 0 ? points[hoverIndex] : null;
+
+  return (
+    <div className="profile-drawer">
+      <div className="profile-header">
+        <h4>Balloon #{balloon.id} altitude</h4>
+        <button type="button" className="link-button" onClick={onClose} aria-label="Close altitude profile">Close</button>
+      </div>
+
+      <svg
+        className="profile-chart"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={`Altitude of balloon ${balloon.id} over time`}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={handleMouseLeave}
+      >
+        {points.slice(1).map((point, i) => {
+          const prev = points[i];
+          if (!prev.inAlert && !point.inAlert) return null;
+          return (
+            <rect
+              key={`alert-${point.positionIndex}`}
+              className="profile-alert-band"
+              x={x(prev.timestamp.getTime())}
+              y={PAD.top}
+              width={Math.max(1, x(point.timestamp.getTime()) - x(prev.timestamp.getTime()))}
+              height={plotHeight}
+              opacity={prev.inAlert && point.inAlert ? 0.35 : 0.15}
+            />
+          );
+        })}
+
+        {altitudeTicks(minAlt, maxAlt).map((tick) => (
+          <g key={tick} className="profile-axis">
+            <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(tick)} y2={y(tick)} />
+            <text x={PAD.left - 4} y={y(tick) + 3} textAnchor="end">{tick}</text>
+          </g>
+        ))}
+        <text className="profile-axis-label" x={4} y={PAD.top + 2}>km</text>
+        <text className="profile-axis-label" x={PAD.left} y={HEIGHT - 6}>{points[0].timestamp.toLocaleString()}</text>
+        <text className="profile-axis-label" x={WIDTH - PAD.right} y={HEIGHT - 6} textAnchor="end">
+          {points[points.length - 1].timestamp.toLocaleString()}
+        </text>
+
+        {points.slice(1).map((point, i) => {
+          const prev = points[i];
+          const phase = point.climbRateMs === null ? 'level' : classifyPhase(point.climbRateMs);
+          return (
+            <line
+              key={`seg-${point.positionIndex}`}
+              x1={x(prev.timestamp.getTime())}
+              y1={y(prev.alt)}
+              x2={x(point.timestamp.getTime())}
+              y2={y(point.alt)}
+              stroke={PHASE_COLORS[phase]}
+              strokeWidth="2"
+            />
+          );
+        })}
+
+        {hovered && (
+          <g className="profile-hover">
+            <line x1={x(hovered.timestamp.getTime())} x2={x(hovered.timestamp.getTime())} y1={PAD.top} y2={PAD.top + plotHeight} />
+            <circle cx={x(hovered.timestamp.getTime())} cy={y(hovered.alt)} r="4" />
+          </g>
+        )}
+      </svg>
+
+      <p className="profile-readout">
+        {hovered ? (
+          <>
+            {hovered.timestamp.toLocaleString()} · {hovered.alt.toFixed(2)} km · {formatRate(hovered.climbRateMs)}
+            {hovered.inAlert && ' · in alert area'}
+          </>
+        ) : (
+          <small>Hover the chart to find a fix on the map.</small>
+        )}
+      </p>
+
+      <ul className="profile-stats">
+        {Object.keys(PHASE_LABELS).map((phase) => (
+          <li key={phase}>
+            <span className="legend-color-box" style={{ backgroundColor: PHASE_COLORS[phase] }}></span>
+            {PHASE_LABELS[phase]}: {formatHours(profile.hoursByPhase[phase])}
+          </li>
+        ))}
+        <li>Max climb: {formatRate(profile.maxClimbRateMs)}</li>
+        <li>Max descent: {formatRate(-profile.maxDescentRateMs)}</li>
+        <li>
+          <span className="legend-color-box profile-alert-swatch"></span>
+          In NWS alert areas: {formatHours(profile.hoursInAlerts)}
+        </li>
+      </ul>
+      <p className="data-note">Alert time counts areas active now, during each alert's effective period.</p>
+    </div>
+  );
+}
+
+export default AltitudeProfileDrawer;
@@ -0,0 +1,104 @@
+import React from 'react';
+import BarChart from './BarChart';
+
+function hourLabel(time) {
+  return `${time.getHours().toString().padStart(2, '0')}:00`;
+}
+
+function histogramBars(bins, unit) {
+  return bins.map((bin) => ({
+    key: String(bin.from),
+    label: String(bin.from),
+    value: bin.count,
+    title: `${bin.from}–${bin.to} ${unit}: ${bin.count} balloons`,
+  }));
+}
+
+function hourlyBars(series, field, describe) {
+  return series.map((entry) => ({
+    key: String(entry.time.getTime()),
+    label: hourLabel(entry.time),
+    value: entry[field],
+    title: `${entry.time.toLocaleString()}: ${describe(entry[field])}`,
+  }));
+}
+
+/**
+ * Constellation-wide charts, recomputed whenever the feed refreshes.
+ * @param {{ stats: object, onClose: Function }} props - stats from buildDashboardStats.
+ */
+function AnalyticsDashboard({ stats, onClose }) {
+  const changes = stats.constellation.filter((entry) => entry.change !== null);
+  const latestChange = changes.length > 0 ? changes[changes.length - 1].change : null;
+
+  return (
+    <div className="analytics-dashboard" role="dialog" aria-label="Constellation analytics">
+      <div className="profile-header">
+        <h4>Constellation analytics · {stats.balloonCount} balloons</h4>
+        <button type="button" className="link-button" onClick={onClose} aria-label="Close analytics dashboard">Close</button>
+      </div>
+
+      <div className="dashboard-grid">
+        <section>
+          <h5>Altitude (km)</h5>
+          <BarChart bars={histogramBars(stats.altitude, 'km')} ariaLabel="Altitude histogram" />
+        </section>
+        <section>
+          <h5>Distance over 24 h (km)</h5>
+          <BarChart bars={histogramBars(stats.distance, 'km')} color="#6a1b9a" ariaLabel="24-hour distance histogram" />
+        </section>
+        <section>
+          <h5>Latitude bands</h5>
+          <BarChart
+            bars={stats.latitudeBands.map((band) => ({ key: band.label, label: band.label, value: band.count }))}
+            horizontal
+            ariaLabel="Balloons per latitude band"
+          />
+        </section>
+        <section>
+          <h5>Continents and oceans</h5>
+          <BarChart
+            bars={stats.areas.map(({ area, count }) => ({ key: area, label: area, value: count }))}
+            horizontal
+            color="#00838f"
+            ariaLabel="Balloons per continent or ocean"
+          />
+        </section>
+        <section>
+          <h5>Constellation size per hour</h5>
+          <BarChart
+            bars={hourlyBars(stats.constellation, 'count', (count) => `${count} balloons`)}
+            color="#2e7d32"
+            ariaLabel="Balloons reporting per hour"
+          />
+        </section>
+        <section>
+          <h5>
+            Hour-over-hour change
+            {latestChange !== null && <small> (latest {latestChange > 0 ? '+' : ''}{latestChange})</small>}
+          </h5>
+          <BarChart
+            bars={hourlyBars(changes, 'change', (change) => `${change > 0 ? '+' : ''}${change} balloons`)}
+            color="#2e7d32"
+            ariaLabel="Change in balloons reporting from the hour before"
+          />
+        </section>
+        <section>
+          <h5>Balloons in NWS alert areas</h5>
+          {stats.alertsOverTime ? (
+            <BarChart
+              bars={hourlyBars(stats.alertsOverTime, 'count', (count) => `${count} balloons in alert areas`)}
+              color="#ef6c00"
+              ariaLabel="Balloons inside NWS alert areas per hour"
+            />
+          ) : (
+            <p className="data-note">Waiting for NWS alerts…</p>
+          )}
+          <p className="data-note">Counts use the alerts active now, at the hours each was in effect.</p>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+export default AnalyticsDashboard;
@@ -1,279 +1,206 @@
 import "./App.css";
-import React, { useEffect, useState, useCallback } from "react";
+import React, { useEffect, useState, useCallback, useRef, useMemo } from "react";
 import {
   MapContainer,
-  TileLayer,
   ZoomControl,
-  Marker,
-  Popup,
   Polyline,
   useMap,
+  useMapEvents,
   CircleMarker,
 } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 
 import NWSAlertsLayer from './NWSAlertsLayer';
+import { associateNewHours } from './trackAssociation';
+import { flyingBalloons, getReplayBounds, positionAtTime, positionsUpTo } from './replay';
+import ReplayControls from './ReplayControls';
+import { predictTrajectory, MAX_FORECAST_HOURS } from './forecast';
+import { loadRegionLookup } from './regions';
+import ForecastLayer from './ForecastLayer';
+import { syncArchive } from './historyArchive';
+import ArchivePanel from './ArchivePanel';
+import ExportPanel from './ExportPanel';
+import AlertRulesPanel from './AlertRulesPanel';
+import { createAlertMatcher } from './alertMatcher';
+import { countUnavailableZoneAlerts, mergeResolvedGeometries, resolveAlertZones } from './alertZones';
+import AltitudeProfileDrawer from './AltitudeProfileDrawer';
+import ColorLegend, { ColorScaleBar } from './ColorLegend';
+import { colorPathRuns, getColorMode, markerColorFor, scaleForMode, setColorMode } from './colorScales';
+import { ALTITUDE_BANDS, WIND_SPEED_SCALE, collectWindVectors, gridWindField } from './windField';
+import WindFieldLayer from './WindFieldLayer';
+import ClusterMarker from './ClusterMarker';
+import BalloonMarker from './BalloonMarker';
+import { CLUSTER_MAX_ZOOM, clusterItems, inViewBounds, paddedViewBounds, pathInView } from './clustering';
+import BalloonListPanel from './BalloonListPanel';
+import { DEFAULT_LIST_FILTERS, buildListRows, hasActiveFilters, regionFromBounds, rowMatchesFilters } from './balloonList';
+import BaseMapLayer from './BaseMapLayer';
+import LayerControlPanel from './LayerControlPanel';
+import { alertEventTypes, filterAlertFeatures, loadLayerSettings, saveLayerSettings } from './mapLayers';
+import { fetchClient } from './fetchClient';
+import HourStatusGrid from './HourStatusGrid';
+import { flagDuplicateHours, isTrustedPosition, summarizeQuality } from './dataQuality';
+import {
+  FEED_HOURS,
+  balloonsFromTracks,
+  failedHourStatus,
+  hourFileName,
+  markCorruptedHours,
+  readHourResult,
+  snapshotsFromReports,
+} from './feedProcessing';
+import { greatCirclePath } from './pathSegments';
+import DataQualityPanel from './DataQualityPanel';
+import SuspectPointsLayer from './SuspectPointsLayer';
+import AnalyticsDashboard from './AnalyticsDashboard';
+import { alertMatchPoints, buildDashboardStats } from './constellationStats';
+import GeofenceLayer, { GeofenceEditor } from './GeofenceLayer';
+import GeofencePanel from './GeofencePanel';
+import { createFence, loadFences, saveFences, summarizeFence } from './geofences';
+import ProximityLayer from './ProximityLayer';
+import ProximityPanel from './ProximityPanel';
+import { findCloseApproaches, loadProximitySettings, sampleBalloon, saveProximitySettings } from './proximity';
+import DataFreshness from './DataFreshness';
+import { feedReceivedAt } from './freshness';
+import { mergeAlertChanges, mergePositionUpdates, subscribeToUpdates } from './liveUpdates';
+import {
+  URL_HISTORY_MERGE_MS,
+  encodeViewState,
+  readUrlState,
+  resolveSelection,
+  selectionFixes,
+  writeUrlState,
+} from './urlState';
+import {
+  appendToLog,
+  diffMatches,
+  evaluateRules,
+  loadActiveKeys,
+  loadEventLog,
+  loadRules,
+  notifyEvents,
+  saveActiveKeys,
+  saveEventLog,
+  saveRules,
+} from './alertRules';
 
 import L from "leaflet";
 delete L.Icon.Default.prototype._getIconUrl;
 
-const R = 6371;
-
-/**
- * Calculates the great-circle distance between two points
- * using the Haversine formula.
- * @param {number} lat1 Latitude of point 1
- * @param {number} lon1 Longitude of point 1
- * @param {number} lat2 Latitude of point 2
- * @param {number} lon2 Longitude of point 2
- * @returns {number} Distance in kilometers.
- */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
+// Event stream of the tracker service (server/). Off unless REACT_APP_LIVE_UPDATES_URL is set,
+// since without the service /api goes straight to the feed, which has no event stream.
+const LIVE_UPDATES_URL = process.env.REACT_APP_LIVE_UPDATES_URL || "";
 
 /**
  * Fetches balloon data for a specific hour.
+ * Array positions in the hourly files are not stable balloon IDs, so the fixes
+ * are collected as an anonymous snapshot for track association, after the
+ * data-quality checks have set suspect fixes aside.
  * @param {number} hour - The hour offset (0 for current, 1 for 1 hour ago, etc.).
- * @param {object} allBalloonHistories - The object to store fetched data.
- * @returns {Promise<boolean>} - Promise resolving to true if any fetch/parse error occurred, false otherwise.
+ * @param {Array<object>} hourReports - Receives the hour's report (see readHourResult in feedProcessing.js).
+ * @returns {Promise<{ hour: number, state: string, source: string|null, receivedAt: number|null, detail: string|null }>}
+ *   state is "loaded", "cached" or "failed"; receivedAt is when the body was downloaded.
  */
-async function fetchHourlyData(hour, allBalloonHistories) {
-  const hourString = hour.toString().padStart(2, "0");
-  
-  const url = `/api/treasure/${hourString}.json`; 
-  
-  const isCurrentHour = hour === 0;
-  const fetchTimeout = isCurrentHour ? 20000 : 10000;
+async function fetchHourlyData(hour, hourReports) {
+  const url = `/api/treasure/${hourFileName(hour)}`;
 
+  let result;
   try {
-    const controller = typeof AbortController !== "undefined"
-      ? new AbortController()
-      : { signal: null, abort: () => {} };
-    const timeoutId = setTimeout(() => controller.abort(), fetchTimeout);
-
-    const response = await fetch(url, { signal: controller.signal })
-      .finally(() => clearTimeout(timeoutId));
-
-    if (!response.ok) {
-      console.warn(`Failed to fetch data for hour ${hourString}: ${response.statusText}`);
-      return true;
-    }
-
-    let data;
-    try {
-      data = await response.json();
-    } catch (parseError) {
-      console.warn(`Corrupted JSON data for hour ${hourString}:`, parseError);
-      return true;
-    }
-
-    if (data && Array.isArray(data)) {
-      data.forEach((balloonData, index) => {
-        try {
-          if (!balloonData || !Array.isArray(balloonData) || balloonData.length < 3) return;
-          const [lat, lon, alt] = balloonData;
-          if (typeof lat !== "number" || typeof lon !== "number" || isNaN(lat) || isNaN(lon) || (lat === 0 && lon === 0 && alt === 0)) return;
-
-          const id = String(index);
-          if (!allBalloonHistories[id]) {
-            allBalloonHistories[id] = { positions: [], totalDistance: 0 };
-          }
-          const timestamp = new Date(Date.now() - hour * 60 * 60 * 1000);
-          allBalloonHistories[id].positions.push({ lat, lon, alt: typeof alt === "number" ? alt : 0, timestamp, hour });
-        } catch (balloonError) {
-          console.warn(`Error processing balloon data entry for hour ${hourString}, index ${index}:`, balloonError);
-        }
-      });
-    }
+    // Hour files change once an hour; a body fetched in the last few minutes is reused as is.
+    result = await fetchClient.getJson(url, { timeoutMs: hour === 0 ? 20000 : 10000, maxAgeMs: 5 * 60 * 1000 });
   } catch (fetchHourError) {
-    console.warn(`Error fetching or processing data for hour ${hourString}:`, fetchHourError);
-    return true;
+    console.warn(`Error fetching data for ${hourFileName(hour)}:`, fetchHourError);
+    return failedHourStatus(hour, fetchHourError);
+  }
+
+  const { status, report } = readHourResult(hour, result);
+  hourReports.push(report);
+  if (status.state === "failed") {
+    console.warn(`Unexpected data for ${hourFileName(hour)}:`, result.data);
   }
-  return false;
+  return status;
 }
 
 /**
  * Fetches NWS alerts - fetches all active alerts nationally.
- * @returns {Promise<object|null>} - Promise resolving to the full FeatureCollection or null if error.
+ * Goes through the proxy first and straight to api.weather.gov if that fails.
+ * A recent copy is returned at once while a fresh one downloads in the background.
+ * @param {{ onRevalidated?: Function }} [options] - Called with the new { data, receivedAt, source }
+ *   when the background download brings different data.
+ * @returns {Promise<{ data: object, receivedAt: number, source: string }|null>} - The full FeatureCollection
+ *   with when it was downloaded and how it was served (see fetchClient.js), or null if error.
  */
-async function fetchNWSAlerts(useProxy = false) {
-  const USE_PROXY = useProxy; // Set to true to use proxy, false to use direct API call
-  
-  if (USE_PROXY) {
-    console.log("Fetching all active NWS alerts via proxy...");
-  } else {
-    console.log("Fetching all active NWS alerts directly...");
-  }
-  
-  // Choose URL based on the proxy setting
+async function fetchNWSAlerts({ onRevalidated } = {}) {
   const directUrl = `https://api.weather.gov/alerts/active`;
-  const proxyUrl = `/weather-api/alerts/active`; // New proxy endpoint
-  
-  const url = USE_PROXY ? proxyUrl : directUrl;
-  
-  // Headers - for direct requests we need to set them, proxy will add them
-  const headers = USE_PROXY ? {} : {
-    'User-Agent': '(Windborne Balloon Tracker, learning project)',
-    'Accept': 'application/geo+json'
-  };
-
-  const fetchTimeout = 20000;
+  const proxyUrl = `/weather-api/alerts/active`;
 
   try {
-    const controller = typeof AbortController !== "undefined" ? new AbortController() : { signal: null, abort: () => {} };
-    const timeoutId = setTimeout(() => controller.abort(), fetchTimeout);
-
-    console.log("Sending fetch request to:", url);
-    const response = await fetch(url, { 
-      headers: headers, 
-      signal: controller.signal,
-      mode: 'cors' // Explicitly set CORS mode
-    }).finally(() => clearTimeout(timeoutId));
-
-    console.log("Response received:", {
-      status: response.status,
-      statusText: response.statusText,
-      headers: Object.fromEntries([...response.headers.entries()]),
-      url: response.url,
-      redirected: response.redirected,
-      type: response.type
+    const result = await fetchClient.getJson(proxyUrl, {
+      fallbacks: [{
+        url: directUrl,
+        headers: {
+          'User-Agent': '(Windborne Balloon Tracker, learning project)',
+          'Accept': 'application/geo+json'
+        },
+      }],
+      timeoutMs: 20000,
+      staleWhileRevalidate: true,
+      validate: (data) => Boolean(data && data.type === 'FeatureCollection' && Array.isArray(data.features)),
+      onRevalidated,
     });
-
-    if (!response.ok) {
-      console.warn(`Failed to fetch alerts: ${response.status} ${response.statusText}`);
-      
-      // If proxy failed, try direct as fallback
-      if (USE_PROXY) {
-        console.log("Proxy request failed, falling back to direct API call...");
-        return fetchNWSAlerts(false); // Retry with direct API
-      }
-      
-      return null;
-    }
-
-    // Clone the response before reading it
-    const clonedResponse = response.clone();
-    
-    try {
-      // Try to get the raw response text for debugging
-      const responseText = await clonedResponse.text();
-      console.log("Raw response text length:", responseText.length);
-      console.log("Raw response text (first 500 chars):", responseText.substring(0, 500));
-      
-      // Parse as JSON from the original response
-      const data = await response.json();
-      console.log("Parsed JSON data available:", !!data);
-      
-      // Basic check for FeatureCollection format
-      if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
-        console.log(`Successfully fetched ${data.features.length} active alerts.`);
-        console.log("First 3 alert features:", data.features.slice(0, 3)); 
-        return data; // Return the full FeatureCollection
-      } else {
-        console.warn(`Unexpected response format:`, data);
-        
-        // If proxy gave bad format, try direct as fallback
-        if (USE_PROXY) {
-          console.log("Proxy returned unexpected format, falling back to direct API call...");
-          return fetchNWSAlerts(false); // Retry with direct API
-        }
-        
-        return null;
-      }
-    } catch (parseError) {
-      console.error("Error parsing response:", parseError);
-      
-      // If proxy response couldn't be parsed, try direct as fallback
-      if (USE_PROXY) {
-        console.log("Failed to parse proxy response, falling back to direct API call...");
-        return fetchNWSAlerts(false); // Retry with direct API
-      }
-      
-      return null;
+    if (result.error) {
+      console.warn("Could not refresh NWS alerts, using the last copy:", result.error);
     }
+    console.log(`Fetched ${result.data.features.length} active alerts (${result.source}).`);
+    return { data: result.data, receivedAt: result.receivedAt, source: result.source };
   } catch (fetchError) {
-    console.error("Network error fetching alerts:", fetchError);
-    
-    // If proxy network error, try direct as fallback
-    if (USE_PROXY) {
-      console.log("Proxy network error, falling back to direct API call...");
-      return fetchNWSAlerts(false); // Retry with direct API
-    }
-    
+    console.error("Error fetching NWS alerts via proxy and directly:", fetchError);
     return null;
   }
 }
 
 /**
- * Fetches and processes balloon data, including calculating distances.
+ * Fetches and processes balloon data: archives the fetched hours, links the hours
+ * the last refresh had not seen onto its tracks and calculates distances.
  * @param {Function} setBalloons - State setter for balloon data.
  * @param {Function} setLoading - State setter for loading status.
  * @param {Function} setError - State setter for error messages.
  * @param {Function} setLastRefreshed - State setter for the last refresh time.
+ * @param {Function} setHourStatuses - State setter for the per-hour fetch results.
+ * @param {Function} setDataQuality - State setter for { summary, suspectFixes } from the data-quality checks.
+ * @param {Array<object>} [previousBalloons] - Balloons from the last refresh, whose links and IDs carry over.
  */
-async function fetchAndProcessBalloonData(setBalloons, setLoading, setError, setLastRefreshed) {
+async function fetchAndProcessBalloonData(setBalloons, setLoading, setError, setLastRefreshed, setHourStatuses, setDataQuality, previousBalloons = []) {
   setLoading(true);
   setError(null);
-  const allBalloonHistories = {};
-  let overallFetchError = false;
+  const fetchedReports = [];
 
   try {
+    // The fetch client limits how many of the 24 requests run at once.
     const fetchPromises = [];
-    for (let i = 0; i <= 23; i++) {
-      fetchPromises.push(fetchHourlyData(i, allBalloonHistories));
+    for (let i = 0; i < FEED_HOURS; i++) {
+      fetchPromises.push(fetchHourlyData(i, fetchedReports));
     }
-    const results = await Promise.all(fetchPromises);
-    overallFetchError = results.some(errorOccurred => errorOccurred);
-
-    let maxDistance = 0;
-    let totalDistanceAllBalloons = 0;
-
-    const balloonArray = Object.keys(allBalloonHistories).map((id) => {
-      const history = allBalloonHistories[id];
-      history.positions.sort((a, b) => a.hour - b.hour || b.timestamp - a.timestamp);
-
-      let balloonDistance = 0;
-      for (let j = 1; j < history.positions.length; j++) {
-          const pos1 = history.positions[j-1];
-          const pos2 = history.positions[j];
-          const segmentDist = calculateDistance(pos1.lat, pos1.lon, pos2.lat, pos2.lon);
-          if (Math.abs(pos1.lon - pos2.lon) < 180 && segmentDist < 2000) { // Heuristic limit: 2000km/hr seems unlikely
-             balloonDistance += segmentDist;
-          }
-      }
-      history.totalDistance = balloonDistance;
-      totalDistanceAllBalloons += balloonDistance;
-      if (balloonDistance > maxDistance) {
-          maxDistance = balloonDistance;
-      }
-
-      history.positions.sort((a, b) => b.timestamp - a.timestamp);
-
-      return {
-        id,
-        positions: history.positions,
-        currentPosition: history.positions.length > 0 ? history.positions[0] : null,
-        totalDistance: history.totalDistance,
-      };
-    });
-
-    const validBalloons = balloonArray.filter(b => b.positions.length > 0 && b.currentPosition);
+    const fetchResults = await Promise.all(fetchPromises);
+    const hourReports = flagDuplicateHours(fetchedReports);
+    // Corrupted hours stay out of the archive and track association; their fixes are kept as suspect.
+    const results = markCorruptedHours(fetchResults, hourReports);
+    setHourStatuses(results);
+    const failedHours = results.filter((status) => status.state === "failed").map((status) => status.hour);
 
-    const processedBalloons = validBalloons.map(b => ({ ...b, maxDistance }));
+    const archivedHistory = await syncArchive(snapshotsFromReports(hourReports, results));
+    const tracks = associateNewHours(archivedHistory, previousBalloons);
+    const processedBalloons = balloonsFromTracks(tracks);
 
     setBalloons(processedBalloons);
+    setDataQuality({
+      summary: summarizeQuality(hourReports, processedBalloons),
+      suspectFixes: hourReports.flatMap((report) => report.suspectFixes.map((fix) => ({ ...fix, hour: report.hour, timestamp: report.timestamp }))),
+    });
     setLastRefreshed(new Date());
 
-    if (overallFetchError) {
-      setError("Data refreshed, but some hourly data might be missing.");
+    if (failedHours.length > 0) {
+      const hourList = failedHours.map(hourFileName).join(", ");
+      setError(`Data refreshed, but ${failedHours.length} of ${FEED_HOURS} hours could not be loaded: ${hourList}.`);
     } else {
       setError(null);
     }
@@ -286,39 +213,6 @@ async function fetchAndProcessBalloonData(setBalloons, setLoading, setError, set
   }
 }
 
-/**
- * Splits a list of balloon positions into segments for antimeridian crossing.
- * @param {Array<object>} positions - Array of position objects {lat, lon, ...}.
- * @returns {Array<Array<[number, number]>>} - Array of path segments [[lat, lon], ...].
- */
-function splitPathSegments(positions) {
-  const segments = [];
-  let currentSegment = [];
-  for (let i = 0; i < positions.length; i++) {
-    const pos = positions[i];
-    const latLon = [pos.lat, pos.lon];
-
-    if (i > 0) {
-      const prevLon = positions[i - 1].lon;
-      const currentLon = pos.lon;
-      if (Math.abs(currentLon - prevLon) > 180) {
-        if (currentSegment.length > 0) {
-          segments.push(currentSegment);
-        }
-        currentSegment = [latLon];
-      } else {
-         currentSegment.push(latLon);
-      }
-    } else {
-        currentSegment.push(latLon);
-    }
-  }
-  if (currentSegment.length > 1) {
-    segments.push(currentSegment);
-  }
-  return segments;
-}
-
 /**
  * Renders the map reset button.
 /**
@@ -341,141 +235,87 @@ function MapController() {
 }
 
 /**
- * Renders a balloon's current position marker and popup.
- * @param {{ balloon: object, markerColor: string, alerts: Array<object> }} props
+ * Renders the flight path of a balloon as runs of equal color from the active color scale.
+ * Less certain reconstructed tracks are drawn fainter.
+ * @param {{
+ *   balloonId: string,
+ *   runs: Array<{ color: string, latLngs: Array<[number, number]> }>,
+ *   confidence: number|null,
+ *   highlighted?: boolean,
+ *   renderer?: object
+ * }} props
+ *   renderer is a shared Leaflet canvas renderer, so thousands of segments do not each become an SVG element.
  */
-function BalloonMarker({ balloon, markerColor, alerts }) {
-  if (!balloon.currentPosition) return null;
-
-  // Check if the passed 'alerts' prop (which is now an array of NWS properties) is non-empty
-  const hasAlerts = alerts && Array.isArray(alerts) && alerts.length > 0;
-  const alertColor = 'orange';
-  const finalMarkerColor = hasAlerts ? alertColor : markerColor;
-  
-  // Improved marker style with better visibility
-  const markerRadius = hasAlerts ? 9 : 7; // Increased size
-  const pathOptions = {
-    color: '#000', // Black border for contrast
-    weight: 2, // Thicker border
-    fillColor: finalMarkerColor,
-    fillOpacity: 0.9, // More opaque fill
-    opacity: 1
-  };
-
-  if(hasAlerts) {
-    console.log(`BalloonMarker (${balloon.id}): Rendering WITH alert indicators.`);
-  }
+const BalloonPath = React.memo(function BalloonPath({ balloonId, runs, confidence, highlighted = false, renderer }) {
+  return runs.map((run, index) => (
+    <Polyline
+      key={`polyline-segment-${balloonId}-${index}`}
+      renderer={renderer}
+      positions={run.latLngs}
+      color={run.color}
+      weight={highlighted ? 4.5 : 2.5}
+      opacity={typeof confidence === "number" ? 0.3 + 0.5 * confidence : 0.8}
+      smoothFactor={1.5}
+      dashArray={"5,8"}
+    />
+  ));
+});
 
-  // Use a custom icon for better visibility
-  const balloonIcon = L.divIcon({
-    html: `<div style="
-      background-color: ${finalMarkerColor}; 
-      border: 2px solid #000; 
-      border-radius: 50%; 
-      width: 100%; 
-      height: 100%;
-      box-shadow: 0 0 4px white, 0 0 6px rgba(0,0,0,0.7);
-      ${hasAlerts ? 'animation: pulse 2s infinite;' : ''}
-    "></div>`,
-    className: 'balloon-marker-icon',
-    iconSize: [hasAlerts ? 18 : 14, hasAlerts ? 18 : 14],
-    iconAnchor: [hasAlerts ? 9 : 7, hasAlerts ? 9 : 7]
+/**
+ * Reports the map's view each time it settles, and jumps to views restored
+ * from browser history.
+ * @param {{ onViewChange: Function, requestedView: { center: object, zoom: number }|null }} props
+ */
+function MapViewWatcher({ onViewChange, requestedView }) {
+  const map = useMapEvents({
+    moveend: () => onViewChange(describeView(map)),
   });
 
-  return (
-    <>
-      <Marker
-        position={[balloon.currentPosition.lat, balloon.currentPosition.lon]}
-        icon={balloonIcon}
-        key={`marker-${balloon.id}`}
-      >
-        <Popup>
-          <div className="balloon-popup">
-            {/* Balloon Info */}
-            <h3>Balloon #{balloon.id} {hasAlerts ? '⚠️' : ''}</h3>
-            <p>Lat: {balloon.currentPosition.lat.toFixed(4)}</p>
-            <p>Lon: {balloon.currentPosition.lon.toFixed(4)}</p>
-            <p>Alt: {balloon.currentPosition.alt?.toFixed(2) ?? 'N/A'} km</p>
-            <p>FL: {Math.max(0, Math.round((balloon.currentPosition.alt * 328.084))).toString().padStart(3, "0") ?? 'N/A'}</p>
-            <p>Dist (24h): {balloon.totalDistance ? balloon.totalDistance.toFixed(0) : 'N/A'} km</p>
-            <p>
-              Last updated: <br />
-              <span className="timestamp">{balloon.currentPosition.timestamp?.toLocaleString() ?? 'N/A'}</span>
-            </p>
-
-            {/* Display NWS Weather Alerts */}
-            {hasAlerts && (
-              <div className="weather-alerts">
-                <h4>Active NWS Alerts:</h4>
-                {alerts.map((alertProps, index) => (
-                  <div key={alertProps.id || index} className="alert-item">
-                    <strong>{alertProps.severity || 'Unknown Severity'}:</strong> {alertProps.event || 'Unknown Event'}
-                    <p><small>{alertProps.headline || 'No headline available.'}</small></p>
-                    <p><small>Effective: {alertProps.effective ? new Date(alertProps.effective).toLocaleString() : 'N/A'}</small></p>
-                    <p><small>Expires: {alertProps.expires ? new Date(alertProps.expires).toLocaleString() : 'N/A'}</small></p>
-                  </div>
-                ))}
-              </div>
-            )}
-          </div>
-        </Popup>
-      </Marker>
-    </>
-  );
+  useEffect(() => {
+    onViewChange(describeView(map));
+  }, [map, onViewChange]);
+
+  useEffect(() => {
+    if (requestedView) map.setView(requestedView.center, requestedView.zoom, { animate: false });
+  }, [map, requestedView]);
+
+  return null;
 }
 
 /**
- * Renders the flight path segments for a balloon, colored by distance (Blue < Avg < Red).
- * @param {{
- *   balloonId: string,
- *   segments: Array<Array<[number, number]>>,
- *   totalDistance: number,
- *   maxDistance: number,
- *   averageDistance: number
- * }} props
+ * Centre and zoom plus padded bounds (for culling) and exact bounds (for "use map view" filters).
+ * @param {L.Map} map
+ * @returns {{ center: L.LatLng, zoom: number, bounds: object, viewBounds: object }}
  */
-function BalloonPath({ balloonId, segments, totalDistance, maxDistance, averageDistance }) {
-   let hue;
-   const saturation = 80;
-   const lightness = 50;
-
-   if (averageDistance <= 0) {
-      // Handle edge case where average is zero or less
-      hue = 120; // Default to Green
-   } else if (totalDistance <= averageDistance) {
-      // Below or equal to average: Interpolate Blue (240) to Green (120)
-      const ratio = totalDistance / averageDistance; // Ratio will be 0 (at 0 dist) to 1 (at avg dist)
-      hue = 240 - ratio * (240 - 120);
-   } else {
-      // Above average: Interpolate Green (120) to Red (0)
-      const rangeAboveAverage = maxDistance - averageDistance;
-      if (rangeAboveAverage <= 0) {
-        // Handle edge case where max is not greater than average
-        hue = 120; // Stick to Green if no range above average
-      } else {
-        const distanceAboveAverage = totalDistance - averageDistance;
-        // Ratio will be 0 (at avg dist) to 1 (at max dist), clamped at 1
-        const ratio = Math.min(distanceAboveAverage / rangeAboveAverage, 1);
-        hue = 120 - ratio * 120;
-      }
-   }
-
-   const pathColor = `hsl(${hue.toFixed(0)}, ${saturation}%, ${lightness}%)`;
-
-  return segments.map((segment, index) => {
-    if (segment.length < 2) return null;
-    return (
-      <Polyline
-        key={`polyline-segment-${balloonId}-${index}`}
-        positions={segment}
-        color={pathColor} // Apply the calculated color
-        weight={2.5}
-        opacity={0.8}
-        smoothFactor={1.5}
-        dashArray={"5,8"}
-      />
-    );
-  });
+function describeView(map) {
+  return {
+    center: map.getCenter(),
+    zoom: map.getZoom(),
+    bounds: paddedViewBounds(map.getBounds()),
+    viewBounds: paddedViewBounds(map.getBounds(), 0),
+  };
+}
+
+/**
+ * Flies to a balloon picked from the list and reports when the flight has ended.
+ * A new target object starts a new flight, even to the same balloon.
+ * @param {{ target: { balloonId: string, lat: number, lon: number }|null, onArrived: Function }} props
+ *   onArrived receives the target; a flight interrupted by a newer target never reports.
+ */
+function MapFocusController({ target, onArrived }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!target) return undefined;
+    const handleArrival = () => onArrived(target);
+    map.once("moveend", handleArrival);
+    map.flyTo([target.lat, target.lon], Math.max(map.getZoom(), CLUSTER_MAX_ZOOM), { duration: 1.2 });
+    return () => {
+      map.off("moveend", handleArrival);
+    };
+  }, [map, target, onArrived]);
+
+  return null;
 }
 
 /**
@@ -519,18 +359,98 @@ function App() {
   // *** UPDATED: Better center of Continental US and optimal zoom ***
   const position = [38.5, -98.0]; // Slightly adjusted center of Continental US
   const zoom = 4.5; // Better zoom level to focus on USA
+  // A shared link's view wins over the defaults and saved preferences.
+  const [initialUrlState] = useState(readUrlState);
 
   const [balloons, setBalloons] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastRefreshed, setLastRefreshed] = useState(null);
-  const [timeFilter, setTimeFilter] = useState(24);
+  const [hourStatuses, setHourStatuses] = useState([]);
+  const [dataQuality, setDataQuality] = useState({ summary: null, suspectFixes: [] });
+  const [timeFilter, setTimeFilter] = useState(initialUrlState.timeFilter ?? 24);
   const [alertsLoading, setAlertsLoading] = useState(false);
   const [balloonAlerts, setBalloonAlerts] = useState({});
   const [allNwsAlertData, setAllNwsAlertData] = useState(null);
+  const [replayTime, setReplayTime] = useState(null); // null = live
+  const [layerSettings, setLayerSettings] = useState(() => ({ ...loadLayerSettings(), ...initialUrlState.layers }));
+  const [forecastHours, setForecastHours] = useState(initialUrlState.forecastHours ?? 6);
+  const [regionLookup, setRegionLookup] = useState(null);
+  const [selectedBalloonIds, setSelectedBalloonIds] = useState([]);
+  // Selection from a link, as fixes, until the tracks it names have loaded.
+  const [pendingSelection, setPendingSelection] = useState(initialUrlState.selectedFixes ?? null);
+  const [alertsCheckedAt, setAlertsCheckedAt] = useState(null);
+  const [alertsAsOf, setAlertsAsOf] = useState(null);
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const [liveStatus, setLiveStatus] = useState(null);
+  const [liveReceivedAt, setLiveReceivedAt] = useState(null);
+  const [alertRules, setAlertRules] = useState(loadRules);
+  const [alertEventLog, setAlertEventLog] = useState(loadEventLog);
+  const [colorMode, setColorModeState] = useState(() => initialUrlState.colorMode || getColorMode());
+  const [showWindField, setShowWindField] = useState(initialUrlState.showWindField ?? false);
+  const [windBandId, setWindBandId] = useState(initialUrlState.windBandId ?? "all");
+  const activeRuleKeysRef = useRef(null);
+  if (activeRuleKeysRef.current === null) {
+    activeRuleKeysRef.current = loadActiveKeys();
+  }
+
+  const [profileBalloonId, setProfileBalloonId] = useState(null);
+  const [profileAlertMatches, setProfileAlertMatches] = useState({});
+  const [profileHoverPoint, setProfileHoverPoint] = useState(null);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [dashboardAlertMatches, setDashboardAlertMatches] = useState(null);
+  const [geofences, setGeofences] = useState(loadFences);
+  const [drawingShape, setDrawingShape] = useState(null);
+  const [selectedFenceId, setSelectedFenceId] = useState(null);
+  const [proximitySettings, setProximitySettings] = useState(loadProximitySettings);
+  const [mapView, setMapView] = useState({ center: null, zoom, bounds: null, viewBounds: null });
+  // Set when back/forward restores a view, for MapViewWatcher to apply.
+  const [requestedView, setRequestedView] = useState(null);
+  const [listFilters, setListFilters] = useState(initialUrlState.filters ?? DEFAULT_LIST_FILTERS);
+  // Balloon picked from the list, and the balloon whose popup opens once the map has flown there.
+  const [focusTarget, setFocusTarget] = useState(null);
+  const [popupRequestId, setPopupRequestId] = useState(null);
+  // One canvas for every balloon path; alert polygons stay SVG for their CSS classes.
+  const pathRenderer = useMemo(() => L.canvas({ padding: 0.5 }), []);
+
+  // Selecting a balloon also opens its altitude profile.
+  const toggleBalloonSelection = useCallback((id) => {
+    if (selectedBalloonIds.includes(id)) {
+      setSelectedBalloonIds(selectedBalloonIds.filter((x) => x !== id));
+    } else {
+      setSelectedBalloonIds([...selectedBalloonIds, id]);
+      setProfileBalloonId(id);
+    }
+  }, [selectedBalloonIds]);
+
+  const focusBalloon = useCallback((row) => {
+    setPopupRequestId(null);
+    setFocusTarget({ balloonId: row.id, lat: row.lat, lon: row.lon });
+  }, []);
+
+  const handleFocusArrived = useCallback((target) => setPopupRequestId(target.balloonId), []);
+
+  const handleFocusPopupOpened = useCallback(() => setPopupRequestId(null), []);
+
+  const closeProfile = useCallback(() => {
+    setProfileBalloonId(null);
+    setProfileHoverPoint(null);
+  }, []);
+
+  // Latest balloons, read by the hourly refresh so reconstructed track IDs stay stable.
+  const balloonsRef = useRef([]);
+  useEffect(() => {
+    balloonsRef.current = balloons;
+  }, [balloons]);
 
   const fetchBalloonData = useCallback(() => {
-    fetchAndProcessBalloonData(setBalloons, setLoading, setError, setLastRefreshed);
+    fetchAndProcessBalloonData(setBalloons, setLoading, setError, setLastRefreshed, setHourStatuses, setDataQuality, balloonsRef.current);
+  }, []);
+
+  useEffect(() => {
+    loadRegionLookup()
+      .then((lookup) => setRegionLookup(() => lookup))
+      .catch((err) => console.warn("Failed to load region boundaries for border forecasts:", err));
   }, []);
 
   useEffect(() => {
@@ -539,144 +459,445 @@ function App() {
     return () => clearInterval(intervalId);
   }, [fetchBalloonData]);
 
+  // Refetch as soon as the connection returns; the alerts follow the new balloons.
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      fetchBalloonData();
+    };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [fetchBalloonData]);
+
+  // Pushed fixes and alert changes are merged into state without a refetch.
+  // A dropped connection may have missed updates, so reconnecting refreshes in full.
+  useEffect(() => {
+    if (!LIVE_UPDATES_URL || typeof EventSource === "undefined") return undefined;
+    return subscribeToUpdates(LIVE_UPDATES_URL, {
+      onPositions: (update) => {
+        setBalloons((current) => mergePositionUpdates(current, update.balloons));
+        setLiveReceivedAt(Date.now());
+      },
+      onAlerts: (changes) => {
+        setAllNwsAlertData((current) => mergeAlertChanges(current, changes));
+        setAlertsAsOf({ receivedAt: Date.now(), offline: false });
+        // New zone-only alerts get their shapes as the zones load.
+        const mergeResolved = (features) => setAllNwsAlertData((current) => mergeResolvedGeometries(current, features));
+        resolveAlertZones({ type: "FeatureCollection", features: [...changes.added, ...changes.updated] }, { onProgress: mergeResolved })
+          .then((resolved) => mergeResolved(resolved.features))
+          .catch((error) => console.error("Error applying live alert changes:", error));
+      },
+      onStatus: setLiveStatus,
+      onReconnect: fetchBalloonData,
+    });
+  }, [fetchBalloonData]);
+
   const averageDistance = balloons.length > 0 
     ? balloons.reduce((sum, b) => sum + (b.totalDistance || 0), 0) / balloons.length 
     : 0;
   const maxDistance = balloons.reduce((max, b) => Math.max(max, b.totalDistance || 0), 0);
+  const replayBounds = useMemo(() => getReplayBounds(balloons), [balloons]);
+  // Tracks that ended stay in balloons for replay, history and export, but are not current.
+  const currentBalloons = useMemo(() => flyingBalloons(balloons), [balloons]);
+  // Span of the loaded history; grows past 24 hours as the local archive fills.
+  const historyHours = replayBounds
+    ? Math.max(24, Math.ceil((replayBounds.end - replayBounds.start) / (60 * 60 * 1000)) + 1)
+    : 24;
+  // Path history is measured back from the replayed moment, or from now when live.
+  const referenceTime = replayTime || new Date();
+  const cutoffTime = new Date(referenceTime.getTime() - timeFilter * 60 * 60 * 1000);
+  const colorScale = useMemo(
+    () => scaleForMode(colorMode, { averageDistance, maxDistance, historyHours }),
+    [colorMode, averageDistance, maxDistance, historyHours]
+  );
+  // Wind vectors from drift in the same time window as the paths.
+  const windField = useMemo(() => {
+    if (!showWindField) return null;
+    const to = replayTime || new Date();
+    const from = new Date(to.getTime() - timeFilter * 60 * 60 * 1000);
+    const vectors = collectWindVectors(balloons, { from, to, bandId: windBandId });
+    return { vectors, cells: gridWindField(vectors) };
+  }, [showWindField, balloons, replayTime, timeFilter, windBandId]);
+  const windBand = ALTITUDE_BANDS.find((band) => band.id === windBandId) || ALTITUDE_BANDS[0];
+  // Per-balloon display state; independent of the path window so changing it leaves markers alone.
+  const balloonStates = useMemo(() => {
+    const now = replayTime || new Date();
+    return (replayTime ? balloons : currentBalloons).map((balloon) => {
+      const positions = layerSettings.showSuspectPoints
+        ? (balloon.positions || [])
+        : (balloon.positions || []).filter(isTrustedPosition);
+      const position = replayTime ? positionAtTime(positions, replayTime) : positions[0];
+      if (!position) return null;
+      const trail = replayTime ? positionsUpTo(positions, replayTime) : positions;
+      const alerts = balloonAlerts[balloon.id] || null;
+      return {
+        balloon,
+        position,
+        trail,
+        alerts,
+        hasAlerts: Boolean(alerts && alerts.length > 0),
+        markerColor: markerColorFor(colorMode, colorScale, {
+          position,
+          trail,
+          totalDistance: balloon.totalDistance || 0,
+          referenceTime: now,
+        }),
+        prediction: predictTrajectory(trail, { hours: forecastHours }),
+      };
+    }).filter(Boolean);
+  }, [balloons, currentBalloons, balloonAlerts, replayTime, forecastHours, colorMode, colorScale, layerSettings.showSuspectPoints]);
+  const listRows = useMemo(() => buildListRows(balloonStates), [balloonStates]);
+  const filteredRows = useMemo(
+    () => listRows.filter((row) => rowMatchesFilters(row, listFilters)),
+    [listRows, listFilters]
+  );
+  // The list filters apply to the map too.
+  const filteredStates = useMemo(() => filteredRows.map((row) => row.state), [filteredRows]);
+  const filteredBalloons = useMemo(() => filteredStates.map((state) => state.balloon), [filteredStates]);
+  const balloonPaths = useMemo(() => {
+    const now = replayTime || new Date();
+    const cutoff = new Date(now.getTime() - timeFilter * 60 * 60 * 1000);
+    return filteredStates.map(({ balloon, trail }) => {
+      const context = { totalDistance: balloon.totalDistance || 0, referenceTime: now };
+      const runs = colorPathRuns(greatCirclePath(trail.filter((pos) => pos.timestamp >= cutoff)), colorMode, colorScale, context);
+      return { balloon, runs };
+    });
+  }, [filteredStates, replayTime, timeFilter, colorMode, colorScale]);
+  const visiblePaths = useMemo(
+    () => balloonPaths
+      .map(({ balloon, runs }) => ({ balloon, runs: runs.filter((run) => pathInView(run.latLngs, mapView.bounds)) }))
+      .filter(({ runs }) => runs.length > 0),
+    [balloonPaths, mapView.bounds]
+  );
+  // Flagged track points of the balloons on the map, plus the fixes set aside per hour file, in the path window.
+  const suspectPoints = useMemo(() => {
+    if (!layerSettings.showSuspectPoints) return [];
+    const now = replayTime || new Date();
+    const cutoff = new Date(now.getTime() - timeFilter * 60 * 60 * 1000);
+    const inWindow = (timestamp) => timestamp >= cutoff && timestamp <= now;
+    const trackPoints = filteredStates.flatMap(({ balloon, trail }) => trail
+      .filter((pos) => !isTrustedPosition(pos) && inWindow(pos.timestamp))
+      .map((pos) => ({
+        key: `${balloon.id}-${pos.timestamp.getTime()}`,
+        lat: pos.lat,
+        lon: pos.lon,
+        alt: pos.alt,
+        flags: pos.qualityFlags,
+        label: `Balloon ${balloon.id}`,
+      })));
+    const fixPoints = dataQuality.suspectFixes
+      .filter((fix) => inWindow(fix.timestamp))
+      .map((fix) => ({
+        key: `fix-${fix.hour}-${fix.sourceIndex}`,
+        lat: fix.lat,
+        lon: fix.lon,
+        alt: fix.alt,
+        flags: fix.flags,
+        label: `${fix.hour.toString().padStart(2, "0")}.json, entry ${fix.sourceIndex}`,
+      }));
+    return [...trackPoints, ...fixPoints].filter((point) => inViewBounds(point.lat, point.lon, mapView.bounds));
+  }, [layerSettings.showSuspectPoints, replayTime, timeFilter, filteredStates, dataQuality.suspectFixes, mapView.bounds]);
+  // Fence activity over the path-history window, from fixes that passed the data-quality checks.
+  const geofenceSummaries = useMemo(() => {
+    const to = replayTime || new Date();
+    const from = new Date(to.getTime() - timeFilter * 60 * 60 * 1000);
+    const trusted = balloons.map((balloon) => ({ id: balloon.id, positions: (balloon.positions || []).filter(isTrustedPosition) }));
+    return geofences.map((fence) => summarizeFence(fence, trusted, { from, to }));
+  }, [geofences, balloons, replayTime, timeFilter]);
+  // Close approaches among all balloons, whatever the list filters hide, now and along their forecasts.
+  const closeApproaches = useMemo(() => {
+    const referenceTime = replayTime || new Date();
+    const tracks = balloonStates.map(({ balloon, position, trail }) => sampleBalloon(balloon.id, position, trail, {
+      referenceTime,
+      forecastHours: proximitySettings.forecastHours,
+    }));
+    return findCloseApproaches(tracks, proximitySettings.points, proximitySettings);
+  }, [balloonStates, replayTime, proximitySettings]);
+  const focusedBalloonId = focusTarget ? focusTarget.balloonId : null;
+  // Off-screen balloons are dropped before clustering; selected, profiled and focused ones are never merged.
+  const markerGroups = useMemo(
+    () => clusterItems(
+      filteredStates.filter(({ position }) => inViewBounds(position.lat, position.lon, mapView.bounds)),
+      mapView.zoom,
+      {
+        getLatLon: ({ position }) => position,
+        keepSeparate: ({ balloon }) =>
+          selectedBalloonIds.includes(balloon.id) || balloon.id === profileBalloonId || balloon.id === focusedBalloonId,
+      }
+    ),
+    [filteredStates, mapView, selectedBalloonIds, profileBalloonId, focusedBalloonId]
+  );
+  // For panels that name a balloon by ID; one with no position to show is ignored.
+  const focusBalloonById = useCallback((id) => {
+    const row = listRows.find((r) => r.id === String(id));
+    if (row) focusBalloon(row);
+  }, [listRows, focusBalloon]);
+  const viewRegion = useMemo(
+    () => (mapView.viewBounds ? regionFromBounds(mapView.viewBounds) : null),
+    [mapView.viewBounds]
+  );
   const visiblePathCount = balloons.filter((b) => {
-    const cutoffTime = new Date(Date.now() - timeFilter * 60 * 60 * 1000);
-    return b.positions && b.positions.length > 1 && b.positions.some(pos => pos.timestamp >= cutoffTime);
+    return b.positions && b.positions.length > 1 && b.positions.some(pos => pos.timestamp >= cutoffTime && pos.timestamp <= referenceTime);
   }).length;
 
-  const getAlertsForBalloon = useCallback(async (balloon, allAlerts) => {
-      if (!balloon || !balloon.currentPosition || !allAlerts || !allAlerts.features) {
-          console.log(`getAlertsForBalloon (${balloon?.id}): Returning null early. Missing balloon, position, or alerts data.`);
-          return null;
-      }
-      
-      const { lat, lon } = balloon.currentPosition;
-      
-      // Ensure lat/lon are valid numbers
-      if (typeof lat !== 'number' || typeof lon !== 'number' || !isFinite(lat) || !isFinite(lon)) {
-          console.warn(`getAlertsForBalloon (${balloon.id}): Invalid coordinates: (${lat}, ${lon})`);
-          return null;
-      }
-
-      console.log(`getAlertsForBalloon (${balloon.id}): Checking position [${lat.toFixed(4)}, ${lon.toFixed(4)}] against ${allAlerts.features.length} alerts.`);
-      
-      // Filter alerts by checking if the balloon's position is within each alert's geometry
-      const relevantAlerts = allAlerts.features.filter(feature => {
-          // Skip if no valid geometry
-          if (!feature.geometry || feature.geometry.type !== 'Polygon' || !feature.geometry.coordinates || !Array.isArray(feature.geometry.coordinates[0])) {
-              // console.log(`getAlertsForBalloon (${balloon.id}): Skipping alert ${feature.properties?.id} due to invalid/missing Polygon geometry.`); 
-              // Note: Commented out by default to avoid excessive logging if many alerts lack geometry
-              return false;
-          }
-          
-          try {
-              const coordinates = feature.geometry.coordinates[0]; // Get the outer ring
-              
-              // Ray casting algorithm to check if point is in polygon
-              let inside = false;
-              for (let i = 0, j = coordinates.length - 1; i < coordinates.length; j = i++) {
-                  const xi = coordinates[i][0], yi = coordinates[i][1];
-                  const xj = coordinates[j][0], yj = coordinates[j][1];
-                  
-                  // Basic check for valid coordinate pairs
-                  if (typeof xi !== 'number' || typeof yi !== 'number' || typeof xj !== 'number' || typeof yj !== 'number') {
-                    console.warn(`getAlertsForBalloon (${balloon.id}): Invalid coordinate pair found in polygon for alert ${feature.properties?.id}`);
-                    return false; // Skip this polygon if coordinates are bad
-                  }
-
-                  const intersect = ((yi > lat) !== (yj > lat)) &&
-                      (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi);
-                  if (intersect) inside = !inside;
-              }
-              
-              // *** ADDED LOG: Log result of point-in-polygon check ***
-              if (inside) {
-                console.log(`getAlertsForBalloon (${balloon.id}): MATCH FOUND! Position is inside alert ${feature.properties?.event} (${feature.properties?.id})`);
-              } 
-              // else { 
-              //   console.log(`getAlertsForBalloon (${balloon.id}): Position NOT inside alert ${feature.properties?.event} (${feature.properties?.id})`); 
-              // } // Note: Commented out 'not inside' log to reduce noise
-              return inside;
-          } catch (e) {
-              console.warn(`Error checking if balloon ${balloon.id} is in alert area for alert ${feature.properties?.id}:`, e);
-              return false;
-          }
-      });
-      
-      // *** ADDED LOG: Log the number of relevant alerts found ***
-      console.log(`getAlertsForBalloon (${balloon.id}): Found ${relevantAlerts.length} relevant alerts.`);
-      
-      // Return just the properties of matching alerts
-      return relevantAlerts.length > 0 ? relevantAlerts.map(f => f.properties) : null;
+  // Point-in-polygon matching runs in a worker against an index rebuilt once per alert fetch.
+  const alertMatcherRef = useRef(null);
+  useEffect(() => {
+    const matcher = createAlertMatcher();
+    alertMatcherRef.current = matcher;
+    return () => {
+      matcher.terminate();
+      alertMatcherRef.current = null;
+    };
   }, []);
 
-  // Effect to fetch alerts for all balloons
+  // Fetches the active alerts now and every 15 minutes; live updates merge changes in between.
   useEffect(() => {
+    let cancelled = false;
+
+    async function processAlerts(fetched) {
+      const allAlertsData = fetched && fetched.data;
+      if (cancelled) return;
+
+      if (!allAlertsData) {
+        console.error("Failed to fetch alerts after both proxy and direct attempts");
+        return;
+      }
+      // Alerts with polygons show at once; zone-only alerts get shapes from the zones they list as those load.
+      setAllNwsAlertData(allAlertsData);
+      setAlertsAsOf({ receivedAt: fetched.receivedAt, offline: fetched.source === "offline" });
+      const mergeResolved = (features) => {
+        if (!cancelled) setAllNwsAlertData((current) => mergeResolvedGeometries(current, features));
+      };
+      const resolved = await resolveAlertZones(allAlertsData, { onProgress: mergeResolved });
+      mergeResolved(resolved.features);
+    }
+
     async function fetchAndProcessAlerts() {
-      if (!balloons.length) return;
-      
       setAlertsLoading(true);
-      console.log("Starting fetchAndProcessAlerts...");
-      
+
       try {
-        // Try with proxy first (true), which will fall back to direct if needed
-        const allAlertsData = await fetchNWSAlerts(true);
-        
-        // *** ADDED: Store the fetched data in state ***
-        setAllNwsAlertData(allAlertsData);
-        
-        console.log("Fetched allAlertsData:", allAlertsData ? `${allAlertsData.features?.length} features` : 'null or undefined');
-
-        if (!allAlertsData) {
-          console.error("Failed to fetch alerts after both proxy and direct attempts");
-          setAlertsLoading(false);
-          return;
-        }
-        
-        // Process alerts for each balloon
-        const newAlerts = {};
-        
-        // *** Using map and Promise.all for potentially better performance ***
-        const alertPromises = balloons.map(async (balloon) => {
-          if (!balloon.currentPosition) return; // Skip if no position
-          
-          try {
-            const alerts = await getAlertsForBalloon(balloon, allAlertsData);
-            if (alerts) {
-              console.log(`Alerts found for balloon ${balloon.id}:`, alerts);
-              newAlerts[balloon.id] = alerts;
+        // A recent copy is used at once; if the background refresh brings new alerts they replace it.
+        const fetchedAlerts = await fetchNWSAlerts({
+          onRevalidated: (freshAlerts) => {
+            if (!cancelled) {
+              processAlerts(freshAlerts).catch((error) => console.error("Error processing refreshed alerts:", error));
             }
-          } catch (error) {
-            console.error(`Error processing alerts for balloon ${balloon.id}:`, error);
-          }
+          },
         });
-        
-        await Promise.all(alertPromises);
-
-        console.log("Setting balloonAlerts state with:", newAlerts);
-        setBalloonAlerts(newAlerts);
-
+        await processAlerts(fetchedAlerts);
       } catch (error) {
         console.error("Error in fetchAndProcessAlerts:", error);
       } finally {
-        setAlertsLoading(false);
-        console.log("Finished fetchAndProcessAlerts.");
+        if (!cancelled) setAlertsLoading(false);
       }
     }
-    
+
     fetchAndProcessAlerts();
-    // Refresh alerts every 15 minutes
     const intervalId = setInterval(fetchAndProcessAlerts, 15 * 60 * 1000);
-    return () => clearInterval(intervalId);
-  }, [balloons, getAlertsForBalloon, setAllNwsAlertData]);
+    return () => {
+      cancelled = true;
+      clearInterval(intervalId);
+    };
+  }, []);
+
+  // Matches every flying balloon against the alerts whenever either changes.
+  useEffect(() => {
+    if (!currentBalloons.length || !allNwsAlertData || !alertMatcherRef.current) return undefined;
+    let cancelled = false;
+    const points = currentBalloons
+      .filter((balloon) => balloon.currentPosition)
+      .map((balloon) => ({ id: balloon.id, lat: balloon.currentPosition.lat, lon: balloon.currentPosition.lon }));
+    alertMatcherRef.current.match(allNwsAlertData, points)
+      .then((newAlerts) => {
+        if (cancelled) return;
+        setBalloonAlerts(newAlerts);
+        setAlertsCheckedAt(new Date());
+      })
+      .catch((error) => console.error("Error matching balloons against alerts:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [currentBalloons, allNwsAlertData]);
+
+  const profileBalloon = useMemo(
+    () => (profileBalloonId ? balloons.find((b) => b.id === profileBalloonId) || null : null),
+    [balloons, profileBalloonId]
+  );
+
+  // Which of the profiled balloon's fixes fall inside current alert areas, matched in the worker.
+  useEffect(() => {
+    if (!profileBalloon || !allNwsAlertData || !alertMatcherRef.current) {
+      setProfileAlertMatches({});
+      return undefined;
+    }
+    let cancelled = false;
+    const points = profileBalloon.positions.map((pos, index) => ({ id: index, lat: pos.lat, lon: pos.lon }));
+    alertMatcherRef.current.match(allNwsAlertData, points)
+      .then((matches) => {
+        if (!cancelled) setProfileAlertMatches(matches);
+      })
+      .catch((err) => console.warn("Could not match profile positions against alerts:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [profileBalloon, allNwsAlertData]);
+
+  // The dashboard's alerts-over-time series needs every fix of the last day matched, so only while it is open.
+  useEffect(() => {
+    if (!showDashboard || !allNwsAlertData || !alertMatcherRef.current) {
+      setDashboardAlertMatches(null);
+      return undefined;
+    }
+    let cancelled = false;
+    alertMatcherRef.current.match(allNwsAlertData, alertMatchPoints(balloons))
+      .then((matches) => {
+        if (!cancelled) setDashboardAlertMatches(matches);
+      })
+      .catch((err) => console.warn("Could not match recent positions against alerts for the dashboard:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [showDashboard, balloons, allNwsAlertData]);
+
+  useEffect(() => {
+    saveFences(geofences);
+  }, [geofences]);
+
+  useEffect(() => {
+    saveProximitySettings(proximitySettings);
+  }, [proximitySettings]);
+
+  const handleFenceDrawn = useCallback((fields) => {
+    const fence = createFence({ ...fields, name: `Fence ${geofences.length + 1}` });
+    setGeofences([...geofences, fence]);
+    setSelectedFenceId(fence.id);
+    setDrawingShape(null);
+  }, [geofences]);
+
+  const cancelFenceDrawing = useCallback(() => setDrawingShape(null), []);
+
+  const dashboardStats = useMemo(
+    () => (showDashboard ? buildDashboardStats(balloons, { alertMatches: dashboardAlertMatches }) : null),
+    [showDashboard, balloons, dashboardAlertMatches]
+  );
+
+  useEffect(() => {
+    saveRules(alertRules);
+  }, [alertRules]);
+
+  useEffect(() => {
+    setColorMode(colorMode);
+  }, [colorMode]);
+
+  useEffect(() => {
+    saveLayerSettings(layerSettings);
+  }, [layerSettings]);
+
+  const visibleAlertData = useMemo(
+    () => filterAlertFeatures(allNwsAlertData, layerSettings),
+    [allNwsAlertData, layerSettings]
+  );
+  const alertTypes = useMemo(() => alertEventTypes(allNwsAlertData), [allNwsAlertData]);
+  const unavailableZoneAlerts = useMemo(() => countUnavailableZoneAlerts(allNwsAlertData), [allNwsAlertData]);
+
+  // Mirror the view into the URL hash so it can be shared and stepped through with back/forward.
+  const urlHash = useMemo(() => {
+    if (!mapView.center) return null;
+    return encodeViewState({
+      center: mapView.center,
+      zoom: mapView.zoom,
+      timeFilter,
+      selectedFixes: pendingSelection || selectionFixes(balloons, selectedBalloonIds),
+      colorMode,
+      layers: layerSettings,
+      forecastHours,
+      showWindField,
+      windBandId,
+      filters: listFilters,
+    });
+  }, [mapView.center, mapView.zoom, timeFilter, pendingSelection, balloons, selectedBalloonIds, colorMode, layerSettings, forecastHours, showWindField, windBandId, listFilters]);
+  // The view as the user set it, leaving out the selected balloons' fixes, which move with every data refresh.
+  const urlViewKey = useMemo(
+    () => JSON.stringify([mapView.center, mapView.zoom, timeFilter, pendingSelection, selectedBalloonIds, colorMode, layerSettings, forecastHours, showWindField, windBandId, listFilters]),
+    [mapView.center, mapView.zoom, timeFilter, pendingSelection, selectedBalloonIds, colorMode, layerSettings, forecastHours, showWindField, windBandId, listFilters]
+  );
+  const urlWrittenAtRef = useRef(null);
+  const urlViewKeyRef = useRef(null);
+  // Set when a selection from the URL is matched to balloons, which is not a change the user made.
+  const selectionResolvedRef = useRef(false);
+  useEffect(() => {
+    const viewChanged = urlViewKeyRef.current !== urlViewKey && !selectionResolvedRef.current;
+    urlViewKeyRef.current = urlViewKey;
+    selectionResolvedRef.current = false;
+    if (!urlHash || window.location.hash === `#${urlHash}`) return;
+    // A refresh or live update only moves the selection's fixes, so it rewrites the current entry.
+    if (!viewChanged && urlWrittenAtRef.current !== null) {
+      writeUrlState(urlHash, { push: false });
+      return;
+    }
+    const now = Date.now();
+    // The first write replaces the entry the page opened with; changes in quick
+    // succession (a slider drag, typing a search) collapse into one entry.
+    const push = urlWrittenAtRef.current !== null && now - urlWrittenAtRef.current > URL_HISTORY_MERGE_MS;
+    writeUrlState(urlHash, { push });
+    urlWrittenAtRef.current = now;
+  }, [urlHash, urlViewKey]);
+
+  useEffect(() => {
+    if (!pendingSelection || balloons.length === 0) return;
+    selectionResolvedRef.current = true;
+    setSelectedBalloonIds(resolveSelection(balloons, pendingSelection));
+    setPendingSelection(null);
+  }, [pendingSelection, balloons]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState();
+      if (state.timeFilter !== undefined) setTimeFilter(state.timeFilter);
+      if (state.selectedFixes !== undefined) setPendingSelection(state.selectedFixes);
+      if (state.colorMode !== undefined) setColorModeState(state.colorMode);
+      if (state.layers !== undefined) setLayerSettings((settings) => ({ ...settings, ...state.layers }));
+      if (state.forecastHours !== undefined) setForecastHours(state.forecastHours);
+      if (state.showWindField !== undefined) setShowWindField(state.showWindField);
+      if (state.windBandId !== undefined) setWindBandId(state.windBandId);
+      if (state.filters !== undefined) setListFilters(state.filters);
+      if (state.center && state.zoom !== undefined) {
+        // Updating mapView now keeps the restored entry from being pushed again before the map moves.
+        setMapView((view) => ({ ...view, center: state.center, zoom: state.zoom }));
+        setRequestedView({ center: state.center, zoom: state.zoom });
+      }
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  useEffect(() => {
+    saveEventLog(alertEventLog);
+  }, [alertEventLog]);
+
+  // Evaluate alerting rules after every balloon or alert refresh. Only matches that
+  // were not already active fire, so an alert that persists is not re-notified.
+  useEffect(() => {
+    if (!currentBalloons.length || !alertsCheckedAt) return;
+    const matches = evaluateRules(alertRules, currentBalloons, balloonAlerts);
+    const { events, activeKeys } = diffMatches(matches, activeRuleKeysRef.current);
+    activeRuleKeysRef.current = activeKeys;
+    saveActiveKeys(activeKeys);
+    if (events.length > 0) {
+      notifyEvents(events);
+      setAlertEventLog((log) => appendToLog(log, events));
+    }
+  }, [currentBalloons, balloonAlerts, alertsCheckedAt, alertRules]);
 
   return (
     <div className="App">
-      <div className="map-container" style={{ height: "100vh", width: "100%" }}>
+      <div className={`map-container basemap-${layerSettings.baseMap}`} style={{ height: "100vh", width: "100%" }}>
         {(loading || alertsLoading) && (
             <div className="loading-overlay">
                 <div className="loading-spinner">
@@ -690,74 +911,114 @@ function App() {
         {error && <div className="error-message">{error}</div>}
 
         <MapContainer
-          center={position}
-          zoom={zoom}
+          center={initialUrlState.center || position}
+          zoom={initialUrlState.zoom ?? zoom}
           style={{ height: "100%", width: "100%" }}
           zoomControl={false}
           minZoom={1.5}
           worldCopyJump={true}
           title="Windborne Systems Global Balloon Constellation Map"
         >
-          <TileLayer url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" attribution='&copy; OpenStreetMap contributors' />
+          <BaseMapLayer baseMapId={layerSettings.baseMap} />
           <ZoomControl position="topright" />
           <MapController />
 
           <MapInteractionHandler balloons={balloons} setError={setError} />
-
-          {allNwsAlertData && <NWSAlertsLayer allAlerts={allNwsAlertData} />}
-
-          {balloons.map((balloon) => {
-             let hue;
-             const totalDistance = balloon.totalDistance || 0;
-             const saturation = 80;
-             const lightness = 50;
-             if (averageDistance <= 0 || !isFinite(averageDistance)) { hue = 120; }
-             else if (totalDistance <= averageDistance) { hue = 240 - (totalDistance / averageDistance) * 120; }
-             else {
-               const rangeAboveAverage = maxDistance - averageDistance;
-               if (rangeAboveAverage <= 0 || !isFinite(rangeAboveAverage)) { hue = 120; }
-               else { hue = 120 - Math.min((totalDistance - averageDistance) / rangeAboveAverage, 1) * 120; }
-             }
-             const markerColor = `hsl(${hue.toFixed(0)}, ${saturation}%, ${lightness}%)`;
-
-            // Use pre-fetched alerts from state instead of calling getAlertsForBalloon directly
-            const alertsForBalloon = balloonAlerts[balloon.id] || null;
-
-            const cutoffTime = new Date(Date.now() - timeFilter * 60 * 60 * 1000);
-            const filteredPositions = (balloon.positions || [])
-               .filter((pos) => pos.timestamp >= cutoffTime);
-            const pathSegments = splitPathSegments(filteredPositions);
-
+          <MapViewWatcher onViewChange={setMapView} requestedView={requestedView} />
+          <MapFocusController target={focusTarget} onArrived={handleFocusArrived} />
+
+          {layerSettings.showAlerts && visibleAlertData && <NWSAlertsLayer allAlerts={visibleAlertData} />}
+
+          {layerSettings.showPaths && visiblePaths.map(({ balloon, runs }) => (
+            <BalloonPath
+              key={`path-${balloon.id}`}
+              balloonId={balloon.id}
+              runs={runs}
+              confidence={balloon.trackConfidence}
+              highlighted={selectedBalloonIds.includes(balloon.id) || balloon.id === profileBalloonId || balloon.id === focusedBalloonId}
+              renderer={pathRenderer}
+            />
+          ))}
+
+          {suspectPoints.length > 0 && <SuspectPointsLayer points={suspectPoints} renderer={pathRenderer} />}
+
+          <GeofenceLayer summaries={geofenceSummaries} selectedId={selectedFenceId} />
+          {drawingShape && <GeofenceEditor shape={drawingShape} onComplete={handleFenceDrawn} onCancel={cancelFenceDrawing} />}
+
+          {layerSettings.showProximity && (
+            <ProximityLayer
+              approaches={closeApproaches}
+              points={proximitySettings.points}
+              horizontalKm={proximitySettings.horizontalKm}
+            />
+          )}
+
+          {markerGroups.map((group) => {
+            if (group.items.length > 1) {
+              return layerSettings.showMarkers && <ClusterMarker key={`cluster-${group.items[0].balloon.id}`} cluster={group} />;
+            }
+            const { balloon, position: displayPosition, alerts, markerColor, prediction } = group.items[0];
             return (
               <React.Fragment key={balloon.id}>
-                {balloon.currentPosition && (
-                    <BalloonMarker
-                        balloon={balloon}
-                        markerColor={markerColor}
-                        alerts={alertsForBalloon}
-                    />
-                )}
-                {pathSegments.length > 0 && (
-                    <BalloonPath
-                      balloonId={balloon.id}
-                      segments={pathSegments}
-                      totalDistance={totalDistance}
-                      maxDistance={maxDistance}
-                      averageDistance={averageDistance}
-                    />
+                {layerSettings.showMarkers && <BalloonMarker
+                    balloon={balloon}
+                    markerColor={markerColor}
+                    alerts={alerts}
+                    position={displayPosition}
+                    prediction={prediction}
+                    regionLookup={regionLookup}
+                    selected={selectedBalloonIds.includes(balloon.id)}
+                    onToggleSelect={toggleBalloonSelection}
+                    onShowProfile={setProfileBalloonId}
+                    openPopup={popupRequestId === balloon.id}
+                    onPopupOpened={handleFocusPopupOpened}
+                />}
+                {layerSettings.showForecast && (
+                    <ForecastLayer balloonId={balloon.id} prediction={prediction} color={markerColor} />
                 )}
               </React.Fragment>
             );
           })}
+
+          {windField && <WindFieldLayer cells={windField.cells} bandLabel={windBand.label} />}
+
+          {profileBalloon && profileHoverPoint && (
+            <CircleMarker
+              center={[profileHoverPoint.lat, profileHoverPoint.lon]}
+              radius={8}
+              className="profile-hover-marker"
+              pathOptions={{ color: '#000', weight: 2, fillColor: '#fff', fillOpacity: 0.9 }}
+            />
+          )}
         </MapContainer>
+        <ReplayControls bounds={replayBounds} replayTime={replayTime} onTimeChange={setReplayTime} />
+        {dashboardStats && <AnalyticsDashboard stats={dashboardStats} onClose={() => setShowDashboard(false)} />}
+        {profileBalloon && (
+          <AltitudeProfileDrawer
+            balloon={profileBalloon}
+            alertMatches={profileAlertMatches}
+            onHoverPosition={setProfileHoverPoint}
+            onClose={closeProfile}
+          />
+        )}
       </div>
 
       <div className="info-panel">
         <h2>Windborne Systems Balloon Constellation</h2>
-        <p>Total balloons: <strong>{balloons.length}</strong></p>
+        <DataFreshness
+          online={online}
+          feedReceivedAt={Math.max(feedReceivedAt(hourStatuses) || 0, liveReceivedAt || 0) || null}
+          alertsReceivedAt={alertsAsOf && alertsAsOf.receivedAt}
+          servedOffline={hourStatuses.some((status) => status.source === "offline") || Boolean(alertsAsOf && alertsAsOf.offline)}
+          liveStatus={liveStatus}
+        />
+        <p>Total balloons: <strong>{currentBalloons.length}</strong></p>
         <p>Visible paths ({timeFilter}h): {visiblePathCount}</p>
-        <p>Avg Distance (24h): {isFinite(averageDistance) ? averageDistance.toFixed(0) : 'N/A'} km</p>
-        <p>Max Distance (24h): {isFinite(maxDistance) ? maxDistance.toFixed(0) : 'N/A'} km</p>
+        <p>Avg Distance ({historyHours}h): {isFinite(averageDistance) ? averageDistance.toFixed(0) : 'N/A'} km</p>
+        <p>Max Distance ({historyHours}h): {isFinite(maxDistance) ? maxDistance.toFixed(0) : 'N/A'} km</p>
+        <button type="button" className="link-button" onClick={() => setShowDashboard(!showDashboard)} aria-pressed={showDashboard}>
+          {showDashboard ? 'Hide analytics' : 'Show analytics'}
+        </button>
 
         <div className="time-filter">
           <label htmlFor="time-range">Path history: {timeFilter} hours</label>
@@ -765,31 +1026,60 @@ function App() {
             type="range"
             id="time-range"
             min="1"
-            max="24"
-            value={timeFilter}
+            max={historyHours}
+            value={Math.min(timeFilter, historyHours)}
             onChange={(e) => setTimeFilter(parseInt(e.target.value, 10))}
             aria-labelledby="time-range-label"
           />
           <span id="time-range-label" style={{ display: "none" }}>Path history duration</span>
         </div>
 
-        {/* --- START LEGENDS --- */} 
-        <div className="legend-section">
-            <h4>Balloon Path Color</h4>
-            <div className="legend-item">
-                <span className="legend-color-box" style={{ backgroundColor: 'hsl(240, 80%, 50%)' }}></span>
-                <span>Shortest Distance (relative)</span>
-            </div>
-             <div className="legend-item">
-                <span className="legend-color-box" style={{ backgroundColor: 'hsl(120, 80%, 50%)' }}></span>
-                <span>Average Distance</span>
-            </div>
-             <div className="legend-item">
-                <span className="legend-color-box" style={{ backgroundColor: 'hsl(0, 80%, 50%)' }}></span>
-                <span>Longest Distance (relative)</span>
-            </div>
+        <div className="forecast-controls">
+          <label>
+            <input
+              type="checkbox"
+              checked={layerSettings.showForecast}
+              onChange={(e) => setLayerSettings({ ...layerSettings, showForecast: e.target.checked })}
+            />
+            Show forecast: {forecastHours} hours ahead
+          </label>
+          <input
+            type="range"
+            min="1"
+            max={MAX_FORECAST_HOURS}
+            value={forecastHours}
+            onChange={(e) => setForecastHours(parseInt(e.target.value, 10))}
+            aria-label="Forecast horizon in hours"
+          />
+        </div>
+
+        <div className="wind-controls">
+          <label>
+            <input
+              type="checkbox"
+              checked={showWindField}
+              onChange={(e) => setShowWindField(e.target.checked)}
+            />
+            Show wind field from drift
+          </label>
+          <select
+            value={windBandId}
+            onChange={(e) => setWindBandId(e.target.value)}
+            aria-label="Wind field altitude band"
+          >
+            {ALTITUDE_BANDS.map((band) => <option key={band.id} value={band.id}>{band.label}</option>)}
+          </select>
+          {windField && (
+            <>
+              <ColorScaleBar scale={WIND_SPEED_SCALE} />
+              <small>{windField.cells.length} grid cells from {windField.vectors.length} hourly drift segments</small>
+            </>
+          )}
         </div>
 
+        {/* --- START LEGENDS --- */} 
+        <ColorLegend mode={colorMode} scale={colorScale} onModeChange={setColorModeState} />
+
         <div className="legend-section">
             <h4>Weather Alerts</h4>
              <div className="legend-item">
@@ -815,11 +1105,73 @@ function App() {
         </div>
         {/* --- END LEGENDS --- */}
 
+        <HourStatusGrid statuses={hourStatuses} />
+
+        <ArchivePanel lastRefreshed={lastRefreshed} onArchiveChanged={fetchBalloonData} />
+
         {lastRefreshed && (
           <p className="last-refreshed">Balloon data refreshed: {lastRefreshed.toLocaleTimeString()}</p>
         )}
         <p className="data-note">Balloon data auto-refreshes hourly. NWS alerts refresh every 15 mins.</p>
       </div>
+
+      <div className="side-panels">
+        <LayerControlPanel
+          settings={layerSettings}
+          onSettingsChange={setLayerSettings}
+          eventTypes={alertTypes}
+          unavailableZoneAlerts={unavailableZoneAlerts}
+        />
+        <GeofencePanel
+          summaries={geofenceSummaries}
+          drawingShape={drawingShape}
+          onDraw={setDrawingShape}
+          onFencesChange={setGeofences}
+          selectedId={selectedFenceId}
+          onSelectFence={setSelectedFenceId}
+          onSelectBalloon={focusBalloonById}
+          windowHours={timeFilter}
+        />
+        <ProximityPanel
+          approaches={closeApproaches}
+          settings={proximitySettings}
+          onSettingsChange={setProximitySettings}
+          onSelectBalloon={focusBalloonById}
+        />
+        <DataQualityPanel
+          summary={dataQuality.summary}
+          showSuspect={layerSettings.showSuspectPoints}
+          onShowSuspectChange={(showSuspectPoints) => setLayerSettings({ ...layerSettings, showSuspectPoints })}
+          onSelectBalloon={focusBalloonById}
+        />
+        <BalloonListPanel
+          rows={filteredRows}
+          totalCount={listRows.length}
+          filters={listFilters}
+          onFiltersChange={setListFilters}
+          viewRegion={viewRegion}
+          focusedId={focusedBalloonId}
+          onSelect={focusBalloon}
+        />
+        <AlertRulesPanel
+          rules={alertRules}
+          onRulesChange={setAlertRules}
+          eventLog={alertEventLog}
+          onClearLog={() => setAlertEventLog([])}
+        />
+      </div>
+
+      <ExportPanel
+        balloons={filteredBalloons}
+        allBalloons={balloons}
+        totalCount={listRows.length}
+        filtered={hasActiveFilters(listFilters)}
+        from={cutoffTime}
+        to={referenceTime}
+        replaying={Boolean(replayTime)}
+        selectedIds={selectedBalloonIds}
+        onClearSelection={() => setSelectedBalloonIds([])}
+      />
     </div>
   );
 }
@@ -1,8 +1,68 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, within } from '@testing-library/react';
 import App from './App';
+import { recordedHours } from './__fixtures__/treasure';
+import nwsAlerts from './__fixtures__/nwsAlerts';
 
-test('renders learn react link', () => {
+// The worker URL only resolves under webpack; alerts are matched in the page instead.
+jest.mock('./createAlertWorker', () => () => null);
+
+// The last recorded balloon is missing from 00.json and 01.json, so its path
+// ends two hours ago and drops out of a short path history.
+const servedHours = recordedHours.map((hour, i) => (i < 2 ? hour.slice(0, -1) : hour));
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Not Found',
+    headers: { get: () => null },
+    json: async () => body,
+  };
+}
+
+function respond(url) {
+  const hourMatch = url.match(/\/api\/treasure\/(\d{2})\.json$/);
+  if (hourMatch) {
+    const hour = Number(hourMatch[1]);
+    return hour < servedHours.length ? jsonResponse(servedHours[hour]) : jsonResponse({ error: 'Not found' }, 404);
+  }
+  if (url === '/weather-api/alerts/active') return jsonResponse(nwsAlerts);
+  // Zone shapes for the zone-only alerts.
+  return jsonResponse({ error: 'Not found' }, 404);
+}
+
+beforeEach(() => {
+  global.fetch = jest.fn(async (url) => respond(url));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+  window.localStorage.clear();
+});
+
+const infoLine = (label) => screen.getByText(label, { exact: false, selector: '.info-panel > p' });
+
+test('loads the hourly feed and reports the hours it could not get', async () => {
+  render(<App />);
+
+  expect(await screen.findByText(/^Data refreshed, but 20 of 24 hours could not be loaded: 04\.json, 05\.json/)).toBeInTheDocument();
+  expect(within(infoLine('Total balloons:')).getByText('12')).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledWith('/api/treasure/00.json', expect.anything());
+  expect(global.fetch).toHaveBeenCalledWith('/weather-api/alerts/active', expect.anything());
+});
+
+test('the path history slider limits the paths counted as visible', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText(/^Data refreshed/);
+
+  expect(screen.getByText('Path history: 24 hours')).toBeInTheDocument();
+  expect(infoLine('Visible paths')).toHaveTextContent('Visible paths (24h): 12');
+
+  fireEvent.change(screen.getByRole('slider', { name: 'Path history duration' }), { target: { value: '1' } });
+
+  expect(screen.getByText('Path history: 1 hours')).toBeInTheDocument();
+  expect(infoLine('Visible paths')).toHaveTextContent('Visible paths (1h): 11');
 });
@@ -0,0 +1,117 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  RETENTION_OPTIONS,
+  clearArchive,
+  getRetentionDays,
+  loadArchive,
+  openArchive,
+  pruneArchive,
+  serializeArchive,
+  setRetentionDays,
+  summarizeArchive,
+} from './historyArchive';
+import { downloadText } from './download';
+
+/**
+ * Shows what the local history archive holds and lets the user change
+ * retention, prune, export or clear it.
+ * @param {{ lastRefreshed: Date|null, onArchiveChanged: Function }} props
+ *   lastRefreshed re-reads the archive summary after each fetch; onArchiveChanged reloads balloon data.
+ */
+function ArchivePanel({ lastRefreshed, onArchiveChanged }) {
+  const [retentionDays, setRetention] = useState(getRetentionDays);
+  const [summary, setSummary] = useState(null);
+  const [unavailable, setUnavailable] = useState(false);
+
+  const refreshSummary = useCallback(async () => {
+    try {
+      const db = await openArchive();
+      if (!db) {
+        setUnavailable(true);
+        return;
+      }
+      setSummary(summarizeArchive(await loadArchive(db)));
+    } catch (err) {
+      console.warn('Could not read history archive:', err);
+      setUnavailable(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshSummary();
+  }, [refreshSummary, lastRefreshed]);
+
+  if (unavailable) {
+    return (
+      <div className="archive-panel">
+        <h4>History Archive</h4>
+        <p className="data-note">Local storage is unavailable; showing the 24-hour feed only.</p>
+      </div>
+    );
+  }
+
+  const withArchive = async (action) => {
+    try {
+      const db = await openArchive();
+      if (db) await action(db);
+    } catch (err) {
+      console.warn('History archive operation failed:', err);
+    }
+    await refreshSummary();
+  };
+
+  const handleRetentionChange = async (days) => {
+    setRetention(days);
+    setRetentionDays(days);
+    await withArchive((db) => pruneArchive(db, days));
+    onArchiveChanged();
+  };
+
+  const handlePrune = async () => {
+    await withArchive((db) => pruneArchive(db, retentionDays));
+    onArchiveChanged();
+  };
+
+  const handleExport = () => withArchive(async (db) => {
+    const records = await loadArchive(db);
+    const stamp = new Date().toISOString().slice(0, 13).replace(/[:T]/g, '-');
+    downloadText(serializeArchive(records), `windborne-archive-${stamp}.json`, 'application/json');
+  });
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete all archived balloon history from this browser?')) return;
+    await withArchive(clearArchive);
+    onArchiveChanged();
+  };
+
+  return (
+    <div className="archive-panel">
+      <h4>History Archive</h4>
+      {summary && summary.hours > 0 ? (
+        <p>
+          {summary.hours} hourly snapshots<br />
+          <small>{summary.oldest.toLocaleString()} – {summary.newest.toLocaleString()}</small>
+        </p>
+      ) : (
+        <p>No archived snapshots yet.</p>
+      )}
+      <label htmlFor="archive-retention">Keep history for </label>
+      <select
+        id="archive-retention"
+        value={retentionDays}
+        onChange={(e) => handleRetentionChange(parseInt(e.target.value, 10))}
+      >
+        {RETENTION_OPTIONS.map((days) => (
+          <option key={days} value={days}>{days} {days === 1 ? 'day' : 'days'}</option>
+        ))}
+      </select>
+      <div className="archive-actions">
+        <button type="button" onClick={handlePrune}>Prune</button>
+        <button type="button" onClick={handleExport} disabled={!summary || summary.hours === 0}>Export</button>
+        <button type="button" onClick={handleClear} disabled={!summary || summary.hours === 0}>Clear</button>
+      </div>
+    </div>
+  );
+}
+
+export default ArchivePanel;
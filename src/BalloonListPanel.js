@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from 'react';
+import { parseRegion } from './alertRules';
+import { BALLOON_LIST_COLUMNS, DEFAULT_LIST_FILTERS, DEFAULT_LIST_SORT, hasActiveFilters, sortRows } from './balloonList';
+
+const PAGE_SIZE = 100;
+
+function optionalNumber(text) {
+  const value = parseFloat(text);
+  return isFinite(value) ? value : null;
+}
+
+function formatRegion(region) {
+  return region ? `${region.minLat}, ${region.minLon}, ${region.maxLat}, ${region.maxLon}` : '';
+}
+
+function formatCell(row, column) {
+  switch (column) {
+    case 'lat':
+    case 'lon':
+      return row[column].toFixed(2);
+    case 'alt':
+      return row.alt !== null ? row.alt.toFixed(1) : 'N/A';
+    case 'distance':
+      return row.distance.toFixed(0);
+    case 'alerts':
+      return row.alerts > 0 ? `⚠️ ${row.alerts}` : '';
+    default:
+      return row[column];
+  }
+}
+
+/**
+ * Searchable, sortable list of the balloons that pass the filters. The
+ * filters are owned by App because they also decide what the map draws.
+ * @param {{
+ *   rows: Array<object>,
+ *   totalCount: number,
+ *   filters: object,
+ *   onFiltersChange: Function,
+ *   viewRegion: object|null,
+ *   focusedId: string|null,
+ *   onSelect: Function
+ * }} props
+ *   rows are already filtered (see balloonList.js); viewRegion is the current map view
+ *   as a region, for the "Use map view" button; onSelect receives the clicked row.
+ */
+function BalloonListPanel({ rows, totalCount, filters, onFiltersChange, viewRegion, focusedId, onSelect }) {
+  const [sort, setSort] = useState(DEFAULT_LIST_SORT);
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [regionText, setRegionText] = useState(formatRegion(filters.region));
+
+  useEffect(() => {
+    setRegionText(formatRegion(filters.region));
+  }, [filters.region]);
+
+  const updateFilter = (field, value) => onFiltersChange({ ...filters, [field]: value });
+
+  const toggleSort = (column) => {
+    setSort(sort.column === column ? { column, descending: !sort.descending } : { column, descending: column !== 'id' });
+  };
+
+  const sortedRows = sortRows(rows, sort);
+
+  return (
+    <details className="side-panel balloon-list-panel">
+      <summary>Balloons ({rows.length === totalCount ? totalCount : `${rows.length} of ${totalCount}`})</summary>
+
+      <div className="balloon-list-filters">
+        <input
+          type="search"
+          placeholder="Search by ID"
+          value={filters.query}
+          onChange={(e) => updateFilter('query', e.target.value)}
+          aria-label="Search balloons by ID"
+        />
+        <label>
+          Alt (km)
+          <input
+            type="number"
+            step="0.5"
+            placeholder="min"
+            value={filters.minAltKm ?? ''}
+            onChange={(e) => updateFilter('minAltKm', optionalNumber(e.target.value))}
+            aria-label="Minimum altitude in km"
+          />
+          <input
+            type="number"
+            step="0.5"
+            placeholder="max"
+            value={filters.maxAltKm ?? ''}
+            onChange={(e) => updateFilter('maxAltKm', optionalNumber(e.target.value))}
+            aria-label="Maximum altitude in km"
+          />
+        </label>
+        <label>
+          Min 24h distance (km)
+          <input
+            type="number"
+            step="10"
+            value={filters.minDistanceKm ?? ''}
+            onChange={(e) => updateFilter('minDistanceKm', optionalNumber(e.target.value))}
+          />
+        </label>
+        <label>
+          <input
+            type="checkbox"
+            checked={filters.onlyInAlert}
+            onChange={(e) => updateFilter('onlyInAlert', e.target.checked)}
+          />
+          Only balloons in NWS alert areas
+        </label>
+        <input
+          type="text"
+          placeholder="Box: minLat, minLon, maxLat, maxLon"
+          value={regionText}
+          onChange={(e) => setRegionText(e.target.value)}
+          onBlur={() => updateFilter('region', parseRegion(regionText))}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') updateFilter('region', parseRegion(regionText));
+          }}
+          aria-label="Bounding box"
+        />
+        <div className="balloon-list-actions">
+          <button type="button" className="link-button" onClick={() => updateFilter('region', viewRegion)} disabled={!viewRegion}>
+            Use map view
+          </button>
+          {hasActiveFilters(filters) && (
+            <button type="button" className="link-button" onClick={() => onFiltersChange(DEFAULT_LIST_FILTERS)}>
+              Clear filters
+            </button>
+          )}
+        </div>
+      </div>
+
+      <table className="balloon-list">
+        <thead>
+          <tr>
+            {BALLOON_LIST_COLUMNS.map(({ id, label }) => (
+              <th key={id} aria-sort={sort.column === id ? (sort.descending ? 'descending' : 'ascending') : 'none'}>
+                <button type="button" className="link-button" onClick={() => toggleSort(id)}>
+                  {label}{sort.column === id ? (sort.descending ? ' ▼' : ' ▲') : ''}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sortedRows.slice(0, limit).map((row) => (
+            <tr
+              key={row.id}
+              className={row.id === focusedId ? 'focused' : undefined}
+              onClick={() => onSelect(row)}
+              tabIndex={0}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') onSelect(row);
+              }}
+            >
+              {BALLOON_LIST_COLUMNS.map(({ id }) => <td key={id}>{formatCell(row, id)}</td>)}
+            </tr>
+          ))}
+          {rows.length === 0 && (
+            <tr><td colSpan={BALLOON_LIST_COLUMNS.length}><small>No balloons match the filters.</small></td></tr>
+          )}
+        </tbody>
+      </table>
+      {sortedRows.length > limit && (
+        <button type="button" className="link-button" onClick={() => setLimit(limit + PAGE_SIZE)}>
+          Show {Math.min(PAGE_SIZE, sortedRows.length - limit)} more
+        </button>
+      )}
+    </details>
+  );
+}
+
+export default BalloonListPanel;
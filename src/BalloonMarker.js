@@ -0,0 +1,120 @@
+import React, { useEffect, useRef } from 'react';
+import { Marker, Popup } from 'react-leaflet';
+import { ForecastSummary } from './ForecastLayer';
+import { balloonIcon } from './markerIcons';
+
+/**
+ * Hours between a balloon's oldest and newest fix.
+ * @param {object} balloon - Balloon with positions sorted newest first.
+ * @returns {number}
+ */
+function trackedHours(balloon) {
+  const positions = balloon.positions || [];
+  if (positions.length < 2) return 0;
+  return Math.round((positions[0].timestamp - positions[positions.length - 1].timestamp) / (60 * 60 * 1000));
+}
+
+/**
+ * Renders a balloon's position marker and popup.
+ * @param {{
+ *   balloon: object,
+ *   markerColor: string,
+ *   alerts: Array<object>,
+ *   position?: object,
+ *   prediction?: object|null,
+ *   regionLookup?: Function|null,
+ *   selected?: boolean,
+ *   onToggleSelect?: Function,
+ *   onShowProfile?: Function,
+ *   openPopup?: boolean,
+ *   onPopupOpened?: Function
+ * }} props
+ *   position defaults to the balloon's current position; replay passes an interpolated one.
+ *   openPopup opens the popup (e.g. after flying to the balloon from the list), then calls onPopupOpened.
+ */
+function BalloonMarker({
+  balloon,
+  markerColor,
+  alerts,
+  position = balloon.currentPosition,
+  prediction = null,
+  regionLookup = null,
+  selected = false,
+  onToggleSelect,
+  onShowProfile,
+  openPopup = false,
+  onPopupOpened,
+}) {
+  const markerRef = useRef(null);
+
+  useEffect(() => {
+    if (!openPopup || !markerRef.current) return;
+    markerRef.current.openPopup();
+    if (onPopupOpened) onPopupOpened();
+  }, [openPopup, onPopupOpened]);
+
+  if (!position) return null;
+
+  // Check if the passed 'alerts' prop (which is now an array of NWS properties) is non-empty
+  const hasAlerts = alerts && Array.isArray(alerts) && alerts.length > 0;
+  const alertColor = 'orange';
+  const finalMarkerColor = hasAlerts ? alertColor : markerColor;
+
+  return (
+    <>
+      <Marker
+        ref={markerRef}
+        position={[position.lat, position.lon]}
+        icon={balloonIcon(finalMarkerColor, hasAlerts)}
+        key={`marker-${balloon.id}`}
+      >
+        <Popup>
+          <div className="balloon-popup">
+            {/* Balloon Info */}
+            <h3>Balloon #{balloon.id} {hasAlerts ? '⚠️' : ''}</h3>
+            <p>Lat: {position.lat.toFixed(4)}</p>
+            <p>Lon: {position.lon.toFixed(4)}</p>
+            <p>Alt: {position.alt?.toFixed(2) ?? 'N/A'} km</p>
+            <p>FL: {Math.max(0, Math.round((position.alt * 328.084))).toString().padStart(3, "0") ?? 'N/A'}</p>
+            <p>Dist ({trackedHours(balloon)}h): {balloon.totalDistance ? balloon.totalDistance.toFixed(0) : 'N/A'} km</p>
+            <p>Track: {balloon.positions.length} fixes, {typeof balloon.trackConfidence === 'number' ? `${(balloon.trackConfidence * 100).toFixed(0)}% link confidence` : 'single fix'}</p>
+            <p>
+              {position.interpolated ? 'Interpolated position at:' : 'Last updated:'} <br />
+              <span className="timestamp">{position.timestamp?.toLocaleString() ?? 'N/A'}</span>
+            </p>
+
+            <ForecastSummary prediction={prediction} regionLookup={regionLookup} />
+
+            {onToggleSelect && (
+              <button type="button" className="select-toggle" onClick={() => onToggleSelect(balloon.id)}>
+                {selected ? 'Remove from selection' : 'Add to selection'}
+              </button>
+            )}
+            {onShowProfile && (
+              <button type="button" className="select-toggle" onClick={() => onShowProfile(balloon.id)}>
+                Altitude profile
+              </button>
+            )}
+
+            {/* Display NWS Weather Alerts */}
+            {hasAlerts && (
+              <div className="weather-alerts">
+                <h4>Active NWS Alerts:</h4>
+                {alerts.map((alertProps, index) => (
+                  <div key={alertProps.id || index} className="alert-item">
+                    <strong>{alertProps.severity || 'Unknown Severity'}:</strong> {alertProps.event || 'Unknown Event'}
+                    <p><small>{alertProps.headline || 'No headline available.'}</small></p>
+                    <p><small>Effective: {alertProps.effective ? new Date(alertProps.effective).toLocaleString() : 'N/A'}</small></p>
+                    <p><small>Expires: {alertProps.expires ? new Date(alertProps.expires).toLocaleString() : 'N/A'}</small></p>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </Popup>
+      </Marker>
+    </>
+  );
+}
+
+export default React.memo(BalloonMarker);
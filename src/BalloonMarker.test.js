@@ -0,0 +1,77 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MapContainer } from 'react-leaflet';
+import BalloonMarker from './BalloonMarker';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date(Date.UTC(2025, 4, 1, 12));
+
+const balloon = {
+  id: '4',
+  positions: [
+    { lat: 35.40524, lon: -97.61402, alt: 14.13958, timestamp: T0 },
+    { lat: 35.68166, lon: -98.12169, alt: 13.85767, timestamp: new Date(T0 - HOUR) },
+    { lat: 35.95509, lon: -98.63342, alt: 14.02216, timestamp: new Date(T0 - 2 * HOUR) },
+  ],
+  totalDistance: 105.4,
+  trackConfidence: 0.87,
+};
+balloon.currentPosition = balloon.positions[0];
+
+const severeStorm = {
+  id: 'polygon',
+  event: 'Severe Thunderstorm Warning',
+  severity: 'Severe',
+  headline: 'Severe Thunderstorm Warning until 2:45PM CDT',
+};
+
+function renderMarker(props) {
+  return render(
+    <MapContainer center={[35, -97]} zoom={5}>
+      <BalloonMarker balloon={balloon} markerColor="#2e7d32" alerts={[]} {...props} />
+    </MapContainer>
+  );
+}
+
+test('opens a popup describing the balloon when asked to', async () => {
+  const onPopupOpened = jest.fn();
+  renderMarker({ openPopup: true, onPopupOpened });
+
+  expect(await screen.findByRole('heading', { name: 'Balloon #4' })).toBeInTheDocument();
+  expect(screen.getByText('Lat: 35.4052')).toBeInTheDocument();
+  expect(screen.getByText('Alt: 14.14 km')).toBeInTheDocument();
+  expect(screen.getByText('Dist (2h): 105 km')).toBeInTheDocument();
+  expect(screen.getByText('Track: 3 fixes, 87% link confidence')).toBeInTheDocument();
+  expect(screen.getByText('Forecast: not enough history')).toBeInTheDocument();
+  expect(onPopupOpened).toHaveBeenCalledTimes(1);
+});
+
+test('flags a balloon inside an alert area and lists the alerts', async () => {
+  renderMarker({ alerts: [severeStorm], openPopup: true });
+
+  expect(await screen.findByRole('heading', { name: 'Balloon #4 ⚠️' })).toBeInTheDocument();
+  expect(screen.getByText('Active NWS Alerts:')).toBeInTheDocument();
+  expect(screen.getByText(severeStorm.headline)).toBeInTheDocument();
+});
+
+test('shows a replayed position and offers the selection and profile actions', async () => {
+  const onToggleSelect = jest.fn();
+  const onShowProfile = jest.fn();
+  const position = { lat: 35.5, lon: -97.8, alt: 14, timestamp: new Date(T0 - HOUR / 2), interpolated: true };
+  renderMarker({ position, selected: true, onToggleSelect, onShowProfile, openPopup: true });
+
+  expect(await screen.findByText('Interpolated position at:')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Remove from selection' }));
+  userEvent.click(screen.getByRole('button', { name: 'Altitude profile' }));
+  await waitFor(() => expect(onToggleSelect).toHaveBeenCalledWith('4'));
+  expect(onShowProfile).toHaveBeenCalledWith('4');
+});
+
+test('renders nothing without a position', () => {
+  const onPopupOpened = jest.fn();
+  renderMarker({ balloon: { ...balloon, currentPosition: null }, openPopup: true, onPopupOpened });
+
+  expect(screen.queryByRole('heading', { name: /Balloon/ })).not.toBeInTheDocument();
+  expect(onPopupOpened).not.toHaveBeenCalled();
+});
@@ -0,0 +1,73 @@
+import React from 'react';
+
+const WIDTH = 320;
+const VERTICAL_HEIGHT = 140;
+const ROW_HEIGHT = 16;
+const PAD = { top: 8, right: 8, bottom: 20, left: 30 };
+const LABEL_WIDTH = 110;
+
+/**
+ * Small SVG bar chart. Vertical charts (histograms, hourly series) label
+ * every few bars along the bottom; horizontal ones label every row.
+ * Negative values hang below a zero line.
+ * @param {{
+ *   bars: Array<{ key: string, label: string, value: number, title?: string }>,
+ *   horizontal?: boolean,
+ *   color?: string,
+ *   ariaLabel: string
+ * }} props
+ *   title is the hover text of a bar; it defaults to "label: value".
+ */
+function BarChart({ bars, horizontal = false, color = '#1976d2', ariaLabel }) {
+  if (bars.length === 0) return <p className="data-note">No data yet.</p>;
+  const maxValue = Math.max(0, ...bars.map((bar) => bar.value));
+  const minValue = Math.min(0, ...bars.map((bar) => bar.value));
+  const range = Math.max(1, maxValue - minValue);
+
+  if (horizontal) {
+    const height = bars.length * ROW_HEIGHT + 4;
+    const plotWidth = WIDTH - LABEL_WIDTH - 40;
+    return (
+      <svg className="bar-chart" viewBox={`0 0 ${WIDTH} ${height}`} role="img" aria-label={ariaLabel}>
+        {bars.map((bar, i) => (
+          <g key={bar.key} transform={`translate(0, ${i * ROW_HEIGHT + 2})`}>
+            <title>{bar.title || `${bar.label}: ${bar.value}`}</title>
+            <text x={LABEL_WIDTH - 4} y={ROW_HEIGHT - 5} textAnchor="end">{bar.label}</text>
+            <rect x={LABEL_WIDTH} y={2} width={(Math.max(0, bar.value) / range) * plotWidth} height={ROW_HEIGHT - 4} fill={color} />
+            <text x={LABEL_WIDTH + (Math.max(0, bar.value) / range) * plotWidth + 4} y={ROW_HEIGHT - 5}>{bar.value}</text>
+          </g>
+        ))}
+      </svg>
+    );
+  }
+
+  const plotWidth = WIDTH - PAD.left - PAD.right;
+  const plotHeight = VERTICAL_HEIGHT - PAD.top - PAD.bottom;
+  const barWidth = plotWidth / bars.length;
+  const y = (value) => PAD.top + ((maxValue - value) / range) * plotHeight;
+  const labelEvery = Math.ceil(bars.length / 6);
+  return (
+    <svg className="bar-chart" viewBox={`0 0 ${WIDTH} ${VERTICAL_HEIGHT}`} role="img" aria-label={ariaLabel}>
+      <text x={PAD.left - 4} y={PAD.top + 8} textAnchor="end">{maxValue}</text>
+      {minValue < 0 && <text x={PAD.left - 4} y={PAD.top + plotHeight} textAnchor="end">{minValue}</text>}
+      <line x1={PAD.left} x2={WIDTH - PAD.right} y1={y(0)} y2={y(0)} className="bar-chart-axis" />
+      {bars.map((bar, i) => (
+        <g key={bar.key}>
+          <title>{bar.title || `${bar.label}: ${bar.value}`}</title>
+          <rect
+            x={PAD.left + i * barWidth + 1}
+            y={Math.min(y(bar.value), y(0))}
+            width={Math.max(1, barWidth - 2)}
+            height={Math.abs(y(bar.value) - y(0))}
+            fill={bar.value < 0 ? '#c62828' : color}
+          />
+          {i % labelEvery === 0 && (
+            <text x={PAD.left + i * barWidth + barWidth / 2} y={VERTICAL_HEIGHT - 6} textAnchor="middle">{bar.label}</text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+export default BarChart;
@@ -0,0 +1,51 @@
+import React, { useEffect, useState } from 'react';
+import { GeoJSON, Pane, TileLayer } from 'react-leaflet';
+import { BASE_MAPS, loadOutlineBaseMap } from './mapLayers';
+
+const OUTLINE_STYLE = { color: '#7a7a7a', weight: 0.6, fillColor: '#f2efe9', fillOpacity: 1 };
+
+/**
+ * Country outlines drawn from bundled data, for use without a tile server.
+ * They sit in a pane below the tiles' z-index so overlays stay on top.
+ * @param {{ attribution: string }} props
+ */
+function OutlineBaseMap({ attribution }) {
+  const [outline, setOutline] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadOutlineBaseMap()
+      .then((collection) => {
+        if (!cancelled) setOutline(collection);
+      })
+      .catch((err) => console.warn('Could not load the offline base map:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return (
+    <Pane name="outline-basemap" style={{ zIndex: 150 }}>
+      {outline && <GeoJSON data={outline} style={OUTLINE_STYLE} interactive={false} attribution={attribution} />}
+    </Pane>
+  );
+}
+
+/**
+ * The selected base map.
+ * @param {{ baseMapId: string }} props - One of BASE_MAPS' ids; unknown ids fall back to the first.
+ */
+function BaseMapLayer({ baseMapId }) {
+  const baseMap = BASE_MAPS.find((candidate) => candidate.id === baseMapId) || BASE_MAPS[0];
+  if (!baseMap.url) return <OutlineBaseMap attribution={baseMap.attribution} />;
+  return (
+    <TileLayer
+      key={baseMap.id}
+      url={baseMap.url}
+      attribution={baseMap.attribution}
+      maxNativeZoom={baseMap.maxNativeZoom}
+    />
+  );
+}
+
+export default BaseMapLayer;
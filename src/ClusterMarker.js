@@ -0,0 +1,46 @@
+import React from 'react';
+import { Marker, Tooltip, useMap } from 'react-leaflet';
+import { CLUSTER_MAX_ZOOM, summarizeCluster } from './clustering';
+import { clusterIcon } from './markerIcons';
+
+/**
+ * Marker standing in for several nearby balloons. Hovering shows the group's
+ * averages; clicking zooms to the group so it splits apart.
+ * @param {{ cluster: { items: Array<object>, lat: number, lon: number } }} props
+ *   items carry { balloon, position, hasAlerts }.
+ */
+function ClusterMarker({ cluster }) {
+  const map = useMap();
+  const summary = summarizeCluster(cluster.items);
+
+  const zoomIn = () => {
+    const latLngs = cluster.items.map((item) => [item.position.lat, item.position.lon]);
+    map.fitBounds(latLngs, { padding: [40, 40], maxZoom: CLUSTER_MAX_ZOOM });
+  };
+
+  return (
+    <Marker
+      position={[cluster.lat, cluster.lon]}
+      icon={clusterIcon(summary.count, summary.alertCount)}
+      eventHandlers={{ click: zoomIn }}
+    >
+      <Tooltip direction="top" offset={[0, -12]}>
+        <strong>{summary.count} balloons</strong>
+        <br />
+        Avg altitude: {summary.avgAltKm !== null ? `${summary.avgAltKm.toFixed(1)} km` : 'N/A'}
+        <br />
+        Avg distance: {summary.avgDistanceKm !== null ? `${summary.avgDistanceKm.toFixed(0)} km` : 'N/A'}
+        {summary.alertCount > 0 && (
+          <>
+            <br />
+            ⚠️ {summary.alertCount} in NWS alert areas
+          </>
+        )}
+        <br />
+        <small>Click to zoom in</small>
+      </Tooltip>
+    </Marker>
+  );
+}
+
+export default React.memo(ClusterMarker);
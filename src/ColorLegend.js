@@ -0,0 +1,52 @@
+import React from 'react';
+import { COLOR_MODES } from './colorScales';
+
+/**
+ * Gradient bar with tick labels for a color scale.
+ * @param {{ scale: object }} props - Scale from createColorScale.
+ */
+export function ColorScaleBar({ scale }) {
+  const [min, max] = scale.domain;
+  const offset = (value) => (max > min ? ((value - min) / (max - min)) * 100 : 0);
+
+  return (
+    <>
+      <div className="color-scale-bar" style={{ background: scale.gradient }}></div>
+      <div className="color-scale-ticks">
+        {scale.ticks.map((tick, index) => {
+          const left = offset(tick.value);
+          const align = left <= 0 ? 'translateX(0)' : left >= 100 ? 'translateX(-100%)' : 'translateX(-50%)';
+          return (
+            <span key={index} style={{ left: `${left}%`, transform: align }}>{tick.label}</span>
+          );
+        })}
+      </div>
+    </>
+  );
+}
+
+/**
+ * Legend for the active path color scale, with the color-by mode picker.
+ * @param {{ mode: string, scale: object, onModeChange: Function }} props
+ *   scale comes from scaleForMode; its gradient and ticks drive the legend.
+ */
+function ColorLegend({ mode, scale, onModeChange }) {
+  return (
+    <div className="legend-section">
+      <h4>Balloon Path Color</h4>
+      <select
+        className="color-mode-select"
+        value={mode}
+        onChange={(e) => onModeChange(e.target.value)}
+        aria-label="Color paths by"
+      >
+        {COLOR_MODES.map((option) => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+      <ColorScaleBar scale={scale} />
+    </div>
+  );
+}
+
+export default ColorLegend;
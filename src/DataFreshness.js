@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from 'react';
+import { ALERTS_STALE_AFTER_MS, FEED_STALE_AFTER_MS, describeAge, freshness } from './freshness';
+
+const TICK_MS = 60 * 1000;
+
+function formatAsOf(receivedAt) {
+  return new Date(receivedAt).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function liveStatusText({ state, retryInMs }) {
+  if (state === 'open') return 'Live updates: on';
+  if (state === 'waiting') return `Live updates: disconnected, retrying in ${Math.ceil(retryInMs / 1000)} s`;
+  return 'Live updates: connecting…';
+}
+
+function FreshnessLine({ label, receivedAt, staleAfterMs, now }) {
+  const { level, ageMs } = freshness(receivedAt, now, staleAfterMs);
+  return (
+    <p className={`freshness freshness-${level}`}>
+      {label}: {level === 'missing' ? 'not loaded' : `as of ${formatAsOf(receivedAt)} (${describeAge(ageMs)})`}
+    </p>
+  );
+}
+
+/**
+ * "Data as of" lines for the balloon feed and NWS alerts, with an offline
+ * notice; ages tick over every minute.
+ * @param {{
+ *   online: boolean,
+ *   feedReceivedAt: number|null,
+ *   alertsReceivedAt: number|null,
+ *   servedOffline: boolean,
+ *   liveStatus: object|null
+ * }} props
+ *   servedOffline is true when some data on screen came from the service worker's offline copies;
+ *   liveStatus is the push channel's latest status from subscribeToUpdates, null when it is off.
+ */
+function DataFreshness({ online, feedReceivedAt, alertsReceivedAt, servedOffline, liveStatus }) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  return (
+    <div className="data-freshness">
+      {!online && (
+        <p className="offline-notice" role="status">
+          Offline – showing saved data. It will sync when the connection returns.
+        </p>
+      )}
+      {online && servedOffline && (
+        <p className="offline-notice" role="status">Some data could not be downloaded; showing saved copies.</p>
+      )}
+      <FreshnessLine label="Balloon data" receivedAt={feedReceivedAt} staleAfterMs={FEED_STALE_AFTER_MS} now={now} />
+      <FreshnessLine label="NWS alerts" receivedAt={alertsReceivedAt} staleAfterMs={ALERTS_STALE_AFTER_MS} now={now} />
+      {liveStatus && <p className={`live-status live-${liveStatus.state}`}>{liveStatusText(liveStatus)}</p>}
+    </div>
+  );
+}
+
+export default DataFreshness;
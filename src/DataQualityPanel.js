@@ -0,0 +1,108 @@
+import React from 'react';
+import { QUALITY_FLAGS } from './dataQuality';
+
+const MAX_BALLOONS = 50;
+
+function describeFlags(flags) {
+  return Object.entries(flags)
+    .map(([flag, count]) => `${count} ${flag}`)
+    .join(', ');
+}
+
+/**
+ * Feed issues found by the data-quality checks, per hour file and per
+ * balloon, and the switch that shows suspect points on the map.
+ * @param {{
+ *   summary: object|null,
+ *   showSuspect: boolean,
+ *   onShowSuspectChange: Function,
+ *   onSelectBalloon: Function
+ * }} props
+ *   summary comes from summarizeQuality (null before the first load);
+ *   onSelectBalloon receives a balloon ID.
+ */
+function DataQualityPanel({ summary, showSuspect, onShowSuspectChange, onSelectBalloon }) {
+  const totals = summary ? summary.totals : null;
+  const issueCount = totals
+    ? totals.corruptedHours + totals.suspectFixes + totals.invalidEntries + totals.flaggedPositions
+    : 0;
+  const hoursWithIssues = summary ? summary.hours.filter((hour) => hour.corrupted || hour.suspect > 0 || hour.invalid > 0) : [];
+
+  return (
+    <details className="side-panel quality-panel">
+      <summary>Data quality{issueCount > 0 ? ` (${issueCount})` : ''}</summary>
+
+      <label className="layer-option">
+        <input type="checkbox" checked={showSuspect} onChange={(e) => onShowSuspectChange(e.target.checked)} />
+        Show suspect points on the map
+      </label>
+
+      {!summary && <p className="data-note">Checks run when the feed loads.</p>}
+
+      {totals && (
+        <p className="data-note">
+          {totals.corruptedHours} corrupted {totals.corruptedHours === 1 ? 'hour' : 'hours'} ·{' '}
+          {totals.suspectFixes} suspect fixes · {totals.invalidEntries} unreadable entries ·{' '}
+          {totals.flaggedPositions} flagged track points
+        </p>
+      )}
+
+      {summary && (
+        <>
+          <h4>Per hour</h4>
+          {hoursWithIssues.length === 0 ? (
+            <small>No issues in the hourly files.</small>
+          ) : (
+            <table className="quality-table">
+              <thead>
+                <tr><th>File</th><th>Usable</th><th>Suspect</th><th>Unreadable</th><th>Notes</th></tr>
+              </thead>
+              <tbody>
+                {hoursWithIssues.map((hour) => (
+                  <tr key={hour.hour} className={hour.corrupted ? 'corrupted' : undefined}>
+                    <td>{hour.hour.toString().padStart(2, '0')}.json</td>
+                    <td>{hour.usable}</td>
+                    <td>{hour.suspect}</td>
+                    <td>{hour.invalid}</td>
+                    <td>{[hour.reason, describeFlags(hour.flags)].filter(Boolean).join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <h4>Per balloon</h4>
+          {summary.balloons.length === 0 ? (
+            <small>No flagged track points.</small>
+          ) : (
+            <ul className="quality-balloons">
+              {summary.balloons.slice(0, MAX_BALLOONS).map((entry) => (
+                <li key={entry.id}>
+                  <button type="button" className="link-button" onClick={() => onSelectBalloon(entry.id)}>
+                    {entry.id}
+                  </button>{' '}
+                  <small>{describeFlags(entry.flags)}</small>
+                </li>
+              ))}
+            </ul>
+          )}
+          {summary.balloons.length > MAX_BALLOONS && (
+            <small>and {summary.balloons.length - MAX_BALLOONS} more balloons</small>
+          )}
+
+          <h4>Checks</h4>
+          <dl className="quality-flags">
+            {Object.entries(QUALITY_FLAGS).map(([flag, description]) => (
+              <React.Fragment key={flag}>
+                <dt>{flag}</dt>
+                <dd>{description}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        </>
+      )}
+    </details>
+  );
+}
+
+export default DataQualityPanel;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, buildExportTracks } from './exporters';
+import { downloadText } from './download';
+
+function formatTime(time) {
+  return time.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Panel for downloading the balloons currently on the map as GeoJSON, KML, GPX or CSV.
+ * Exports only the balloons the list filters leave on the map, only the fixes
+ * inside the active path-history window (ending at the replayed moment when
+ * replaying), and only the selected balloons when there is a selection, whether
+ * or not the list filters show them.
+ * @param {{
+ *   balloons: Array<object>,
+ *   allBalloons: Array<object>,
+ *   totalCount: number,
+ *   filtered: boolean,
+ *   from: Date,
+ *   to: Date,
+ *   replaying: boolean,
+ *   selectedIds: Array<string>,
+ *   onClearSelection: Function
+ * }} props
+ *   balloons are those shown on the map; allBalloons are every loaded balloon, which the
+ *   selection is taken from; totalCount counts those on the map before the list filters.
+ */
+function ExportPanel({ balloons, allBalloons, totalCount, filtered, from, to, replaying, selectedIds, onClearSelection }) {
+  const [format, setFormat] = useState('geojson');
+
+  const tracks = buildExportTracks(selectedIds.length > 0 ? allBalloons : balloons, { from, to, selectedIds });
+  const pointCount = tracks.reduce((sum, track) => sum + track.positions.length, 0);
+  const selectedCount = allBalloons.filter((balloon) => selectedIds.includes(balloon.id)).length;
+  const scope = selectedIds.length > 0 ? `${selectedCount} selected balloons`
+    : filtered ? `${balloons.length} of ${totalCount} balloons matching the list filters`
+      : `All ${totalCount} balloons`;
+
+  const handleExport = () => {
+    const { serialize, extension, mimeType } = EXPORT_FORMATS[format];
+    const stamp = to.toISOString().slice(0, 16).replace(/[:T]/g, '-');
+    downloadText(serialize(tracks), `windborne-balloons-${stamp}.${extension}`, mimeType);
+  };
+
+  return (
+    <div className="export-panel">
+      <h4>Export Tracks</h4>
+      <p>
+        {scope}: {tracks.length} tracks, {pointCount} points
+      </p>
+      <p className="data-note">
+        Fixes from {formatTime(from)} to {formatTime(to)}{replaying ? ' (replay)' : ''}
+      </p>
+      {selectedIds.length > 0 && (
+        <button type="button" className="link-button" onClick={onClearSelection}>Clear selection</button>
+      )}
+      <div className="export-actions">
+        <select value={format} onChange={(e) => setFormat(e.target.value)} aria-label="Export format">
+          {Object.entries(EXPORT_FORMATS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+        <button type="button" onClick={handleExport} disabled={tracks.length === 0}>Download</button>
+      </div>
+    </div>
+  );
+}
+
+export default ExportPanel;
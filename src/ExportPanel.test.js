@@ -0,0 +1,61 @@
+import { render, screen } from '@testing-library/react';
+import ExportPanel from './ExportPanel';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date(Date.UTC(2025, 4, 1, 12));
+
+const balloons = ['4', '7'].map((id) => ({
+  id,
+  totalDistance: 50,
+  positions: [0, 1, 2].map((h) => ({ lat: 35 + h, lon: -97, alt: 14, timestamp: new Date(T0 - h * HOUR) })),
+}));
+
+function renderPanel(props) {
+  return render(
+    <ExportPanel
+      balloons={balloons}
+      allBalloons={balloons}
+      totalCount={2}
+      filtered={false}
+      from={new Date(T0 - 1.5 * HOUR)}
+      to={T0}
+      replaying={false}
+      selectedIds={[]}
+      onClearSelection={() => {}}
+      {...props}
+    />
+  );
+}
+
+test('exports every balloon on the map inside the path window', () => {
+  renderPanel();
+
+  expect(screen.getByText('All 2 balloons: 2 tracks, 4 points')).toBeInTheDocument();
+});
+
+test('says when the list filters or the selection narrow the export', () => {
+  const { rerender } = renderPanel({ balloons: balloons.slice(1), totalCount: 5, filtered: true });
+  expect(screen.getByText('1 of 5 balloons matching the list filters: 1 tracks, 2 points')).toBeInTheDocument();
+
+  rerender(
+    <ExportPanel
+      balloons={balloons}
+      allBalloons={balloons}
+      totalCount={5}
+      filtered
+      from={new Date(T0 - 1.5 * HOUR)}
+      to={T0}
+      replaying
+      selectedIds={['4']}
+      onClearSelection={() => {}}
+    />
+  );
+  expect(screen.getByText('1 selected balloons: 1 tracks, 2 points')).toBeInTheDocument();
+  expect(screen.getByText(/^Fixes from .* \(replay\)$/)).toBeInTheDocument();
+});
+
+test('exports the selection even when the list filters hide it', () => {
+  renderPanel({ balloons: balloons.slice(1), totalCount: 5, filtered: true, selectedIds: ['4'] });
+
+  expect(screen.getByText('1 selected balloons: 1 tracks, 2 points')).toBeInTheDocument();
+});
@@ -0,0 +1,91 @@
+import React from 'react';
+import { Polygon, Polyline } from 'react-leaflet';
+import { forecastCone, findRegionCrossing } from './forecast';
+import { unwrapLongitude } from './geo';
+
+/**
+ * Converts [lat, lon] pairs so consecutive longitudes never jump across the antimeridian.
+ * @param {Array<[number, number]>} latLngs
+ * @returns {Array<[number, number]>}
+ */
+function continuousLatLngs(latLngs) {
+  const result = [];
+  latLngs.forEach(([lat, lon], i) => {
+    result.push([lat, i === 0 ? lon : unwrapLongitude(lon, result[i - 1][1])]);
+  });
+  return result;
+}
+
+/**
+ * Draws a balloon's forecast as an uncertainty cone with a dashed centre line
+ * that fades out with lead time.
+ * @param {{ balloonId: string, prediction: object, color: string }} props
+ */
+function ForecastLayer({ balloonId, prediction, color }) {
+  if (!prediction || prediction.steps.length === 0) return null;
+
+  const line = continuousLatLngs([
+    [prediction.start.lat, prediction.start.lon],
+    ...prediction.steps.map((step) => [step.lat, step.lon]),
+  ]);
+  const cone = continuousLatLngs(forecastCone(prediction));
+
+  return (
+    <>
+      <Polygon
+        key={`forecast-cone-${balloonId}`}
+        positions={cone}
+        pathOptions={{ stroke: false, fillColor: color, fillOpacity: 0.12, interactive: false }}
+      />
+      {line.slice(1).map((point, i) => (
+        <Polyline
+          key={`forecast-line-${balloonId}-${i}`}
+          positions={[line[i], point]}
+          pathOptions={{
+            color,
+            weight: 2,
+            dashArray: '2,6',
+            opacity: 0.9 * (1 - i / line.length),
+            interactive: false,
+          }}
+        />
+      ))}
+    </>
+  );
+}
+
+/**
+ * Popup section with the forecast end point, its uncertainty and the next border crossing.
+ * Rendered only while the popup is open, so the region lookup runs on demand.
+ * @param {{ prediction: object|null, regionLookup: Function|null }} props
+ */
+export function ForecastSummary({ prediction, regionLookup }) {
+  if (!prediction || prediction.steps.length === 0) {
+    return <p className="forecast-summary">Forecast: not enough history</p>;
+  }
+
+  const last = prediction.steps[prediction.steps.length - 1];
+  const crossing = regionLookup ? findRegionCrossing(prediction, regionLookup) : null;
+  const regionName = (name) => name || 'open water';
+
+  let crossingText;
+  if (!regionLookup) {
+    crossingText = 'loading boundaries...';
+  } else if (crossing) {
+    crossingText = `${regionName(crossing.from)} → ${regionName(crossing.to)} at ${crossing.timestamp.toLocaleTimeString()} (+${crossing.hoursAhead.toFixed(1)}h)`;
+  } else {
+    crossingText = `none within ${last.hoursAhead}h`;
+  }
+
+  return (
+    <div className="forecast-summary">
+      <h4>Forecast (+{last.hoursAhead}h)</h4>
+      <p>Position: {last.lat.toFixed(3)}, {last.lon.toFixed(3)}</p>
+      <p>Uncertainty: ±{last.uncertaintyKm.toFixed(0)} km</p>
+      <p>Drift: {prediction.motion.speedKmh.toFixed(0)} km/h, turning {prediction.motion.turnRateDegPerHour.toFixed(1)}°/h</p>
+      <p>Next border: {crossingText}</p>
+    </div>
+  );
+}
+
+export default ForecastLayer;
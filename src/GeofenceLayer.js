@@ -0,0 +1,144 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Circle, CircleMarker, Polygon, Polyline, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+import { calculateDistance } from './geo';
+
+const FENCE_COLOR = '#5e35b1';
+const DRAFT_COLOR = '#ff6f00';
+
+// GeoJSON polygon coordinates ([lon, lat] rings) as Leaflet positions.
+function polygonPositions(geometry) {
+  const toLatLngs = (rings) => rings.map((ring) => ring.map(([lon, lat]) => [lat, lon]));
+  return geometry.type === 'MultiPolygon' ? geometry.coordinates.map(toLatLngs) : toLatLngs(geometry.coordinates);
+}
+
+/**
+ * Draws a new fence from map clicks. Polygons: click each corner, then click
+ * the first corner or double-click to close. Circles: click the centre, then
+ * the edge. Escape cancels.
+ * @param {{ shape: string, onComplete: Function, onCancel: Function }} props
+ *   onComplete receives the fields for createFence.
+ */
+export function GeofenceEditor({ shape, onComplete, onCancel }) {
+  const map = useMap();
+  const [points, setPoints] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  // The clicks of a double-click can arrive before a re-render, so handlers read the corners from here.
+  const pointsRef = useRef([]);
+  const updatePoints = (next) => {
+    pointsRef.current = next;
+    setPoints(next);
+  };
+
+  // Double-clicks finish polygons rather than zoom while drawing.
+  useEffect(() => {
+    const container = map.getContainer();
+    map.doubleClickZoom.disable();
+    container.classList.add('drawing-fence');
+    return () => {
+      map.doubleClickZoom.enable();
+      container.classList.remove('drawing-fence');
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  }, [onCancel]);
+
+  const finishPolygon = (corners) => {
+    const ring = corners.map((p) => [p.lng, p.lat]);
+    onComplete({ shape: 'polygon', geometry: { type: 'Polygon', coordinates: [[...ring, ring[0]]] } });
+  };
+
+  useMapEvents({
+    click(e) {
+      const points = pointsRef.current;
+      if (shape === 'circle') {
+        if (points.length === 0) {
+          updatePoints([e.latlng]);
+        } else {
+          const [center] = points;
+          const radiusKm = calculateDistance(center.lat, center.lng, e.latlng.lat, e.latlng.lng);
+          if (radiusKm > 0) onComplete({ shape: 'circle', center: { lat: center.lat, lon: center.lng }, radiusKm });
+        }
+        return;
+      }
+      const first = points[0];
+      const closesRing = first && points.length >= 3
+        && map.latLngToContainerPoint(first).distanceTo(map.latLngToContainerPoint(e.latlng)) < 10;
+      if (closesRing) {
+        finishPolygon(points);
+      } else {
+        updatePoints([...points, e.latlng]);
+      }
+    },
+    dblclick() {
+      // The double-click's own clicks have already added its point twice.
+      const corners = pointsRef.current.slice(0, -1);
+      if (shape === 'polygon' && corners.length >= 3) finishPolygon(corners);
+    },
+    mousemove(e) {
+      setCursor(e.latlng);
+    },
+  });
+
+  if (shape === 'circle') {
+    if (points.length === 0 || !cursor) return null;
+    const [center] = points;
+    return (
+      <Circle
+        center={center}
+        radius={calculateDistance(center.lat, center.lng, cursor.lat, cursor.lng) * 1000}
+        pathOptions={{ color: DRAFT_COLOR, dashArray: '4 4' }}
+        interactive={false}
+      />
+    );
+  }
+  return (
+    <>
+      {points.length > 0 && (
+        <Polyline
+          positions={cursor ? [...points, cursor] : points}
+          pathOptions={{ color: DRAFT_COLOR, dashArray: '4 4' }}
+          interactive={false}
+        />
+      )}
+      {points.map((point, i) => (
+        <CircleMarker key={i} center={point} radius={i === 0 ? 6 : 4} pathOptions={{ color: DRAFT_COLOR }} interactive={false} />
+      ))}
+    </>
+  );
+}
+
+/**
+ * Saved fences, with their name and how many balloons are inside.
+ * @param {{ summaries: Array<object>, selectedId: string|null }} props - summaries from summarizeFence.
+ */
+function GeofenceLayer({ summaries, selectedId }) {
+  return summaries.map(({ fence, insideIds }) => {
+    const pathOptions = {
+      color: FENCE_COLOR,
+      weight: fence.id === selectedId ? 4 : 2,
+      fillOpacity: fence.id === selectedId ? 0.15 : 0.06,
+    };
+    const tooltip = (
+      <Tooltip sticky>
+        {fence.name}: {insideIds.length} {insideIds.length === 1 ? 'balloon' : 'balloons'} inside
+      </Tooltip>
+    );
+    return fence.shape === 'circle' ? (
+      <Circle key={fence.id} center={[fence.center.lat, fence.center.lon]} radius={fence.radiusKm * 1000} pathOptions={pathOptions}>
+        {tooltip}
+      </Circle>
+    ) : (
+      <Polygon key={fence.id} positions={polygonPositions(fence.geometry)} pathOptions={pathOptions}>
+        {tooltip}
+      </Polygon>
+    );
+  });
+}
+
+export default GeofenceLayer;
@@ -0,0 +1,138 @@
+import React, { useRef, useState } from 'react';
+import { FENCE_SHAPES, fencesToGeoJSON, parseFencesGeoJSON } from './geofences';
+import { downloadText } from './download';
+
+const DRAW_HINTS = {
+  polygon: 'Click the corners on the map; click the first corner or double-click to close. Esc cancels.',
+  circle: 'Click the centre, then a point on the edge. Esc cancels.',
+};
+
+function formatDuration(ms) {
+  const hours = ms / (60 * 60 * 1000);
+  return hours < 1 ? `${Math.round(hours * 60)} min` : `${hours.toFixed(1)} h`;
+}
+
+function formatTime(time) {
+  return time.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Geofence list with drawing, renaming, GeoJSON import/export and, per fence,
+ * the balloons inside now and those that entered or left in the history window.
+ * @param {{
+ *   summaries: Array<object>,
+ *   drawingShape: string|null,
+ *   onDraw: Function,
+ *   onFencesChange: Function,
+ *   selectedId: string|null,
+ *   onSelectFence: Function,
+ *   onSelectBalloon: Function,
+ *   windowHours: number
+ * }} props
+ *   summaries come from summarizeFence, one per fence in order; onDraw receives a shape or null to cancel;
+ *   onFencesChange receives the new fence list; onSelectBalloon receives a balloon ID.
+ */
+function GeofencePanel({ summaries, drawingShape, onDraw, onFencesChange, selectedId, onSelectFence, onSelectBalloon, windowHours }) {
+  const fileInputRef = useRef(null);
+  const [importMessage, setImportMessage] = useState(null);
+  const fences = summaries.map((summary) => summary.fence);
+
+  const updateFence = (id, changes) => onFencesChange(fences.map((fence) => (fence.id === id ? { ...fence, ...changes } : fence)));
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parseFencesGeoJSON(JSON.parse(await file.text()));
+      onFencesChange([...fences, ...imported]);
+      setImportMessage(imported.length > 0
+        ? `Imported ${imported.length} ${imported.length === 1 ? 'fence' : 'fences'} from ${file.name}.`
+        : `No polygons or circles found in ${file.name}.`);
+    } catch (err) {
+      console.warn('Could not import geofences:', err);
+      setImportMessage(`Could not read ${file.name} as GeoJSON.`);
+    }
+  };
+
+  const handleExport = () => {
+    downloadText(JSON.stringify(fencesToGeoJSON(fences), null, 2), 'windborne-geofences.geojson', 'application/geo+json');
+  };
+
+  return (
+    <details className="side-panel geofence-panel">
+      <summary>Geofences ({fences.length})</summary>
+
+      <div className="geofence-actions">
+        {drawingShape ? (
+          <>
+            <p className="data-note">{DRAW_HINTS[drawingShape]}</p>
+            <button type="button" onClick={() => onDraw(null)}>Cancel drawing</button>
+          </>
+        ) : (
+          Object.entries(FENCE_SHAPES).map(([shape, label]) => (
+            <button key={shape} type="button" onClick={() => onDraw(shape)}>Draw {label.toLowerCase()}</button>
+          ))
+        )}
+      </div>
+      <div className="geofence-actions">
+        <button type="button" className="link-button" onClick={() => fileInputRef.current.click()}>Import GeoJSON</button>
+        <button type="button" className="link-button" onClick={handleExport} disabled={fences.length === 0}>Export GeoJSON</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".geojson,.json,application/geo+json,application/json"
+          onChange={handleImport}
+          hidden
+        />
+      </div>
+      {importMessage && <p className="data-note">{importMessage}</p>}
+
+      {summaries.length === 0 && <p className="data-note">Draw or import a region to track balloons in it.</p>}
+      {summaries.map(({ fence, insideIds, enteredIds, exitedIds, balloons }) => (
+        <div key={fence.id} className={`geofence-item${fence.id === selectedId ? ' selected' : ''}`}>
+          <div className="geofence-header">
+            <input
+              type="text"
+              value={fence.name}
+              onChange={(e) => updateFence(fence.id, { name: e.target.value })}
+              onFocus={() => onSelectFence(fence.id)}
+              aria-label="Fence name"
+            />
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => onFencesChange(fences.filter((f) => f.id !== fence.id))}
+              aria-label={`Delete ${fence.name}`}
+            >
+              Delete
+            </button>
+          </div>
+          <small>
+            {insideIds.length} inside now · {enteredIds.length} entered · {exitedIds.length} left (last {windowHours} h)
+          </small>
+          {balloons.length > 0 && (
+            <details onToggle={(e) => e.currentTarget.open && onSelectFence(fence.id)}>
+              <summary>Balloons</summary>
+              <ul className="geofence-balloons">
+                {balloons.map((entry) => (
+                  <li key={entry.id}>
+                    <button type="button" className="link-button" onClick={() => onSelectBalloon(entry.id)}>{entry.id}</button>
+                    {entry.insideNow ? ' (inside)' : ''} · {formatDuration(entry.totalMs)} inside
+                    {entry.events.map((event) => (
+                      <div key={`${event.type}-${event.time.getTime()}`}>
+                        <small>{event.type === 'enter' ? 'Entered' : 'Left'} {formatTime(event.time)}</small>
+                      </div>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+      ))}
+    </details>
+  );
+}
+
+export default GeofencePanel;
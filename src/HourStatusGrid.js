@@ -0,0 +1,60 @@
+import React from 'react';
+
+const STATE_LABELS = {
+  loaded: 'Downloaded',
+  cached: 'From cache',
+  failed: 'Failed',
+  corrupted: 'Looks corrupted',
+  pending: 'Not fetched yet',
+};
+
+const SOURCE_LABELS = {
+  network: 'downloaded',
+  'not-modified': 'unchanged since last download (304)',
+  cache: 'fetched in the last few minutes, not requested again',
+  stale: 'older copy served from cache',
+  offline: 'offline copy saved by the service worker',
+};
+
+/**
+ * Grid of the 24 hourly feed files (00.json is the newest) showing which
+ * loaded, came from the fetch cache, failed or failed the data-quality checks
+ * in the last refresh.
+ * @param {{ statuses: Array<{ hour: number, state: string, source: string|null, detail: string|null }> }} props
+ */
+function HourStatusGrid({ statuses }) {
+  const byHour = new Map(statuses.map((status) => [status.hour, status]));
+  const counts = statuses.reduce((acc, status) => ({ ...acc, [status.state]: (acc[status.state] || 0) + 1 }), {});
+
+  return (
+    <div className="hour-status">
+      <h4>Hourly feed</h4>
+      <div className="hour-status-grid" role="list" aria-label="Hourly data files">
+        {Array.from({ length: 24 }, (_, hour) => {
+          const status = byHour.get(hour) || { hour, state: 'pending', source: null, detail: null };
+          const name = `${hour.toString().padStart(2, '0')}.json`;
+          const description = [
+            `${name}: ${STATE_LABELS[status.state]}`,
+            status.source && status.state !== 'failed' ? SOURCE_LABELS[status.source] : null,
+            status.detail,
+          ].filter(Boolean).join(' – ');
+          return (
+            <span key={hour} role="listitem" className={`hour-cell hour-${status.state}`} title={description} aria-label={description}>
+              {hour.toString().padStart(2, '0')}
+            </span>
+          );
+        })}
+      </div>
+      {statuses.length > 0 && (
+        <small>
+          {['loaded', 'cached', 'corrupted', 'failed']
+            .filter((state) => counts[state])
+            .map((state) => `${counts[state]} ${STATE_LABELS[state].toLowerCase()}`)
+            .join(' · ')}
+        </small>
+      )}
+    </div>
+  );
+}
+
+export default HourStatusGrid;
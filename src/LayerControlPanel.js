@@ -0,0 +1,115 @@
+import React from 'react';
+import { ALERT_SEVERITY_LEVELS, BASE_MAPS, DEFAULT_LAYER_SETTINGS } from './mapLayers';
+
+const OVERLAYS = [
+  { key: 'showAlerts', label: 'NWS alert areas' },
+  { key: 'showPaths', label: 'Balloon paths' },
+  { key: 'showMarkers', label: 'Balloon markers' },
+  { key: 'showForecast', label: 'Forecast cones' },
+  { key: 'showProximity', label: 'Close approaches' },
+];
+
+function toggleItem(list, item) {
+  return list.includes(item) ? list.filter((x) => x !== item) : [...list, item];
+}
+
+/**
+ * Base map picker, overlay toggles and NWS alert filters.
+ * @param {{
+ *   settings: object,
+ *   onSettingsChange: Function,
+ *   eventTypes: Array<{ event: string, count: number }>,
+ *   unavailableZoneAlerts?: number
+ * }} props
+ *   settings are shaped like DEFAULT_LAYER_SETTINGS; eventTypes are those in the current alerts;
+ *   unavailableZoneAlerts counts alerts whose zone shapes could not be loaded.
+ */
+function LayerControlPanel({ settings, onSettingsChange, eventTypes, unavailableZoneAlerts = 0 }) {
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+  const filteredCount = (ALERT_SEVERITY_LEVELS.length - settings.alertSeverities.length)
+    + eventTypes.filter(({ event }) => settings.hiddenEventTypes.includes(event)).length;
+
+  return (
+    <details className="side-panel layer-panel">
+      <summary>Layers</summary>
+
+      <h4>Base map</h4>
+      <select
+        value={settings.baseMap}
+        onChange={(e) => update({ baseMap: e.target.value })}
+        aria-label="Base map"
+      >
+        {BASE_MAPS.map((baseMap) => <option key={baseMap.id} value={baseMap.id}>{baseMap.label}</option>)}
+      </select>
+      {settings.baseMap === 'outline' && <p className="data-note">Country outlines bundled with the app; no tiles are downloaded.</p>}
+
+      <h4>Overlays</h4>
+      {OVERLAYS.map(({ key, label }) => (
+        <label key={key} className="layer-option">
+          <input type="checkbox" checked={settings[key]} onChange={(e) => update({ [key]: e.target.checked })} />
+          {label}
+        </label>
+      ))}
+
+      <h4>
+        Alert severities
+        {filteredCount > 0 && (
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => update({
+              alertSeverities: DEFAULT_LAYER_SETTINGS.alertSeverities,
+              hiddenEventTypes: DEFAULT_LAYER_SETTINGS.hiddenEventTypes,
+            })}
+          >
+            Show all
+          </button>
+        )}
+      </h4>
+      <div className="layer-severities">
+        {ALERT_SEVERITY_LEVELS.map((level) => (
+          <label key={level} className="layer-option">
+            <input
+              type="checkbox"
+              checked={settings.alertSeverities.includes(level)}
+              onChange={() => {
+                const next = toggleItem(settings.alertSeverities, level);
+                update({ alertSeverities: ALERT_SEVERITY_LEVELS.filter((l) => next.includes(l)) });
+              }}
+            />
+            <span className={`legend-color-box layer-swatch-${level.toLowerCase()}`}></span>
+            {level}
+          </label>
+        ))}
+      </div>
+
+      <h4>Alert types</h4>
+      {eventTypes.length === 0 ? (
+        <p className="data-note">No active alerts loaded.</p>
+      ) : (
+        <ul className="layer-event-types">
+          {eventTypes.map(({ event, count }) => (
+            <li key={event}>
+              <label className="layer-option">
+                <input
+                  type="checkbox"
+                  checked={!settings.hiddenEventTypes.includes(event)}
+                  onChange={() => update({ hiddenEventTypes: toggleItem(settings.hiddenEventTypes, event) })}
+                />
+                {event || 'Unnamed alert'} ({count})
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+      {unavailableZoneAlerts > 0 && (
+        <p className="data-note">
+          {unavailableZoneAlerts} forecast or marine zone alerts are not drawn or matched: the NWS zones API could
+          not be reached and their zones were not cached on an earlier visit.
+        </p>
+      )}
+    </details>
+  );
+}
+
+export default LayerControlPanel;
@@ -1,28 +1,21 @@
 import React from 'react';
 import { Polygon, Popup } from 'react-leaflet';
+import { polygonsOf } from './geometry';
+import { severityLevel } from './mapLayers';
+
+const GEOMETRY_SOURCES = {
+  zones: 'the NWS zones the alert lists',
+  counties: 'the boundaries of the counties the alert lists',
+};
 
 /**
- * Get color based on alert severity
+ * Get the CSS class for an alert severity (colors are in App.css).
  * @param {string} severity - The alert severity level
- * @returns {object} - The path options for styling
+ * @returns {string}
  */
-function getSeverityStyle(severity) {
-  if (!severity) return { className: 'alert-unknown' };
-  
-  const severityLower = severity.toLowerCase();
-  
-  if (severityLower === 'extreme') {
-    return { className: 'alert-extreme' };
-  } else if (severityLower === 'severe') {
-    return { className: 'alert-severe' };
-  } else if (severityLower === 'moderate') {
-    return { className: 'alert-moderate' };
-  } else if (severityLower === 'minor') {
-    return { className: 'alert-minor' };
-  } else {
-    // Default to moderate for any other severity
-    return { className: 'alert-moderate' };
-  }
+function getSeverityClass(severity) {
+  // Unrecognized severities are drawn as moderate; missing ones as unknown.
+  return `alert-${severityLevel(severity).toLowerCase()}`;
 }
 
 /**
@@ -40,43 +33,25 @@ function NWSAlertsLayer({ allAlerts }) {
   return (
     <>
       {allAlerts.features.map((feature) => {
-        // Basic validation for Polygon geometry and coordinates
-        if (
-          !feature ||
-          !feature.geometry ||
-          feature.geometry.type !== 'Polygon' ||
-          !feature.geometry.coordinates ||
-          !Array.isArray(feature.geometry.coordinates[0]) ||
-          feature.geometry.coordinates[0].length < 3 // Need at least 3 points for a polygon
-        ) {
-          // console.log(`NWSAlertsLayer: Skipping feature ${feature?.properties?.id} due to invalid/missing Polygon geometry.`);
-          return null; // Skip features without valid Polygon geometry
+        // Polygon, MultiPolygon (with holes) or GeometryCollection; zone-only
+        // alerts have had their geometry filled in by resolveAlertZones.
+        const polygons = polygonsOf(feature && feature.geometry);
+        if (polygons.length === 0) {
+          return null; // Skip features without a usable polygon
         }
 
-        // NWS GeoJSON coordinates are [lon, lat], Leaflet needs [lat, lon]
-        // We need to swap the order for each coordinate pair.
-        let leafletPositions;
-        try {
-          leafletPositions = feature.geometry.coordinates[0].map(coord => {
-            if (!Array.isArray(coord) || coord.length !== 2 || typeof coord[0] !== 'number' || typeof coord[1] !== 'number') {
-              throw new Error(`Invalid coordinate pair found: ${JSON.stringify(coord)}`);
-            }
-            // Swap [lon, lat] to [lat, lon]
-            return [coord[1], coord[0]];
-          });
-        } catch (error) {
-           console.warn(`NWSAlertsLayer: Error processing coordinates for alert ${feature.properties?.id}: ${error.message}`);
-           return null; // Skip this feature if coordinates are bad
-        }
+        // NWS GeoJSON coordinates are [lon, lat], Leaflet needs [lat, lon].
+        // Leaflet takes [[outer, ...holes], ...] for multi-polygons.
+        const leafletPositions = polygons.map((rings) =>
+          rings.map((ring) => ring.map(([lon, lat]) => [lat, lon]))
+        );
 
         const alertProps = feature.properties || {};
         const alertId = alertProps.id || `feature-${Math.random()}`; // Use ID or generate fallback key
 
-        // Use severity to determine styling
-        const pathOptions = getSeverityStyle(alertProps.severity);
-
+        // Leaflet only reads className when the layer is created; setStyle (pathOptions) ignores it.
         return (
-          <Polygon key={alertId} pathOptions={pathOptions} positions={leafletPositions}>
+          <Polygon key={alertId} className={getSeverityClass(alertProps.severity)} positions={leafletPositions}>
             <Popup>
               <div>
                 <h4>{alertProps.event || 'Weather Alert'}</h4>
@@ -86,6 +61,9 @@ function NWSAlertsLayer({ allAlerts }) {
                 <p><small>{alertProps.headline || 'No headline.'}</small></p>
                  <p><small>Effective: {alertProps.effective ? new Date(alertProps.effective).toLocaleString() : 'N/A'}</small></p>
                  <p><small>Expires: {alertProps.expires ? new Date(alertProps.expires).toLocaleString() : 'N/A'}</small></p>
+                 {alertProps.geometrySource && (
+                   <p><small>Area drawn from {GEOMETRY_SOURCES[alertProps.geometrySource]}.</small></p>
+                 )}
                  {/* Link to full alert if available? */}
                  {/* <p><a href={alertProps['@id']} target="_blank" rel="noopener noreferrer">More Info</a></p> */}
               </div>
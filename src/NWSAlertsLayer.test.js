@@ -0,0 +1,59 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MapContainer } from 'react-leaflet';
+import NWSAlertsLayer from './NWSAlertsLayer';
+import nwsAlerts, { malformedNwsAlerts } from './__fixtures__/nwsAlerts';
+
+function renderLayer(allAlerts) {
+  return render(
+    <MapContainer center={[38, -95]} zoom={4}>
+      <NWSAlertsLayer allAlerts={allAlerts} />
+    </MapContainer>
+  );
+}
+
+// Leaflet's SVG paths have no accessible role to query by.
+// eslint-disable-next-line testing-library/no-node-access
+const alertPaths = (container) => Array.from(container.querySelectorAll('path.leaflet-interactive'));
+
+beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+test('draws the alerts that have polygons, styled by severity', () => {
+  const { container } = renderLayer(nwsAlerts);
+  const paths = alertPaths(container);
+
+  // The zone-only, marine and county alerts have no geometry until their zones are resolved.
+  expect(paths).toHaveLength(2);
+  expect(paths[0]).toHaveClass('alert-severe');
+  expect(paths[1]).toHaveClass('alert-moderate');
+});
+
+test('opens an alert popup when its area is clicked', async () => {
+  const { container } = renderLayer({
+    ...nwsAlerts,
+    features: [{
+      ...nwsAlerts.features[0],
+      properties: { ...nwsAlerts.features[0].properties, certainty: 'Likely', headline: 'Severe Thunderstorm Warning until 2:45PM CDT', geometrySource: 'zones' },
+    }],
+  });
+
+  userEvent.click(alertPaths(container)[0]);
+
+  expect(await screen.findByRole('heading', { name: 'Severe Thunderstorm Warning' })).toBeInTheDocument();
+  expect(screen.getByText('Likely')).toBeInTheDocument();
+  expect(screen.getByText('Severe Thunderstorm Warning until 2:45PM CDT')).toBeInTheDocument();
+  expect(screen.getByText('Area drawn from the NWS zones the alert lists.')).toBeInTheDocument();
+});
+
+test('skips malformed features and survives a missing payload', () => {
+  const { container } = renderLayer(malformedNwsAlerts);
+  const paths = alertPaths(container);
+
+  expect(paths).toHaveLength(2);
+  expect(paths[0]).toHaveClass('alert-severe');
+  expect(paths[1]).toHaveClass('alert-unknown');
+
+  const view = renderLayer(null);
+  expect(alertPaths(view.container)).toHaveLength(0);
+});
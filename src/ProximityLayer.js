@@ -0,0 +1,59 @@
+import React from 'react';
+import { Circle, CircleMarker, Polyline, Tooltip } from 'react-leaflet';
+import { unwrapLongitude } from './geo';
+
+const CLOSE_NOW_COLOR = '#c62828';
+const FORECAST_COLOR = '#ef6c00';
+const POINT_COLOR = '#37474f';
+
+function pairLabel(approach) {
+  const names = approach.point ? [...approach.balloonIds, approach.point.name] : approach.balloonIds;
+  const when = approach.forecast
+    ? `forecast ${approach.time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+    : 'now';
+  return `${names.join(' ↔ ')}: ${approach.distanceKm.toFixed(1)} km ${when}`;
+}
+
+/**
+ * Lines joining each close pair where they come closest, solid for pairs
+ * within the limits now and dashed for forecast ones, and the fixed points
+ * with a ring at the horizontal limit.
+ * @param {{ approaches: Array<object>, points: Array<object>, horizontalKm: number }} props
+ *   approaches come from findCloseApproaches.
+ */
+function ProximityLayer({ approaches, points, horizontalKm }) {
+  return (
+    <>
+      {points.map((point) => (
+        <React.Fragment key={point.id}>
+          <Circle
+            center={[point.lat, point.lon]}
+            radius={horizontalKm * 1000}
+            pathOptions={{ color: POINT_COLOR, weight: 1, dashArray: '2 6', fill: false }}
+            interactive={false}
+          />
+          <CircleMarker center={[point.lat, point.lon]} radius={5} pathOptions={{ color: POINT_COLOR, fillOpacity: 0.8 }}>
+            <Tooltip>{point.name}</Tooltip>
+          </CircleMarker>
+        </React.Fragment>
+      ))}
+      {approaches.map((approach) => (
+        <Polyline
+          key={approach.id}
+          positions={[
+            [approach.from.lat, approach.from.lon],
+            // The shorter way round, for pairs either side of the antimeridian.
+            [approach.to.lat, unwrapLongitude(approach.to.lon, approach.from.lon)],
+          ]}
+          pathOptions={approach.closeNow
+            ? { color: CLOSE_NOW_COLOR, weight: 3 }
+            : { color: FORECAST_COLOR, weight: 2, dashArray: '6 6' }}
+        >
+          <Tooltip>{pairLabel(approach)}</Tooltip>
+        </Polyline>
+      ))}
+    </>
+  );
+}
+
+export default React.memo(ProximityLayer);
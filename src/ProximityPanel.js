@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { MAX_FORECAST_HOURS } from './forecast';
+import { formatFixedPoints, parseFixedPoints } from './proximity';
+
+function formatTime(time) {
+  return time.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function describeTime(approach) {
+  return approach.forecast ? `forecast ${formatTime(approach.time)}` : 'now';
+}
+
+/**
+ * Close approaches between balloons and to fixed points, with the separation
+ * limits, forecast horizon and the list of fixed points to watch.
+ * @param {{
+ *   approaches: Array<object>,
+ *   settings: object,
+ *   onSettingsChange: Function,
+ *   onSelectBalloon: Function
+ * }} props
+ *   approaches come from findCloseApproaches; settings are shaped like DEFAULT_PROXIMITY_SETTINGS;
+ *   onSelectBalloon receives a balloon ID.
+ */
+function ProximityPanel({ approaches, settings, onSettingsChange, onSelectBalloon }) {
+  const [pointsText, setPointsText] = useState(() => formatFixedPoints(settings.points));
+  const [pointErrors, setPointErrors] = useState([]);
+  // Typed limits, kept as text so "0." can be typed on the way to "0.5"; only positive numbers apply.
+  const [limitText, setLimitText] = useState(() => ({
+    horizontalKm: String(settings.horizontalKm),
+    verticalKm: String(settings.verticalKm),
+  }));
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+  const closeNowCount = approaches.filter((approach) => approach.closeNow).length;
+
+  const updateLimit = (key, value) => {
+    setLimitText((current) => ({ ...current, [key]: value }));
+    const number = Number(value);
+    if (number > 0) update({ [key]: number });
+  };
+
+  const handleSavePoints = () => {
+    const { points, errors } = parseFixedPoints(pointsText);
+    setPointErrors(errors);
+    update({ points });
+  };
+
+  return (
+    <details className="side-panel proximity-panel">
+      <summary>
+        Close approaches ({approaches.length})
+        {closeNowCount > 0 && <span className="proximity-now"> · {closeNowCount} now</span>}
+      </summary>
+
+      <div className="proximity-limits">
+        <label>
+          Within
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={limitText.horizontalKm}
+            onChange={(e) => updateLimit('horizontalKm', e.target.value)}
+            aria-label="Horizontal separation (km)"
+          />
+          km
+        </label>
+        <label>
+          and
+          <input
+            type="number"
+            min="0.1"
+            step="0.1"
+            value={limitText.verticalKm}
+            onChange={(e) => updateLimit('verticalKm', e.target.value)}
+            aria-label="Vertical separation (km)"
+          />
+          km vertically
+        </label>
+        <label>
+          Look ahead
+          <input
+            type="number"
+            min="0"
+            max={MAX_FORECAST_HOURS}
+            step="1"
+            value={settings.forecastHours}
+            onChange={(e) => update({ forecastHours: Math.max(0, Math.min(MAX_FORECAST_HOURS, Number(e.target.value) || 0)) })}
+            aria-label="Forecast hours"
+          />
+          h
+        </label>
+      </div>
+
+      <details>
+        <summary>Fixed points ({settings.points.length})</summary>
+        <p className="data-note">One per line: name, lat, lon and optionally altitude in km; names may contain commas. Points without an altitude match on horizontal distance only.</p>
+        <textarea
+          className="proximity-points"
+          rows={4}
+          value={pointsText}
+          onChange={(e) => setPointsText(e.target.value)}
+          placeholder="KOKC, 35.3931, -97.6007"
+          aria-label="Fixed points"
+        />
+        <button type="button" onClick={handleSavePoints}>Save points</button>
+        {pointErrors.map((error) => <p key={error} className="data-note">{error}</p>)}
+      </details>
+
+      {approaches.length === 0 && (
+        <p className="data-note">
+          No balloons within {settings.horizontalKm} km of each other or a fixed point
+          {settings.forecastHours > 0 ? ` now or in the next ${settings.forecastHours} h` : ' now'}.
+        </p>
+      )}
+      <ul className="proximity-list">
+        {approaches.map((approach) => (
+          <li key={approach.id} className={approach.closeNow ? 'proximity-item close-now' : 'proximity-item'}>
+            <div>
+              {approach.balloonIds.map((id, i) => (
+                <React.Fragment key={id}>
+                  {i > 0 && ' ↔ '}
+                  <button type="button" className="link-button" onClick={() => onSelectBalloon(id)}>{id}</button>
+                </React.Fragment>
+              ))}
+              {approach.point && <> ↔ {approach.point.name}</>}
+            </div>
+            <small>
+              Closest {describeTime(approach)}: {approach.distanceKm.toFixed(1)} km
+              {approach.verticalKm !== null && `, ${approach.verticalKm.toFixed(2)} km vertically`}
+            </small>
+            {approach.firstTime < approach.time && !approach.closeNow && (
+              <div><small>Within limits from {formatTime(approach.firstTime)}</small></div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+export default ProximityPanel;
@@ -0,0 +1,146 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { stepReplayTime } from './replay';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const TICK_MS = 100;
+
+/** Playback speeds in replayed hours per real second. */
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/** Input types that do nothing with the arrow keys, though Space toggles or presses them. */
+const ARROW_FREE_INPUT_TYPES = ['checkbox', 'button', 'submit', 'reset', 'color', 'file'];
+
+/**
+ * True when the focused element itself uses the key: text fields, sliders and
+ * selects take the arrow keys, buttons and checkboxes take Space, and the map
+ * pans on the arrow keys while its container has keyboard focus.
+ * @param {EventTarget} target
+ * @param {string} key
+ */
+function isOwnedByOtherControl(target, key) {
+  if (!target || !target.tagName) return false;
+  const tag = target.tagName.toLowerCase();
+  if (tag === 'textarea' || tag === 'select' || target.isContentEditable) return true;
+  if (tag === 'input') return key === ' ' || !ARROW_FREE_INPUT_TYPES.includes(target.type);
+  if (tag === 'button' || tag === 'summary') return key === ' ';
+  // Leaflet gives the container a tabindex when keyboard panning is enabled.
+  return target.classList.contains('leaflet-container') && target.tabIndex >= 0 && key !== ' ';
+}
+
+/**
+ * Timeline for replaying the constellation: play/pause, scrub, speed and live toggle.
+ * Left/Right arrow keys step one hour, Space toggles playback.
+ * @param {{
+ *   bounds: { start: Date, end: Date }|null,
+ *   replayTime: Date|null,
+ *   onTimeChange: Function
+ * }} props - replayTime is null in live mode; onTimeChange receives a Date or null to go live.
+ */
+function ReplayControls({ bounds, replayTime, onTimeChange }) {
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  // Playback ticks and keyboard handlers read the latest values through refs.
+  const stateRef = useRef({ bounds, replayTime });
+  stateRef.current = { bounds, replayTime };
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const intervalId = setInterval(() => {
+      const { bounds: currentBounds, replayTime: currentTime } = stateRef.current;
+      if (!currentBounds) return;
+      const from = currentTime || currentBounds.start;
+      const next = from.getTime() + speed * MS_PER_HOUR * (TICK_MS / 1000);
+      if (next >= currentBounds.end.getTime()) {
+        onTimeChange(currentBounds.end);
+        setPlaying(false);
+      } else {
+        onTimeChange(new Date(next));
+      }
+    }, TICK_MS);
+    return () => clearInterval(intervalId);
+  }, [playing, speed, onTimeChange]);
+
+  useEffect(() => {
+    function handleKeyDown(event) {
+      if (isOwnedByOtherControl(event.target, event.key)) return;
+      const { bounds: currentBounds, replayTime: currentTime } = stateRef.current;
+      if (!currentBounds) return;
+
+      if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+        event.preventDefault();
+        setPlaying(false);
+        const from = currentTime || currentBounds.end;
+        onTimeChange(stepReplayTime(from, event.key === 'ArrowLeft' ? -1 : 1, currentBounds));
+      } else if (event.key === ' ') {
+        event.preventDefault();
+        setPlaying((wasPlaying) => !wasPlaying);
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onTimeChange]);
+
+  if (!bounds) return null;
+
+  const isLive = replayTime === null;
+  const sliderValue = isLive ? bounds.end.getTime() : replayTime.getTime();
+
+  const togglePlaying = () => {
+    if (!playing && (isLive || replayTime.getTime() >= bounds.end.getTime())) {
+      // Restart from the beginning of the window rather than stopping immediately at the end.
+      onTimeChange(bounds.start);
+    }
+    setPlaying(!playing);
+  };
+
+  return (
+    <div className="replay-controls" role="group" aria-label="Constellation replay">
+      <button type="button" onClick={togglePlaying} aria-label={playing ? 'Pause replay' : 'Play replay'}>
+        {playing ? '❚❚' : '▶'}
+      </button>
+      <button
+        type="button"
+        onClick={() => { setPlaying(false); onTimeChange(stepReplayTime(replayTime || bounds.end, -1, bounds)); }}
+        aria-label="Step back one hour"
+      >
+        −1h
+      </button>
+      <input
+        type="range"
+        className="replay-slider"
+        min={bounds.start.getTime()}
+        max={bounds.end.getTime()}
+        step={60 * 1000}
+        value={sliderValue}
+        onChange={(e) => { setPlaying(false); onTimeChange(new Date(parseInt(e.target.value, 10))); }}
+        aria-label="Replay time"
+      />
+      <button
+        type="button"
+        onClick={() => { setPlaying(false); onTimeChange(stepReplayTime(replayTime || bounds.end, 1, bounds)); }}
+        aria-label="Step forward one hour"
+      >
+        +1h
+      </button>
+      <select value={speed} onChange={(e) => setSpeed(parseFloat(e.target.value))} aria-label="Playback speed">
+        {SPEEDS.map((option) => (
+          <option key={option} value={option}>{option} h/s</option>
+        ))}
+      </select>
+      <span className="replay-time">
+        {isLive ? 'Live' : replayTime.toLocaleString()}
+      </span>
+      <button
+        type="button"
+        className={isLive ? 'replay-live active' : 'replay-live'}
+        onClick={() => { setPlaying(false); onTimeChange(null); }}
+        disabled={isLive}
+      >
+        Live
+      </button>
+    </div>
+  );
+}
+
+export default ReplayControls;
@@ -0,0 +1,40 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ReplayControls from './ReplayControls';
+
+const HOUR = 60 * 60 * 1000;
+const bounds = { start: new Date(Date.UTC(2025, 4, 1, 0)), end: new Date(Date.UTC(2025, 4, 1, 12)) };
+
+const renderControls = (onTimeChange) => render(<ReplayControls bounds={bounds} replayTime={null} onTimeChange={onTimeChange} />);
+
+test('steps an hour with the arrow keys after a button was clicked', () => {
+  const onTimeChange = jest.fn();
+  renderControls(onTimeChange);
+  const stepBack = screen.getByRole('button', { name: 'Step back one hour' });
+
+  userEvent.click(stepBack);
+  onTimeChange.mockClear();
+  expect(stepBack).toHaveFocus();
+  fireEvent.keyDown(stepBack, { key: 'ArrowLeft' });
+
+  expect(onTimeChange).toHaveBeenCalledWith(new Date(bounds.end.getTime() - HOUR));
+});
+
+test('leaves the arrow keys to the slider and to the map while it has keyboard focus', () => {
+  const onTimeChange = jest.fn();
+  renderControls(onTimeChange);
+  fireEvent.keyDown(screen.getByRole('slider', { name: 'Replay time' }), { key: 'ArrowLeft' });
+
+  const map = document.createElement('div');
+  map.className = 'leaflet-container';
+  map.tabIndex = 0;
+  document.body.appendChild(map);
+  fireEvent.keyDown(map, { key: 'ArrowRight' });
+  expect(onTimeChange).not.toHaveBeenCalled();
+
+  // A map without keyboard panning does not use them.
+  map.removeAttribute('tabindex');
+  fireEvent.keyDown(map, { key: 'ArrowRight' });
+  expect(onTimeChange).toHaveBeenCalledTimes(1);
+  map.remove();
+});
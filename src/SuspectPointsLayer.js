@@ -0,0 +1,31 @@
+import React from 'react';
+import { CircleMarker, Tooltip } from 'react-leaflet';
+
+const SUSPECT_COLOR = '#d6336c';
+
+/**
+ * Draws points flagged by the data-quality checks as hollow rings.
+ * @param {{ points: Array<{ key: string, lat: number, lon: number, alt: number, flags: Array<string>, label: string }>, renderer?: object }} props
+ *   label says where the point came from (a balloon or an hour file).
+ */
+function SuspectPointsLayer({ points, renderer }) {
+  return points.map((point) => (
+    <CircleMarker
+      key={point.key}
+      center={[point.lat, point.lon]}
+      radius={5}
+      renderer={renderer}
+      pathOptions={{ color: SUSPECT_COLOR, weight: 2, fill: false, dashArray: '2 2' }}
+    >
+      <Tooltip>
+        {point.label}
+        <br />
+        {point.lat.toFixed(3)}, {point.lon.toFixed(3)} · {point.alt.toFixed(1)} km
+        <br />
+        Flagged: {point.flags.join(', ')}
+      </Tooltip>
+    </CircleMarker>
+  ));
+}
+
+export default SuspectPointsLayer;
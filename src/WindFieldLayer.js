@@ -0,0 +1,49 @@
+import React from 'react';
+import { Polyline, Tooltip } from 'react-leaflet';
+import { destinationPoint, unwrapLongitude } from './geo';
+import { WIND_SPEED_SCALE, compassPoint } from './windField';
+
+const MIN_ARROW_KM = 60;
+const MAX_ARROW_KM = 350;
+const KM_PER_MS = 8;
+
+/**
+ * Shaft and head of one arrow centred on a cell, pointing where the wind blows to.
+ * @param {object} cell - Cell from gridWindField.
+ * @returns {Array<Array<[number, number]>>} Two lines: shaft and head.
+ */
+function arrowLines(cell) {
+  const toward = (cell.directionFrom + 180) % 360;
+  const lengthKm = Math.min(MAX_ARROW_KM, Math.max(MIN_ARROW_KM, cell.speedMs * KM_PER_MS));
+  const tail = destinationPoint(cell.lat, cell.lon, toward + 180, lengthKm / 2);
+  const tip = destinationPoint(cell.lat, cell.lon, toward, lengthKm / 2);
+  const left = destinationPoint(tip.lat, tip.lon, toward + 155, lengthKm * 0.3);
+  const right = destinationPoint(tip.lat, tip.lon, toward - 155, lengthKm * 0.3);
+  const at = (point) => [point.lat, unwrapLongitude(point.lon, tip.lon)];
+  return [
+    [at(tail), [tip.lat, tip.lon]],
+    [at(left), [tip.lat, tip.lon], at(right)],
+  ];
+}
+
+/**
+ * Draws the drift-derived wind field as arrows, colored and sized by speed.
+ * @param {{ cells: Array<object>, bandLabel: string }} props - cells from gridWindField.
+ */
+function WindFieldLayer({ cells, bandLabel }) {
+  return cells.map((cell) => (
+    <Polyline
+      key={`wind-${cell.lat.toFixed(3)}-${cell.lon.toFixed(3)}`}
+      positions={arrowLines(cell)}
+      pathOptions={{ color: WIND_SPEED_SCALE.colorAt(cell.speedMs), weight: 2.5, opacity: 0.85 }}
+    >
+      <Tooltip sticky>
+        {cell.speedMs.toFixed(1)} m/s from {compassPoint(cell.directionFrom)} ({cell.directionFrom.toFixed(0)}°)
+        <br />
+        {bandLabel}, mean {cell.alt.toFixed(1)} km · {cell.count} {cell.count === 1 ? 'sample' : 'samples'}
+      </Tooltip>
+    </Polyline>
+  ));
+}
+
+export default WindFieldLayer;
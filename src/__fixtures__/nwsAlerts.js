@@ -0,0 +1,101 @@
+// Trimmed api.weather.gov/alerts/active features covering each geometry case the app handles.
+const nwsAlerts = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { id: 'polygon', event: 'Severe Thunderstorm Warning', severity: 'Severe', affectedZones: [], geocode: {} },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[[-98, 35], [-97, 35], [-97, 36], [-98, 36], [-98, 35]]],
+      },
+    },
+    {
+      // Two separate areas, the second with a hole (an island in a lake, say).
+      type: 'Feature',
+      properties: { id: 'multipolygon', event: 'Flood Warning', severity: 'Moderate', affectedZones: [], geocode: {} },
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: [
+          [[[-90, 40], [-89, 40], [-89, 41], [-90, 41], [-90, 40]]],
+          [
+            [[-88, 40], [-86, 40], [-86, 42], [-88, 42], [-88, 40]],
+            [[-87.5, 40.5], [-86.5, 40.5], [-86.5, 41.5], [-87.5, 41.5], [-87.5, 40.5]],
+          ],
+        ],
+      },
+    },
+    {
+      // Zone-only winter alert: Denver metro forecast zone, counties by SAME code.
+      type: 'Feature',
+      properties: {
+        id: 'zone-only',
+        event: 'Winter Storm Warning',
+        severity: 'Moderate',
+        affectedZones: ['https://api.weather.gov/zones/forecast/COZ039'],
+        geocode: { SAME: ['008031', '008005'], UGC: ['COZ039'] },
+      },
+      geometry: null,
+    },
+    {
+      // Marine zone with no county equivalent.
+      type: 'Feature',
+      properties: {
+        id: 'marine',
+        event: 'Small Craft Advisory',
+        severity: 'Minor',
+        affectedZones: ['https://api.weather.gov/zones/forecast/GMZ250'],
+        geocode: { SAME: ['077250'], UGC: ['GMZ250'] },
+      },
+      geometry: null,
+    },
+    {
+      // Older county-based alerts only carry UGC codes.
+      type: 'Feature',
+      properties: {
+        id: 'ugc-county',
+        event: 'Heat Advisory',
+        severity: 'Minor',
+        geocode: { UGC: ['AZC013'] },
+      },
+      geometry: null,
+    },
+  ],
+};
+
+// Broken features seen in alerts/active responses, next to one good polygon alert.
+export const malformedNwsAlerts = {
+  type: 'FeatureCollection',
+  features: [
+    nwsAlerts.features[0],
+    {
+      type: 'Feature',
+      properties: { id: 'string-coordinates', event: 'Flood Advisory', severity: 'Minor' },
+      geometry: { type: 'Polygon', coordinates: [[['-98', '35'], ['-97', '35'], ['-97', '36'], ['-98', '35']]] },
+    },
+    {
+      type: 'Feature',
+      properties: { id: 'short-ring', event: 'Dense Fog Advisory', severity: 'Minor' },
+      geometry: { type: 'Polygon', coordinates: [[[-98, 35], [-97, 36]]] },
+    },
+    {
+      type: 'Feature',
+      properties: { id: 'no-coordinates', event: 'Wind Advisory', severity: 'Minor' },
+      geometry: { type: 'MultiPolygon', coordinates: null },
+    },
+    {
+      type: 'Feature',
+      properties: { id: 'point', event: 'Tornado Warning', severity: 'Extreme' },
+      geometry: { type: 'Point', coordinates: [-97.5, 35.5] },
+    },
+    {
+      // No properties at all; still matched, with empty properties.
+      type: 'Feature',
+      properties: null,
+      geometry: { type: 'Polygon', coordinates: [[[-97.8, 35.2], [-97.2, 35.2], [-97.2, 35.8], [-97.8, 35.8], [-97.8, 35.2]]] },
+    },
+    null,
+  ],
+};
+
+export default nwsAlerts;
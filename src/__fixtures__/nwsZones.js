@@ -0,0 +1,21 @@
+// Trimmed api.weather.gov/zones responses for the zones the alert fixtures list, as the service worker caches them.
+const nwsZones = {
+  'https://api.weather.gov/zones/forecast/COZ039': {
+    type: 'Feature',
+    properties: { id: 'COZ039', type: 'public', name: 'Denver' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[-105.3, 39.5], [-104.5, 39.5], [-104.5, 40], [-105.3, 40], [-105.3, 39.5]]],
+    },
+  },
+  'https://api.weather.gov/zones/forecast/GMZ250': {
+    type: 'Feature',
+    properties: { id: 'GMZ250', type: 'marine', name: 'Coastal waters from Cameron LA to High Island TX out 20 NM' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [[[-93.9, 29.3], [-93.3, 29.3], [-93.3, 29.7], [-93.9, 29.7], [-93.9, 29.3]]],
+    },
+  },
+};
+
+export default nwsZones;
@@ -0,0 +1,90 @@
+// Trimmed treasure feed hour files (12 balloons, 00.json to 03.json), plus the broken
+// bodies the feed has been seen to serve. Entries are [lat, lon, alt km] and the order of
+// balloons changes from hour to hour; one balloon crosses the antimeridian between 01 and 00.
+export const recordedHours = [
+  // 00.json
+  [
+    [35.40524, -97.61402, 14.13958],
+    [40.8593, -89.01059, 17.23185],
+    [-12.35461, 47.22156, 13.9755],
+    [51.61639, -1.83595, 15.40276],
+    [-43.87023, 172.45957, 11.96354],
+    [21.17004, -179.67534, 17.12348],
+    [63.08804, -150.30026, 16.62395],
+    [-5.7442, -35.1582, 9.80685],
+    [29.51907, 88.16319, 10.10961],
+    [-33.77966, -58.47959, 13.19081],
+    [9.99132, -120.77417, 11.66463],
+    [45.38013, 13.66717, 13.88945],
+  ],
+  // 01.json
+  [
+    [35.68166, -98.12169, 13.85767],
+    [29.22151, 87.56385, 9.96409],
+    [-5.84258, -35.42587, 9.37331],
+    [40.78345, -89.36378, 16.77576],
+    [-43.57548, 171.6757, 12.0051],
+    [62.75112, -151.37166, 16.49611],
+    [21.04417, 179.49424, 17.2699],
+    [-12.46203, 47.00916, 14.06696],
+    [10.1461, -121.16758, 11.67633],
+    [45.32342, 12.55233, 14.09381],
+    [-33.601, -58.83851, 13.04203],
+    [51.85702, -2.5954, 15.51663],
+  ],
+  // 02.json
+  [
+    [52.09271, -3.36293, 15.37305],
+    [10.30041, -121.56136, 12.02116],
+    [-43.27542, 170.89953, 11.85193],
+    [-12.56928, 46.79659, 14.10317],
+    [20.91427, 178.66525, 17.76029],
+    [28.9213, 86.96799, 10.00394],
+    [45.25589, 11.43993, 13.61522],
+    [35.95593, -98.63287, 14.08675],
+    [62.40624, -152.4186, 16.66792],
+    [40.70652, -89.71616, 17.43398],
+    [-33.42131, -59.19595, 12.66298],
+    [-5.94083, -35.69364, 9.64044],
+  ],
+  // 03.json
+  [
+    [-12.67637, 46.58384, 13.95487],
+    [52.32337, -4.13852, 15.24763],
+    [10.45424, -121.95553, 11.78336],
+    [20.78038, 177.83771, 17.45209],
+    [36.22803, -99.14761, 14.16933],
+    [40.62853, -90.06772, 17.42178],
+    [28.61848, 86.37559, 10.49473],
+    [45.17758, 10.33038, 13.59514],
+    [-6.03895, -35.96151, 9.56213],
+    [-33.24061, -59.55191, 13.28526],
+    [62.05369, -153.44143, 17.10996],
+    [-42.97017, 170.13105, 12.33917],
+  ],
+];
+
+// 00.json with a few unreadable and implausible entries among good ones.
+export const partlyBadHour = [
+  ...recordedHours[0].slice(0, 9),
+  [null, null, null],
+  [0, 0, 0],
+  [12.5, 'NaN', 14.2],
+  [-91.2, 44.1, 12.9],
+  [-33.77966, -58.47959, 13.19081],
+];
+
+// An hour written while the upstream job was failing: mostly zeroed or half-written entries.
+export const corruptedHour = [
+  [0, 0, 0],
+  [0, 0, 0],
+  [35.40524],
+  [],
+  null,
+  [null, -89.01059, 17.23185],
+  [-12.35461, 47.22156, 13.9755],
+  [0, 0, 0],
+];
+
+// An error body served in place of an hour file.
+export const errorBody = { error: 'Internal Server Error' };
@@ -0,0 +1,126 @@
+import { boundsContain, geometryBounds, pointInGeometry, polygonsOf } from "./geometry";
+
+/**
+ * Grid index over NWS alert geometries. Each alert is registered in every
+ * cell its bounding box overlaps, so a point lookup only ray-casts the few
+ * alerts whose box covers it instead of the whole national FeatureCollection.
+ */
+
+const DEFAULT_CELL_SIZE_DEG = 1;
+
+function cellRange(value, min, cellSizeDeg) {
+  return Math.floor((value - min) / cellSizeDeg);
+}
+
+function cellKey(latIdx, lonIdx) {
+  return `${latIdx}:${lonIdx}`;
+}
+
+/**
+ * Polygonal part of an alert's geometry as one MultiPolygon (holes kept),
+ * or null for alerts without a usable shape.
+ * @param {object} feature
+ * @returns {object|null}
+ */
+function matchableGeometry(feature) {
+  const polygons = polygonsOf(feature && feature.geometry);
+  return polygons.length > 0 ? { type: "MultiPolygon", coordinates: polygons } : null;
+}
+
+/**
+ * Builds the index once per alert fetch.
+ * @param {object} featureCollection - NWS alerts FeatureCollection.
+ * @param {number} [cellSizeDeg=1] - Grid cell size in degrees.
+ * @returns {{ cellSizeDeg: number, entries: Array<object>, cells: Map<string, Array<number>> }}
+ */
+export function buildAlertIndex(featureCollection, cellSizeDeg = DEFAULT_CELL_SIZE_DEG) {
+  const entries = [];
+  const cells = new Map();
+  ((featureCollection && featureCollection.features) || []).forEach((feature) => {
+    const geometry = matchableGeometry(feature);
+    if (!geometry) return;
+    const bounds = geometryBounds(geometry);
+    const entryIndex = entries.length;
+    entries.push({ properties: feature.properties || {}, geometry, bounds });
+
+    const minLat = cellRange(bounds.minLat, -90, cellSizeDeg);
+    const maxLat = cellRange(bounds.maxLat, -90, cellSizeDeg);
+    const minLon = cellRange(bounds.minLon, -180, cellSizeDeg);
+    const maxLon = cellRange(bounds.maxLon, -180, cellSizeDeg);
+    for (let latIdx = minLat; latIdx <= maxLat; latIdx++) {
+      for (let lonIdx = minLon; lonIdx <= maxLon; lonIdx++) {
+        const key = cellKey(latIdx, lonIdx);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(entryIndex);
+      }
+    }
+  });
+  return { cellSizeDeg, entries, cells };
+}
+
+/**
+ * Properties of every indexed alert containing a point.
+ * @param {object} index - Index from buildAlertIndex.
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {Array<object>}
+ */
+export function matchPoint(index, lat, lon) {
+  const candidates = index.cells.get(cellKey(
+    cellRange(lat, -90, index.cellSizeDeg),
+    cellRange(lon, -180, index.cellSizeDeg)
+  ));
+  if (!candidates) return [];
+  const matches = [];
+  candidates.forEach((entryIndex) => {
+    const entry = index.entries[entryIndex];
+    if (boundsContain(entry.bounds, lon, lat) && pointInGeometry(lon, lat, entry.geometry)) {
+      matches.push(entry.properties);
+    }
+  });
+  return matches;
+}
+
+function isValidPoint(point) {
+  return point && typeof point.lat === "number" && typeof point.lon === "number"
+    && isFinite(point.lat) && isFinite(point.lon);
+}
+
+/**
+ * Matches many points at once.
+ * @param {object} index - Index from buildAlertIndex.
+ * @param {Array<{ id: string, lat: number, lon: number }>} points
+ * @returns {object} Alert properties keyed by point ID; points with no alerts are omitted.
+ */
+export function matchPoints(index, points) {
+  const result = {};
+  points.forEach((point) => {
+    if (!isValidPoint(point)) return;
+    const matches = matchPoint(index, point.lat, point.lon);
+    if (matches.length > 0) result[point.id] = matches;
+  });
+  return result;
+}
+
+/**
+ * Reference implementation without an index: ray-casts every point against
+ * every alert. alertIndex.test.js checks the indexed results against it and
+ * benchmarks the index by counting ray casts for both; unlike the index it
+ * does not screen out malformed coordinates.
+ * @param {object} featureCollection - NWS alerts FeatureCollection.
+ * @param {Array<{ id: string, lat: number, lon: number }>} points
+ * @returns {object} Same shape as matchPoints.
+ */
+export function matchPointsBruteForce(featureCollection, points) {
+  const features = (featureCollection && featureCollection.features) || [];
+  const result = {};
+  points.forEach((point) => {
+    if (!isValidPoint(point)) return;
+    const matches = [];
+    features.forEach((feature) => {
+      if (pointInGeometry(point.lon, point.lat, feature && feature.geometry)) matches.push(feature.properties || {});
+    });
+    if (matches.length > 0) result[point.id] = matches;
+  });
+  return result;
+}
@@ -0,0 +1,158 @@
+import { buildAlertIndex, matchPoint, matchPoints, matchPointsBruteForce } from './alertIndex';
+import { malformedNwsAlerts } from './__fixtures__/nwsAlerts';
+import * as geometry from './geometry';
+
+const alert = (id, coordinates, type = 'Polygon') => ({
+  type: 'Feature',
+  properties: { id, event: `Event ${id}` },
+  geometry: { type, coordinates },
+});
+
+const square = (id, minLon, minLat, maxLon, maxLat) =>
+  alert(id, [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]]);
+
+// Small deterministic generator so the synthetic inputs are identical between runs.
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+/** Irregular star-shaped polygons scattered over the continental US, like county-sized NWS alerts. */
+function syntheticAlerts(count, random) {
+  const features = [];
+  for (let i = 0; i < count; i++) {
+    const centerLon = -125 + random() * 58;
+    const centerLat = 25 + random() * 24;
+    const radius = 0.3 + random() * 1.2;
+    const ring = [];
+    for (let v = 0; v < 40; v++) {
+      const angle = (v / 40) * 2 * Math.PI;
+      const r = radius * (0.6 + random() * 0.4);
+      ring.push([centerLon + r * Math.cos(angle), centerLat + r * Math.sin(angle)]);
+    }
+    ring.push(ring[0]);
+    features.push(alert(`alert-${i}`, [ring]));
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+function syntheticBalloons(count, random) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: String(i),
+    lat: -60 + random() * 130,
+    lon: -180 + random() * 360,
+  }));
+}
+
+test('matches points inside alert polygons', () => {
+  const index = buildAlertIndex({ features: [square('a', -100, 30, -95, 35), square('b', -97, 33, -90, 40)] });
+
+  expect(matchPoint(index, 32, -98).map((p) => p.id)).toEqual(['a']);
+  expect(matchPoint(index, 34, -96).map((p) => p.id)).toEqual(['a', 'b']);
+  expect(matchPoint(index, 45, -120)).toEqual([]);
+});
+
+test('finds alerts spanning several grid cells from any cell they cover', () => {
+  const index = buildAlertIndex({ features: [square('big', -110, 30, -100, 40)] }, 1);
+
+  expect(matchPoint(index, 30.5, -109.5)).toHaveLength(1);
+  expect(matchPoint(index, 39.5, -100.5)).toHaveLength(1);
+  expect(matchPoint(index, 40.5, -100.5)).toHaveLength(0);
+});
+
+test('uses the bounding box prefilter before ray casting', () => {
+  // An L-shaped alert whose bounding box covers the empty corner.
+  const index = buildAlertIndex({
+    features: [alert('L', [[[0, 0], [4, 0], [4, 1], [1, 1], [1, 4], [0, 4], [0, 0]]])],
+  });
+
+  expect(matchPoint(index, 0.5, 3)).toHaveLength(1);
+  expect(matchPoint(index, 3, 3)).toHaveLength(0);
+});
+
+test('skips alerts without usable polygon geometry', () => {
+  const index = buildAlertIndex({
+    features: [
+      { type: 'Feature', properties: { id: 'zone-only' }, geometry: null },
+      alert('bad', [[[0, 0], ['x', 1], [1, 1], [0, 0]]]),
+      square('ok', 0, 0, 2, 2),
+    ],
+  });
+
+  expect(index.entries).toHaveLength(1);
+  expect(matchPoint(index, 1, 1).map((p) => p.id)).toEqual(['ok']);
+});
+
+test('indexes only the usable features of a malformed alerts payload', () => {
+  const index = buildAlertIndex(malformedNwsAlerts);
+
+  expect(index.entries).toHaveLength(2);
+  expect(matchPoint(index, 35.5, -97.5)).toEqual([malformedNwsAlerts.features[0].properties, {}]);
+  expect(matchPoint(index, 35.1, -97.9).map((p) => p.id)).toEqual(['polygon']);
+  expect(matchPoints(index, [{ id: 'outside', lat: 40, lon: -97.5 }])).toEqual({});
+  expect(buildAlertIndex(null).entries).toEqual([]);
+});
+
+test('matchPoints omits balloons outside every alert and ignores invalid positions', () => {
+  const index = buildAlertIndex({ features: [square('a', 0, 0, 2, 2)] });
+  const result = matchPoints(index, [
+    { id: 'in', lat: 1, lon: 1 },
+    { id: 'out', lat: 5, lon: 5 },
+    { id: 'bad', lat: NaN, lon: 1 },
+  ]);
+
+  expect(result).toEqual({ in: [{ id: 'a', event: 'Event a' }] });
+});
+
+test('returns the same matches as the brute-force loop for 1000 balloons and 400 alerts', () => {
+  const random = seededRandom(42);
+  const alerts = syntheticAlerts(400, random);
+  // Concentrate some balloons over the US so plenty of them actually match.
+  const balloons = [
+    ...syntheticBalloons(500, random),
+    ...syntheticBalloons(500, random).map((b) => ({ ...b, lat: 25 + (b.lat + 60) / 130 * 24, lon: -125 + (b.lon + 180) / 360 * 58 })),
+  ];
+
+  const indexed = matchPoints(buildAlertIndex(alerts), balloons);
+
+  expect(indexed).toEqual(matchPointsBruteForce(alerts, balloons));
+  expect(Object.keys(indexed).length).toBeGreaterThan(50);
+});
+
+test('benchmark: ray casts far fewer polygons than the brute-force loop', () => {
+  // Point-in-polygon tests are the cost that matters, and counting them keeps the benchmark deterministic.
+  const random = seededRandom(7);
+  const alerts = syntheticAlerts(400, random);
+  const balloons = syntheticBalloons(1000, random);
+  const index = buildAlertIndex(alerts);
+  const pointInGeometry = jest.spyOn(geometry, 'pointInGeometry');
+
+  const bruteForce = matchPointsBruteForce(alerts, balloons);
+  const bruteForceCalls = pointInGeometry.mock.calls.length;
+  pointInGeometry.mockClear();
+  const indexed = matchPoints(index, balloons);
+  const indexedCalls = pointInGeometry.mock.calls.length;
+  pointInGeometry.mockRestore();
+
+  expect(indexed).toEqual(bruteForce);
+  expect(bruteForceCalls).toBe(1000 * 400);
+  // The grid and bounding boxes leave a few dozen candidates out of 400,000 pairs.
+  expect(indexedCalls).toBeGreaterThan(0);
+  expect(indexedCalls).toBeLessThan(bruteForceCalls / 1000);
+});
+
+test('matches MultiPolygon alerts and respects holes', () => {
+  const ring = (minLon, minLat, maxLon, maxLat) =>
+    [[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]];
+  const index = buildAlertIndex({
+    features: [alert('multi', [[ring(0, 0, 1, 1)], [ring(5, 5, 9, 9), ring(6, 6, 8, 8)]], 'MultiPolygon')],
+  });
+
+  expect(matchPoint(index, 0.5, 0.5)).toHaveLength(1);
+  expect(matchPoint(index, 5.5, 5.5)).toHaveLength(1);
+  expect(matchPoint(index, 7, 7)).toHaveLength(0);
+  expect(matchPoint(index, 3, 3)).toHaveLength(0);
+});
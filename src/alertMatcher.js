@@ -0,0 +1,84 @@
+import { buildAlertIndex, matchPoints } from "./alertIndex";
+import createAlertWorker from "./createAlertWorker";
+
+/**
+ * Matches balloon positions against NWS alerts off the main thread.
+ * The alert FeatureCollection is only posted to the worker (and re-indexed)
+ * when it changes. If the worker cannot start or fails, matching falls back
+ * to an index built on the main thread.
+ * @param {Function} [workerFactory] - Returns a Worker or null.
+ * @returns {{ match: Function, terminate: Function }}
+ */
+export function createAlertMatcher(workerFactory = createAlertWorker) {
+  let worker = null;
+  try {
+    worker = workerFactory();
+  } catch (err) {
+    console.warn("Alert matching worker unavailable, matching on the main thread:", err);
+  }
+
+  let workerAlerts = null;
+  let localAlerts = null;
+  let localIndex = null;
+  let nextRequestId = 0;
+  const pending = new Map();
+
+  function matchLocally(alerts, points) {
+    if (alerts !== localAlerts) {
+      localIndex = buildAlertIndex(alerts);
+      localAlerts = alerts;
+    }
+    return matchPoints(localIndex, points);
+  }
+
+  function abandonWorker(reason) {
+    console.warn("Alert matching worker failed, matching on the main thread:", reason);
+    if (worker) worker.terminate();
+    worker = null;
+    workerAlerts = null;
+    pending.forEach(({ resolve, alerts, points }) => resolve(matchLocally(alerts, points)));
+    pending.clear();
+  }
+
+  if (worker) {
+    worker.onmessage = (event) => {
+      const { requestId, matches, error } = event.data;
+      const request = pending.get(requestId);
+      if (!request) return;
+      pending.delete(requestId);
+      if (error) {
+        request.resolve(matchLocally(request.alerts, request.points));
+      } else {
+        request.resolve(matches);
+      }
+    };
+    worker.onerror = (event) => abandonWorker(event.message || event);
+  }
+
+  return {
+    /**
+     * @param {object} alerts - NWS alerts FeatureCollection.
+     * @param {Array<{ id: string, lat: number, lon: number }>} points
+     * @returns {Promise<object>} Alert properties keyed by point ID.
+     */
+    match(alerts, points) {
+      if (!worker) return Promise.resolve(matchLocally(alerts, points));
+      const requestId = ++nextRequestId;
+      const message = { requestId, points };
+      if (alerts !== workerAlerts) {
+        message.alerts = alerts;
+        workerAlerts = alerts;
+      }
+      return new Promise((resolve) => {
+        pending.set(requestId, { resolve, alerts, points });
+        worker.postMessage(message);
+      });
+    },
+
+    terminate() {
+      if (worker) worker.terminate();
+      worker = null;
+      pending.clear();
+    },
+  };
+}
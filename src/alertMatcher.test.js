@@ -0,0 +1,52 @@
+import { createAlertMatcher } from './alertMatcher';
+
+jest.mock('./createAlertWorker', () => () => null);
+
+const alerts = {
+  features: [{
+    type: 'Feature',
+    properties: { id: 'a' },
+    geometry: { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]] },
+  }],
+};
+const points = [{ id: '1', lat: 1, lon: 1 }, { id: '2', lat: 5, lon: 5 }];
+
+/** Stand-in for a Worker that answers from a callback. */
+function fakeWorker(respond) {
+  const worker = {
+    posted: [],
+    terminate: jest.fn(),
+    postMessage(message) {
+      worker.posted.push(message);
+      Promise.resolve().then(() => respond(worker, message));
+    },
+  };
+  return worker;
+}
+
+test('matches on the main thread when no worker is available', async () => {
+  const matcher = createAlertMatcher();
+
+  await expect(matcher.match(alerts, points)).resolves.toEqual({ 1: [{ id: 'a' }] });
+});
+
+test('posts the alerts to the worker only when they change', async () => {
+  const worker = fakeWorker((w, message) => w.onmessage({ data: { requestId: message.requestId, matches: { 1: [] } } }));
+  const matcher = createAlertMatcher(() => worker);
+
+  await matcher.match(alerts, points);
+  await matcher.match(alerts, points);
+  await matcher.match({ features: [] }, points);
+
+  expect(worker.posted.map((message) => Boolean(message.alerts))).toEqual([true, false, true]);
+});
+
+test('falls back to the main thread when the worker fails', async () => {
+  const worker = fakeWorker((w) => w.onerror({ message: 'boom' }));
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const matcher = createAlertMatcher(() => worker);
+
+  await expect(matcher.match(alerts, points)).resolves.toEqual({ 1: [{ id: 'a' }] });
+  expect(worker.terminate).toHaveBeenCalled();
+  warn.mockRestore();
+});
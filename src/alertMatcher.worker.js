@@ -0,0 +1,17 @@
+/* eslint-disable no-restricted-globals */
+import { buildAlertIndex, matchPoints } from './alertIndex';
+
+// Index of the most recent alert FeatureCollection; rebuilt only when a new one is posted.
+let index = null;
+
+self.onmessage = (event) => {
+  const { requestId, alerts, points } = event.data;
+  try {
+    if (alerts) {
+      index = buildAlertIndex(alerts);
+    }
+    self.postMessage({ requestId, matches: index ? matchPoints(index, points) : {} });
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message });
+  }
+};
@@ -0,0 +1,252 @@
+/**
+ * User-defined alerting rules, evaluated against balloons and the NWS alerts
+ * they currently sit in. Matches are edge-triggered: a rule fires for a
+ * balloon (and alert) once when the condition starts holding, and not again
+ * until it has stopped holding in between.
+ */
+
+const RULES_STORAGE_KEY = "windborne.alertRules";
+const LOG_STORAGE_KEY = "windborne.alertEventLog";
+const ACTIVE_STORAGE_KEY = "windborne.alertActiveKeys";
+const MAX_LOG_ENTRIES = 200;
+
+export const RULE_CONDITIONS = {
+  "enters-alert": "Enters an NWS alert area",
+  "below-altitude": "Drops below altitude",
+  "above-altitude": "Rises above altitude",
+};
+export const RULE_SEVERITIES = ["info", "warning", "critical"];
+export const NWS_SEVERITIES = ["Extreme", "Severe", "Moderate", "Minor"];
+
+let nextRuleSeq = 0;
+
+/**
+ * Creates a rule with every filter open, overridden by the given fields.
+ * @param {object} [fields]
+ * @returns {object} Rule.
+ */
+export function createRule(fields = {}) {
+  nextRuleSeq += 1;
+  return {
+    id: `rule-${Date.now().toString(36)}-${nextRuleSeq}`,
+    name: "New rule",
+    enabled: true,
+    severity: "warning",
+    condition: "enters-alert",
+    altitudeKm: 5,
+    alertSeverities: [],
+    eventTypes: [],
+    minAltitudeKm: null,
+    maxAltitudeKm: null,
+    region: null,
+    balloonIds: [],
+    ...fields,
+  };
+}
+
+/**
+ * Parses "minLat, minLon, maxLat, maxLon" into a region, or null when blank or malformed.
+ * @param {string} text
+ * @returns {{ minLat: number, minLon: number, maxLat: number, maxLon: number }|null}
+ */
+export function parseRegion(text) {
+  const parts = text.split(",").map((item) => item.trim()).filter(Boolean).map(Number);
+  if (parts.length !== 4 || parts.some((n) => !isFinite(n))) return null;
+  const [minLat, minLon, maxLat, maxLon] = parts;
+  return { minLat, minLon, maxLat, maxLon };
+}
+
+/**
+ * True when a position lies inside a lat/lon box, or when there is no box.
+ * @param {{ minLat: number, minLon: number, maxLat: number, maxLon: number }|null} region
+ * @param {{ lat: number, lon: number }} pos
+ * @returns {boolean}
+ */
+export function inRegion(region, pos) {
+  if (!region) return true;
+  const { minLat, maxLat, minLon, maxLon } = region;
+  if (pos.lat < minLat || pos.lat > maxLat) return false;
+  // A region whose minLon exceeds maxLon wraps across the antimeridian.
+  return minLon <= maxLon
+    ? pos.lon >= minLon && pos.lon <= maxLon
+    : pos.lon >= minLon || pos.lon <= maxLon;
+}
+
+function matchesAlertFilters(rule, alertProps) {
+  if (rule.alertSeverities.length > 0 && !rule.alertSeverities.includes(alertProps.severity)) return false;
+  if (rule.eventTypes.length > 0) {
+    const event = (alertProps.event || "").toLowerCase();
+    if (!rule.eventTypes.some((type) => event.includes(type.toLowerCase()))) return false;
+  }
+  return true;
+}
+
+/**
+ * Finds every balloon (and alert, for alert rules) each enabled rule currently matches.
+ * @param {Array<object>} rules
+ * @param {Array<object>} balloons - Balloons with currentPosition.
+ * @param {object} balloonAlerts - NWS alert properties per balloon ID.
+ * @returns {Array<{ key: string, rule: object, balloonId: string, alert: object|null, position: object }>}
+ *   key identifies the match for deduplication.
+ */
+export function evaluateRules(rules, balloons, balloonAlerts) {
+  const matches = [];
+  rules.filter((rule) => rule.enabled).forEach((rule) => {
+    const balloonFilter = new Set(rule.balloonIds);
+    balloons.forEach((balloon) => {
+      const pos = balloon.currentPosition;
+      if (!pos) return;
+      if (balloonFilter.size > 0 && !balloonFilter.has(balloon.id)) return;
+      if (typeof rule.minAltitudeKm === "number" && pos.alt < rule.minAltitudeKm) return;
+      if (typeof rule.maxAltitudeKm === "number" && pos.alt > rule.maxAltitudeKm) return;
+      if (!inRegion(rule.region, pos)) return;
+
+      if (rule.condition === "enters-alert") {
+        ((balloonAlerts && balloonAlerts[balloon.id]) || [])
+          .filter((alertProps) => matchesAlertFilters(rule, alertProps))
+          .forEach((alertProps) => {
+            matches.push({
+              key: `${rule.id}|${balloon.id}|${alertProps.id}`,
+              rule,
+              balloonId: balloon.id,
+              alert: alertProps,
+              position: pos,
+            });
+          });
+      } else if (
+        (rule.condition === "below-altitude" && pos.alt < rule.altitudeKm) ||
+        (rule.condition === "above-altitude" && pos.alt > rule.altitudeKm)
+      ) {
+        matches.push({ key: `${rule.id}|${balloon.id}|${rule.condition}`, rule, balloonId: balloon.id, alert: null, position: pos });
+      }
+    });
+  });
+  return matches;
+}
+
+/**
+ * Human-readable description of a match for notifications and the event log.
+ * @param {object} match - Entry from evaluateRules.
+ * @returns {string}
+ */
+export function describeMatch(match) {
+  const { rule, balloonId, alert, position } = match;
+  if (alert) {
+    return `Balloon #${balloonId} is inside ${alert.severity || "Unknown"} ${alert.event || "alert"} area`;
+  }
+  const direction = rule.condition === "below-altitude" ? "below" : "above";
+  return `Balloon #${balloonId} is ${direction} ${rule.altitudeKm} km (${position.alt.toFixed(2)} km)`;
+}
+
+/**
+ * Splits current matches into newly started ones and keeps the set of active keys.
+ * @param {Array<object>} matches - Current result of evaluateRules.
+ * @param {Array<string>} previousActiveKeys - Keys that matched on the previous evaluation.
+ * @param {Date} [now]
+ * @returns {{ events: Array<object>, activeKeys: Array<string> }}
+ *   events are log entries for matches that were not already active.
+ */
+export function diffMatches(matches, previousActiveKeys, now = new Date()) {
+  const previous = new Set(previousActiveKeys);
+  const seen = new Set();
+  const activeKeys = [];
+  const events = [];
+  matches.forEach((match) => {
+    if (seen.has(match.key)) return;
+    seen.add(match.key);
+    activeKeys.push(match.key);
+    if (previous.has(match.key)) return;
+    events.push({
+      id: `${match.key}|${now.getTime()}`,
+      key: match.key,
+      time: now.toISOString(),
+      ruleId: match.rule.id,
+      ruleName: match.rule.name,
+      severity: match.rule.severity,
+      balloonId: match.balloonId,
+      alertId: match.alert ? match.alert.id : null,
+      message: describeMatch(match),
+    });
+  });
+  return { events, activeKeys };
+}
+
+/**
+ * Prepends new events to the log, newest first, capped in length.
+ * @param {Array<object>} log
+ * @param {Array<object>} events
+ * @returns {Array<object>}
+ */
+export function appendToLog(log, events) {
+  return [...events.slice().reverse(), ...log].slice(0, MAX_LOG_ENTRIES);
+}
+
+function readJson(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    console.warn(`Could not read ${key} from localStorage:`, e);
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.warn(`Could not save ${key} to localStorage:`, e);
+  }
+}
+
+/** @returns {Array<object>} Saved rules, with defaults filled in for missing fields. */
+export function loadRules() {
+  const stored = readJson(RULES_STORAGE_KEY, []);
+  return Array.isArray(stored) ? stored.map((rule) => createRule(rule)) : [];
+}
+
+/** @param {Array<object>} rules */
+export function saveRules(rules) {
+  writeJson(RULES_STORAGE_KEY, rules);
+}
+
+/** @returns {Array<object>} Saved event log, newest first. */
+export function loadEventLog() {
+  const stored = readJson(LOG_STORAGE_KEY, []);
+  return Array.isArray(stored) ? stored : [];
+}
+
+/** @param {Array<object>} log */
+export function saveEventLog(log) {
+  writeJson(LOG_STORAGE_KEY, log);
+}
+
+/** @returns {Array<string>} Match keys that were active at the last evaluation. */
+export function loadActiveKeys() {
+  const stored = readJson(ACTIVE_STORAGE_KEY, []);
+  return Array.isArray(stored) ? stored : [];
+}
+
+/** @param {Array<string>} keys */
+export function saveActiveKeys(keys) {
+  writeJson(ACTIVE_STORAGE_KEY, keys);
+}
+
+/**
+ * Shows a browser notification for each event, if the user has allowed them.
+ * @param {Array<object>} events
+ */
+export function notifyEvents(events) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  events.forEach((event) => {
+    try {
+      // eslint-disable-next-line no-new
+      new Notification(`${event.severity.toUpperCase()}: ${event.ruleName}`, {
+        body: event.message,
+        tag: event.key,
+      });
+    } catch (e) {
+      console.warn("Could not show notification:", e);
+    }
+  });
+}
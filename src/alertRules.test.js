@@ -0,0 +1,89 @@
+import { appendToLog, createRule, diffMatches, evaluateRules, loadRules, saveRules } from './alertRules';
+
+const balloons = [
+  { id: '1', currentPosition: { lat: 35, lon: -97, alt: 14 } },
+  { id: '2', currentPosition: { lat: 45, lon: -120, alt: 4.2 } },
+  { id: '3', currentPosition: { lat: 10, lon: 175, alt: 18 } },
+];
+const balloonAlerts = {
+  1: [
+    { id: 'a1', severity: 'Extreme', event: 'Tornado Warning' },
+    { id: 'a2', severity: 'Minor', event: 'Frost Advisory' },
+  ],
+  2: [{ id: 'a3', severity: 'Severe', event: 'Winter Storm Warning' }],
+};
+
+test('matches balloons inside alerts of the chosen severities', () => {
+  const rule = createRule({ alertSeverities: ['Extreme', 'Severe'] });
+  const matches = evaluateRules([rule], balloons, balloonAlerts);
+
+  expect(matches.map((m) => m.key)).toEqual([`${rule.id}|1|a1`, `${rule.id}|2|a3`]);
+});
+
+test('filters alerts by event type', () => {
+  const rule = createRule({ eventTypes: ['winter'] });
+  expect(evaluateRules([rule], balloons, balloonAlerts).map((m) => m.alert.id)).toEqual(['a3']);
+});
+
+test('fires altitude rules for the listed balloons only', () => {
+  const anyBalloon = createRule({ condition: 'below-altitude', altitudeKm: 5 });
+  const onlyOne = createRule({ condition: 'below-altitude', altitudeKm: 5, balloonIds: ['1'] });
+
+  expect(evaluateRules([anyBalloon], balloons, {}).map((m) => m.balloonId)).toEqual(['2']);
+  expect(evaluateRules([onlyOne], balloons, {})).toEqual([]);
+});
+
+test('applies altitude and region filters, including regions across the antimeridian', () => {
+  const highOnly = createRule({ condition: 'above-altitude', altitudeKm: 0, minAltitudeKm: 10 });
+  const pacific = createRule({
+    condition: 'above-altitude',
+    altitudeKm: 0,
+    region: { minLat: 0, maxLat: 20, minLon: 170, maxLon: -170 },
+  });
+
+  expect(evaluateRules([highOnly], balloons, {}).map((m) => m.balloonId)).toEqual(['1', '3']);
+  expect(evaluateRules([pacific], balloons, {}).map((m) => m.balloonId)).toEqual(['3']);
+});
+
+test('ignores disabled rules', () => {
+  const rule = createRule({ enabled: false });
+  expect(evaluateRules([rule], balloons, balloonAlerts)).toEqual([]);
+});
+
+test('fires once per match until the condition clears', () => {
+  const rule = createRule({ name: 'Severe weather', severity: 'critical', alertSeverities: ['Extreme'] });
+  const first = diffMatches(evaluateRules([rule], balloons, balloonAlerts), []);
+  expect(first.events).toHaveLength(1);
+  expect(first.events[0]).toMatchObject({
+    ruleName: 'Severe weather',
+    severity: 'critical',
+    balloonId: '1',
+    message: 'Balloon #1 is inside Extreme Tornado Warning area',
+  });
+
+  // The next alert refresh still has balloon 1 inside the same alert.
+  const repeat = diffMatches(evaluateRules([rule], balloons, balloonAlerts), first.activeKeys);
+  expect(repeat.events).toHaveLength(0);
+
+  // The balloon leaves the alert, then re-enters it.
+  const cleared = diffMatches(evaluateRules([rule], balloons, {}), repeat.activeKeys);
+  expect(cleared.activeKeys).toEqual([]);
+  const reentered = diffMatches(evaluateRules([rule], balloons, balloonAlerts), cleared.activeKeys);
+  expect(reentered.events).toHaveLength(1);
+});
+
+test('keeps the newest events first in a capped log', () => {
+  const events = Array.from({ length: 250 }, (_, i) => ({ id: String(i) }));
+  const log = appendToLog([{ id: 'old' }], events);
+
+  expect(log).toHaveLength(200);
+  expect(log[0].id).toBe('249');
+});
+
+test('persists rules in localStorage', () => {
+  const rule = createRule({ name: 'Low flyers', condition: 'below-altitude', altitudeKm: 5 });
+  saveRules([rule]);
+
+  expect(loadRules()).toEqual([rule]);
+  window.localStorage.clear();
+});
@@ -0,0 +1,313 @@
+import { feature } from "topojson-client";
+import { combinePolygons, polygonsOf } from "./geometry";
+import { createFetchClient } from "./fetchClient";
+
+/**
+ * Fills in shapes for NWS alerts that arrive with `geometry: null` and only
+ * reference forecast, county or marine zones (most winter and marine alerts).
+ * Zone shapes come from the NWS zones endpoint and are cached for the
+ * session. When the endpoint cannot be reached, zones come from the copies
+ * the service worker cached on earlier visits, and alerts with zones never
+ * seen before fall back to the bundled US county boundaries through their
+ * SAME and county UGC codes. Forecast and marine zones have no county
+ * equivalent, so alerts left without any shape are marked with
+ * properties.zoneGeometryUnavailable.
+ */
+
+const ZONE_FETCH_OPTIONS = { timeoutMs: 10000, retries: 1, maxAgeMs: Infinity };
+const MAX_CONCURRENT_ZONE_FETCHES = 6;
+const PROGRESS_INTERVAL_MS = 1000;
+const NWS_API_ORIGIN = "https://api.weather.gov";
+const NWS_PROXY_PREFIX = "/weather-api";
+
+const STATE_FIPS = {
+  AL: "01", AK: "02", AZ: "04", AR: "05", CA: "06", CO: "08", CT: "09", DE: "10", DC: "11",
+  FL: "12", GA: "13", HI: "15", ID: "16", IL: "17", IN: "18", IA: "19", KS: "20", KY: "21",
+  LA: "22", ME: "23", MD: "24", MA: "25", MI: "26", MN: "27", MS: "28", MO: "29", MT: "30",
+  NE: "31", NV: "32", NH: "33", NJ: "34", NM: "35", NY: "36", NC: "37", ND: "38", OH: "39",
+  OK: "40", OR: "41", PA: "42", RI: "44", SC: "45", SD: "46", TN: "47", TX: "48", UT: "49",
+  VT: "50", VA: "51", WA: "53", WV: "54", WI: "55", WY: "56", AS: "60", GU: "66", MP: "69",
+  PR: "72", VI: "78",
+};
+
+// Zone lookups get their own client, so a burst of them never holds up the feed or alert requests.
+const zoneClient = createFetchClient({ concurrency: MAX_CONCURRENT_ZONE_FETCHES });
+
+const alertId = (alertFeature) => (alertFeature.properties && alertFeature.properties.id) || alertFeature.id;
+
+/**
+ * True when an alert has no usable polygon but names zones that can supply one.
+ * @param {object} alertFeature - NWS alert Feature.
+ * @returns {boolean}
+ */
+export function needsZoneGeometry(alertFeature) {
+  if (!alertFeature || polygonsOf(alertFeature.geometry).length > 0) return false;
+  const props = alertFeature.properties || {};
+  const ugc = (props.geocode && props.geocode.UGC) || [];
+  return (props.affectedZones || []).length > 0 || ugc.length > 0;
+}
+
+/**
+ * Zone URLs an alert refers to, from affectedZones or, failing that, its UGC codes.
+ * UGC codes are SSTNNN: state, C (county) or Z (forecast/marine zone), number.
+ * @param {object} props - Alert properties.
+ * @returns {Array<string>}
+ */
+export function zoneUrlsForAlert(props) {
+  if ((props.affectedZones || []).length > 0) return props.affectedZones;
+  const ugc = (props.geocode && props.geocode.UGC) || [];
+  return ugc
+    .filter((code) => /^[A-Z]{2}[CZ]\d{3}$/.test(code))
+    .map((code) => `${NWS_API_ORIGIN}/zones/${code[2] === "C" ? "county" : "forecast"}/${code}`);
+}
+
+/**
+ * Five-digit county FIPS codes an alert covers, from SAME codes (0SSCCC) and county UGC codes.
+ * @param {object} props - Alert properties.
+ * @returns {Array<string>}
+ */
+export function countyFipsForAlert(props) {
+  const geocode = props.geocode || {};
+  const fips = new Set();
+  (geocode.SAME || []).forEach((code) => {
+    if (/^\d{6}$/.test(code)) fips.add(code.slice(1));
+  });
+  (geocode.UGC || []).forEach((code) => {
+    const match = /^([A-Z]{2})C(\d{3})$/.exec(code);
+    if (match && STATE_FIPS[match[1]]) fips.add(`${STATE_FIPS[match[1]]}${match[2]}`);
+  });
+  return [...fips];
+}
+
+/**
+ * Fetches one zone's shape, through the proxy first and directly if that fails.
+ * Zone shapes rarely change, so a cached shape is reused for the whole session.
+ * @param {string} zoneUrl - Absolute api.weather.gov zone URL.
+ * @returns {Promise<object|null>} GeoJSON geometry, or null if the zone has none.
+ *   Rejects when the API cannot be reached at all.
+ */
+export async function fetchZoneGeometry(zoneUrl) {
+  const path = zoneUrl.startsWith(NWS_API_ORIGIN) ? zoneUrl.slice(NWS_API_ORIGIN.length) : null;
+  const direct = { url: zoneUrl, headers: { Accept: "application/geo+json" } };
+  try {
+    const { data } = path
+      ? await zoneClient.getJson(`${NWS_PROXY_PREFIX}${path}`, { fallbacks: [direct], ...ZONE_FETCH_OPTIONS })
+      : await zoneClient.getJson(direct.url, { headers: direct.headers, ...ZONE_FETCH_OPTIONS });
+    return data && data.geometry ? data.geometry : null;
+  } catch (err) {
+    // An HTTP error means the API answered, just not with this zone.
+    if (err.status) return null;
+    throw err;
+  }
+}
+
+/**
+ * Reads a zone's shape from the responses the service worker cached, without
+ * touching the network, for use once the zones endpoint is unreachable.
+ * @param {string} zoneUrl - Absolute api.weather.gov zone URL.
+ * @returns {Promise<object|null>} GeoJSON geometry, or null when no copy is cached.
+ */
+export async function cachedZoneGeometry(zoneUrl) {
+  if (typeof caches === "undefined") return null;
+  const path = zoneUrl.startsWith(NWS_API_ORIGIN) ? zoneUrl.slice(NWS_API_ORIGIN.length) : null;
+  const urls = path ? [new URL(`${NWS_PROXY_PREFIX}${path}`, window.location.href).href, zoneUrl] : [zoneUrl];
+  try {
+    for (const url of urls) {
+      const response = await caches.match(url, { ignoreVary: true });
+      if (response) {
+        const data = await response.json();
+        return data && data.geometry ? data.geometry : null;
+      }
+    }
+  } catch (err) {
+    console.warn("Could not read a cached NWS zone:", err);
+  }
+  return null;
+}
+
+let countyGeometriesPromise = null;
+
+/**
+ * Loads the bundled US county boundaries, keyed by five-digit FIPS code.
+ * @returns {Promise<Map<string, object>>}
+ */
+export function loadCountyGeometries() {
+  if (!countyGeometriesPromise) {
+    countyGeometriesPromise = import("us-atlas/counties-10m.json")
+      .then(({ default: topology }) => {
+        const counties = new Map();
+        feature(topology, topology.objects.counties).features.forEach((county) => {
+          counties.set(String(county.id), county.geometry);
+        });
+        return counties;
+      })
+      .catch((err) => {
+        countyGeometriesPromise = null;
+        throw err;
+      });
+  }
+  return countyGeometriesPromise;
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Replaces alerts in a collection with their zone-resolved copies, matched by
+ * alert ID. Alerts no longer in the collection (expired meanwhile) stay out.
+ * @param {object|null} collection - Alerts FeatureCollection.
+ * @param {Array<object>} resolvedFeatures - From a resolver's onProgress or result.
+ * @returns {object|null} New FeatureCollection, or the same one when nothing matched.
+ */
+export function mergeResolvedGeometries(collection, resolvedFeatures) {
+  if (!collection || !Array.isArray(collection.features) || resolvedFeatures.length === 0) return collection;
+  const resolved = new Map(resolvedFeatures.map((alertFeature) => [alertId(alertFeature), alertFeature]));
+  const changes = (alertFeature) => {
+    const match = resolved.get(alertId(alertFeature));
+    return match !== undefined && match !== alertFeature;
+  };
+  if (!collection.features.some(changes)) return collection;
+  return {
+    ...collection,
+    features: collection.features.map((alertFeature) => resolved.get(alertId(alertFeature)) || alertFeature),
+  };
+}
+
+/**
+ * Number of alerts left without a shape because their zones could not be fetched.
+ * @param {object|null} collection - Alerts FeatureCollection.
+ * @returns {number}
+ */
+export function countUnavailableZoneAlerts(collection) {
+  if (!collection || !Array.isArray(collection.features)) return 0;
+  return collection.features.filter((alertFeature) => alertFeature.properties && alertFeature.properties.zoneGeometryUnavailable).length;
+}
+
+/**
+ * Creates a resolver with its own zone cache. Geometries that were fetched
+ * are kept for the resolver's lifetime; failed lookups are retried next time.
+ * @param {{ fetchZone?: Function, cachedZone?: Function, loadCounties?: Function, progressIntervalMs?: number }} [options]
+ *   fetchZone(url) resolves to a geometry or null and rejects when offline;
+ *   cachedZone(url) resolves to a locally stored geometry or null, and is asked once fetchZone rejects;
+ *   loadCounties() resolves to a Map of county FIPS codes to geometries;
+ *   progressIntervalMs is the least time between onProgress calls.
+ * @returns {Function} (featureCollection, { onProgress }?) => Promise of a FeatureCollection in
+ *   which zone-only alerts carry a MultiPolygon and properties.geometrySource ("zones" or
+ *   "counties"), or properties.zoneGeometryUnavailable when offline with no county to fall back on.
+ *   onProgress receives alerts whose zones have all been fetched while the rest are still loading.
+ */
+export function createZoneResolver({
+  fetchZone = fetchZoneGeometry,
+  cachedZone = cachedZoneGeometry,
+  loadCounties = loadCountyGeometries,
+  progressIntervalMs = PROGRESS_INTERVAL_MS,
+} = {}) {
+  const zoneCache = new Map();
+
+  return async function resolveAlertZones(featureCollection, { onProgress = () => {} } = {}) {
+    if (!featureCollection || !Array.isArray(featureCollection.features)) return featureCollection;
+    const pending = featureCollection.features.filter(needsZoneGeometry);
+    if (pending.length === 0) return featureCollection;
+
+    const fullyZoned = (urls) => urls.length > 0 && urls.every((url) => zoneCache.has(url));
+    const withZones = (alertFeature) => {
+      const urls = zoneUrlsForAlert(alertFeature.properties);
+      return {
+        ...alertFeature,
+        geometry: combinePolygons(urls.map((url) => zoneCache.get(url))),
+        properties: { ...alertFeature.properties, geometrySource: "zones" },
+      };
+    };
+
+    // Alerts are passed on as soon as all their zones are in, a batch at most every progressIntervalMs.
+    let waiting = pending.filter((alertFeature) => !fullyZoned(zoneUrlsForAlert(alertFeature.properties)));
+    let ready = pending.filter((alertFeature) => !waiting.includes(alertFeature));
+    let lastReport = -Infinity;
+    const report = (force) => {
+      if (ready.length === 0 || (!force && Date.now() - lastReport < progressIntervalMs)) return;
+      onProgress(ready.map(withZones));
+      ready = [];
+      lastReport = Date.now();
+    };
+
+    // One unreachable fetch means the API is down or we are offline; stop trying for this pass.
+    // The zone client also limits fetches across passes that overlap.
+    let online = true;
+    const zoneUrls = [...new Set(waiting.flatMap((alertFeature) => zoneUrlsForAlert(alertFeature.properties)))];
+    report(true);
+    await mapWithConcurrency(zoneUrls.filter((url) => !zoneCache.has(url)), MAX_CONCURRENT_ZONE_FETCHES, async (url) => {
+      if (!online) return;
+      try {
+        const geometry = await fetchZone(url);
+        if (!geometry) return;
+        zoneCache.set(url, geometry);
+        const done = waiting.filter((alertFeature) => fullyZoned(zoneUrlsForAlert(alertFeature.properties)));
+        if (done.length === 0) return;
+        waiting = waiting.filter((alertFeature) => !done.includes(alertFeature));
+        ready.push(...done);
+        report(false);
+      } catch (err) {
+        online = false;
+        console.warn("NWS zone lookup unavailable, using cached zones and bundled county boundaries:", err);
+      }
+    });
+    if (!online) {
+      await Promise.all(zoneUrls.filter((url) => !zoneCache.has(url)).map(async (url) => {
+        const geometry = await cachedZone(url);
+        if (geometry) zoneCache.set(url, geometry);
+      }));
+    }
+    let counties = new Map();
+    if (pending.some((alertFeature) => !fullyZoned(zoneUrlsForAlert(alertFeature.properties)))) {
+      try {
+        counties = await loadCounties();
+      } catch (err) {
+        console.warn("Could not load bundled county boundaries:", err);
+      }
+    }
+
+    const resolved = new Map();
+    pending.forEach((alertFeature) => {
+      const props = alertFeature.properties || {};
+      const urls = zoneUrlsForAlert(props);
+      if (fullyZoned(urls)) {
+        resolved.set(alertFeature, { geometry: combinePolygons(urls.map((url) => zoneCache.get(url))), source: "zones" });
+        return;
+      }
+      const geometry = combinePolygons([
+        ...urls.map((url) => zoneCache.get(url)).filter(Boolean),
+        ...countyFipsForAlert(props).map((code) => counties.get(code)).filter(Boolean),
+      ]);
+      resolved.set(alertFeature, { geometry, source: "counties" });
+    });
+
+    return {
+      ...featureCollection,
+      features: featureCollection.features.map((alertFeature) => {
+        const match = resolved.get(alertFeature);
+        if (!match) return alertFeature;
+        if (!match.geometry) {
+          return online ? alertFeature : { ...alertFeature, properties: { ...alertFeature.properties, zoneGeometryUnavailable: true } };
+        }
+        return {
+          ...alertFeature,
+          geometry: match.geometry,
+          properties: { ...alertFeature.properties, geometrySource: match.source },
+        };
+      }),
+    };
+  };
+}
+
+/** Shared resolver used by the app, so zone shapes are cached across alert refreshes. */
+export const resolveAlertZones = createZoneResolver();
@@ -0,0 +1,151 @@
+import {
+  cachedZoneGeometry,
+  countUnavailableZoneAlerts,
+  countyFipsForAlert,
+  createZoneResolver,
+  loadCountyGeometries,
+  mergeResolvedGeometries,
+  needsZoneGeometry,
+  zoneUrlsForAlert,
+} from './alertZones';
+import { pointInGeometry } from './geometry';
+import nwsAlerts from './__fixtures__/nwsAlerts';
+import nwsZones from './__fixtures__/nwsZones';
+
+const byId = (collection, id) => collection.features.find((f) => f.properties.id === id);
+
+const square = (minLon, minLat, maxLon, maxLat) => ({
+  type: 'Polygon',
+  coordinates: [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]],
+});
+
+const fakeCounties = () => Promise.resolve(new Map([
+  ['08031', square(-105.1, 39.6, -104.6, 39.9)],
+  ['08005', square(-105.1, 39.5, -103.7, 39.6)],
+  ['04013', square(-113.3, 32.5, -111.0, 34.1)],
+]));
+
+test('only zone-only alerts need zone geometry', () => {
+  expect(needsZoneGeometry(byId(nwsAlerts, 'polygon'))).toBe(false);
+  expect(needsZoneGeometry(byId(nwsAlerts, 'multipolygon'))).toBe(false);
+  expect(needsZoneGeometry(byId(nwsAlerts, 'zone-only'))).toBe(true);
+  expect(needsZoneGeometry(byId(nwsAlerts, 'ugc-county'))).toBe(true);
+});
+
+test('derives zone URLs and county FIPS codes from UGC and SAME codes', () => {
+  expect(zoneUrlsForAlert(byId(nwsAlerts, 'ugc-county').properties))
+    .toEqual(['https://api.weather.gov/zones/county/AZC013']);
+  expect(countyFipsForAlert(byId(nwsAlerts, 'zone-only').properties)).toEqual(['08031', '08005']);
+  expect(countyFipsForAlert(byId(nwsAlerts, 'ugc-county').properties)).toEqual(['04013']);
+});
+
+test('fills zone-only alerts from fetched zone shapes and caches them', async () => {
+  const fetchZone = jest.fn((url) => Promise.resolve(url.endsWith('COZ039') ? square(-105.3, 39.5, -104.5, 40) : null));
+  const resolve = createZoneResolver({ fetchZone, loadCounties: fakeCounties });
+
+  const resolved = await resolve(nwsAlerts);
+  const winter = byId(resolved, 'zone-only');
+
+  expect(winter.properties.geometrySource).toBe('zones');
+  expect(pointInGeometry(-104.99, 39.74, winter.geometry)).toBe(true);
+  expect(byId(resolved, 'polygon')).toBe(byId(nwsAlerts, 'polygon'));
+
+  const callsAfterFirstPass = fetchZone.mock.calls.length;
+  await resolve(nwsAlerts);
+  // Only the zones that returned nothing are asked for again.
+  expect(fetchZone.mock.calls.filter(([url]) => url.endsWith('COZ039'))).toHaveLength(1);
+  expect(fetchZone.mock.calls.length).toBe(callsAfterFirstPass + 2);
+});
+
+test('falls back to county boundaries when the zones endpoint is unreachable', async () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const fetchZone = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  const resolve = createZoneResolver({ fetchZone, loadCounties: fakeCounties });
+
+  const resolved = await resolve(nwsAlerts);
+
+  expect(byId(resolved, 'zone-only').properties.geometrySource).toBe('counties');
+  expect(pointInGeometry(-104.99, 39.74, byId(resolved, 'zone-only').geometry)).toBe(true);
+  expect(pointInGeometry(-112, 33.4, byId(resolved, 'ugc-county').geometry)).toBe(true);
+  // Marine zones have no county equivalent and stay without a shape.
+  expect(byId(resolved, 'marine').geometry).toBeNull();
+  expect(new Set(fetchZone.mock.calls.map(([url]) => url)).size).toBe(fetchZone.mock.calls.length);
+  warn.mockRestore();
+});
+
+test('bundled county boundaries resolve SAME codes', async () => {
+  const counties = await loadCountyGeometries();
+
+  expect(pointInGeometry(-104.99, 39.74, counties.get('08031'))).toBe(true);
+});
+
+test('passes on alerts as their zones load and marks zone alerts it cannot draw offline', async () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const fetchZone = jest.fn((url) => (url.endsWith('COZ039')
+    ? Promise.resolve(square(-105.3, 39.5, -104.5, 40))
+    : Promise.reject(new TypeError('Failed to fetch'))));
+  const resolve = createZoneResolver({ fetchZone, loadCounties: fakeCounties, progressIntervalMs: 0 });
+  const onProgress = jest.fn();
+
+  const resolved = await resolve({ ...nwsAlerts, features: [byId(nwsAlerts, 'zone-only'), byId(nwsAlerts, 'marine')] }, { onProgress });
+
+  expect(onProgress).toHaveBeenCalledTimes(1);
+  expect(onProgress.mock.calls[0][0].map((f) => [f.properties.id, f.properties.geometrySource])).toEqual([['zone-only', 'zones']]);
+  expect(byId(resolved, 'marine').properties.zoneGeometryUnavailable).toBe(true);
+  expect(countUnavailableZoneAlerts(resolved)).toBe(1);
+  warn.mockRestore();
+});
+
+test('merges resolved alerts into the collection by ID, leaving out expired ones', () => {
+  const collection = { ...nwsAlerts, features: nwsAlerts.features.filter((f) => f.properties.id !== 'marine') };
+  const winter = { ...byId(nwsAlerts, 'zone-only'), geometry: square(-105.3, 39.5, -104.5, 40) };
+  const marine = { ...byId(nwsAlerts, 'marine'), properties: { ...byId(nwsAlerts, 'marine').properties, zoneGeometryUnavailable: true } };
+
+  const merged = mergeResolvedGeometries(collection, [winter, marine]);
+
+  expect(byId(merged, 'zone-only')).toBe(winter);
+  expect(byId(merged, 'marine')).toBeUndefined();
+  expect(merged.features).toHaveLength(collection.features.length);
+  expect(mergeResolvedGeometries(merged, [winter])).toBe(merged);
+});
+
+test('draws forecast and marine zone alerts offline from cached zone responses', async () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const fetchZone = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  const cachedZone = jest.fn((url) => Promise.resolve(nwsZones[url] ? nwsZones[url].geometry : null));
+  const resolve = createZoneResolver({ fetchZone, cachedZone, loadCounties: fakeCounties });
+
+  const resolved = await resolve(nwsAlerts);
+
+  expect(byId(resolved, 'zone-only').properties.geometrySource).toBe('zones');
+  expect(byId(resolved, 'marine').properties.geometrySource).toBe('zones');
+  expect(pointInGeometry(-93.6, 29.5, byId(resolved, 'marine').geometry)).toBe(true);
+  // Zones never cached still fall back to the counties.
+  expect(byId(resolved, 'ugc-county').properties.geometrySource).toBe('counties');
+  expect(countUnavailableZoneAlerts(resolved)).toBe(0);
+  warn.mockRestore();
+});
+
+describe('cachedZoneGeometry', () => {
+  afterEach(() => {
+    delete global.caches;
+  });
+
+  test('reads the proxied copy the service worker stored, then the direct one', async () => {
+    const stored = new Map([
+      [`${window.location.origin}/weather-api/zones/forecast/GMZ250`, nwsZones['https://api.weather.gov/zones/forecast/GMZ250']],
+      ['https://api.weather.gov/zones/forecast/COZ039', nwsZones['https://api.weather.gov/zones/forecast/COZ039']],
+    ]);
+    global.caches = {
+      match: jest.fn((url) => Promise.resolve(stored.has(url) ? { json: () => Promise.resolve(stored.get(url)) } : undefined)),
+    };
+
+    expect(await cachedZoneGeometry('https://api.weather.gov/zones/forecast/GMZ250')).toEqual(nwsZones['https://api.weather.gov/zones/forecast/GMZ250'].geometry);
+    expect(await cachedZoneGeometry('https://api.weather.gov/zones/forecast/COZ039')).toEqual(nwsZones['https://api.weather.gov/zones/forecast/COZ039'].geometry);
+    expect(await cachedZoneGeometry('https://api.weather.gov/zones/county/AZC013')).toBeNull();
+  });
+
+  test('finds nothing without Cache Storage', async () => {
+    expect(await cachedZoneGeometry('https://api.weather.gov/zones/forecast/GMZ250')).toBeNull();
+  });
+});
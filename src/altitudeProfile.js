@@ -0,0 +1,136 @@
+/**
+ * Altitude-against-time profile of one balloon track: climb rate between
+ * fixes, ascent/descent/level phases, and time spent inside NWS alert areas.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/** Vertical speeds within this band (m/s) count as level flight. */
+export const LEVEL_RATE_MS = 0.02;
+
+/**
+ * True when an alert was in effect at a time. Alerts without onset or
+ * expiry fields are treated as open-ended on that side.
+ * @param {object} alertProps - NWS alert properties.
+ * @param {Date} time
+ * @returns {boolean}
+ */
+export function isAlertInEffect(alertProps, time) {
+  const start = alertProps.onset || alertProps.effective;
+  const end = alertProps.ends || alertProps.expires;
+  if (start && time < new Date(start)) return false;
+  if (end && time > new Date(end)) return false;
+  return true;
+}
+
+/**
+ * Classifies a vertical speed.
+ * @param {number} climbRateMs
+ * @returns {"ascent"|"descent"|"level"}
+ */
+export function classifyPhase(climbRateMs) {
+  if (climbRateMs > LEVEL_RATE_MS) return "ascent";
+  if (climbRateMs < -LEVEL_RATE_MS) return "descent";
+  return "level";
+}
+
+/**
+ * Builds the profile for a track.
+ * @param {Array<object>} positions - Track positions, newest first, alt in km.
+ * @param {object} [alertMatches] - NWS alert properties keyed by index into positions,
+ *   as returned by the alert matcher. A fix counts as inside an alert area only
+ *   if one of its alerts was in effect at the fix's time.
+ * @returns {{
+ *   points: Array<{ positionIndex: number, timestamp: Date, lat: number, lon: number, alt: number,
+ *     climbRateMs: number|null, inAlert: boolean }>,
+ *   phases: Array<{ phase: string, start: Date, end: Date, startAlt: number, endAlt: number, climbRateMs: number }>,
+ *   hoursInAlerts: number,
+ *   hoursByPhase: { ascent: number, descent: number, level: number },
+ *   minAlt: number, maxAlt: number, maxClimbRateMs: number, maxDescentRateMs: number
+ * }|null} Null when fewer than two fixes have an altitude.
+ */
+export function buildAltitudeProfile(positions, alertMatches = {}) {
+  const points = (positions || [])
+    .map((pos, positionIndex) => ({ pos, positionIndex }))
+    .filter(({ pos }) => pos && typeof pos.alt === "number" && isFinite(pos.alt) && pos.timestamp instanceof Date)
+    .sort((a, b) => a.pos.timestamp - b.pos.timestamp)
+    .map(({ pos, positionIndex }) => ({
+      positionIndex,
+      timestamp: pos.timestamp,
+      lat: pos.lat,
+      lon: pos.lon,
+      alt: pos.alt,
+      climbRateMs: null,
+      inAlert: (alertMatches[positionIndex] || []).some((alertProps) => isAlertInEffect(alertProps, pos.timestamp)),
+    }));
+  if (points.length < 2) return null;
+
+  const phases = [];
+  const hoursByPhase = { ascent: 0, descent: 0, level: 0 };
+  let hoursInAlerts = 0;
+  let maxClimbRateMs = 0;
+  let maxDescentRateMs = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const point = points[i];
+    const hours = (point.timestamp - prev.timestamp) / MS_PER_HOUR;
+    if (hours <= 0) continue;
+
+    const climbRateMs = ((point.alt - prev.alt) * 1000) / (hours * 3600);
+    point.climbRateMs = climbRateMs;
+    maxClimbRateMs = Math.max(maxClimbRateMs, climbRateMs);
+    maxDescentRateMs = Math.max(maxDescentRateMs, -climbRateMs);
+
+    const phase = classifyPhase(climbRateMs);
+    hoursByPhase[phase] += hours;
+    // A segment with one end inside an alert area counts for half its duration.
+    hoursInAlerts += (hours * ((prev.inAlert ? 1 : 0) + (point.inAlert ? 1 : 0))) / 2;
+
+    const last = phases[phases.length - 1];
+    if (last && last.phase === phase) {
+      last.end = point.timestamp;
+      last.endAlt = point.alt;
+    } else {
+      phases.push({ phase, start: prev.timestamp, end: point.timestamp, startAlt: prev.alt, endAlt: point.alt });
+    }
+  }
+
+  phases.forEach((phase) => {
+    phase.climbRateMs = ((phase.endAlt - phase.startAlt) * 1000) / ((phase.end - phase.start) / 1000);
+  });
+
+  const altitudes = points.map((point) => point.alt);
+  return {
+    points,
+    phases,
+    hoursInAlerts,
+    hoursByPhase,
+    minAlt: Math.min(...altitudes),
+    maxAlt: Math.max(...altitudes),
+    maxClimbRateMs,
+    maxDescentRateMs,
+  };
+}
+
+/**
+ * The profile point closest in time to a moment, for hover lookups.
+ * @param {Array<{ timestamp: Date }>} points - Chronological profile points.
+ * @param {Date|number} time
+ * @returns {number} Index into points, or -1 when there are none.
+ */
+export function nearestPointIndex(points, time) {
+  if (!points || points.length === 0) return -1;
+  const target = time instanceof Date ? time.getTime() : time;
+  let lo = 0;
+  let hi = points.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].timestamp.getTime() < target) lo = mid + 1;
+    else hi = mid;
+  }
+  if (lo > 0 && target - points[lo - 1].timestamp.getTime() <= points[lo].timestamp.getTime() - target) {
+    return lo - 1;
+  }
+  return lo;
+}
@@ -0,0 +1,71 @@
+import { buildAltitudeProfile, classifyPhase, isAlertInEffect, nearestPointIndex } from './altitudeProfile';
+
+const hour = (h) => new Date(Date.UTC(2025, 4, 1, h));
+
+// Newest first, as balloons store them: climbs 1 km/h for two hours, holds, then sinks.
+const positions = [
+  { lat: 40, lon: -100, alt: 12.5, timestamp: hour(5) },
+  { lat: 40, lon: -101, alt: 13.5, timestamp: hour(4) },
+  { lat: 40, lon: -102, alt: 13.5, timestamp: hour(3) },
+  { lat: 40, lon: -103, alt: 13.5, timestamp: hour(2) },
+  { lat: 40, lon: -104, alt: 12.5, timestamp: hour(1) },
+  { lat: 40, lon: -105, alt: 11.5, timestamp: hour(0) },
+];
+
+test('orders points oldest first and computes climb rates in m/s', () => {
+  const profile = buildAltitudeProfile(positions);
+
+  expect(profile.points.map((p) => p.positionIndex)).toEqual([5, 4, 3, 2, 1, 0]);
+  expect(profile.points[0].climbRateMs).toBeNull();
+  expect(profile.points[1].climbRateMs).toBeCloseTo(1000 / 3600, 6);
+  expect(profile.maxClimbRateMs).toBeCloseTo(0.2778, 3);
+  expect(profile.maxDescentRateMs).toBeCloseTo(0.2778, 3);
+  expect(profile.minAlt).toBe(11.5);
+  expect(profile.maxAlt).toBe(13.5);
+});
+
+test('merges consecutive segments into ascent, level and descent phases', () => {
+  const { phases, hoursByPhase } = buildAltitudeProfile(positions);
+
+  expect(phases.map((p) => p.phase)).toEqual(['ascent', 'level', 'descent']);
+  expect(phases[0]).toMatchObject({ start: hour(0), end: hour(2), startAlt: 11.5, endAlt: 13.5 });
+  expect(phases[2].climbRateMs).toBeCloseTo(-1000 / 3600, 6);
+  expect(hoursByPhase).toEqual({ ascent: 2, level: 2, descent: 1 });
+});
+
+test('counts hours inside alerts only while the alert was in effect', () => {
+  const storm = { id: 'storm', effective: hour(1).toISOString(), expires: hour(3).toISOString() };
+  // Fixes 0-3 (hours 5 back to 2) sit in the alert polygon, but it expired at hour 3.
+  const profile = buildAltitudeProfile(positions, { 0: [storm], 1: [storm], 2: [storm], 3: [storm] });
+
+  expect(profile.points.map((p) => p.inAlert)).toEqual([false, false, true, true, false, false]);
+  // Segment 2-3 is fully inside; 1-2 and 3-4 count half.
+  expect(profile.hoursInAlerts).toBe(2);
+});
+
+test('treats missing alert times as open-ended', () => {
+  expect(isAlertInEffect({}, hour(0))).toBe(true);
+  expect(isAlertInEffect({ onset: hour(2).toISOString() }, hour(1))).toBe(false);
+  expect(isAlertInEffect({ ends: hour(2).toISOString(), expires: hour(5).toISOString() }, hour(3))).toBe(false);
+});
+
+test('needs two fixes with altitude', () => {
+  expect(buildAltitudeProfile([positions[0]])).toBeNull();
+  expect(buildAltitudeProfile([positions[0], { ...positions[1], alt: undefined }])).toBeNull();
+});
+
+test('classifies small vertical speeds as level', () => {
+  expect(classifyPhase(0.01)).toBe('level');
+  expect(classifyPhase(0.5)).toBe('ascent');
+  expect(classifyPhase(-0.5)).toBe('descent');
+});
+
+test('finds the point nearest a hovered time', () => {
+  const { points } = buildAltitudeProfile(positions);
+
+  expect(nearestPointIndex(points, hour(2).getTime() + 20 * 60 * 1000)).toBe(2);
+  expect(nearestPointIndex(points, hour(2).getTime() + 40 * 60 * 1000)).toBe(3);
+  expect(nearestPointIndex(points, hour(-3))).toBe(0);
+  expect(nearestPointIndex(points, hour(9))).toBe(5);
+  expect(nearestPointIndex([], hour(0))).toBe(-1);
+});
@@ -0,0 +1,126 @@
+import { inRegion } from "./alertRules";
+import { trackDistanceKm } from "./dataQuality";
+
+/**
+ * Rows, filters and sorting for the balloon list. The same filters decide
+ * which balloons the map draws, so the list and the map always agree.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+export const BALLOON_LIST_COLUMNS = [
+  { id: "id", label: "ID" },
+  { id: "lat", label: "Lat" },
+  { id: "lon", label: "Lon" },
+  { id: "alt", label: "Alt km" },
+  { id: "distance", label: "24h km" },
+  { id: "alerts", label: "Alerts" },
+];
+
+export const DEFAULT_LIST_FILTERS = {
+  query: "",
+  minAltKm: null,
+  maxAltKm: null,
+  minDistanceKm: null,
+  onlyInAlert: false,
+  region: null,
+};
+
+export const DEFAULT_LIST_SORT = { column: "id", descending: false };
+
+/**
+ * Distance flown over the hours before a track's newest fix, measured like
+ * the popup and statistics distances (see trackDistanceKm).
+ * @param {Array<object>} positions - Track positions, newest first.
+ * @param {number} [hours=24]
+ * @returns {number} km.
+ */
+export function recentDistanceKm(positions, hours = 24) {
+  if (!positions || positions.length < 2) return 0;
+  const cutoff = positions[0].timestamp.getTime() - hours * MS_PER_HOUR;
+  return trackDistanceKm(positions.filter((pos) => pos.timestamp.getTime() >= cutoff));
+}
+
+/**
+ * One list row per displayed balloon.
+ * @param {Array<{ balloon: object, position: object, alerts: Array<object>|null }>} states
+ *   Display states as built in App (position may be a replayed one).
+ * @returns {Array<{ id: string, lat: number, lon: number, alt: number|null, distance: number,
+ *   alerts: number, state: object }>}
+ */
+export function buildListRows(states) {
+  return states.map((state) => ({
+    id: String(state.balloon.id),
+    lat: state.position.lat,
+    lon: state.position.lon,
+    alt: typeof state.position.alt === "number" && isFinite(state.position.alt) ? state.position.alt : null,
+    distance: recentDistanceKm(state.balloon.positions),
+    alerts: state.alerts ? state.alerts.length : 0,
+    state,
+  }));
+}
+
+/**
+ * True when any filter differs from the defaults.
+ * @param {object} filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return Object.keys(DEFAULT_LIST_FILTERS).some((key) => filters[key] !== DEFAULT_LIST_FILTERS[key]);
+}
+
+/**
+ * Whether a row passes the filters. Blank numeric bounds are ignored; an
+ * altitude bound excludes balloons without an altitude.
+ * @param {object} row - Row from buildListRows.
+ * @param {{ query: string, minAltKm: number|null, maxAltKm: number|null, minDistanceKm: number|null,
+ *   onlyInAlert: boolean, region: object|null }} filters
+ *   query matches anywhere in the ID, ignoring case; region is as parsed by parseRegion.
+ * @returns {boolean}
+ */
+export function rowMatchesFilters(row, filters) {
+  const query = filters.query.trim().toLowerCase();
+  if (query && !row.id.toLowerCase().includes(query)) return false;
+  if (filters.minAltKm !== null && !(row.alt !== null && row.alt >= filters.minAltKm)) return false;
+  if (filters.maxAltKm !== null && !(row.alt !== null && row.alt <= filters.maxAltKm)) return false;
+  if (filters.minDistanceKm !== null && row.distance < filters.minDistanceKm) return false;
+  if (filters.onlyInAlert && row.alerts === 0) return false;
+  return inRegion(filters.region, row);
+}
+
+/**
+ * Sorts rows by a column. Missing values sort last in either direction, and
+ * IDs compare numerically when both are numbers.
+ * @param {Array<object>} rows
+ * @param {{ column: string, descending: boolean }} sort
+ * @returns {Array<object>} A new array.
+ */
+export function sortRows(rows, { column, descending }) {
+  const direction = descending ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    const x = a[column];
+    const y = b[column];
+    if (x === null || x === undefined) return y === null || y === undefined ? 0 : 1;
+    if (y === null || y === undefined) return -1;
+    if (typeof x === "string") return direction * x.localeCompare(y, undefined, { numeric: true });
+    return direction * (x - y);
+  });
+}
+
+/**
+ * Region covering view bounds, with longitudes brought back into ±180.
+ * @param {{ south: number, west: number, north: number, east: number }} bounds
+ * @returns {{ minLat: number, minLon: number, maxLat: number, maxLon: number }}
+ *   minLon exceeds maxLon when the view spans the antimeridian.
+ */
+export function regionFromBounds({ south, west, north, east }) {
+  const wrap = (lon) => ((((lon + 180) % 360) + 360) % 360) - 180;
+  const round = (value) => Math.round(value * 100) / 100;
+  const wholeWorld = east - west >= 360;
+  return {
+    minLat: round(Math.max(-90, south)),
+    minLon: wholeWorld ? -180 : round(wrap(west)),
+    maxLat: round(Math.min(90, north)),
+    maxLon: wholeWorld ? 180 : round(wrap(east)),
+  };
+}
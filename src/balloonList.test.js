@@ -0,0 +1,90 @@
+import {
+  DEFAULT_LIST_FILTERS,
+  buildListRows,
+  hasActiveFilters,
+  recentDistanceKm,
+  regionFromBounds,
+  rowMatchesFilters,
+  sortRows,
+} from './balloonList';
+import { parseRegion } from './alertRules';
+import { calculateDistance } from './geo';
+import { trackDistanceKm } from './dataQuality';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date('2025-05-01T12:00:00Z').getTime();
+
+function state(id, lat, lon, alt, alerts = null, positions = []) {
+  return { balloon: { id, positions }, position: { lat, lon, alt }, alerts };
+}
+
+const rows = buildListRows([
+  state('12', 35, -97, 14, [{ event: 'Tornado Warning' }]),
+  state('3', 45, -120, 4.2),
+  state('100', 10, 175, undefined),
+  state('7', 10, -178, 18, null, [
+    { lat: 10, lon: -178, timestamp: new Date(T0) },
+    { lat: 10, lon: 179, timestamp: new Date(T0 - HOUR) },
+  ]),
+]);
+
+const filtered = (changes) =>
+  rows.filter((row) => rowMatchesFilters(row, { ...DEFAULT_LIST_FILTERS, ...changes })).map((row) => row.id);
+
+test('builds rows from display states', () => {
+  expect(rows[0]).toMatchObject({ id: '12', lat: 35, lon: -97, alt: 14, distance: 0, alerts: 1 });
+  expect(rows[2].alt).toBeNull();
+  expect(rows[3].distance).toBeCloseTo(calculateDistance(10, 179, 10, -178), 6);
+});
+
+test('sums only the last day of a track', () => {
+  const positions = [
+    { lat: 0, lon: 2, timestamp: new Date(T0) },
+    { lat: 0, lon: 1, timestamp: new Date(T0 - 12 * HOUR) },
+    { lat: 0, lon: 0, timestamp: new Date(T0 - 24 * HOUR) },
+    { lat: 0, lon: -5, timestamp: new Date(T0 - 30 * HOUR) },
+  ];
+  expect(recentDistanceKm(positions)).toBeCloseTo(calculateDistance(0, 0, 0, 2), 6);
+  expect(recentDistanceKm(positions.slice(0, 1))).toBe(0);
+});
+
+test('counts long steps across gaps in a track, like the popup distance', () => {
+  // Ten hours without a fix, then 2500 km further on: a long step, but a plausible one.
+  const positions = [
+    { lat: 60, lon: 20, timestamp: new Date(T0) },
+    { lat: 60, lon: -25, timestamp: new Date(T0 - 10 * HOUR) },
+  ];
+  expect(recentDistanceKm(positions)).toBeCloseTo(trackDistanceKm(positions), 6);
+  expect(recentDistanceKm(positions)).toBeGreaterThan(2000);
+});
+
+test('filters by ID, altitude, distance and alerts', () => {
+  expect(filtered({ query: '1' })).toEqual(['12', '100']);
+  expect(filtered({ minAltKm: 5 })).toEqual(['12', '7']);
+  expect(filtered({ maxAltKm: 15 })).toEqual(['12', '3']);
+  expect(filtered({ minDistanceKm: 100 })).toEqual(['7']);
+  expect(filtered({ onlyInAlert: true })).toEqual(['12']);
+});
+
+test('filters by a bounding box, including one across the antimeridian', () => {
+  expect(filtered({ region: parseRegion('30, -125, 50, -90') })).toEqual(['12', '3']);
+  expect(filtered({ region: parseRegion('0, 170, 20, -170') })).toEqual(['100', '7']);
+});
+
+test('reports whether any filter is set', () => {
+  expect(hasActiveFilters(DEFAULT_LIST_FILTERS)).toBe(false);
+  expect(hasActiveFilters({ ...DEFAULT_LIST_FILTERS, onlyInAlert: true })).toBe(true);
+});
+
+test('sorts IDs numerically and keeps missing values last', () => {
+  expect(sortRows(rows, { column: 'id', descending: false }).map((r) => r.id)).toEqual(['3', '7', '12', '100']);
+  expect(sortRows(rows, { column: 'alt', descending: true }).map((r) => r.id)).toEqual(['7', '12', '3', '100']);
+  expect(sortRows(rows, { column: 'alt', descending: false }).map((r) => r.id)).toEqual(['3', '12', '7', '100']);
+});
+
+test('turns map bounds into a region within ±180', () => {
+  expect(regionFromBounds({ south: 0, west: 170, north: 20, east: 190 }))
+    .toEqual({ minLat: 0, minLon: 170, maxLat: 20, maxLon: -170 });
+  expect(regionFromBounds({ south: -95, west: -300, north: 95, east: 300 }))
+    .toEqual({ minLat: -90, minLon: -180, maxLat: 90, maxLon: 180 });
+});
@@ -0,0 +1,140 @@
+/**
+ * Zoom-dependent clustering and viewport culling for balloon markers and
+ * paths. Clustering buckets balloons into square pixel cells of the Web
+ * Mercator projection at the current zoom, the same projection Leaflet uses,
+ * so clusters split apart as the user zooms in.
+ */
+
+const TILE_SIZE = 256;
+const MAX_MERCATOR_LAT = 85.0511287798;
+
+/** From this zoom up every balloon gets its own marker. */
+export const CLUSTER_MAX_ZOOM = 7;
+export const CLUSTER_CELL_PX = 60;
+
+/**
+ * Web Mercator pixel coordinates of a point at a zoom level.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} zoom
+ * @returns {{ x: number, y: number }}
+ */
+export function projectToPixels(lat, lon, zoom) {
+  const scale = TILE_SIZE * Math.pow(2, zoom);
+  const clampedLat = Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat));
+  const sinLat = Math.sin(clampedLat * Math.PI / 180);
+  return {
+    x: ((lon + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale,
+  };
+}
+
+/**
+ * Groups items that fall in the same pixel cell at a zoom level.
+ * @param {Array<object>} items
+ * @param {number} zoom
+ * @param {{ getLatLon?: Function, cellSizePx?: number, keepSeparate?: Function }} [options]
+ *   keepSeparate(item) returning true leaves an item out of every cluster (e.g. a selected balloon).
+ * @returns {Array<{ items: Array<object>, lat: number, lon: number }>}
+ *   Single-item groups for unclustered items; lat/lon is the members' centroid.
+ */
+export function clusterItems(items, zoom, { getLatLon = (item) => item, cellSizePx = CLUSTER_CELL_PX, keepSeparate = () => false } = {}) {
+  const singles = [];
+  const cells = new Map();
+  items.forEach((item) => {
+    const { lat, lon } = getLatLon(item);
+    if (zoom >= CLUSTER_MAX_ZOOM || keepSeparate(item)) {
+      singles.push({ items: [item], lat, lon });
+      return;
+    }
+    const { x, y } = projectToPixels(lat, lon, zoom);
+    const key = `${Math.floor(x / cellSizePx)}:${Math.floor(y / cellSizePx)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(item);
+  });
+
+  const groups = [...cells.values()].map((members) => {
+    const coords = members.map(getLatLon);
+    return {
+      items: members,
+      lat: coords.reduce((sum, c) => sum + c.lat, 0) / coords.length,
+      lon: coords.reduce((sum, c) => sum + c.lon, 0) / coords.length,
+    };
+  });
+  return [...groups, ...singles];
+}
+
+/**
+ * Plain bounds from a Leaflet LatLngBounds, grown on every side by a fraction of its size.
+ * @param {object} leafletBounds - Has getSouth(), getWest(), getNorth() and getEast().
+ * @param {number} [padRatio=0.2]
+ * @returns {{ south: number, west: number, north: number, east: number }}
+ */
+export function paddedViewBounds(leafletBounds, padRatio = 0.2) {
+  const south = leafletBounds.getSouth();
+  const north = leafletBounds.getNorth();
+  const west = leafletBounds.getWest();
+  const east = leafletBounds.getEast();
+  const latPad = (north - south) * padRatio;
+  const lonPad = (east - west) * padRatio;
+  return { south: south - latPad, west: west - lonPad, north: north + latPad, east: east + lonPad };
+}
+
+/**
+ * True when a point lies inside view bounds. The map may show longitudes
+ * beyond ±180 (world copies), so longitudes are compared modulo 360.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {{ south: number, west: number, north: number, east: number }|null} bounds - Null means no culling.
+ * @returns {boolean}
+ */
+export function inViewBounds(lat, lon, bounds) {
+  if (!bounds) return true;
+  if (lat < bounds.south || lat > bounds.north) return false;
+  if (bounds.east - bounds.west >= 360) return true;
+  const shifted = bounds.west + ((((lon - bounds.west) % 360) + 360) % 360);
+  return shifted <= bounds.east;
+}
+
+/**
+ * True when a path's bounding box overlaps the view. Conservative: a path
+ * whose box touches the view is kept even if the line itself misses it.
+ * @param {Array<[number, number]>} latLngs - Path without antimeridian jumps.
+ * @param {object|null} bounds - As for inViewBounds.
+ * @returns {boolean}
+ */
+export function pathInView(latLngs, bounds) {
+  if (!bounds) return true;
+  if (latLngs.length === 0) return false;
+  let south = Infinity;
+  let north = -Infinity;
+  let west = Infinity;
+  let east = -Infinity;
+  latLngs.forEach(([lat, lon]) => {
+    south = Math.min(south, lat);
+    north = Math.max(north, lat);
+    west = Math.min(west, lon);
+    east = Math.max(east, lon);
+  });
+  if (south > bounds.north || north < bounds.south) return false;
+  if (bounds.east - bounds.west >= 360) return true;
+  const shiftedWest = bounds.west + ((((west - bounds.west) % 360) + 360) % 360);
+  return shiftedWest <= bounds.east || shiftedWest - 360 + (east - west) >= bounds.west;
+}
+
+/**
+ * Counts and averages shown on a cluster marker.
+ * @param {Array<{ balloon: object, position: object, hasAlerts: boolean }>} members
+ * @returns {{ count: number, avgAltKm: number|null, avgDistanceKm: number|null, alertCount: number }}
+ */
+export function summarizeCluster(members) {
+  const altitudes = members.map((m) => m.position.alt).filter((alt) => typeof alt === "number" && isFinite(alt));
+  const distances = members.map((m) => m.balloon.totalDistance).filter((d) => typeof d === "number" && isFinite(d));
+  const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+  return {
+    count: members.length,
+    avgAltKm: mean(altitudes),
+    avgDistanceKm: mean(distances),
+    alertCount: members.filter((m) => m.hasAlerts).length,
+  };
+}
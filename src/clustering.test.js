@@ -0,0 +1,79 @@
+import {
+  CLUSTER_MAX_ZOOM,
+  clusterItems,
+  inViewBounds,
+  paddedViewBounds,
+  pathInView,
+  projectToPixels,
+  summarizeCluster,
+} from './clustering';
+
+// Two balloons a few km apart over Kansas and one over Florida.
+const points = [
+  { id: 'a', lat: 38.5, lon: -98.0 },
+  { id: 'b', lat: 38.52, lon: -98.03 },
+  { id: 'c', lat: 27.9, lon: -81.7 },
+];
+
+test('projects onto Web Mercator pixels like Leaflet', () => {
+  expect(projectToPixels(0, 0, 0)).toEqual({ x: 128, y: 128 });
+  expect(projectToPixels(0, -180, 1).x).toBe(0);
+  const north = projectToPixels(90, 0, 0); // clamped to the Mercator limit
+  expect(north.y).toBeCloseTo(0, 6);
+});
+
+test('merges nearby balloons at low zoom and splits them when zoomed in', () => {
+  const low = clusterItems(points, 4);
+  expect(low).toHaveLength(2);
+  const pair = low.find((group) => group.items.length === 2);
+  expect(pair.items.map((p) => p.id).sort()).toEqual(['a', 'b']);
+  expect(pair.lat).toBeCloseTo(38.51, 6);
+  expect(pair.lon).toBeCloseTo(-98.015, 6);
+
+  const high = clusterItems(points, CLUSTER_MAX_ZOOM);
+  expect(high).toHaveLength(3);
+  high.forEach((group) => expect(group.items).toHaveLength(1));
+});
+
+test('keeps selected items out of clusters', () => {
+  const groups = clusterItems(points, 4, { keepSeparate: (p) => p.id === 'a' });
+  expect(groups).toHaveLength(3);
+});
+
+test('reads coordinates through getLatLon', () => {
+  const wrapped = points.map((p) => ({ position: p }));
+  const groups = clusterItems(wrapped, 2, { getLatLon: (item) => item.position });
+  expect(groups.reduce((sum, group) => sum + group.items.length, 0)).toBe(3);
+});
+
+test('pads Leaflet bounds on every side', () => {
+  const bounds = { getSouth: () => 30, getNorth: () => 40, getWest: () => -100, getEast: () => -80 };
+  expect(paddedViewBounds(bounds, 0.1)).toEqual({ south: 29, west: -102, north: 41, east: -78 });
+});
+
+test('culls points outside the view, allowing for world copies', () => {
+  const view = { south: 20, west: 170, north: 50, east: 200 };
+  expect(inViewBounds(30, 175, view)).toBe(true);
+  expect(inViewBounds(30, -170, view)).toBe(true); // 190° on the copy east of the antimeridian
+  expect(inViewBounds(30, -150, view)).toBe(false);
+  expect(inViewBounds(60, 175, view)).toBe(false);
+  expect(inViewBounds(60, 175, null)).toBe(true);
+});
+
+test('keeps paths whose bounding box overlaps the view', () => {
+  const view = { south: 30, west: -100, north: 40, east: -90 };
+  expect(pathInView([[35, -120], [35, -95]], view)).toBe(true);
+  expect(pathInView([[35, -120], [36, -110]], view)).toBe(false);
+  expect(pathInView([[10, -95], [20, -95]], view)).toBe(false);
+  expect(pathInView([], view)).toBe(false);
+  expect(pathInView([[10, -95]], null)).toBe(true);
+});
+
+test('summarizes a cluster', () => {
+  const summary = summarizeCluster([
+    { balloon: { totalDistance: 100 }, position: { alt: 10 }, hasAlerts: true },
+    { balloon: { totalDistance: 300 }, position: { alt: 14 }, hasAlerts: false },
+    { balloon: {}, position: {}, hasAlerts: true },
+  ]);
+  expect(summary).toEqual({ count: 3, avgAltKm: 12, avgDistanceKm: 200, alertCount: 2 });
+});
@@ -0,0 +1,241 @@
+import { calculateBearing, calculateDistance } from "./geo";
+
+/**
+ * Continuous color scales for balloon paths and markers. Every color-by
+ * mode maps a number (total distance, altitude, speed, heading or data age)
+ * through one scale, which also describes the legend.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const NO_DATA_COLOR = "hsl(0, 0%, 55%)";
+const COLOR_MODE_STORAGE_KEY = "windborne.colorMode";
+
+export const COLOR_MODES = [
+  { id: "distance", label: "Total distance (relative)" },
+  { id: "altitude", label: "Altitude" },
+  { id: "speed", label: "Ground speed" },
+  { id: "heading", label: "Heading" },
+  { id: "age", label: "Data age" },
+];
+export const DEFAULT_COLOR_MODE = "distance";
+
+const ALTITUDE_DOMAIN_KM = [0, 20];
+const SPEED_DOMAIN_KMH = [0, 200];
+
+function hsl([h, s, l]) {
+  return `hsl(${(Math.round(h) % 360).toFixed(0)}, ${s.toFixed(0)}%, ${l.toFixed(0)}%)`;
+}
+
+function interpolateStops(stops, t) {
+  let i = 1;
+  while (i < stops.length - 1 && stops[i].t < t) i++;
+  const lo = stops[i - 1];
+  const hi = stops[i];
+  const f = hi.t > lo.t ? Math.min(1, Math.max(0, (t - lo.t) / (hi.t - lo.t))) : 0;
+  return lo.hsl.map((value, k) => value + (hi.hsl[k] - value) * f);
+}
+
+/**
+ * Builds a scale from HSL color stops over a numeric domain.
+ * @param {{
+ *   domain: [number, number],
+ *   stops: Array<{ t: number, hsl: [number, number, number] }>,
+ *   ticks: Array<{ value: number, label: string }>,
+ *   steps?: number|null
+ * }} options
+ *   stops are placed at t from 0 (domain start) to 1 (domain end); steps quantizes
+ *   the scale so neighbouring path segments can share a polyline (null = continuous).
+ * @returns {{ domain: Array<number>, ticks: Array<object>, colorAt: Function, gradient: string }}
+ */
+export function createColorScale({ domain, stops, ticks, steps = 24 }) {
+  const [min, max] = domain;
+  const colorAt = (value) => {
+    if (typeof value !== "number" || !isFinite(value)) return NO_DATA_COLOR;
+    let t = max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0;
+    if (steps) t = Math.round(t * steps) / steps;
+    return hsl(interpolateStops(stops, t));
+  };
+  const gradientStops = Array.from({ length: 11 }, (_, i) => hsl(interpolateStops(stops, i / 10)));
+  return { domain, ticks, colorAt, gradient: `linear-gradient(to right, ${gradientStops.join(", ")})` };
+}
+
+/**
+ * The original distance coloring: blue for the shortest track, green at the
+ * average and red at the longest, linear on each side of the average.
+ * @param {number} averageDistance - km.
+ * @param {number} maxDistance - km.
+ */
+function distanceScale(averageDistance, maxDistance) {
+  const green = [120, 80, 50];
+  if (!(averageDistance > 0) || !isFinite(averageDistance) || !(maxDistance > averageDistance)) {
+    return createColorScale({
+      domain: [0, 1],
+      stops: [{ t: 0, hsl: green }, { t: 1, hsl: green }],
+      ticks: [{ value: 0, label: "All tracks similar" }],
+      steps: null,
+    });
+  }
+  return createColorScale({
+    domain: [0, maxDistance],
+    stops: [
+      { t: 0, hsl: [240, 80, 50] },
+      { t: averageDistance / maxDistance, hsl: green },
+      { t: 1, hsl: [0, 80, 50] },
+    ],
+    ticks: [
+      { value: 0, label: "0 km" },
+      { value: averageDistance, label: `avg ${averageDistance.toFixed(0)}` },
+      { value: maxDistance, label: `${maxDistance.toFixed(0)} km` },
+    ],
+    steps: null,
+  });
+}
+
+/**
+ * Scale for a color-by mode.
+ * @param {string} mode - One of COLOR_MODES' ids.
+ * @param {{ averageDistance: number, maxDistance: number, historyHours: number }} context
+ * @returns {object} Scale from createColorScale.
+ */
+export function scaleForMode(mode, { averageDistance, maxDistance, historyHours }) {
+  switch (mode) {
+    case "altitude":
+      return createColorScale({
+        domain: ALTITUDE_DOMAIN_KM,
+        stops: [{ t: 0, hsl: [270, 70, 45] }, { t: 0.5, hsl: [160, 70, 40] }, { t: 1, hsl: [40, 95, 50] }],
+        ticks: [0, 5, 10, 15, 20].map((km) => ({ value: km, label: km === 20 ? "20+ km" : String(km) })),
+      });
+    case "speed":
+      return createColorScale({
+        domain: SPEED_DOMAIN_KMH,
+        stops: [{ t: 0, hsl: [220, 70, 55] }, { t: 0.5, hsl: [60, 90, 45] }, { t: 1, hsl: [0, 85, 45] }],
+        ticks: [0, 50, 100, 150, 200].map((kmh) => ({ value: kmh, label: kmh === 200 ? "200+ km/h" : String(kmh) })),
+      });
+    case "heading":
+      // Hue follows the compass, so the scale wraps: north is red at both ends.
+      return createColorScale({
+        domain: [0, 360],
+        stops: [{ t: 0, hsl: [0, 80, 50] }, { t: 1, hsl: [360, 80, 50] }],
+        ticks: [
+          { value: 0, label: "N" },
+          { value: 90, label: "E" },
+          { value: 180, label: "S" },
+          { value: 270, label: "W" },
+          { value: 360, label: "N" },
+        ],
+      });
+    case "age": {
+      const hours = Math.max(1, historyHours || 24);
+      return createColorScale({
+        domain: [0, hours],
+        stops: [{ t: 0, hsl: [200, 90, 30] }, { t: 1, hsl: [200, 25, 82] }],
+        ticks: [
+          { value: 0, label: "now" },
+          { value: hours / 2, label: `${Math.round(hours / 2)}h` },
+          { value: hours, label: `${hours}h ago` },
+        ],
+      });
+    }
+    default:
+      return distanceScale(averageDistance, maxDistance);
+  }
+}
+
+/**
+ * Value a mode colors one path segment by.
+ * @param {string} mode
+ * @param {object} a - One end of the segment (lat, lon, alt, timestamp).
+ * @param {object} b - The other end.
+ * @param {{ totalDistance?: number, referenceTime?: Date }} context
+ * @returns {number|null}
+ */
+export function segmentValue(mode, a, b, context) {
+  const [older, newer] = a.timestamp <= b.timestamp ? [a, b] : [b, a];
+  switch (mode) {
+    case "altitude":
+      return (older.alt + newer.alt) / 2;
+    case "speed": {
+      const hours = (newer.timestamp - older.timestamp) / MS_PER_HOUR;
+      return hours > 0 ? calculateDistance(older.lat, older.lon, newer.lat, newer.lon) / hours : null;
+    }
+    case "heading":
+      return calculateBearing(older.lat, older.lon, newer.lat, newer.lon);
+    case "age":
+      return (context.referenceTime - (older.timestamp.getTime() + newer.timestamp.getTime()) / 2) / MS_PER_HOUR;
+    default:
+      return context.totalDistance;
+  }
+}
+
+/**
+ * Colors a path, merging consecutive segments of the same color into one run.
+ * @param {Array<object>} positions - Positions along one unbroken path segment.
+ * @param {string} mode
+ * @param {object} scale - Scale from scaleForMode.
+ * @param {{ totalDistance?: number, referenceTime?: Date }} context
+ * @returns {Array<{ color: string, latLngs: Array<[number, number]> }>}
+ */
+export function colorPathRuns(positions, mode, scale, context) {
+  const runs = [];
+  for (let i = 1; i < positions.length; i++) {
+    const a = positions[i - 1];
+    const b = positions[i];
+    const color = scale.colorAt(segmentValue(mode, a, b, context));
+    const last = runs[runs.length - 1];
+    if (last && last.color === color) {
+      last.latLngs.push([b.lat, b.lon]);
+    } else {
+      runs.push({ color, latLngs: [[a.lat, a.lon], [b.lat, b.lon]] });
+    }
+  }
+  return runs;
+}
+
+/**
+ * Marker color for a balloon: the value at its newest (or replayed) fix.
+ * @param {string} mode
+ * @param {object} scale - Scale from scaleForMode.
+ * @param {{ position: object, trail: Array<object>, totalDistance?: number, referenceTime?: Date }} context
+ *   trail holds positions up to the displayed one, newest first.
+ * @returns {string} CSS color.
+ */
+export function markerColorFor(mode, scale, { position, trail, totalDistance, referenceTime }) {
+  switch (mode) {
+    case "altitude":
+      return scale.colorAt(position.alt);
+    case "speed":
+    case "heading":
+      return trail.length > 1
+        ? scale.colorAt(segmentValue(mode, trail[1], trail[0], {}))
+        : scale.colorAt(null);
+    case "age":
+      return scale.colorAt((referenceTime - position.timestamp) / MS_PER_HOUR);
+    default:
+      return scale.colorAt(totalDistance);
+  }
+}
+
+/**
+ * Reads the saved color-by mode, falling back to the default.
+ * @returns {string}
+ */
+export function getColorMode() {
+  try {
+    const stored = window.localStorage.getItem(COLOR_MODE_STORAGE_KEY);
+    return COLOR_MODES.some((mode) => mode.id === stored) ? stored : DEFAULT_COLOR_MODE;
+  } catch (e) {
+    return DEFAULT_COLOR_MODE;
+  }
+}
+
+/**
+ * Persists the color-by mode.
+ * @param {string} mode
+ */
+export function setColorMode(mode) {
+  try {
+    window.localStorage.setItem(COLOR_MODE_STORAGE_KEY, mode);
+  } catch (e) {
+    console.warn("Could not save color mode:", e);
+  }
+}
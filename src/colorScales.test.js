@@ -0,0 +1,85 @@
+import { colorPathRuns, createColorScale, markerColorFor, scaleForMode, segmentValue } from './colorScales';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date('2025-05-01T12:00:00Z');
+const at = (hoursAgo) => new Date(T0.getTime() - hoursAgo * HOUR);
+
+test('distance mode keeps the blue-average-green-red coloring', () => {
+  const scale = scaleForMode('distance', { averageDistance: 500, maxDistance: 1500 });
+
+  expect(scale.colorAt(0)).toBe('hsl(240, 80%, 50%)');
+  expect(scale.colorAt(250)).toBe('hsl(180, 80%, 50%)');
+  expect(scale.colorAt(500)).toBe('hsl(120, 80%, 50%)');
+  expect(scale.colorAt(1000)).toBe('hsl(60, 80%, 50%)');
+  expect(scale.colorAt(2000)).toBe('hsl(0, 80%, 50%)');
+  expect(scale.ticks.map((t) => t.label)).toEqual(['0 km', 'avg 500', '1500 km']);
+});
+
+test('distance mode is all green when tracks cannot be compared', () => {
+  const scale = scaleForMode('distance', { averageDistance: 0, maxDistance: 0 });
+
+  expect(scale.colorAt(123)).toBe('hsl(120, 80%, 50%)');
+});
+
+test('scales clamp to their domain, quantize and gray out missing values', () => {
+  const scale = createColorScale({
+    domain: [0, 10],
+    stops: [{ t: 0, hsl: [0, 50, 50] }, { t: 1, hsl: [100, 50, 50] }],
+    ticks: [],
+    steps: 4,
+  });
+
+  expect(scale.colorAt(-5)).toBe('hsl(0, 50%, 50%)');
+  expect(scale.colorAt(3)).toBe('hsl(25, 50%, 50%)');
+  expect(scale.colorAt(20)).toBe('hsl(100, 50%, 50%)');
+  expect(scale.colorAt(null)).toBe('hsl(0, 0%, 55%)');
+  expect(scale.gradient).toMatch(/^linear-gradient\(to right, hsl\(0, 50%, 50%\)/);
+});
+
+test('heading wraps so north is the same color at both ends', () => {
+  const scale = scaleForMode('heading', {});
+
+  expect(scale.colorAt(0)).toBe(scale.colorAt(360));
+  expect(scale.ticks.map((t) => t.label)).toEqual(['N', 'E', 'S', 'W', 'N']);
+});
+
+test('segment values follow travel direction whatever the input order', () => {
+  const older = { lat: 0, lon: 0, alt: 10, timestamp: at(1) };
+  const newer = { lat: 0, lon: 1, alt: 12, timestamp: at(0) };
+  const context = { totalDistance: 700, referenceTime: T0 };
+
+  expect(segmentValue('altitude', newer, older, context)).toBe(11);
+  expect(segmentValue('speed', newer, older, context)).toBeCloseTo(111.19, 1);
+  expect(segmentValue('heading', newer, older, context)).toBeCloseTo(90, 6);
+  expect(segmentValue('age', newer, older, context)).toBeCloseTo(0.5, 6);
+  expect(segmentValue('distance', newer, older, context)).toBe(700);
+});
+
+test('merges neighbouring segments of one color into a single run', () => {
+  const scale = scaleForMode('altitude', {});
+  const positions = [
+    { lat: 0, lon: 3, alt: 15, timestamp: at(0) },
+    { lat: 0, lon: 2, alt: 15, timestamp: at(1) },
+    { lat: 0, lon: 1, alt: 15, timestamp: at(2) },
+    { lat: 0, lon: 0, alt: 5, timestamp: at(3) },
+  ];
+
+  const runs = colorPathRuns(positions, 'altitude', scale, { referenceTime: T0 });
+
+  expect(runs).toHaveLength(2);
+  expect(runs[0].latLngs).toEqual([[0, 3], [0, 2], [0, 1]]);
+  expect(runs[1].latLngs).toEqual([[0, 1], [0, 0]]);
+  expect(runs[0].color).toBe(scale.colorAt(15));
+});
+
+test('marker color uses the value at the displayed fix', () => {
+  const scale = scaleForMode('age', { historyHours: 24 });
+  const trail = [
+    { lat: 0, lon: 1, alt: 12, timestamp: at(2) },
+    { lat: 0, lon: 0, alt: 10, timestamp: at(3) },
+  ];
+
+  expect(markerColorFor('age', scale, { position: trail[0], trail, referenceTime: T0 })).toBe(scale.colorAt(2));
+  expect(markerColorFor('speed', scale, { position: trail[0], trail: trail.slice(0, 1), referenceTime: T0 }))
+    .toBe('hsl(0, 0%, 55%)');
+});
@@ -0,0 +1,275 @@
+import { pointInRing } from "./geometry";
+import { normalizeLongitude } from "./geo";
+import { recentDistanceKm } from "./balloonList";
+import { isAlertInEffect } from "./altitudeProfile";
+import { isTrustedPosition } from "./dataQuality";
+import { flyingBalloons } from "./replay";
+
+/**
+ * Constellation-wide statistics for the analytics dashboard, computed from
+ * the processed balloons array. Positions flagged by the data-quality
+ * checks are left out so a bad fix does not skew the charts.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+export const LATITUDE_BAND_DEG = 15;
+export const ALTITUDE_BIN_KM = 2;
+export const DISTANCE_BIN_KM = 100;
+export const STATS_HOURS = 24;
+
+// Deliberately coarse continent outlines as [lon, lat] rings: good enough to
+// tell which landmass or ocean a balloon is over, not for borders.
+const CONTINENTS = [
+  {
+    name: "North America",
+    rings: [
+      [[-168, 66], [-140, 70], [-95, 72], [-60, 60], [-52, 47], [-80, 25], [-97, 16], [-78, 8], [-83, 8],
+        [-105, 20], [-118, 32], [-125, 40], [-125, 50], [-140, 60], [-165, 55], [-168, 66]],
+      [[-73, 78], [-20, 83], [-18, 70], [-45, 59], [-73, 78]],
+    ],
+  },
+  {
+    name: "South America",
+    rings: [[[-78, 8], [-60, 11], [-35, -5], [-40, -22], [-58, -38], [-68, -55], [-75, -50], [-70, -18], [-81, -5], [-78, 8]]],
+  },
+  {
+    name: "Europe",
+    rings: [[[-10, 36], [-10, 44], [-5, 48], [-10, 52], [-6, 58], [5, 62], [15, 70], [30, 71], [60, 70], [60, 50],
+      [50, 45], [40, 41], [28, 41], [26, 35], [10, 37], [-5, 36], [-10, 36]]],
+  },
+  {
+    name: "Africa",
+    rings: [[[-17, 15], [-17, 21], [-10, 30], [-5, 36], [10, 37], [32, 31], [35, 28], [43, 12], [51, 12], [40, -2],
+      [40, -16], [33, -26], [20, -35], [17, -29], [12, -17], [9, 0], [-8, 4], [-17, 15]]],
+  },
+  {
+    name: "Asia",
+    rings: [[[28, 41], [40, 41], [50, 45], [60, 50], [60, 70], [100, 78], [180, 70], [180, 65], [160, 60], [140, 50],
+      [130, 35], [122, 30], [120, 22], [108, 10], [104, 1], [98, 8], [92, 22], [80, 8], [72, 20], [57, 25], [52, 12],
+      [43, 12], [35, 28], [34, 32], [28, 41]]],
+  },
+  {
+    name: "Oceania",
+    rings: [[[113, -22], [130, -11], [142, -10], [154, -28], [147, -44], [115, -35], [113, -22]]],
+  },
+];
+
+/** Area names in display order: continents, then oceans. */
+export const AREA_NAMES = [
+  ...CONTINENTS.map((continent) => continent.name),
+  "Antarctica",
+  "Pacific Ocean",
+  "Atlantic Ocean",
+  "Indian Ocean",
+  "Arctic Ocean",
+  "Southern Ocean",
+];
+
+/**
+ * Names the continent or ocean under a point (coarsely).
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {string} One of AREA_NAMES.
+ */
+export function classifyArea(lat, lon) {
+  const x = normalizeLongitude(lon);
+  const continent = CONTINENTS.find(({ rings }) => rings.some((ring) => pointInRing(x, lat, ring)));
+  if (continent) return continent.name;
+  if (lat <= -65) return "Antarctica";
+  if (lat >= 66) return "Arctic Ocean";
+  if (lat <= -60) return "Southern Ocean";
+  // Ocean boundaries: Drake Passage and Central America to the west of the Atlantic,
+  // Cape Agulhas between Atlantic and Indian, Indonesia and Tasmania to the east of the Indian.
+  const atlanticWest = lat > 20 ? -100 : lat > 8 ? -84 : -70;
+  if (x >= atlanticWest && (x < 20 || (lat > 30 && x < 45))) return "Atlantic Ocean";
+  if (x >= 20 && lat < 30 && x < (lat >= 0 ? 100 : 147)) return "Indian Ocean";
+  return "Pacific Ocean";
+}
+
+/**
+ * Counts values into equal-width bins.
+ * @param {Array<number>} values
+ * @param {number} binSize - Widened by doubling until at most maxBins bins are needed.
+ * @param {{ maxBins?: number }} [options]
+ * @returns {Array<{ from: number, to: number, count: number }>} Contiguous bins, empty ones included.
+ */
+export function histogram(values, binSize, { maxBins = 20 } = {}) {
+  const finite = values.filter((value) => typeof value === "number" && isFinite(value));
+  if (finite.length === 0) return [];
+  const min = Math.min(...finite);
+  const max = Math.max(...finite);
+  let size = binSize;
+  while (Math.floor(max / size) - Math.floor(min / size) + 1 > maxBins) size *= 2;
+  const first = Math.floor(min / size);
+  const bins = Array.from({ length: Math.floor(max / size) - first + 1 }, (_, i) => ({
+    from: (first + i) * size,
+    to: (first + i + 1) * size,
+    count: 0,
+  }));
+  finite.forEach((value) => {
+    bins[Math.floor(value / size) - first].count++;
+  });
+  return bins;
+}
+
+function trustedPositions(balloon) {
+  return (balloon.positions || []).filter(isTrustedPosition);
+}
+
+function currentPositions(balloons) {
+  return balloons.map((balloon) => trustedPositions(balloon)[0]).filter(Boolean);
+}
+
+/**
+ * Balloons per latitude band, north to south.
+ * @param {Array<object>} balloons
+ * @param {number} [bandDeg]
+ * @returns {Array<{ from: number, to: number, label: string, count: number }>}
+ */
+export function latitudeBandCounts(balloons, bandDeg = LATITUDE_BAND_DEG) {
+  const bandCount = Math.ceil(180 / bandDeg);
+  const bands = Array.from({ length: bandCount }, (_, i) => {
+    const to = 90 - i * bandDeg;
+    const from = Math.max(-90, to - bandDeg);
+    const format = (lat) => `${Math.abs(lat)}°${lat > 0 ? "N" : lat < 0 ? "S" : ""}`;
+    return { from, to, label: `${format(from)} to ${format(to)}`, count: 0 };
+  });
+  currentPositions(balloons).forEach((pos) => {
+    const index = Math.min(bandCount - 1, Math.max(0, Math.floor((90 - pos.lat) / bandDeg)));
+    bands[index].count++;
+  });
+  return bands;
+}
+
+/**
+ * Balloons per continent or ocean, most first; areas without balloons are left out.
+ * @param {Array<object>} balloons
+ * @returns {Array<{ area: string, count: number }>}
+ */
+export function areaCounts(balloons) {
+  const counts = new Map();
+  currentPositions(balloons).forEach((pos) => {
+    const area = classifyArea(pos.lat, pos.lon);
+    counts.set(area, (counts.get(area) || 0) + 1);
+  });
+  return AREA_NAMES
+    .filter((area) => counts.has(area))
+    .map((area) => ({ area, count: counts.get(area) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Start of the newest hour with a fix, which the hourly series end at.
+ * @param {Array<object>} balloons
+ * @returns {number|null} ms.
+ */
+function latestHour(balloons) {
+  const latest = currentPositions(balloons).reduce((max, pos) => Math.max(max, pos.timestamp.getTime()), -Infinity);
+  return isFinite(latest) ? Math.floor(latest / MS_PER_HOUR) * MS_PER_HOUR : null;
+}
+
+function hourSlots(balloons, hours) {
+  const end = latestHour(balloons);
+  if (end === null) return [];
+  return Array.from({ length: hours }, (_, i) => end - (hours - 1 - i) * MS_PER_HOUR);
+}
+
+/**
+ * Balloons with a fix in each hour, oldest first, and the change from the hour before.
+ * @param {Array<object>} balloons
+ * @param {{ hours?: number }} [options]
+ * @returns {Array<{ time: Date, count: number, change: number|null }>} change is null for the first hour.
+ */
+export function constellationSizeByHour(balloons, { hours = STATS_HOURS } = {}) {
+  const slots = hourSlots(balloons, hours);
+  const counts = new Map(slots.map((slot) => [slot, new Set()]));
+  balloons.forEach((balloon) => {
+    trustedPositions(balloon).forEach((pos) => {
+      const slot = counts.get(Math.floor(pos.timestamp.getTime() / MS_PER_HOUR) * MS_PER_HOUR);
+      if (slot) slot.add(balloon.id);
+    });
+  });
+  return slots.map((slot, i) => ({
+    time: new Date(slot),
+    count: counts.get(slot).size,
+    change: i === 0 ? null : counts.get(slot).size - counts.get(slots[i - 1]).size,
+  }));
+}
+
+/**
+ * Positions in the hourly window to match against NWS alerts for alertCountsByHour.
+ * @param {Array<object>} balloons
+ * @param {{ hours?: number }} [options]
+ * @returns {Array<{ id: string, lat: number, lon: number }>} IDs are "<balloon id>:<position index>".
+ */
+export function alertMatchPoints(balloons, { hours = STATS_HOURS } = {}) {
+  const slots = hourSlots(balloons, hours);
+  if (slots.length === 0) return [];
+  const start = slots[0];
+  const points = [];
+  balloons.forEach((balloon) => {
+    (balloon.positions || []).forEach((pos, index) => {
+      if (isTrustedPosition(pos) && pos.timestamp.getTime() >= start) {
+        points.push({ id: `${balloon.id}:${index}`, lat: pos.lat, lon: pos.lon });
+      }
+    });
+  });
+  return points;
+}
+
+/**
+ * Balloons inside an NWS alert area in each hour, oldest first. A fix counts
+ * only if one of its alerts was in effect at the fix's time.
+ * @param {Array<object>} balloons
+ * @param {object} matches - Alert properties keyed by the IDs from alertMatchPoints.
+ * @param {{ hours?: number }} [options]
+ * @returns {Array<{ time: Date, count: number }>}
+ */
+export function alertCountsByHour(balloons, matches, { hours = STATS_HOURS } = {}) {
+  const slots = hourSlots(balloons, hours);
+  const counts = new Map(slots.map((slot) => [slot, new Set()]));
+  balloons.forEach((balloon) => {
+    (balloon.positions || []).forEach((pos, index) => {
+      const alerts = matches[`${balloon.id}:${index}`];
+      const slot = counts.get(Math.floor(pos.timestamp.getTime() / MS_PER_HOUR) * MS_PER_HOUR);
+      if (slot && alerts && alerts.some((alertProps) => isAlertInEffect(alertProps, pos.timestamp))) {
+        slot.add(balloon.id);
+      }
+    });
+  });
+  return slots.map((slot) => ({ time: new Date(slot), count: counts.get(slot).size }));
+}
+
+/**
+ * Everything the dashboard draws.
+ * @param {Array<object>} balloons - Processed balloons, positions newest first.
+ * @param {{ alertMatches?: object|null, hours?: number }} [options] - alertMatches as for alertCountsByHour;
+ *   without them the alert series is null.
+ * @returns {{
+ *   balloonCount: number,
+ *   altitude: Array<object>,
+ *   distance: Array<object>,
+ *   latitudeBands: Array<object>,
+ *   areas: Array<object>,
+ *   constellation: Array<object>,
+ *   alertsOverTime: Array<object>|null
+ * }}
+ */
+export function buildDashboardStats(balloons, { alertMatches = null, hours = STATS_HOURS } = {}) {
+  // Snapshot charts count the balloons still flying; the hourly series cover every track.
+  const flying = flyingBalloons(balloons);
+  const current = currentPositions(flying);
+  return {
+    balloonCount: current.length,
+    altitude: histogram(current.map((pos) => pos.alt), ALTITUDE_BIN_KM),
+    distance: histogram(
+      flying.map(trustedPositions).filter((positions) => positions.length > 0).map((positions) => recentDistanceKm(positions, hours)),
+      DISTANCE_BIN_KM
+    ),
+    latitudeBands: latitudeBandCounts(flying),
+    areas: areaCounts(flying),
+    constellation: constellationSizeByHour(balloons, { hours }),
+    alertsOverTime: alertMatches ? alertCountsByHour(balloons, alertMatches, { hours }) : null,
+  };
+}
@@ -0,0 +1,119 @@
+import {
+  alertCountsByHour,
+  alertMatchPoints,
+  areaCounts,
+  buildDashboardStats,
+  classifyArea,
+  constellationSizeByHour,
+  histogram,
+  latitudeBandCounts,
+} from './constellationStats';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 4, 1, 12);
+
+// Positions newest first, one per hour back from T0 (or from T0 - startHoursAgo).
+function balloon(id, points, startHoursAgo = 0) {
+  return {
+    id,
+    positions: points.map(([lat, lon, alt], i) => ({ lat, lon, alt, timestamp: new Date(T0 - (startHoursAgo + i) * HOUR) })),
+  };
+}
+
+test('names continents and oceans', () => {
+  expect(classifyArea(40, -100)).toBe('North America');
+  expect(classifyArea(-15, -55)).toBe('South America');
+  expect(classifyArea(48, 10)).toBe('Europe');
+  expect(classifyArea(5, 20)).toBe('Africa');
+  expect(classifyArea(45, 100)).toBe('Asia');
+  expect(classifyArea(-25, 135)).toBe('Oceania');
+  expect(classifyArea(-80, 0)).toBe('Antarctica');
+  expect(classifyArea(30, -40)).toBe('Atlantic Ocean');
+  expect(classifyArea(0, -150)).toBe('Pacific Ocean');
+  expect(classifyArea(30, 170)).toBe('Pacific Ocean');
+  expect(classifyArea(-20, 75)).toBe('Indian Ocean');
+  expect(classifyArea(80, 0)).toBe('Arctic Ocean');
+  expect(classifyArea(-62, 100)).toBe('Southern Ocean');
+  expect(classifyArea(40, 260)).toBe('North America');
+});
+
+test('bins values, widening the bins when there are too many', () => {
+  expect(histogram([1, 2.5, 3, 9], 2)).toEqual([
+    { from: 0, to: 2, count: 1 },
+    { from: 2, to: 4, count: 2 },
+    { from: 4, to: 6, count: 0 },
+    { from: 6, to: 8, count: 0 },
+    { from: 8, to: 10, count: 1 },
+  ]);
+  expect(histogram([0, 100], 1, { maxBins: 10 }).map((bin) => bin.to - bin.from)).toEqual(Array(7).fill(16));
+  expect(histogram([NaN, null], 1)).toEqual([]);
+});
+
+test('counts current positions per latitude band and area, skipping flagged fixes', () => {
+  const balloons = [
+    balloon('a', [[40, -100, 15]]),
+    balloon('b', [[41, -95, 15]]),
+    balloon('c', [[-20, 75, 15]]),
+    { id: 'd', positions: [{ lat: 0, lon: 0, alt: 0, timestamp: new Date(T0), qualityFlags: ['null-fix'] }] },
+  ];
+  const bands = latitudeBandCounts(balloons);
+  expect(bands[0]).toMatchObject({ label: '75°N to 90°N', count: 0 });
+  expect(bands.find((band) => band.from === 30).count).toBe(2);
+  expect(bands.find((band) => band.from === -30).count).toBe(1);
+  expect(bands.reduce((sum, band) => sum + band.count, 0)).toBe(3);
+
+  expect(areaCounts(balloons)).toEqual([
+    { area: 'North America', count: 2 },
+    { area: 'Indian Ocean', count: 1 },
+  ]);
+});
+
+test('tracks constellation size hour over hour', () => {
+  const balloons = [
+    balloon('a', [[40, -100, 15], [40, -101, 15], [40, -102, 15]]),
+    balloon('b', [[41, -100, 15]], 1),
+  ];
+  const series = constellationSizeByHour(balloons, { hours: 3 });
+
+  expect(series.map((entry) => entry.time.getTime())).toEqual([T0 - 2 * HOUR, T0 - HOUR, T0]);
+  expect(series.map((entry) => entry.count)).toEqual([1, 2, 1]);
+  expect(series.map((entry) => entry.change)).toEqual([null, 1, -1]);
+});
+
+test('counts balloons in alerts per hour, only while the alert was in effect', () => {
+  const balloons = [
+    balloon('a', [[40, -100, 15], [40, -101, 15]]),
+    balloon('b', [[30, -90, 15], [30, -91, 15]]),
+  ];
+  const points = alertMatchPoints(balloons, { hours: 2 });
+  expect(points.map((point) => point.id)).toEqual(['a:0', 'a:1', 'b:0', 'b:1']);
+
+  const matches = {
+    'a:0': [{ event: 'Flood Warning' }],
+    'a:1': [{ event: 'Flood Warning' }],
+    'b:1': [{ event: 'Heat Advisory', onset: new Date(T0).toISOString() }],
+  };
+  expect(alertCountsByHour(balloons, matches, { hours: 2 }).map((entry) => entry.count)).toEqual([1, 1]);
+});
+
+test('builds every dashboard series from the balloons array', () => {
+  const stats = buildDashboardStats([balloon('a', [[40, -100, 15], [40, -101, 14]])], { hours: 2 });
+  expect(stats.balloonCount).toBe(1);
+  expect(stats.altitude).toEqual([{ from: 14, to: 16, count: 1 }]);
+  expect(stats.distance[0].count).toBe(1);
+  expect(stats.constellation).toHaveLength(2);
+  expect(stats.alertsOverTime).toBeNull();
+  expect(buildDashboardStats([]).constellation).toEqual([]);
+});
+
+test('counts only flying balloons in the snapshot charts', () => {
+  const stats = buildDashboardStats([
+    balloon('a', [[40, -100, 15], [40, -101, 14]]),
+    // Last seen two days before the others.
+    balloon('b', [[-30, 20, 12]], 48),
+  ], { hours: 72 });
+
+  expect(stats.balloonCount).toBe(1);
+  expect(stats.areas).toEqual([{ area: 'North America', count: 1 }]);
+  expect(stats.constellation.some((entry) => entry.count === 1 && entry.time.getTime() === T0 - 48 * HOUR)).toBe(true);
+});
@@ -0,0 +1,10 @@
+/**
+ * Starts the alert-matching worker, or returns null where workers are unavailable.
+ * Kept in its own module because the bundler-specific worker URL cannot be
+ * loaded outside webpack (tests replace this module).
+ * @returns {Worker|null}
+ */
+export default function createAlertWorker() {
+  if (typeof Worker === "undefined") return null;
+  return new Worker(new URL("./alertMatcher.worker.js", import.meta.url));
+}
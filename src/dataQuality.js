@@ -0,0 +1,229 @@
+import { calculateDistance } from "./geo";
+import { MAX_DRIFT_SPEED_KMH } from "./trackAssociation";
+
+/**
+ * Sanity checks for the treasure feed. Nothing is silently dropped:
+ * entries that cannot be read at all are counted per hour, readable but
+ * suspect fixes are kept aside with flags (and left out of track
+ * association), and questionable positions inside reconstructed tracks
+ * are marked with qualityFlags.
+ */
+
+export const QUALITY_FLAGS = {
+  "null-fix": "All-zero fix (0, 0, 0)",
+  "out-of-range": "Latitude, longitude or altitude out of range",
+  duplicate: "Same fix as another entry in the same hour",
+  "corrupted-hour": "Part of an hour file that looks corrupted",
+  "impossible-speed": `Too far from the track it seems to continue (faster than ${MAX_DRIFT_SPEED_KMH} km/h), so it starts a new one`,
+  "altitude-spike": "Altitude jumps away and straight back",
+  repeated: "Exactly the same fix as the hour before",
+};
+
+/** Plausible balloon altitudes in km; the feed reports a little below sea level on landing. */
+export const ALTITUDE_RANGE_KM = [-1, 40];
+/** A fix this far above or below both neighbours, which agree with each other, is a spike. */
+export const ALTITUDE_SPIKE_KM = 3;
+/** Share of unusable entries above which a whole hour counts as corrupted. */
+const CORRUPTED_SHARE = 0.5;
+/** Share of identical fixes above which an hour counts as a copy of the next newer one. */
+const DUPLICATE_HOUR_SHARE = 0.9;
+const MIN_FIXES_FOR_DUPLICATE_HOUR = 10;
+
+function fixKey(fix) {
+  return `${fix.lat},${fix.lon},${fix.alt}`;
+}
+
+/**
+ * Checks one hourly file.
+ * @param {any} data - Parsed JSON: an array of [lat, lon, alt] entries.
+ * @returns {{
+ *   corrupted: boolean,
+ *   reason: string|null,
+ *   totalEntries: number,
+ *   fixes: Array<{ lat: number, lon: number, alt: number, sourceIndex: number }>,
+ *   suspectFixes: Array<{ lat: number, lon: number, alt: number, sourceIndex: number, flags: Array<string> }>,
+ *   invalidEntries: Array<{ sourceIndex: number, reason: string }>
+ * }}
+ *   fixes are the usable ones; a corrupted hour has none, its readable fixes all being suspect.
+ */
+export function validateHourFile(data) {
+  if (!Array.isArray(data)) {
+    return { corrupted: true, reason: "Not a JSON array", totalEntries: 0, fixes: [], suspectFixes: [], invalidEntries: [] };
+  }
+
+  const fixes = [];
+  const suspectFixes = [];
+  const invalidEntries = [];
+  const seen = new Set();
+  data.forEach((entry, sourceIndex) => {
+    if (!Array.isArray(entry) || entry.length < 3) {
+      invalidEntries.push({ sourceIndex, reason: "Not a [lat, lon, alt] entry" });
+      return;
+    }
+    const [lat, lon, rawAlt] = entry;
+    if (typeof lat !== "number" || typeof lon !== "number" || !isFinite(lat) || !isFinite(lon)) {
+      invalidEntries.push({ sourceIndex, reason: "Non-numeric coordinates" });
+      return;
+    }
+    const alt = typeof rawAlt === "number" && isFinite(rawAlt) ? rawAlt : 0;
+    const fix = { lat, lon, alt, sourceIndex };
+
+    const flags = [];
+    if (lat === 0 && lon === 0 && alt === 0) {
+      flags.push("null-fix");
+    } else if (Math.abs(lat) > 90 || Math.abs(lon) > 180 || alt < ALTITUDE_RANGE_KM[0] || alt > ALTITUDE_RANGE_KM[1]) {
+      flags.push("out-of-range");
+    }
+    const key = fixKey(fix);
+    if (seen.has(key)) flags.push("duplicate");
+    seen.add(key);
+
+    if (flags.length > 0) {
+      suspectFixes.push({ ...fix, flags });
+    } else {
+      fixes.push(fix);
+    }
+  });
+
+  const unusable = invalidEntries.length + suspectFixes.length;
+  if (data.length === 0 || unusable / data.length > CORRUPTED_SHARE) {
+    const reason = data.length === 0 ? "Empty file" : `${unusable} of ${data.length} entries unusable`;
+    return {
+      corrupted: true,
+      reason,
+      totalEntries: data.length,
+      fixes: [],
+      suspectFixes: [...suspectFixes, ...fixes.map((fix) => ({ ...fix, flags: ["corrupted-hour"] }))],
+      invalidEntries,
+    };
+  }
+  return { corrupted: false, reason: null, totalEntries: data.length, fixes, suspectFixes, invalidEntries };
+}
+
+/**
+ * Marks hours whose fixes are (almost) all identical to the next newer hour's,
+ * as happens when a file is not updated. The newer hour is kept.
+ * @param {Array<object>} hourReports - Results of validateHourFile, each with its hour offset.
+ * @returns {Array<object>} Reports, with copied hours turned into corrupted ones.
+ */
+export function flagDuplicateHours(hourReports) {
+  const byHour = new Map(hourReports.map((report) => [report.hour, report]));
+  return hourReports.map((report) => {
+    const newer = byHour.get(report.hour - 1);
+    if (report.corrupted || !newer || newer.corrupted || report.fixes.length < MIN_FIXES_FOR_DUPLICATE_HOUR) return report;
+    const newerKeys = new Set(newer.fixes.map(fixKey));
+    const shared = report.fixes.filter((fix) => newerKeys.has(fixKey(fix))).length;
+    if (shared / report.fixes.length < DUPLICATE_HOUR_SHARE) return report;
+    return {
+      ...report,
+      corrupted: true,
+      reason: `Same fixes as ${String(report.hour - 1).padStart(2, "0")}.json`,
+      fixes: [],
+      suspectFixes: [...report.suspectFixes, ...report.fixes.map((fix) => ({ ...fix, flags: ["corrupted-hour"] }))],
+    };
+  });
+}
+
+/**
+ * Marks questionable positions along a reconstructed track. Track association
+ * does not link jumps faster than a balloon can drift, so the far fix starts a
+ * track of its own; association marks it with impossibleSpeedKmh and it is flagged here.
+ * @param {Array<object>} positions - Track positions, newest first, with timestamps.
+ * @param {{ spikeKm?: number }} [options]
+ * @returns {Array<object>} The positions, with flagged ones copied and given qualityFlags.
+ */
+export function flagTrackPositions(positions, { spikeKm = ALTITUDE_SPIKE_KM } = {}) {
+  const flagsByIndex = positions.map((pos) => (pos.impossibleSpeedKmh ? ["impossible-speed"] : []));
+  // i is the newer fix, i + 1 the older one.
+  for (let i = 0; i < positions.length - 1; i++) {
+    const newer = positions[i];
+    const older = positions[i + 1];
+    if (newer.lat === older.lat && newer.lon === older.lon && newer.alt === older.alt) {
+      flagsByIndex[i].push("repeated");
+    }
+  }
+  for (let i = 1; i < positions.length - 1; i++) {
+    const [newer, pos, older] = [positions[i - 1], positions[i], positions[i + 1]];
+    const up = pos.alt - older.alt;
+    const back = pos.alt - newer.alt;
+    if (Math.abs(up) > spikeKm && Math.abs(back) > spikeKm && Math.sign(up) === Math.sign(back)
+      && Math.abs(newer.alt - older.alt) < spikeKm / 2) {
+      flagsByIndex[i].push("altitude-spike");
+    }
+  }
+  return positions.map((pos, i) => (flagsByIndex[i].length > 0 ? { ...pos, qualityFlags: flagsByIndex[i] } : pos));
+}
+
+/**
+ * True for positions without quality flags.
+ * @param {object} position
+ * @returns {boolean}
+ */
+export function isTrustedPosition(position) {
+  return !position.qualityFlags || position.qualityFlags.length === 0;
+}
+
+/**
+ * Distance travelled along a track, as great-circle distance between
+ * consecutive fixes (so steps across the antimeridian or a pole count in full).
+ * @param {Array<object>} positions - Track positions, newest first.
+ * @returns {number} km
+ */
+export function trackDistanceKm(positions) {
+  let distance = 0;
+  for (let i = 1; i < positions.length; i++) {
+    distance += calculateDistance(positions[i - 1].lat, positions[i - 1].lon, positions[i].lat, positions[i].lon);
+  }
+  return distance;
+}
+
+function countFlags(items, getFlags) {
+  const counts = {};
+  items.forEach((item) => getFlags(item).forEach((flag) => {
+    counts[flag] = (counts[flag] || 0) + 1;
+  }));
+  return counts;
+}
+
+/**
+ * Issues per hour file and per balloon, for the data-quality panel.
+ * @param {Array<object>} hourReports - From flagDuplicateHours, with hour offsets.
+ * @param {Array<object>} balloons - Balloons whose positions went through flagTrackPositions.
+ * @returns {{
+ *   hours: Array<{ hour: number, corrupted: boolean, reason: string|null, totalEntries: number,
+ *     usable: number, suspect: number, invalid: number, flags: object }>,
+ *   balloons: Array<{ id: string, flagged: number, flags: object }>,
+ *   totals: { corruptedHours: number, suspectFixes: number, invalidEntries: number, flaggedPositions: number }
+ * }} flags map flag ids to counts; balloons without issues are left out, the worst first.
+ */
+export function summarizeQuality(hourReports, balloons) {
+  const hours = [...hourReports]
+    .sort((a, b) => a.hour - b.hour)
+    .map((report) => ({
+      hour: report.hour,
+      corrupted: report.corrupted,
+      reason: report.reason,
+      totalEntries: report.totalEntries,
+      usable: report.fixes.length,
+      suspect: report.suspectFixes.length,
+      invalid: report.invalidEntries.length,
+      flags: countFlags(report.suspectFixes, (fix) => fix.flags),
+    }));
+  const flaggedBalloons = balloons
+    .map((balloon) => {
+      const flagged = (balloon.positions || []).filter((pos) => !isTrustedPosition(pos));
+      return { id: balloon.id, flagged: flagged.length, flags: countFlags(flagged, (pos) => pos.qualityFlags) };
+    })
+    .filter((entry) => entry.flagged > 0)
+    .sort((a, b) => b.flagged - a.flagged);
+  return {
+    hours,
+    balloons: flaggedBalloons,
+    totals: {
+      corruptedHours: hours.filter((hour) => hour.corrupted).length,
+      suspectFixes: hours.reduce((sum, hour) => sum + hour.suspect, 0),
+      invalidEntries: hours.reduce((sum, hour) => sum + hour.invalid, 0),
+      flaggedPositions: flaggedBalloons.reduce((sum, entry) => sum + entry.flagged, 0),
+    },
+  };
+}
@@ -0,0 +1,159 @@
+import {
+  flagDuplicateHours,
+  flagTrackPositions,
+  isTrustedPosition,
+  summarizeQuality,
+  trackDistanceKm,
+  validateHourFile,
+} from './dataQuality';
+import { calculateDistance } from './geo';
+import { MAX_DRIFT_SPEED_KMH, associateTracks } from './trackAssociation';
+import { balloonsFromTracks } from './feedProcessing';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 4, 1, 12);
+
+// Newest first, one hour apart.
+function track(points) {
+  return points.map(([lat, lon, alt], i) => ({ lat, lon, alt, timestamp: new Date(T0 - i * HOUR) }));
+}
+
+function grid(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => [10 + i, 20 + i + offset, 15]);
+}
+
+test('sets suspect fixes aside and counts unreadable entries', () => {
+  const report = validateHourFile([
+    [40, -100, 15],
+    [0, 0, 0],
+    [95, 10, 12],
+    [40, -100, 15],
+    ['x', 1, 2],
+    null,
+    ...grid(5),
+  ]);
+
+  expect(report.corrupted).toBe(false);
+  expect(report.totalEntries).toBe(11);
+  expect(report.fixes.map((fix) => fix.sourceIndex)).toEqual([0, 6, 7, 8, 9, 10]);
+  expect(report.suspectFixes.map((fix) => [fix.sourceIndex, fix.flags])).toEqual([
+    [1, ['null-fix']],
+    [2, ['out-of-range']],
+    [3, ['duplicate']],
+  ]);
+  expect(report.invalidEntries.map((entry) => entry.sourceIndex)).toEqual([4, 5]);
+});
+
+test('marks an hour corrupted when most entries are unusable, keeping its fixes as suspect', () => {
+  const report = validateHourFile([[40, -100, 15], [0, 0, 0], [0, 0, 0], null]);
+  expect(report.corrupted).toBe(true);
+  expect(report.reason).toBe('3 of 4 entries unusable');
+  expect(report.fixes).toEqual([]);
+  expect(report.suspectFixes.find((fix) => fix.sourceIndex === 0).flags).toEqual(['corrupted-hour']);
+
+  expect(validateHourFile({ error: 'oops' })).toMatchObject({ corrupted: true, reason: 'Not a JSON array' });
+  expect(validateHourFile([])).toMatchObject({ corrupted: true, reason: 'Empty file' });
+});
+
+test('flags an hour that repeats the next newer one', () => {
+  const reports = [
+    { hour: 0, ...validateHourFile(grid(12)) },
+    { hour: 1, ...validateHourFile(grid(12)) },
+    { hour: 2, ...validateHourFile(grid(12, 0.5)) },
+  ];
+  const flagged = flagDuplicateHours(reports);
+
+  expect(flagged[0]).toBe(reports[0]);
+  expect(flagged[1]).toMatchObject({ corrupted: true, reason: 'Same fixes as 00.json', fixes: [] });
+  expect(flagged[1].suspectFixes).toHaveLength(12);
+  expect(flagged[2]).toBe(reports[2]);
+});
+
+test('flags altitude spikes and repeated fixes along a track', () => {
+  const flagged = flagTrackPositions(track([
+    [40, -100, 15],
+    [40, -100, 15],
+    [39.9, -100.2, 20],
+    [39.8, -100.4, 15.2],
+    [39.7, -100.6, 15],
+  ]));
+
+  expect(flagged.map((pos) => pos.qualityFlags || [])).toEqual([
+    ['repeated'],
+    [],
+    ['altitude-spike'],
+    [],
+    [],
+  ]);
+  expect(isTrustedPosition(flagged[1])).toBe(true);
+  expect(isTrustedPosition(flagged[0])).toBe(false);
+});
+
+test('leaves clean tracks untouched', () => {
+  const positions = track([[40, -100, 15], [39.8, -100.5, 15.4], [39.6, -101, 15.1]]);
+  const flagged = flagTrackPositions(positions);
+  flagged.forEach((pos, i) => expect(pos).toBe(positions[i]));
+});
+
+test('flags a jump faster than any balloon drifts, keeping it out of the distance travelled', () => {
+  // One balloon seen near Kansas for two hours, then 4000 km away an hour later.
+  const snapshots = [[39.8, -100.4, 15], [39.9, -100.2, 15], [20, -60, 15], [20.1, -60.2, 15]]
+    .map(([lat, lon, alt], i) => ({ hour: 3 - i, timestamp: new Date(T0 - (3 - i) * HOUR), fixes: [{ lat, lon, alt }] }));
+  const balloons = balloonsFromTracks(associateTracks(snapshots));
+
+  expect(balloons).toHaveLength(2);
+  const [kansas, atlantic] = balloons.sort((a, b) => a.positions[0].lon - b.positions[0].lon);
+  expect(kansas.positions.every(isTrustedPosition)).toBe(true);
+  expect(atlantic.positions.map((pos) => pos.qualityFlags || [])).toEqual([[], ['impossible-speed']]);
+  expect(atlantic.positions[1].impossibleSpeedKmh).toBeGreaterThan(MAX_DRIFT_SPEED_KMH);
+  expect(kansas.totalDistance).toBeCloseTo(calculateDistance(39.8, -100.4, 39.9, -100.2));
+  expect(atlantic.totalDistance).toBeCloseTo(calculateDistance(20, -60, 20.1, -60.2));
+
+  const summary = summarizeQuality([], balloons);
+  expect(summary.balloons).toEqual([{ id: atlantic.id, flagged: 1, flags: { 'impossible-speed': 1 } }]);
+  expect(summary.totals.flaggedPositions).toBe(1);
+});
+
+test('does not flag a balloon launched while another is still flying', () => {
+  // The second balloon appears far away while the first keeps being seen.
+  const snapshots = [
+    { hour: 1, timestamp: new Date(T0 - HOUR), fixes: [{ lat: 39.8, lon: -100.4, alt: 15 }] },
+    { hour: 0, timestamp: new Date(T0), fixes: [{ lat: 39.9, lon: -100.2, alt: 15 }, { lat: 20, lon: -60, alt: 1 }] },
+  ];
+  const balloons = balloonsFromTracks(associateTracks(snapshots));
+
+  expect(balloons).toHaveLength(2);
+  balloons.forEach((balloon) => expect(balloon.positions.every(isTrustedPosition)).toBe(true));
+});
+
+test('counts steps across the antimeridian and over a pole in full', () => {
+  const pacific = flagTrackPositions(track([[21.17, -179.68, 17.1], [20.93, 179.0, 17.3], [20.68, 178.39, 17.2]]));
+  const pacificKm = trackDistanceKm(pacific);
+  expect(pacificKm).toBeCloseTo(
+    calculateDistance(21.17, -179.68, 20.93, 179.0) + calculateDistance(20.93, 179.0, 20.68, 178.39)
+  );
+  expect(pacificKm).toBeGreaterThan(190);
+  expect(pacificKm).toBeLessThan(220);
+
+  // 0.4° short of the pole on one side to 0.5° short on the other: about 100 km over the top.
+  const polar = flagTrackPositions(track([[89.6, 10, 16], [89.5, -170, 16]]));
+  expect(trackDistanceKm(polar)).toBeCloseTo(calculateDistance(89.6, 10, 90, 0) + calculateDistance(90, 0, 89.5, -170));
+  expect(trackDistanceKm(polar)).toBeCloseTo(100.1, 0);
+});
+
+test('summarizes issues per hour and per balloon', () => {
+  const hourReports = [
+    { hour: 1, ...validateHourFile([[40, -100, 15], [0, 0, 0], [41, -100, 15]]) },
+    { hour: 0, ...validateHourFile([[40, -100, 15], [41, -100, 15], [42, -100, 15]]) },
+  ];
+  const balloons = [
+    { id: 'a', positions: flagTrackPositions(track([[40, -100, 15], [40, -100, 15]])) },
+    { id: 'b', positions: track([[41, -100, 15]]) },
+  ];
+  const summary = summarizeQuality(hourReports, balloons);
+
+  expect(summary.hours.map((hour) => [hour.hour, hour.usable, hour.suspect])).toEqual([[0, 3, 0], [1, 2, 1]]);
+  expect(summary.hours[1].flags).toEqual({ 'null-fix': 1 });
+  expect(summary.balloons).toEqual([{ id: 'a', flagged: 1, flags: { repeated: 1 } }]);
+  expect(summary.totals).toEqual({ corruptedHours: 0, suspectFixes: 1, invalidEntries: 0, flaggedPositions: 1 });
+});
@@ -0,0 +1,16 @@
+/**
+ * Starts a browser download of a text file.
+ * @param {string} text - File contents.
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+export function downloadText(text, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,16 @@
+// Shared by the exporter round-trip tests: same tracks, fixes and distances as the originals.
+export default function expectSameTracks(actual, expected) {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((track, i) => {
+    expect(track.id).toBe(expected[i].id);
+    expect(track.totalDistance).toBeCloseTo(expected[i].totalDistance, 6);
+    expect(track.positions).toHaveLength(expected[i].positions.length);
+    track.positions.forEach((pos, j) => {
+      const original = expected[i].positions[j];
+      expect(pos.lat).toBeCloseTo(original.lat, 9);
+      expect(pos.lon).toBeCloseTo(original.lon, 9);
+      expect(pos.alt).toBeCloseTo(original.alt, 9);
+      expect(pos.timestamp).toEqual(original.timestamp);
+    });
+  });
+}
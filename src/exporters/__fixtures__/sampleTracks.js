@@ -0,0 +1,22 @@
+// Tracks in the shape the exporters accept: positions newest first, alt in km.
+const sampleTracks = [
+  {
+    id: '17',
+    totalDistance: 812.4375,
+    positions: [
+      { lat: 41.2345, lon: -99.8765, alt: 15.321, timestamp: new Date('2025-05-01T12:00:00Z') },
+      { lat: 40.9876, lon: -101.2345, alt: 14.8, timestamp: new Date('2025-05-01T11:00:00Z') },
+      { lat: 40.5, lon: -102.75, alt: 13.05, timestamp: new Date('2025-05-01T10:00:00Z') },
+    ],
+  },
+  {
+    // Awkward characters in the ID exercise escaping.
+    id: 'a&b <"c">, d',
+    totalDistance: 0,
+    positions: [
+      { lat: -33.25, lon: 151.125, alt: 0.5, timestamp: new Date('2025-05-01T12:00:00Z') },
+    ],
+  },
+];
+
+export default sampleTracks;
@@ -0,0 +1,103 @@
+/**
+ * Flat CSV export: one row per fix, oldest first within each balloon.
+ * Altitude stays in kilometers, as in the source feed.
+ */
+
+export const CSV_MIME_TYPE = "text/csv";
+export const CSV_COLUMNS = ["balloon_id", "timestamp", "lat", "lon", "alt_km", "total_distance_km"];
+
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<{ id: string, totalDistance: number, positions: Array<object> }>} tracks
+ *   Positions sorted newest first.
+ * @returns {string} CSV text with a header row.
+ */
+export function serializeCSV(tracks) {
+  const rows = [CSV_COLUMNS.join(",")];
+  tracks.forEach((track) => {
+    track.positions.slice().reverse().forEach((pos) => {
+      rows.push([
+        track.id,
+        pos.timestamp.toISOString(),
+        pos.lat,
+        pos.lon,
+        pos.alt,
+        track.totalDistance,
+      ].map(escapeCsv).join(","));
+    });
+  });
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * Splits one CSV line into fields, honouring double-quoted fields.
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * @param {string} text - CSV written by serializeCSV.
+ * @returns {Array<object>} Tracks in the same shape serializeCSV accepts, in first-seen order.
+ */
+export function parseCSV(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  const header = splitCsvLine(lines[0]);
+  const column = (name) => {
+    const index = header.indexOf(name);
+    if (index < 0) throw new Error(`Missing CSV column: ${name}`);
+    return index;
+  };
+  const idCol = column("balloon_id");
+  const timeCol = column("timestamp");
+  const latCol = column("lat");
+  const lonCol = column("lon");
+  const altCol = column("alt_km");
+  const distCol = column("total_distance_km");
+
+  const tracks = new Map();
+  lines.slice(1).forEach((line) => {
+    const fields = splitCsvLine(line);
+    const id = fields[idCol];
+    if (!tracks.has(id)) {
+      tracks.set(id, { id, totalDistance: Number(fields[distCol]), positions: [] });
+    }
+    tracks.get(id).positions.push({
+      lat: Number(fields[latCol]),
+      lon: Number(fields[lonCol]),
+      alt: Number(fields[altCol]),
+      timestamp: new Date(fields[timeCol]),
+    });
+  });
+  return [...tracks.values()].map((track) => ({ ...track, positions: track.positions.reverse() }));
+}
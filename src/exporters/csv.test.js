@@ -0,0 +1,20 @@
+import { serializeCSV, parseCSV } from './csv';
+import sampleTracks from './__fixtures__/sampleTracks';
+import expectSameTracks from './__fixtures__/expectSameTracks';
+
+test('round-trips tracks through CSV', () => {
+  expectSameTracks(parseCSV(serializeCSV(sampleTracks)), sampleTracks);
+});
+
+test('round-trips an empty export', () => {
+  expect(parseCSV(serializeCSV([]))).toEqual([]);
+});
+
+test('writes one row per fix under a header', () => {
+  const lines = serializeCSV(sampleTracks).trim().split('\n');
+
+  expect(lines[0]).toBe('balloon_id,timestamp,lat,lon,alt_km,total_distance_km');
+  expect(lines).toHaveLength(1 + 4);
+  expect(lines[1]).toBe('17,2025-05-01T10:00:00.000Z,40.5,-102.75,13.05,812.4375');
+  expect(lines[4].startsWith('"a&b <""c"">, d",')).toBe(true);
+});
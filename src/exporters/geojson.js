@@ -0,0 +1,59 @@
+/**
+ * GeoJSON export: one LineString feature per balloon (a Point when it has a single fix).
+ * Coordinates are [lon, lat, altitude in meters] in time order, with the fix
+ * times in properties.coordTimes as used by common GPX/KML converters.
+ */
+
+export const GEOJSON_MIME_TYPE = "application/geo+json";
+
+/**
+ * @param {Array<{ id: string, totalDistance: number, positions: Array<object> }>} tracks
+ *   Positions sorted newest first, alt in kilometers.
+ * @returns {string} GeoJSON FeatureCollection text.
+ */
+export function serializeGeoJSON(tracks) {
+  const features = tracks.map((track) => {
+    const chronological = track.positions.slice().reverse();
+    const coordinates = chronological.map((pos) => [pos.lon, pos.lat, pos.alt * 1000]);
+    return {
+      type: "Feature",
+      id: track.id,
+      geometry: coordinates.length === 1
+        ? { type: "Point", coordinates: coordinates[0] }
+        : { type: "LineString", coordinates },
+      properties: {
+        id: track.id,
+        totalDistanceKm: track.totalDistance,
+        coordTimes: chronological.map((pos) => pos.timestamp.toISOString()),
+      },
+    };
+  });
+  return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+}
+
+/**
+ * @param {string} text - GeoJSON written by serializeGeoJSON.
+ * @returns {Array<object>} Tracks in the same shape serializeGeoJSON accepts.
+ */
+export function parseGeoJSON(text) {
+  const collection = JSON.parse(text);
+  if (!collection || collection.type !== "FeatureCollection" || !Array.isArray(collection.features)) {
+    throw new Error("Expected a GeoJSON FeatureCollection");
+  }
+  return collection.features.map((feature) => {
+    const { geometry, properties = {} } = feature;
+    const coordinates = geometry.type === "Point" ? [geometry.coordinates] : geometry.coordinates;
+    const times = properties.coordTimes || [];
+    const positions = coordinates.map(([lon, lat, altMeters = 0], i) => ({
+      lat,
+      lon,
+      alt: altMeters / 1000,
+      timestamp: new Date(times[i]),
+    }));
+    return {
+      id: String(properties.id ?? feature.id),
+      totalDistance: properties.totalDistanceKm,
+      positions: positions.reverse(),
+    };
+  });
+}
@@ -0,0 +1,21 @@
+import { serializeGeoJSON, parseGeoJSON } from './geojson';
+import sampleTracks from './__fixtures__/sampleTracks';
+import expectSameTracks from './__fixtures__/expectSameTracks';
+
+test('round-trips tracks through GeoJSON', () => {
+  expectSameTracks(parseGeoJSON(serializeGeoJSON(sampleTracks)), sampleTracks);
+});
+
+test('round-trips an empty export', () => {
+  expect(parseGeoJSON(serializeGeoJSON([]))).toEqual([]);
+});
+
+test('writes LineStrings in time order with altitude in meters', () => {
+  const collection = JSON.parse(serializeGeoJSON(sampleTracks));
+  const [line, point] = collection.features;
+
+  expect(line.geometry.type).toBe('LineString');
+  expect(line.geometry.coordinates[0]).toEqual([-102.75, 40.5, 13050]);
+  expect(line.properties.coordTimes[0]).toBe('2025-05-01T10:00:00.000Z');
+  expect(point.geometry.type).toBe('Point');
+});
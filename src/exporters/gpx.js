@@ -0,0 +1,66 @@
+import { escapeXml, parseXml, childText } from "./xml";
+
+/**
+ * GPX 1.1 export: one trk per balloon with a single trkseg. Elevation is in
+ * meters; the balloon ID and total distance go in a private extension.
+ */
+
+export const GPX_MIME_TYPE = "application/gpx+xml";
+const EXTENSION_NS = "urn:windborne-balloon-tracker";
+
+/**
+ * @param {Array<{ id: string, totalDistance: number, positions: Array<object> }>} tracks
+ *   Positions sorted newest first, alt in kilometers.
+ * @returns {string} GPX document text.
+ */
+export function serializeGPX(tracks) {
+  const trks = tracks.map((track) => {
+    const points = track.positions.slice().reverse().map((pos) => [
+      `      <trkpt lat="${pos.lat}" lon="${pos.lon}">`,
+      `        <ele>${pos.alt * 1000}</ele>`,
+      `        <time>${pos.timestamp.toISOString()}</time>`,
+      "      </trkpt>",
+    ].join("\n"));
+    return [
+      "  <trk>",
+      `    <name>Balloon ${escapeXml(track.id)}</name>`,
+      "    <extensions>",
+      `      <wb:id>${escapeXml(track.id)}</wb:id>`,
+      `      <wb:totalDistanceKm>${track.totalDistance}</wb:totalDistanceKm>`,
+      "    </extensions>",
+      "    <trkseg>",
+      ...points,
+      "    </trkseg>",
+      "  </trk>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="Windborne Balloon Tracker" xmlns="http://www.topografix.com/GPX/1/1" xmlns:wb="${EXTENSION_NS}">`,
+    ...trks,
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * @param {string} text - GPX written by serializeGPX.
+ * @returns {Array<object>} Tracks in the same shape serializeGPX accepts.
+ */
+export function parseGPX(text) {
+  const doc = parseXml(text);
+  return Array.from(doc.getElementsByTagNameNS("*", "trk")).map((trk) => {
+    const extensions = Array.from(trk.children).find((el) => el.localName === "extensions");
+    const positions = Array.from(trk.getElementsByTagNameNS("*", "trkpt")).map((pt) => ({
+      lat: Number(pt.getAttribute("lat")),
+      lon: Number(pt.getAttribute("lon")),
+      alt: Number(childText(pt, "ele")) / 1000,
+      timestamp: new Date(childText(pt, "time")),
+    }));
+    return {
+      id: extensions ? childText(extensions, "id") : childText(trk, "name"),
+      totalDistance: extensions ? Number(childText(extensions, "totalDistanceKm")) : null,
+      positions: positions.reverse(),
+    };
+  });
+}
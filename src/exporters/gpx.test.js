@@ -0,0 +1,19 @@
+import { serializeGPX, parseGPX } from './gpx';
+import sampleTracks from './__fixtures__/sampleTracks';
+import expectSameTracks from './__fixtures__/expectSameTracks';
+
+test('round-trips tracks through GPX', () => {
+  expectSameTracks(parseGPX(serializeGPX(sampleTracks)), sampleTracks);
+});
+
+test('round-trips an empty export', () => {
+  expect(parseGPX(serializeGPX([]))).toEqual([]);
+});
+
+test('writes a valid GPX 1.1 track per balloon', () => {
+  const doc = new DOMParser().parseFromString(serializeGPX(sampleTracks), 'application/xml');
+
+  expect(doc.documentElement.getAttribute('version')).toBe('1.1');
+  expect(doc.getElementsByTagName('trk')).toHaveLength(2);
+  expect(doc.getElementsByTagName('trkpt')[0].getElementsByTagName('ele')[0].textContent).toBe('13050');
+});
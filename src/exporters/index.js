@@ -0,0 +1,37 @@
+import { serializeGeoJSON, GEOJSON_MIME_TYPE } from "./geojson";
+import { serializeKML, KML_MIME_TYPE } from "./kml";
+import { serializeGPX, GPX_MIME_TYPE } from "./gpx";
+import { serializeCSV, CSV_MIME_TYPE } from "./csv";
+import { trackDistanceKm } from "../dataQuality";
+
+/** Export formats offered in the export panel, keyed by format ID. */
+export const EXPORT_FORMATS = {
+  geojson: { label: "GeoJSON", extension: "geojson", mimeType: GEOJSON_MIME_TYPE, serialize: serializeGeoJSON },
+  kml: { label: "KML", extension: "kml", mimeType: KML_MIME_TYPE, serialize: serializeKML },
+  gpx: { label: "GPX", extension: "gpx", mimeType: GPX_MIME_TYPE, serialize: serializeGPX },
+  csv: { label: "CSV", extension: "csv", mimeType: CSV_MIME_TYPE, serialize: serializeCSV },
+};
+
+/**
+ * Picks the balloons and fixes to export: only fixes inside the visible time
+ * window and, when anything is selected, only the selected balloons. The
+ * distance is measured along the exported fixes, not the whole track.
+ * @param {Array<object>} balloons - Processed balloons with positions sorted newest first.
+ * @param {object} options
+ * @param {Date} options.from - Oldest fix time to include.
+ * @param {Date} options.to - Newest fix time to include.
+ * @param {Array<string>} [options.selectedIds] - Restricts the export when non-empty.
+ * @returns {Array<{ id: string, totalDistance: number, positions: Array<object> }>}
+ */
+export function buildExportTracks(balloons, { from, to, selectedIds = [] }) {
+  const selected = new Set(selectedIds);
+  return balloons
+    .filter((balloon) => selected.size === 0 || selected.has(balloon.id))
+    .map((balloon) => {
+      const positions = (balloon.positions || [])
+        .filter((pos) => pos.timestamp >= from && pos.timestamp <= to)
+        .map(({ lat, lon, alt, timestamp }) => ({ lat, lon, alt, timestamp }));
+      return { id: balloon.id, totalDistance: trackDistanceKm(positions), positions };
+    })
+    .filter((track) => track.positions.length > 0);
+}
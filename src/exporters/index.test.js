@@ -0,0 +1,32 @@
+import { buildExportTracks, EXPORT_FORMATS } from './index';
+import { calculateDistance } from '../geo';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date('2025-05-01T12:00:00Z').getTime();
+
+const balloons = ['1', '2'].map((id) => ({
+  id,
+  totalDistance: 100,
+  positions: [0, 1, 2, 3].map((h) => ({ lat: h, lon: h, alt: 10, timestamp: new Date(T0 - h * HOUR), hour: h })),
+}));
+
+test('keeps only fixes inside the time window', () => {
+  const tracks = buildExportTracks(balloons, { from: new Date(T0 - 1.5 * HOUR), to: new Date(T0) });
+
+  expect(tracks).toHaveLength(2);
+  expect(tracks[0].positions.map((pos) => pos.lat)).toEqual([0, 1]);
+  expect(tracks[0].positions[0]).not.toHaveProperty('hour');
+  // Measured along the exported fixes, not the whole track's 100 km.
+  expect(tracks[0].totalDistance).toBeCloseTo(calculateDistance(0, 0, 1, 1));
+});
+
+test('restricts the export to the selection', () => {
+  const tracks = buildExportTracks(balloons, { from: new Date(0), to: new Date(T0), selectedIds: ['2'] });
+
+  expect(tracks.map((track) => track.id)).toEqual(['2']);
+});
+
+test('offers every serializer', () => {
+  expect(Object.keys(EXPORT_FORMATS)).toEqual(['geojson', 'kml', 'gpx', 'csv']);
+  Object.values(EXPORT_FORMATS).forEach((format) => expect(typeof format.serialize).toBe('function'));
+});
@@ -0,0 +1,75 @@
+import { escapeXml, parseXml, childText } from "./xml";
+
+/**
+ * KML export: one Placemark per balloon holding a gx:Track, so every fix keeps
+ * its time. Tracks are extruded to the ground at absolute altitude, which
+ * draws the flight as a curtain in Google Earth.
+ */
+
+export const KML_MIME_TYPE = "application/vnd.google-earth.kml+xml";
+
+/**
+ * @param {Array<{ id: string, totalDistance: number, positions: Array<object> }>} tracks
+ *   Positions sorted newest first, alt in kilometers.
+ * @returns {string} KML document text.
+ */
+export function serializeKML(tracks) {
+  const placemarks = tracks.map((track) => {
+    const chronological = track.positions.slice().reverse();
+    const whens = chronological.map((pos) => `        <when>${pos.timestamp.toISOString()}</when>`);
+    const coords = chronological.map((pos) => `        <gx:coord>${pos.lon} ${pos.lat} ${pos.alt * 1000}</gx:coord>`);
+    return [
+      "    <Placemark>",
+      `      <name>Balloon ${escapeXml(track.id)}</name>`,
+      "      <ExtendedData>",
+      `        <Data name="id"><value>${escapeXml(track.id)}</value></Data>`,
+      `        <Data name="totalDistanceKm"><value>${track.totalDistance}</value></Data>`,
+      "      </ExtendedData>",
+      "      <gx:Track>",
+      "        <extrude>1</extrude>",
+      "        <altitudeMode>absolute</altitudeMode>",
+      ...whens,
+      ...coords,
+      "      </gx:Track>",
+      "    </Placemark>",
+    ].join("\n");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    "  <Document>",
+    "    <name>Windborne balloon tracks</name>",
+    ...placemarks,
+    "  </Document>",
+    "</kml>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * @param {string} text - KML written by serializeKML.
+ * @returns {Array<object>} Tracks in the same shape serializeKML accepts.
+ */
+export function parseKML(text) {
+  const doc = parseXml(text);
+  return Array.from(doc.getElementsByTagNameNS("*", "Placemark")).map((placemark) => {
+    const data = {};
+    Array.from(placemark.getElementsByTagNameNS("*", "Data")).forEach((el) => {
+      data[el.getAttribute("name")] = childText(el, "value");
+    });
+    const track = placemark.getElementsByTagNameNS("*", "Track")[0];
+    const whens = Array.from(track.getElementsByTagNameNS("*", "when")).map((el) => new Date(el.textContent));
+    const coords = Array.from(track.getElementsByTagNameNS("*", "coord")).map((el) => el.textContent.trim().split(/\s+/).map(Number));
+    const positions = coords.map(([lon, lat, altMeters], i) => ({
+      lat,
+      lon,
+      alt: altMeters / 1000,
+      timestamp: whens[i],
+    }));
+    return {
+      id: data.id,
+      totalDistance: Number(data.totalDistanceKm),
+      positions: positions.reverse(),
+    };
+  });
+}
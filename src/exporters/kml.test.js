@@ -0,0 +1,19 @@
+import { serializeKML, parseKML } from './kml';
+import sampleTracks from './__fixtures__/sampleTracks';
+import expectSameTracks from './__fixtures__/expectSameTracks';
+
+test('round-trips tracks through KML', () => {
+  expectSameTracks(parseKML(serializeKML(sampleTracks)), sampleTracks);
+});
+
+test('round-trips an empty export', () => {
+  expect(parseKML(serializeKML([]))).toEqual([]);
+});
+
+test('extrudes tracks at absolute altitude', () => {
+  const doc = new DOMParser().parseFromString(serializeKML(sampleTracks), 'application/xml');
+  const track = doc.getElementsByTagNameNS('*', 'Track')[0];
+
+  expect(track.getElementsByTagName('extrude')[0].textContent).toBe('1');
+  expect(track.getElementsByTagName('altitudeMode')[0].textContent).toBe('absolute');
+});
@@ -0,0 +1,37 @@
+/**
+ * Escapes text for use in XML element content and attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Parses XML text, throwing if the document is not well-formed.
+ * @param {string} text
+ * @returns {Document}
+ */
+export function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("Invalid XML document");
+  }
+  return doc;
+}
+
+/**
+ * Text of the first direct child element with a given local name, or null.
+ * @param {Element} parent
+ * @param {string} localName
+ * @returns {string|null}
+ */
+export function childText(parent, localName) {
+  const child = Array.from(parent.children).find((el) => el.localName === localName);
+  return child ? child.textContent : null;
+}
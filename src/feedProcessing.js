@@ -0,0 +1,127 @@
+import { floorToHour } from "./historyArchive";
+import { flagTrackPositions, trackDistanceKm, validateHourFile } from "./dataQuality";
+
+/**
+ * The hourly feed pipeline shared by the app and the tracker service: each
+ * fetched hour file becomes a status for the feed grid and a quality report,
+ * the reports become snapshots for track association, and reconstructed
+ * tracks become balloons with flagged positions and distances.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/** Hour files in the feed, 00.json (now) to 23.json. */
+export const FEED_HOURS = 24;
+
+/**
+ * @param {number} hour - Hour offset, 0 for the current hour.
+ * @returns {string} e.g. "07.json".
+ */
+export function hourFileName(hour) {
+  return `${hour.toString().padStart(2, "0")}.json`;
+}
+
+/**
+ * Observation hour of a body downloaded at receivedAt (not of the request), so
+ * cached bodies and archived hours line up.
+ * @param {number} receivedAt - ms.
+ * @param {number} hour - Hour offset of the file.
+ * @returns {Date}
+ */
+export function observationTime(receivedAt, hour) {
+  return new Date(floorToHour(receivedAt).getTime() - hour * MS_PER_HOUR);
+}
+
+/**
+ * Status of an hour whose request failed outright.
+ * @param {number} hour
+ * @param {Error} error
+ * @returns {{ hour: number, state: "failed", source: null, receivedAt: null, detail: string }}
+ */
+export function failedHourStatus(hour, error) {
+  return { hour, state: "failed", source: null, receivedAt: null, detail: error.message || String(error) };
+}
+
+/**
+ * Reads one fetched hour file.
+ * @param {number} hour
+ * @param {{ data: any, source: string, receivedAt: number, error?: Error }} result - From fetchClient.
+ * @returns {{
+ *   status: { hour: number, state: string, source: string, receivedAt: number, detail: string|null },
+ *   report: object
+ * }} state is "loaded", "cached" (served from the fetch cache or, offline, the service worker's)
+ *   or "failed" for bodies that are not an array; report is { hour, timestamp, source, ...validateHourFile(data) }.
+ */
+export function readHourResult(hour, result) {
+  const report = { hour, timestamp: observationTime(result.receivedAt, hour), source: result.source, ...validateHourFile(result.data) };
+  if (!Array.isArray(result.data)) {
+    return {
+      status: { hour, state: "failed", source: result.source, receivedAt: result.receivedAt, detail: "Unexpected response format" },
+      report,
+    };
+  }
+  const copyTime = new Date(result.receivedAt).toLocaleString();
+  return {
+    status: {
+      hour,
+      state: result.source === "network" ? "loaded" : "cached",
+      source: result.source,
+      receivedAt: result.receivedAt,
+      detail: result.error ? `Request failed (${result.error.message}); showing the copy from ${copyTime}`
+        : result.source === "offline" ? `Offline; showing the copy from ${copyTime}` : null,
+    },
+    report,
+  };
+}
+
+/**
+ * Marks the statuses of hours whose reports were found corrupted.
+ * @param {Array<object>} statuses - From readHourResult or failedHourStatus.
+ * @param {Array<object>} hourReports - From flagDuplicateHours.
+ * @returns {Array<object>}
+ */
+export function markCorruptedHours(statuses, hourReports) {
+  const corrupted = new Map(hourReports.filter((report) => report.corrupted).map((report) => [report.hour, report.reason]));
+  return statuses.map((status) => (status.state !== "failed" && corrupted.has(status.hour)
+    ? { ...status, state: "corrupted", detail: corrupted.get(status.hour) }
+    : status));
+}
+
+/**
+ * Snapshots for track association from the hours that are not corrupted. An old
+ * copy served after a failed request can cover the same observation hour as a
+ * newly downloaded file, so old copies come first and the fresh one wins when merged.
+ * @param {Array<object>} hourReports
+ * @param {Array<object>} statuses
+ * @returns {Array<{ hour: number, timestamp: Date, fixes: Array<object> }>}
+ */
+export function snapshotsFromReports(hourReports, statuses) {
+  const oldCopies = new Set(statuses
+    .filter((status) => status.source === "stale" || status.source === "offline")
+    .map((status) => status.hour));
+  return hourReports
+    .filter((report) => !report.corrupted)
+    .map(({ hour, timestamp, fixes }) => ({ hour, timestamp, fixes }))
+    .sort((a, b) => (oldCopies.has(b.hour) ? 1 : 0) - (oldCopies.has(a.hour) ? 1 : 0));
+}
+
+/**
+ * Balloons from reconstructed tracks, with quality flags and distance travelled.
+ * @param {Array<object>} tracks - From associateTracks.
+ * @returns {Array<{ id: string, positions: Array<object>, currentPosition: object, totalDistance: number, trackConfidence: number|null }>}
+ *   Tracks without positions are dropped.
+ */
+export function balloonsFromTracks(tracks) {
+  return tracks
+    .map((track) => {
+      const positions = flagTrackPositions(track.positions);
+      return {
+        id: track.id,
+        positions,
+        currentPosition: positions[0] || null,
+        totalDistance: trackDistanceKm(positions),
+        trackConfidence: track.confidence,
+      };
+    })
+    .filter((balloon) => balloon.currentPosition);
+}
@@ -0,0 +1,116 @@
+import {
+  balloonsFromTracks,
+  failedHourStatus,
+  hourFileName,
+  markCorruptedHours,
+  observationTime,
+  readHourResult,
+  snapshotsFromReports,
+} from './feedProcessing';
+import { flagDuplicateHours } from './dataQuality';
+import { associateTracks } from './trackAssociation';
+import { corruptedHour, errorBody, partlyBadHour, recordedHours } from './__fixtures__/treasure';
+
+const HOUR = 60 * 60 * 1000;
+const RECEIVED_AT = Date.UTC(2025, 4, 1, 12, 7);
+
+const network = (data) => ({ data, source: 'network', receivedAt: RECEIVED_AT });
+
+// Reads the recorded hours the way a refresh does, with some replaced by other bodies.
+function readFeed(replacements = {}) {
+  const reports = [];
+  const statuses = recordedHours.map((data, hour) => {
+    const result = replacements[hour] || network(data);
+    if (result instanceof Error) return failedHourStatus(hour, result);
+    const { status, report } = readHourResult(hour, result);
+    reports.push(report);
+    return status;
+  });
+  const hourReports = flagDuplicateHours(reports);
+  return { hourReports, statuses: markCorruptedHours(statuses, hourReports) };
+}
+
+test('names hour files and dates them by when they were downloaded', () => {
+  expect(hourFileName(0)).toBe('00.json');
+  expect(hourFileName(23)).toBe('23.json');
+  expect(observationTime(RECEIVED_AT, 3)).toEqual(new Date(Date.UTC(2025, 4, 1, 9)));
+});
+
+test('reads a recorded hour file into a status and a report', () => {
+  const { status, report } = readHourResult(1, network(recordedHours[1]));
+
+  expect(status).toEqual({ hour: 1, state: 'loaded', source: 'network', receivedAt: RECEIVED_AT, detail: null });
+  expect(report).toMatchObject({ hour: 1, timestamp: new Date(Date.UTC(2025, 4, 1, 11)), corrupted: false, totalEntries: 12 });
+  expect(report.fixes).toHaveLength(12);
+  expect(report.fixes[0]).toEqual({ lat: 35.68166, lon: -98.12169, alt: 13.85767, sourceIndex: 0 });
+});
+
+test('describes old copies and fails bodies that are not hour files', () => {
+  const stale = readHourResult(0, { ...network(recordedHours[0]), source: 'stale', error: new Error('HTTP 502') });
+  expect(stale.status.state).toBe('cached');
+  expect(stale.status.detail).toMatch(/^Request failed \(HTTP 502\); showing the copy from /);
+
+  const offline = readHourResult(0, { ...network(recordedHours[0]), source: 'offline' });
+  expect(offline.status.detail).toMatch(/^Offline; showing the copy from /);
+
+  const error = readHourResult(2, network(errorBody));
+  expect(error.status).toMatchObject({ state: 'failed', detail: 'Unexpected response format' });
+  expect(error.report).toMatchObject({ corrupted: true, reason: 'Not a JSON array', fixes: [] });
+
+  expect(failedHourStatus(5, new Error('timed out'))).toEqual({ hour: 5, state: 'failed', source: null, receivedAt: null, detail: 'timed out' });
+});
+
+test('keeps the good entries of a partly bad hour and sets the rest aside', () => {
+  const { status, report } = readHourResult(0, network(partlyBadHour));
+
+  expect(status.state).toBe('loaded');
+  expect(report.corrupted).toBe(false);
+  expect(report.fixes).toHaveLength(10);
+  expect(report.invalidEntries.map((entry) => entry.sourceIndex)).toEqual([9, 11]);
+  expect(report.suspectFixes.map((fix) => fix.flags)).toEqual([['null-fix'], ['out-of-range']]);
+});
+
+test('marks corrupted and copied hours and leaves them out of the snapshots', () => {
+  const { hourReports, statuses } = readFeed({ 1: network(corruptedHour), 3: network(recordedHours[2]), 2: new Error('HTTP 500') });
+
+  expect(statuses.map((status) => status.state)).toEqual(['loaded', 'corrupted', 'failed', 'loaded']);
+  expect(statuses[1].detail).toBe('7 of 8 entries unusable');
+
+  // 03.json now repeats 02.json, whose request failed, so there is nothing to compare it with.
+  const snapshots = snapshotsFromReports(hourReports, statuses);
+  expect(snapshots.map((snapshot) => snapshot.hour)).toEqual([0, 3]);
+
+  const copied = readFeed({ 3: network(recordedHours[2]) });
+  expect(copied.statuses[3]).toMatchObject({ state: 'corrupted', detail: 'Same fixes as 02.json' });
+  expect(snapshotsFromReports(copied.hourReports, copied.statuses).map((snapshot) => snapshot.hour)).toEqual([0, 1, 2]);
+});
+
+test('puts old copies before fresh hours so the fresh ones win', () => {
+  const stale = { ...network(recordedHours[1]), source: 'stale', error: new Error('HTTP 503') };
+  const { hourReports, statuses } = readFeed({ 1: stale });
+
+  expect(snapshotsFromReports(hourReports, statuses).map((snapshot) => snapshot.hour)).toEqual([1, 0, 2, 3]);
+});
+
+test('reconstructs the recorded balloons across the hours', () => {
+  const { hourReports, statuses } = readFeed();
+  const balloons = balloonsFromTracks(associateTracks(snapshotsFromReports(hourReports, statuses)));
+
+  expect(balloons).toHaveLength(12);
+  balloons.forEach((balloon) => {
+    expect(balloon.positions).toHaveLength(4);
+    expect(balloon.currentPosition).toBe(balloon.positions[0]);
+    expect(balloon.positions[0].timestamp - balloon.positions[3].timestamp).toBe(3 * HOUR);
+    expect(balloon.positions.every((pos) => !pos.qualityFlags)).toBe(true);
+    expect(balloon.totalDistance).toBeGreaterThan(50);
+    expect(balloon.totalDistance).toBeLessThan(400);
+  });
+
+  // The balloon that crossed the antimeridian keeps one track.
+  const crossing = balloons.find((balloon) => balloon.currentPosition.lon === -179.67534);
+  expect(crossing.positions[1].lon).toBeGreaterThan(179);
+});
+
+test('drops tracks without positions', () => {
+  expect(balloonsFromTracks([{ id: '1', positions: [], confidence: null }])).toEqual([]);
+});
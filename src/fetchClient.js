@@ -0,0 +1,240 @@
+/**
+ * Shared JSON fetch client: limits how many requests run at once, retries
+ * transient failures with exponential backoff, revalidates cached responses
+ * with ETag / Last-Modified, and can serve cached data while it refreshes
+ * (stale-while-revalidate) or when every attempt fails.
+ *
+ * Every get resolves to { data, source, receivedAt, error? } where source is
+ *   "network"      – a new body was downloaded,
+ *   "not-modified" – the server answered 304 and the cached body was reused,
+ *   "cache"        – the cached body was young enough that no request was made,
+ *   "stale"        – the cached body was served while revalidating, or because the request failed (error is set),
+ *   "offline"      – the service worker answered from its cache because the network was unreachable.
+ * receivedAt is when the body itself was downloaded: by the tracker service, which says
+ * so in an X-Received-At header, or else by this client.
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs at most `limit` tasks at a time, in the order they were queued.
+ * @param {number} limit
+ * @returns {Function} (task: () => Promise) => Promise of the task's result.
+ */
+export function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Delay before a retry: doubling from the base delay, with jitter, capped.
+ * A server's Retry-After (seconds) wins when it is longer.
+ * @param {number} retry - 1 for the first retry.
+ * @param {{ baseDelayMs: number, maxDelayMs: number, retryAfterMs?: number|null, random?: Function }} options
+ * @returns {number} ms.
+ */
+export function backoffDelay(retry, { baseDelayMs, maxDelayMs, retryAfterMs = null, random = Math.random }) {
+  const exponential = baseDelayMs * Math.pow(2, retry - 1) * (0.5 + random() / 2);
+  return Math.min(maxDelayMs, Math.max(exponential, retryAfterMs || 0));
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+function parseRetryAfter(value) {
+  const seconds = Number(value);
+  return value && isFinite(seconds) ? seconds * 1000 : null;
+}
+
+function httpError(response) {
+  const error = new Error(`HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ""}`);
+  error.status = response.status;
+  error.retryable = isRetryableStatus(response.status);
+  error.retryAfterMs = parseRetryAfter(response.headers && response.headers.get("Retry-After"));
+  return error;
+}
+
+/**
+ * Creates a client with its own cache and concurrency limit.
+ * @param {{
+ *   fetchImpl?: Function,
+ *   concurrency?: number,
+ *   retries?: number,
+ *   baseDelayMs?: number,
+ *   maxDelayMs?: number,
+ *   timeoutMs?: number,
+ *   sleep?: Function,
+ *   now?: Function
+ * }} [options]
+ *   retries counts attempts after the first, per URL; sleep and now are injectable for tests.
+ * @returns {{ getJson: Function, peek: Function, clear: Function }}
+ */
+export function createFetchClient({
+  fetchImpl = (...args) => fetch(...args),
+  concurrency = 6,
+  retries = 2,
+  baseDelayMs = 500,
+  maxDelayMs = 8000,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  sleep = defaultSleep,
+  now = () => Date.now(),
+} = {}) {
+  const cache = new Map();
+  const inFlight = new Map();
+  const limit = createLimiter(concurrency);
+
+  async function fetchWithTimeout(url, headers, timeout) {
+    const controller = typeof AbortController !== "undefined" ? new AbortController() : { signal: null, abort: () => {} };
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+      return await fetchImpl(url, { headers, signal: controller.signal });
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  // Tries each target in turn, retrying transient failures, and caches the first good body.
+  async function request(key, targets, { timeout, retryCount, validate }) {
+    let lastError = null;
+    for (const target of targets) {
+      for (let attempt = 0; attempt <= retryCount; attempt++) {
+        if (attempt > 0) {
+          await sleep(backoffDelay(attempt, { baseDelayMs, maxDelayMs, retryAfterMs: lastError && lastError.retryAfterMs }));
+        }
+        const cached = cache.get(key);
+        const headers = { ...target.headers };
+        if (cached && cached.etag) headers["If-None-Match"] = cached.etag;
+        if (cached && cached.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+        try {
+          const response = await limit(() => fetchWithTimeout(target.url, headers, timeout));
+          if (response.status === 304 && cached) {
+            cached.validatedAt = now();
+            return { data: cached.data, source: "not-modified", receivedAt: cached.receivedAt };
+          }
+          if (!response.ok) throw httpError(response);
+          const data = await response.json();
+          if (validate && !validate(data)) {
+            const error = new Error(`Unexpected response from ${target.url}`);
+            error.retryable = false;
+            throw error;
+          }
+          // The service worker stamps copies it serves offline with their download time (see public/service-worker.js).
+          const cachedAt = Date.parse(response.headers.get("X-Cached-At") || "");
+          const offline = isFinite(cachedAt);
+          // The tracker service serves its last poll, which can be minutes older than this request.
+          const serverReceivedAt = Date.parse(response.headers.get("X-Received-At") || "");
+          const receivedAt = isFinite(serverReceivedAt) ? serverReceivedAt : offline ? cachedAt : now();
+          cache.set(key, {
+            data,
+            etag: response.headers.get("ETag"),
+            lastModified: response.headers.get("Last-Modified"),
+            receivedAt,
+            // An offline copy is never fresh enough to skip the next request.
+            validatedAt: offline ? -Infinity : receivedAt,
+          });
+          return { data, source: offline ? "offline" : "network", receivedAt };
+        } catch (err) {
+          // Timeouts, network errors and truncated bodies are worth retrying; 4xx and bad payloads are not.
+          lastError = err;
+          if (err.retryable === false) break;
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  // Concurrent gets for the same URL share one request.
+  function dedupedRequest(key, targets, options) {
+    if (!inFlight.has(key)) {
+      const promise = request(key, targets, options).finally(() => inFlight.delete(key));
+      inFlight.set(key, promise);
+    }
+    return inFlight.get(key);
+  }
+
+  /**
+   * Fetches JSON, using and updating the cache.
+   * @param {string} url - Also the cache key.
+   * @param {{
+   *   headers?: object,
+   *   fallbacks?: Array<{ url: string, headers?: object }>,
+   *   timeoutMs?: number,
+   *   retries?: number,
+   *   maxAgeMs?: number,
+   *   staleWhileRevalidate?: boolean,
+   *   onRevalidated?: Function,
+   *   validate?: Function
+   * }} [options]
+   *   fallbacks are tried in order once url has failed (e.g. a direct URL behind a proxy);
+   *   cached bodies younger than maxAgeMs are returned without a request; with staleWhileRevalidate
+   *   an older cached body is returned at once and onRevalidated(result) is called if the
+   *   background request brings a new body; validate(data) returning false rejects a body.
+   * @returns {Promise<{ data: any, source: string, receivedAt: number, error?: Error }>}
+   *   Rejects only when the request fails and nothing is cached.
+   */
+  async function getJson(url, {
+    headers = {},
+    fallbacks = [],
+    timeoutMs: timeout = timeoutMs,
+    retries: retryCount = retries,
+    maxAgeMs = 0,
+    staleWhileRevalidate = false,
+    onRevalidated,
+    validate,
+  } = {}) {
+    const targets = [{ url, headers }, ...fallbacks.map((fallback) => ({ headers: {}, ...fallback }))];
+    const cached = cache.get(url);
+    if (cached && now() - cached.validatedAt < maxAgeMs) {
+      return { data: cached.data, source: "cache", receivedAt: cached.receivedAt };
+    }
+
+    const run = () => dedupedRequest(url, targets, { timeout, retryCount, validate });
+    if (cached && staleWhileRevalidate) {
+      run()
+        .then((result) => {
+          if (result.source === "network" && onRevalidated) onRevalidated(result);
+        })
+        .catch((err) => console.warn(`Background refresh of ${url} failed:`, err));
+      return { data: cached.data, source: "stale", receivedAt: cached.receivedAt };
+    }
+
+    try {
+      return await run();
+    } catch (err) {
+      if (cached) return { data: cached.data, source: "stale", receivedAt: cached.receivedAt, error: err };
+      throw err;
+    }
+  }
+
+  return {
+    getJson,
+    /** Cached entry for a URL, or undefined. */
+    peek: (url) => cache.get(url),
+    /** Drops every cached response. */
+    clear: () => cache.clear(),
+  };
+}
+
+/** Client shared by the balloon feed and NWS requests, so they share one concurrency limit. */
+export const fetchClient = createFetchClient();
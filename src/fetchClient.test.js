@@ -0,0 +1,186 @@
+import { backoffDelay, createFetchClient, createLimiter } from './fetchClient';
+import { observationTime } from './feedProcessing';
+
+function response(status, body, headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    statusText: '',
+    headers: { get: (name) => lower[name.toLowerCase()] ?? null },
+    json: async () => body,
+  };
+}
+
+// A fake fetch that replies from a per-URL script and records every call.
+function scriptedFetch(script) {
+  const calls = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, headers: init.headers });
+    const queue = script[url];
+    const next = queue && queue.length > 1 ? queue.shift() : queue && queue[0];
+    if (!next) throw new TypeError('Failed to fetch');
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  return { fetchImpl, calls };
+}
+
+function makeClient(fetchImpl, options = {}) {
+  const delays = [];
+  let clock = 1000;
+  const client = createFetchClient({
+    fetchImpl,
+    sleep: async (ms) => {
+      delays.push(ms);
+    },
+    now: () => clock,
+    ...options,
+  });
+  return { client, delays, advance: (ms) => { clock += ms; } };
+}
+
+test('runs at most the given number of tasks at once', async () => {
+  const limit = createLimiter(2);
+  let active = 0;
+  let peak = 0;
+  const task = async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    active--;
+  };
+  await Promise.all(Array.from({ length: 6 }, () => limit(task)));
+  expect(peak).toBe(2);
+});
+
+test('backs off exponentially, honours Retry-After and caps the delay', () => {
+  const options = { baseDelayMs: 500, maxDelayMs: 8000, random: () => 1 };
+  expect([1, 2, 3].map((retry) => backoffDelay(retry, options))).toEqual([500, 1000, 2000]);
+  expect(backoffDelay(1, { ...options, retryAfterMs: 3000 })).toBe(3000);
+  expect(backoffDelay(10, options)).toBe(8000);
+  expect(backoffDelay(1, { ...options, random: () => 0 })).toBe(250);
+});
+
+test('retries transient failures and gives up on client errors', async () => {
+  const { fetchImpl, calls } = scriptedFetch({
+    '/flaky': [new TypeError('Failed to fetch'), response(503, null, { 'Retry-After': '2' }), response(200, [1])],
+    '/missing': [response(404, null)],
+  });
+  const { client, delays } = makeClient(fetchImpl, { retries: 2 });
+
+  await expect(client.getJson('/flaky')).resolves.toMatchObject({ data: [1], source: 'network', receivedAt: 1000 });
+  expect(delays).toHaveLength(2);
+  expect(delays[1]).toBe(2000);
+
+  await expect(client.getJson('/missing')).rejects.toMatchObject({ status: 404 });
+  expect(calls.filter((call) => call.url === '/missing')).toHaveLength(1);
+});
+
+test('falls back to the next URL and rejects invalid bodies', async () => {
+  const { fetchImpl, calls } = scriptedFetch({
+    '/proxy': [response(200, { type: 'Nonsense' })],
+    'https://direct': [response(200, { type: 'FeatureCollection', features: [] })],
+  });
+  const { client } = makeClient(fetchImpl);
+  const result = await client.getJson('/proxy', {
+    fallbacks: [{ url: 'https://direct', headers: { Accept: 'application/geo+json' } }],
+    validate: (data) => data.type === 'FeatureCollection',
+  });
+
+  expect(result.data.type).toBe('FeatureCollection');
+  expect(calls.map((call) => call.url)).toEqual(['/proxy', 'https://direct']);
+  expect(calls[1].headers.Accept).toBe('application/geo+json');
+  // Cached under the primary URL.
+  expect(client.peek('/proxy').data).toEqual(result.data);
+});
+
+test('revalidates with ETag and Last-Modified and reuses the body on 304', async () => {
+  const { fetchImpl, calls } = scriptedFetch({
+    '/hour': [
+      response(200, ['v1'], { ETag: '"abc"', 'Last-Modified': 'Thu, 01 May 2025 12:00:00 GMT' }),
+      response(304, null),
+    ],
+  });
+  const { client, advance } = makeClient(fetchImpl);
+  await client.getJson('/hour');
+  advance(60000);
+  const second = await client.getJson('/hour');
+
+  expect(calls[1].headers).toEqual({ 'If-None-Match': '"abc"', 'If-Modified-Since': 'Thu, 01 May 2025 12:00:00 GMT' });
+  expect(second).toEqual({ data: ['v1'], source: 'not-modified', receivedAt: 1000 });
+});
+
+test('serves young cache entries without a request', async () => {
+  const { fetchImpl, calls } = scriptedFetch({ '/hour': [response(200, ['v1'])] });
+  const { client, advance } = makeClient(fetchImpl);
+  await client.getJson('/hour', { maxAgeMs: 5000 });
+  advance(1000);
+
+  await expect(client.getJson('/hour', { maxAgeMs: 5000 })).resolves.toMatchObject({ source: 'cache' });
+  expect(calls).toHaveLength(1);
+});
+
+test('returns stale data at once and reports the refreshed body', async () => {
+  const { fetchImpl } = scriptedFetch({ '/alerts': [response(200, ['old']), response(200, ['new'])] });
+  const { client, advance } = makeClient(fetchImpl);
+  await client.getJson('/alerts');
+  advance(60000);
+
+  const refreshed = new Promise((resolve) => {
+    client.getJson('/alerts', { staleWhileRevalidate: true, onRevalidated: resolve })
+      .then((result) => expect(result).toMatchObject({ data: ['old'], source: 'stale' }));
+  });
+  await expect(refreshed).resolves.toMatchObject({ data: ['new'], source: 'network' });
+});
+
+test('falls back to the cached body when every attempt fails', async () => {
+  const { fetchImpl } = scriptedFetch({ '/hour': [response(200, ['v1']), response(500, null)] });
+  const { client, delays } = makeClient(fetchImpl, { retries: 1 });
+  await client.getJson('/hour');
+
+  const result = await client.getJson('/hour');
+  expect(result).toMatchObject({ data: ['v1'], source: 'stale', receivedAt: 1000 });
+  expect(result.error.status).toBe(500);
+  expect(delays).toHaveLength(1);
+});
+
+test('shares one request between concurrent gets of a URL', async () => {
+  const { fetchImpl, calls } = scriptedFetch({ '/hour': [response(200, ['v1'])] });
+  const { client } = makeClient(fetchImpl);
+  const [a, b] = await Promise.all([client.getJson('/hour'), client.getJson('/hour')]);
+
+  expect(a.data).toEqual(['v1']);
+  expect(b.data).toEqual(['v1']);
+  expect(calls).toHaveLength(1);
+});
+
+test('reports copies the service worker served offline with their download time', async () => {
+  const cachedAt = 'Thu, 01 May 2025 12:00:00 GMT';
+  const { fetchImpl, calls } = scriptedFetch({ '/hour': [response(200, ['old'], { 'X-Cached-At': cachedAt })] });
+  const { client } = makeClient(fetchImpl);
+
+  await expect(client.getJson('/hour', { maxAgeMs: 60000 }))
+    .resolves.toEqual({ data: ['old'], source: 'offline', receivedAt: Date.parse(cachedAt) });
+  await client.getJson('/hour', { maxAgeMs: 60000 });
+  expect(calls).toHaveLength(2);
+});
+
+test('dates copies from the tracker service by its poll, not by the request, across an hour rollover', async () => {
+  // The service polled at 11:58; the app asks at 12:03, before the next poll.
+  const polledAt = Date.UTC(2025, 4, 1, 11, 58, 30, 250);
+  const requestedAt = Date.UTC(2025, 4, 1, 12, 3);
+  const headers = { 'Last-Modified': new Date(polledAt).toUTCString(), 'X-Received-At': new Date(polledAt).toISOString() };
+  const { fetchImpl } = scriptedFetch({ '/api/treasure/00.json': [response(200, [[1, 2, 3]], headers)] });
+  const { client } = makeClient(fetchImpl, { now: () => requestedAt });
+
+  const result = await client.getJson('/api/treasure/00.json');
+  expect(result).toMatchObject({ source: 'network', receivedAt: polledAt });
+  // 00.json is still the 11:00 file, not the 12:00 one.
+  expect(observationTime(result.receivedAt, 0)).toEqual(new Date(Date.UTC(2025, 4, 1, 11)));
+
+  // Without the header the download time is the request time.
+  const plain = scriptedFetch({ '/hour': [response(200, [], { 'Last-Modified': headers['Last-Modified'] })] });
+  const { client: plainClient } = makeClient(plain.fetchImpl, { now: () => requestedAt });
+  await expect(plainClient.getJson('/hour')).resolves.toMatchObject({ receivedAt: requestedAt });
+});
@@ -0,0 +1,192 @@
+import {
+  calculateDistance,
+  calculateBearing,
+  destinationPoint,
+  bearingDifference,
+  intermediatePoint,
+} from "./geo";
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+export const MAX_FORECAST_HOURS = 12;
+/** How far back recent motion is estimated from. */
+const HISTORY_WINDOW_HOURS = 6;
+/** Turning faster than this is treated as noise rather than a steady turn. */
+const MAX_TURN_RATE_DEG_PER_HOUR = 30;
+/** Legs shorter than this have no meaningful bearing. */
+const MIN_BEARING_DISTANCE_KM = 1;
+const BASE_UNCERTAINTY_KM = 10;
+/** Extra error per hour, as a fraction of the distance flown, for what a constant-turn model misses. */
+const MODEL_ERROR_FRACTION = 0.1;
+const CROSSING_BISECTION_STEPS = 10;
+
+/**
+ * Estimates a balloon's recent velocity and turning rate.
+ * Later legs count more than earlier ones.
+ * @param {Array<object>} positions - Fixes sorted newest first.
+ * @returns {{
+ *   speedKmh: number,
+ *   bearing: number,
+ *   turnRateDegPerHour: number,
+ *   speedSpreadKmh: number,
+ *   turnSpreadDegPerHour: number
+ * }|null} Null when fewer than two usable fixes exist.
+ */
+export function estimateMotion(positions) {
+  if (!positions || positions.length < 2) return null;
+  const newestTime = positions[0].timestamp.getTime();
+  let recent = positions.filter((pos) => newestTime - pos.timestamp.getTime() <= HISTORY_WINDOW_HOURS * MS_PER_HOUR);
+  if (recent.length < 2) recent = positions.slice(0, 2);
+  recent = recent.slice().reverse();
+
+  const legs = [];
+  for (let i = 1; i < recent.length; i++) {
+    const a = recent[i - 1];
+    const b = recent[i];
+    const dtHours = (b.timestamp.getTime() - a.timestamp.getTime()) / MS_PER_HOUR;
+    if (dtHours <= 0) continue;
+    const distance = calculateDistance(a.lat, a.lon, b.lat, b.lon);
+    legs.push({
+      dtHours,
+      speed: distance / dtHours,
+      bearing: distance >= MIN_BEARING_DISTANCE_KM ? calculateBearing(a.lat, a.lon, b.lat, b.lon) : null,
+    });
+  }
+  if (legs.length === 0) return null;
+
+  const weights = legs.map((_, i) => i + 1);
+  const speedKmh = weightedMean(legs.map((leg) => leg.speed), weights);
+  const speedSpreadKmh = Math.sqrt(weightedMean(legs.map((leg) => (leg.speed - speedKmh) ** 2), weights));
+
+  const turnRates = [];
+  for (let i = 1; i < legs.length; i++) {
+    if (legs[i - 1].bearing === null || legs[i].bearing === null) continue;
+    const turn = bearingDifference(legs[i - 1].bearing, legs[i].bearing);
+    turnRates.push(turn / ((legs[i - 1].dtHours + legs[i].dtHours) / 2));
+  }
+  const meanTurn = turnRates.length > 0 ? turnRates.reduce((sum, rate) => sum + rate, 0) / turnRates.length : 0;
+  const turnRateDegPerHour = Math.max(-MAX_TURN_RATE_DEG_PER_HOUR, Math.min(MAX_TURN_RATE_DEG_PER_HOUR, meanTurn));
+  const turnSpreadDegPerHour = turnRates.length > 0
+    ? Math.sqrt(turnRates.reduce((sum, rate) => sum + (rate - meanTurn) ** 2, 0) / turnRates.length)
+    : MAX_TURN_RATE_DEG_PER_HOUR / 2;
+
+  const lastBearingLeg = legs.slice().reverse().find((leg) => leg.bearing !== null);
+  return {
+    speedKmh,
+    bearing: lastBearingLeg ? lastBearingLeg.bearing : 0,
+    turnRateDegPerHour,
+    speedSpreadKmh,
+    turnSpreadDegPerHour,
+  };
+}
+
+function weightedMean(values, weights) {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  return values.reduce((sum, value, i) => sum + value * weights[i], 0) / totalWeight;
+}
+
+/**
+ * Extrapolates a balloon forward at its recent speed, turning at its recent rate.
+ * @param {Array<object>} positions - Fixes sorted newest first; positions[0] is the start point.
+ * @param {object} [options]
+ * @param {number} [options.hours=12] - Forecast horizon, 1-12 hours.
+ * @param {number} [options.stepHours=1] - Spacing of forecast points.
+ * @returns {{ motion: object, start: object, steps: Array<{
+ *   hoursAhead: number, lat: number, lon: number, alt: number, timestamp: Date, bearing: number, uncertaintyKm: number
+ * }> }|null} Null when motion cannot be estimated.
+ */
+export function predictTrajectory(positions, { hours = MAX_FORECAST_HOURS, stepHours = 1 } = {}) {
+  const motion = estimateMotion(positions);
+  if (!motion) return null;
+  const horizon = Math.max(1, Math.min(MAX_FORECAST_HOURS, hours));
+  const start = positions[0];
+
+  const steps = [];
+  let { lat, lon } = start;
+  let bearing = motion.bearing;
+  for (let t = stepHours; t <= horizon + 1e-9; t += stepHours) {
+    // Turn by half the step before and half after, which tracks a constant-rate arc closely.
+    bearing += motion.turnRateDegPerHour * stepHours / 2;
+    ({ lat, lon } = destinationPoint(lat, lon, bearing, motion.speedKmh * stepHours));
+    bearing += motion.turnRateDegPerHour * stepHours / 2;
+    steps.push({
+      hoursAhead: t,
+      lat,
+      lon,
+      alt: start.alt,
+      timestamp: new Date(start.timestamp.getTime() + t * MS_PER_HOUR),
+      bearing: (bearing + 360) % 360,
+      uncertaintyKm: uncertaintyAt(motion, t),
+    });
+  }
+  return { motion, start, steps };
+}
+
+/**
+ * Radius of the forecast uncertainty circle after a number of hours.
+ * Combines along-track speed variability, cross-track heading variability
+ * and a flat model-error allowance.
+ */
+function uncertaintyAt(motion, hoursAhead) {
+  const flown = motion.speedKmh * hoursAhead;
+  const alongTrack = motion.speedSpreadKmh * hoursAhead;
+  const headingSpread = Math.min(90, motion.turnSpreadDegPerHour * hoursAhead);
+  const crossTrack = flown * Math.sin(headingSpread * Math.PI / 180);
+  return BASE_UNCERTAINTY_KM + Math.hypot(alongTrack, crossTrack) + MODEL_ERROR_FRACTION * flown;
+}
+
+/**
+ * Outline of the forecast cone: the track widened on both sides by its uncertainty.
+ * @param {object} prediction - Result of predictTrajectory.
+ * @returns {Array<[number, number]>} Closed ring of [lat, lon] pairs for a Leaflet Polygon.
+ */
+export function forecastCone(prediction) {
+  const left = [];
+  const right = [];
+  prediction.steps.forEach((step) => {
+    const l = destinationPoint(step.lat, step.lon, step.bearing - 90, step.uncertaintyKm);
+    const r = destinationPoint(step.lat, step.lon, step.bearing + 90, step.uncertaintyKm);
+    left.push([l.lat, l.lon]);
+    right.push([r.lat, r.lon]);
+  });
+  return [[prediction.start.lat, prediction.start.lon], ...left, ...right.reverse()];
+}
+
+/**
+ * Finds when a forecast first leaves the region the balloon is in now.
+ * The crossing point is refined by bisection along the great circle between forecast steps.
+ * @param {object} prediction - Result of predictTrajectory.
+ * @param {Function} regionLookup - (lat, lon) => region name or null over open water.
+ * @returns {{ from: string|null, to: string|null, lat: number, lon: number, timestamp: Date, hoursAhead: number }|null}
+ *   Null when the balloon stays in the same region for the whole forecast.
+ */
+export function findRegionCrossing(prediction, regionLookup) {
+  if (!prediction || typeof regionLookup !== "function") return null;
+  const path = [{ ...prediction.start, hoursAhead: 0 }, ...prediction.steps];
+  const from = regionLookup(path[0].lat, path[0].lon);
+
+  for (let i = 1; i < path.length; i++) {
+    if (regionLookup(path[i].lat, path[i].lon) === from) continue;
+
+    const a = path[i - 1];
+    const b = path[i];
+    let low = 0;
+    let high = 1;
+    for (let k = 0; k < CROSSING_BISECTION_STEPS; k++) {
+      const mid = (low + high) / 2;
+      const point = intermediatePoint(a.lat, a.lon, b.lat, b.lon, mid);
+      if (regionLookup(point.lat, point.lon) === from) low = mid; else high = mid;
+    }
+    const crossing = intermediatePoint(a.lat, a.lon, b.lat, b.lon, high);
+    const hoursAhead = a.hoursAhead + (b.hoursAhead - a.hoursAhead) * high;
+    return {
+      from,
+      to: regionLookup(crossing.lat, crossing.lon),
+      lat: crossing.lat,
+      lon: crossing.lon,
+      hoursAhead,
+      timestamp: new Date(prediction.start.timestamp.getTime() + hoursAhead * MS_PER_HOUR),
+    };
+  }
+  return null;
+}
@@ -0,0 +1,85 @@
+import { estimateMotion, predictTrajectory, forecastCone, findRegionCrossing } from './forecast';
+import { positionsUpTo } from './replay';
+import { calculateDistance, destinationPoint } from './geo';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date('2025-05-01T00:00:00Z').getTime();
+
+/**
+ * A balloon flying a steady arc: 80 km/h, starting east-bound and turning 5 degrees per hour.
+ * Returns 24 hourly fixes sorted newest first.
+ */
+function arcHistory() {
+  const fixes = [];
+  let point = { lat: 35, lon: -120 };
+  let bearing = 90;
+  for (let hour = 0; hour < 24; hour++) {
+    fixes.push({ ...point, alt: 15, timestamp: new Date(T0 + hour * HOUR) });
+    bearing += 2.5;
+    point = destinationPoint(point.lat, point.lon, bearing, 80);
+    bearing += 2.5;
+  }
+  return fixes.reverse();
+}
+
+test('estimates speed, heading and turn rate from recent fixes', () => {
+  const motion = estimateMotion(arcHistory());
+
+  expect(motion.speedKmh).toBeCloseTo(80, 0);
+  expect(motion.turnRateDegPerHour).toBeCloseTo(5, 0);
+  expect(motion.speedSpreadKmh).toBeLessThan(1);
+});
+
+test('returns null without enough history', () => {
+  expect(estimateMotion([])).toBeNull();
+  expect(predictTrajectory([{ lat: 0, lon: 0, alt: 10, timestamp: new Date(T0) }])).toBeNull();
+});
+
+test('forecasts replayed history within the stated uncertainty', () => {
+  const history = arcHistory();
+  // Replay to hour 10 and forecast 12 hours ahead, then check against what actually happened.
+  const asOf = new Date(T0 + 10 * HOUR);
+  const prediction = predictTrajectory(positionsUpTo(history, asOf), { hours: 12 });
+
+  expect(prediction.steps).toHaveLength(12);
+  prediction.steps.forEach((step) => {
+    const actual = history.find((pos) => pos.timestamp.getTime() === step.timestamp.getTime());
+    const error = calculateDistance(step.lat, step.lon, actual.lat, actual.lon);
+    expect(error).toBeLessThan(step.uncertaintyKm);
+  });
+});
+
+test('grows uncertainty with lead time and clamps the horizon', () => {
+  const prediction = predictTrajectory(arcHistory(), { hours: 48 });
+
+  expect(prediction.steps).toHaveLength(12);
+  for (let i = 1; i < prediction.steps.length; i++) {
+    expect(prediction.steps[i].uncertaintyKm).toBeGreaterThan(prediction.steps[i - 1].uncertaintyKm);
+  }
+});
+
+test('builds a closed cone around the forecast track', () => {
+  const prediction = predictTrajectory(arcHistory(), { hours: 3 });
+  const cone = forecastCone(prediction);
+
+  expect(cone).toHaveLength(1 + 2 * 3);
+  expect(cone[0]).toEqual([prediction.start.lat, prediction.start.lon]);
+});
+
+test('finds the time a forecast crosses into another region', () => {
+  // West of lon -118 is "A", east is "B".
+  const lookup = (lat, lon) => (lon < -118 ? 'A' : 'B');
+  const prediction = predictTrajectory(arcHistory().slice(-3), { hours: 12 });
+  const crossing = findRegionCrossing(prediction, lookup);
+
+  expect(crossing.from).toBe('A');
+  expect(crossing.to).toBe('B');
+  expect(crossing.lon).toBeCloseTo(-118, 1);
+  expect(crossing.hoursAhead).toBeGreaterThan(0);
+  expect(crossing.timestamp.getTime()).toBeCloseTo(prediction.start.timestamp.getTime() + crossing.hoursAhead * HOUR, -1);
+});
+
+test('reports no crossing when the forecast stays in one region', () => {
+  const prediction = predictTrajectory(arcHistory(), { hours: 2 });
+  expect(findRegionCrossing(prediction, () => 'Everywhere')).toBeNull();
+});
@@ -0,0 +1,50 @@
+/**
+ * "Data as of" helpers for the staleness indicators: how old the balloon
+ * feed and NWS alerts on screen are, and when that is old enough to warn.
+ */
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/** Balloon files are hourly; older than this and a refresh has been missed. */
+export const FEED_STALE_AFTER_MS = 90 * MS_PER_MINUTE;
+/** Alerts are refreshed every 15 minutes. */
+export const ALERTS_STALE_AFTER_MS = 30 * MS_PER_MINUTE;
+
+/**
+ * Short age description, e.g. "just now", "12 min old", "3 h old", "2 days old".
+ * @param {number} ageMs
+ * @returns {string}
+ */
+export function describeAge(ageMs) {
+  const minutes = Math.floor(ageMs / MS_PER_MINUTE);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min old`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h old`;
+  return `${Math.floor(hours / 24)} days old`;
+}
+
+/**
+ * Newest download time among the hourly feed results.
+ * @param {Array<{ state: string, receivedAt: number|null }>} hourStatuses
+ * @returns {number|null} ms, or null when nothing loaded.
+ */
+export function feedReceivedAt(hourStatuses) {
+  const times = hourStatuses
+    .filter((status) => status.state !== "failed" && status.receivedAt)
+    .map((status) => status.receivedAt);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * Freshness of one data source.
+ * @param {number|null} receivedAt - ms.
+ * @param {number} now - ms.
+ * @param {number} staleAfterMs
+ * @returns {{ level: "fresh"|"stale"|"missing", ageMs: number|null }}
+ */
+export function freshness(receivedAt, now, staleAfterMs) {
+  if (!receivedAt) return { level: "missing", ageMs: null };
+  const ageMs = Math.max(0, now - receivedAt);
+  return { level: ageMs > staleAfterMs ? "stale" : "fresh", ageMs };
+}
@@ -0,0 +1,28 @@
+import { FEED_STALE_AFTER_MS, describeAge, feedReceivedAt, freshness } from './freshness';
+
+const MINUTE = 60 * 1000;
+
+test('describes ages in minutes, hours and days', () => {
+  expect(describeAge(20 * 1000)).toBe('just now');
+  expect(describeAge(12 * MINUTE)).toBe('12 min old');
+  expect(describeAge(3 * 60 * MINUTE + 5 * MINUTE)).toBe('3 h old');
+  expect(describeAge(50 * 60 * MINUTE)).toBe('2 days old');
+});
+
+test('takes the newest download among the hours that loaded', () => {
+  const statuses = [
+    { hour: 0, state: 'ok', receivedAt: 5000 },
+    { hour: 1, state: 'stale', receivedAt: 3000 },
+    { hour: 2, state: 'failed', receivedAt: 9000 },
+    { hour: 3, state: 'ok', receivedAt: null },
+  ];
+  expect(feedReceivedAt(statuses)).toBe(5000);
+  expect(feedReceivedAt([{ hour: 0, state: 'failed', receivedAt: null }])).toBeNull();
+});
+
+test('marks data stale past the threshold and missing when never loaded', () => {
+  const now = 10 * 60 * MINUTE;
+  expect(freshness(now - 30 * MINUTE, now, FEED_STALE_AFTER_MS)).toEqual({ level: 'fresh', ageMs: 30 * MINUTE });
+  expect(freshness(now - 2 * 60 * MINUTE, now, FEED_STALE_AFTER_MS).level).toBe('stale');
+  expect(freshness(null, now, FEED_STALE_AFTER_MS)).toEqual({ level: 'missing', ageMs: null });
+});
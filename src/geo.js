@@ -0,0 +1,120 @@
+/**
+ * Spherical-earth helpers shared by the data pipeline and map layers.
+ * All angles are in degrees and all distances in kilometers.
+ */
+
+export const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+/**
+ * Calculates the great-circle distance between two points
+ * using the Haversine formula.
+ * @param {number} lat1 Latitude of point 1
+ * @param {number} lon1 Longitude of point 1
+ * @param {number} lat2 Latitude of point 2
+ * @param {number} lon2 Longitude of point 2
+ * @returns {number} Distance in kilometers.
+ */
+export function calculateDistance(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+}
+
+/**
+ * Initial bearing (forward azimuth) from point 1 towards point 2.
+ * @returns {number} Bearing in degrees, 0-360 clockwise from north.
+ */
+export function calculateBearing(lat1, lon1, lat2, lon2) {
+  const phi1 = toRad(lat1);
+  const phi2 = toRad(lat2);
+  const dLon = toRad(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Point reached by travelling a distance along a bearing from a start point.
+ * @param {number} lat Start latitude
+ * @param {number} lon Start longitude
+ * @param {number} bearing Bearing in degrees
+ * @param {number} distanceKm Distance to travel
+ * @returns {{ lat: number, lon: number }} Destination, longitude normalized to -180..180.
+ */
+export function destinationPoint(lat, lon, bearing, distanceKm) {
+  const delta = distanceKm / EARTH_RADIUS_KM;
+  const theta = toRad(bearing);
+  const phi1 = toRad(lat);
+  const lambda1 = toRad(lon);
+  const sinPhi2 = Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta);
+  const phi2 = Math.asin(Math.max(-1, Math.min(1, sinPhi2)));
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * sinPhi2
+  );
+  return { lat: toDeg(phi2), lon: normalizeLongitude(toDeg(lambda2)) };
+}
+
+/**
+ * Wraps a longitude into the -180..180 range.
+ * @param {number} lon Longitude in degrees
+ * @returns {number}
+ */
+export function normalizeLongitude(lon) {
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Smallest signed difference between two bearings.
+ * @returns {number} Difference in degrees, -180..180.
+ */
+export function bearingDifference(from, to) {
+  return ((((to - from) % 360) + 540) % 360) - 180;
+}
+
+/**
+ * Point at a fraction of the way along the great circle between two points.
+ * @param {number} lat1 Latitude of point 1
+ * @param {number} lon1 Longitude of point 1
+ * @param {number} lat2 Latitude of point 2
+ * @param {number} lon2 Longitude of point 2
+ * @param {number} fraction 0 returns point 1, 1 returns point 2
+ * @returns {{ lat: number, lon: number }}
+ */
+export function intermediatePoint(lat1, lon1, lat2, lon2, fraction) {
+  const phi1 = toRad(lat1);
+  const lambda1 = toRad(lon1);
+  const phi2 = toRad(lat2);
+  const lambda2 = toRad(lon2);
+  const delta = calculateDistance(lat1, lon1, lat2, lon2) / EARTH_RADIUS_KM;
+  if (delta < 1e-12) return { lat: lat1, lon: lon1 };
+
+  const a = Math.sin((1 - fraction) * delta) / Math.sin(delta);
+  const b = Math.sin(fraction * delta) / Math.sin(delta);
+  const x = a * Math.cos(phi1) * Math.cos(lambda1) + b * Math.cos(phi2) * Math.cos(lambda2);
+  const y = a * Math.cos(phi1) * Math.sin(lambda1) + b * Math.cos(phi2) * Math.sin(lambda2);
+  const z = a * Math.sin(phi1) + b * Math.sin(phi2);
+  return {
+    lat: toDeg(Math.atan2(z, Math.sqrt(x * x + y * y))),
+    lon: toDeg(Math.atan2(y, x)),
+  };
+}
+
+/**
+ * Shifts a longitude by whole turns so it lies within 180 degrees of a reference.
+ * Applied point by point, this keeps a line continuous across the antimeridian.
+ * @param {number} lon Longitude to shift
+ * @param {number} referenceLon Longitude of the previous point
+ * @returns {number}
+ */
+export function unwrapLongitude(lon, referenceLon) {
+  return lon + 360 * Math.round((referenceLon - lon) / 360);
+}
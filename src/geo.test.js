@@ -0,0 +1,58 @@
+import {
+  bearingDifference,
+  calculateBearing,
+  calculateDistance,
+  destinationPoint,
+  intermediatePoint,
+  normalizeLongitude,
+  unwrapLongitude,
+} from './geo';
+import { recordedHours } from './__fixtures__/treasure';
+
+test('measures great-circle distances', () => {
+  // One degree of latitude, and a quarter of the equator.
+  expect(calculateDistance(0, 0, 1, 0)).toBeCloseTo(111.19, 2);
+  expect(calculateDistance(0, 0, 0, 90)).toBeCloseTo(10007.5, 1);
+  expect(calculateDistance(35.40524, -97.61402, 35.40524, -97.61402)).toBe(0);
+  // Across the antimeridian the short way, and over the pole.
+  expect(calculateDistance(21, 179.9, 21, -179.9)).toBeCloseTo(calculateDistance(21, -0.1, 21, 0.1), 6);
+  expect(calculateDistance(89, 0, 89, 180)).toBeCloseTo(222.39, 2);
+});
+
+test('measures the hourly drift of a recorded balloon', () => {
+  const [lat0, lon0] = recordedHours[0][0];
+  const [lat1, lon1] = recordedHours[1][0];
+  const km = calculateDistance(lat0, lon0, lat1, lon1);
+
+  expect(km).toBeGreaterThan(25);
+  expect(km).toBeLessThan(90);
+});
+
+test('goes out along a bearing and comes back to the same point', () => {
+  const start = { lat: 45.38013, lon: 13.66717 };
+  const bearing = 72;
+  const end = destinationPoint(start.lat, start.lon, bearing, 500);
+
+  expect(calculateDistance(start.lat, start.lon, end.lat, end.lon)).toBeCloseTo(500, 6);
+  expect(calculateBearing(start.lat, start.lon, end.lat, end.lon)).toBeCloseTo(bearing, 6);
+  const back = destinationPoint(end.lat, end.lon, calculateBearing(end.lat, end.lon, start.lat, start.lon), 500);
+  expect(back.lat).toBeCloseTo(start.lat, 6);
+  expect(back.lon).toBeCloseTo(start.lon, 6);
+
+  expect(destinationPoint(0, 179.5, 90, 111.19).lon).toBeCloseTo(-179.5, 2);
+});
+
+test('interpolates along the great circle', () => {
+  const mid = intermediatePoint(0, 170, 0, -170, 0.5);
+  expect(mid.lat).toBeCloseTo(0, 9);
+  expect(Math.abs(mid.lon)).toBeCloseTo(180, 9);
+  expect(intermediatePoint(10, 20, 10, 20, 0.5)).toEqual({ lat: 10, lon: 20 });
+});
+
+test('wraps longitudes and bearings', () => {
+  expect(normalizeLongitude(190)).toBe(-170);
+  expect(normalizeLongitude(-540)).toBe(-180);
+  expect(bearingDifference(350, 10)).toBe(20);
+  expect(bearingDifference(10, 350)).toBe(-20);
+  expect(unwrapLongitude(-179.67534, 179.3)).toBeCloseTo(180.32466, 9);
+});
@@ -0,0 +1,220 @@
+import { pointInGeometry } from "./geometry";
+import { calculateDistance, intermediatePoint } from "./geo";
+
+/**
+ * User-drawn geofences: polygons and circles the user names and saves, with
+ * which balloons are inside each, when they entered or left during the
+ * history window and how long they stayed. Fences round-trip through
+ * GeoJSON; circles are Point features with a radiusKm property.
+ */
+
+const FENCES_STORAGE_KEY = "windborne.geofences";
+// Bisection steps when locating a boundary crossing between two fixes (~1/1000 of the segment).
+const CROSSING_STEPS = 10;
+
+export const FENCE_SHAPES = { polygon: "Polygon", circle: "Circle" };
+
+let nextFenceSeq = 0;
+
+/**
+ * Creates a fence, overriding the defaults with the given fields.
+ * @param {object} fields - shape "polygon" with a Polygon or MultiPolygon geometry,
+ *   or shape "circle" with center { lat, lon } and radiusKm.
+ * @returns {object} Fence.
+ */
+export function createFence(fields) {
+  nextFenceSeq += 1;
+  return {
+    id: `fence-${Date.now().toString(36)}-${nextFenceSeq}`,
+    name: "New fence",
+    ...fields,
+  };
+}
+
+/**
+ * True when a point lies inside a fence. Polygons drawn across the
+ * antimeridian keep longitudes beyond ±180, so the point is also tried a turn either way.
+ * @param {object} fence
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {boolean}
+ */
+export function pointInFence(fence, lat, lon) {
+  if (fence.shape === "circle") {
+    return calculateDistance(fence.center.lat, fence.center.lon, lat, lon) <= fence.radiusKm;
+  }
+  return [lon, lon - 360, lon + 360].some((x) => pointInGeometry(x, lat, fence.geometry));
+}
+
+// Where the segment from an inside fix to an outside one (or back) crosses the boundary.
+function crossingBetween(fence, older, newer) {
+  const olderInside = pointInFence(fence, older.lat, older.lon);
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < CROSSING_STEPS; i++) {
+    const mid = (low + high) / 2;
+    const point = intermediatePoint(older.lat, older.lon, newer.lat, newer.lon, mid);
+    if (pointInFence(fence, point.lat, point.lon) === olderInside) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  const fraction = (low + high) / 2;
+  const point = intermediatePoint(older.lat, older.lon, newer.lat, newer.lon, fraction);
+  const olderTime = older.timestamp.getTime();
+  return { ...point, time: new Date(olderTime + (newer.timestamp.getTime() - olderTime) * fraction) };
+}
+
+/**
+ * Entries, exits and stays of one track in a fence over a time window.
+ * Crossing times are interpolated along the great circle between the fixes either side.
+ * @param {object} fence
+ * @param {Array<object>} positions - Track positions, newest first.
+ * @param {{ from: Date, to: Date }} timeWindow
+ * @returns {{
+ *   insideNow: boolean,
+ *   events: Array<{ type: "enter"|"exit", time: Date, lat: number, lon: number }>,
+ *   visits: Array<{ start: Date, end: Date, enteredAt: Date|null, exitedAt: Date|null, durationMs: number }>,
+ *   totalMs: number
+ * }} insideNow is for the newest fix in the window. A visit's enteredAt is null when the track
+ *   was already inside at the start of the window, exitedAt null while it is still inside;
+ *   start and end are then the first and last fix.
+ */
+export function trackFenceActivity(fence, positions, { from, to }) {
+  const fixes = positions
+    .filter((pos) => pos.timestamp >= from && pos.timestamp <= to)
+    .slice()
+    .reverse();
+  const events = [];
+  const visits = [];
+  let open = null;
+  fixes.forEach((fix, i) => {
+    const inside = pointInFence(fence, fix.lat, fix.lon);
+    if (i === 0) {
+      if (inside) open = { start: fix.timestamp, enteredAt: null };
+      return;
+    }
+    if (inside === Boolean(open)) return;
+    const crossing = crossingBetween(fence, fixes[i - 1], fix);
+    if (inside) {
+      events.push({ type: "enter", time: crossing.time, lat: crossing.lat, lon: crossing.lon });
+      open = { start: crossing.time, enteredAt: crossing.time };
+    } else {
+      events.push({ type: "exit", time: crossing.time, lat: crossing.lat, lon: crossing.lon });
+      visits.push({ ...open, end: crossing.time, exitedAt: crossing.time, durationMs: crossing.time - open.start });
+      open = null;
+    }
+  });
+  if (open) {
+    const last = fixes[fixes.length - 1].timestamp;
+    visits.push({ ...open, end: last, exitedAt: null, durationMs: last - open.start });
+  }
+  return {
+    insideNow: Boolean(open),
+    events,
+    visits,
+    totalMs: visits.reduce((sum, visit) => sum + visit.durationMs, 0),
+  };
+}
+
+/**
+ * Which balloons are in a fence now, and which entered, left or stayed in it during the window.
+ * @param {object} fence
+ * @param {Array<object>} balloons
+ * @param {{ from: Date, to: Date }} timeWindow
+ * @returns {{
+ *   fence: object,
+ *   insideIds: Array<string>,
+ *   enteredIds: Array<string>,
+ *   exitedIds: Array<string>,
+ *   balloons: Array<{ id: string, insideNow: boolean, events: Array<object>, visits: Array<object>, totalMs: number }>
+ * }} balloons lists only those that were inside at some point, longest stay first.
+ */
+export function summarizeFence(fence, balloons, timeWindow) {
+  const activity = balloons
+    .map((balloon) => ({ id: String(balloon.id), ...trackFenceActivity(fence, balloon.positions || [], timeWindow) }))
+    .filter((entry) => entry.visits.length > 0)
+    .sort((a, b) => b.totalMs - a.totalMs);
+  return {
+    fence,
+    insideIds: activity.filter((entry) => entry.insideNow).map((entry) => entry.id),
+    enteredIds: activity.filter((entry) => entry.events.some((event) => event.type === "enter")).map((entry) => entry.id),
+    exitedIds: activity.filter((entry) => entry.events.some((event) => event.type === "exit")).map((entry) => entry.id),
+    balloons: activity,
+  };
+}
+
+/**
+ * Fences as a GeoJSON FeatureCollection.
+ * @param {Array<object>} fences
+ * @returns {object}
+ */
+export function fencesToGeoJSON(fences) {
+  return {
+    type: "FeatureCollection",
+    features: fences.map((fence) => (fence.shape === "circle"
+      ? {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [fence.center.lon, fence.center.lat] },
+        properties: { id: fence.id, name: fence.name, shape: "circle", radiusKm: fence.radiusKm },
+      }
+      : {
+        type: "Feature",
+        geometry: fence.geometry,
+        properties: { id: fence.id, name: fence.name, shape: "polygon" },
+      })),
+  };
+}
+
+/**
+ * Fences from GeoJSON: Polygon and MultiPolygon features, and Point features with a
+ * radiusKm (or radius in metres) property. Anything else is skipped.
+ * @param {object} geojson - FeatureCollection, Feature or bare geometry.
+ * @param {{ keepIds?: boolean }} [options] - keepIds reuses properties.id, for reloading saved fences;
+ *   imports get new IDs so they never clash with existing fences.
+ * @returns {Array<object>} New fences; names come from properties.name.
+ */
+export function parseFencesGeoJSON(geojson, { keepIds = false } = {}) {
+  const features = !geojson ? []
+    : geojson.type === "FeatureCollection" ? geojson.features || []
+      : geojson.type === "Feature" ? [geojson]
+        : [{ type: "Feature", geometry: geojson, properties: {} }];
+  const fences = [];
+  features.forEach((feature, index) => {
+    const geometry = feature && feature.geometry;
+    const props = (feature && feature.properties) || {};
+    const name = typeof props.name === "string" && props.name ? props.name : `Imported fence ${index + 1}`;
+    const id = keepIds && typeof props.id === "string" ? { id: props.id } : {};
+    if (!geometry) return;
+    if (geometry.type === "Polygon" || geometry.type === "MultiPolygon") {
+      fences.push(createFence({ ...id, name, shape: "polygon", geometry }));
+    } else if (geometry.type === "Point" && Array.isArray(geometry.coordinates)) {
+      const radiusKm = isFinite(props.radiusKm) ? Number(props.radiusKm) : isFinite(props.radius) ? props.radius / 1000 : NaN;
+      const [lon, lat] = geometry.coordinates;
+      if (radiusKm > 0 && isFinite(lat) && isFinite(lon)) {
+        fences.push(createFence({ ...id, name, shape: "circle", center: { lat, lon }, radiusKm }));
+      }
+    }
+  });
+  return fences;
+}
+
+/** @returns {Array<object>} Saved fences, malformed ones dropped. */
+export function loadFences() {
+  try {
+    return parseFencesGeoJSON(JSON.parse(window.localStorage.getItem(FENCES_STORAGE_KEY) || "null"), { keepIds: true });
+  } catch (e) {
+    console.warn("Could not read saved geofences:", e);
+    return [];
+  }
+}
+
+/** @param {Array<object>} fences */
+export function saveFences(fences) {
+  try {
+    window.localStorage.setItem(FENCES_STORAGE_KEY, JSON.stringify(fencesToGeoJSON(fences)));
+  } catch (e) {
+    console.warn("Could not save geofences:", e);
+  }
+}
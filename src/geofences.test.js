@@ -0,0 +1,115 @@
+import {
+  createFence,
+  fencesToGeoJSON,
+  loadFences,
+  parseFencesGeoJSON,
+  pointInFence,
+  saveFences,
+  summarizeFence,
+  trackFenceActivity,
+} from './geofences';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 4, 1, 12);
+const WINDOW = { from: new Date(T0 - 24 * HOUR), to: new Date(T0) };
+
+// The box 30..40 N, 100..90 W.
+const box = createFence({
+  name: 'Box',
+  shape: 'polygon',
+  geometry: { type: 'Polygon', coordinates: [[[-100, 30], [-90, 30], [-90, 40], [-100, 40], [-100, 30]]] },
+});
+
+// Oldest point first, one fix per hour ending at T0; returned newest first like App's tracks.
+function track(lonsAtLat35) {
+  const count = lonsAtLat35.length;
+  return lonsAtLat35
+    .map((lon, i) => ({ lat: 35, lon, alt: 15, timestamp: new Date(T0 - (count - 1 - i) * HOUR) }))
+    .reverse();
+}
+
+test('tests points against polygons, antimeridian polygons and circles', () => {
+  expect(pointInFence(box, 35, -95)).toBe(true);
+  expect(pointInFence(box, 35, -85)).toBe(false);
+
+  const dateLine = createFence({
+    shape: 'polygon',
+    geometry: { type: 'Polygon', coordinates: [[[170, 0], [190, 0], [190, 10], [170, 10], [170, 0]]] },
+  });
+  expect(pointInFence(dateLine, 5, -175)).toBe(true);
+  expect(pointInFence(dateLine, 5, 175)).toBe(true);
+
+  const circle = createFence({ shape: 'circle', center: { lat: 0, lon: 0 }, radiusKm: 200 });
+  expect(pointInFence(circle, 1, 1)).toBe(true);
+  expect(pointInFence(circle, 3, 0)).toBe(false);
+});
+
+test('interpolates entry and exit times between fixes', () => {
+  // -104 -> -98 crosses x=-100 at 2/3 of the hour; -92 -> -86 crosses x=-90 at 1/3.
+  const activity = trackFenceActivity(box, track([-104, -98, -92, -86]), WINDOW);
+
+  expect(activity.insideNow).toBe(false);
+  expect(activity.events.map((event) => event.type)).toEqual(['enter', 'exit']);
+  const [enter, exit] = activity.events;
+  expect(Math.abs(enter.time.getTime() - (T0 - 3 * HOUR + (2 / 3) * HOUR))).toBeLessThan(60 * 1000);
+  expect(Math.abs(exit.time.getTime() - (T0 - HOUR + HOUR / 3))).toBeLessThan(60 * 1000);
+  expect(enter.lon).toBeCloseTo(-100, 1);
+  expect(activity.visits).toHaveLength(1);
+  expect(activity.totalMs / HOUR).toBeCloseTo(5 / 3, 1);
+});
+
+test('keeps open visits for balloons inside at the window edges', () => {
+  const activity = trackFenceActivity(box, track([-95, -94, -93]), WINDOW);
+  expect(activity.insideNow).toBe(true);
+  expect(activity.events).toEqual([]);
+  expect(activity.visits).toEqual([
+    { start: new Date(T0 - 2 * HOUR), end: new Date(T0), enteredAt: null, exitedAt: null, durationMs: 2 * HOUR },
+  ]);
+});
+
+test('summarizes which balloons are inside, entered and left', () => {
+  const balloons = [
+    { id: 'in', positions: track([-95, -94]) },
+    { id: 'entered', positions: track([-104, -98]) },
+    { id: 'left', positions: track([-92, -86]) },
+    { id: 'outside', positions: track([-120, -119]) },
+  ];
+  const summary = summarizeFence(box, balloons, WINDOW);
+
+  expect(summary.insideIds.sort()).toEqual(['entered', 'in']);
+  expect(summary.enteredIds).toEqual(['entered']);
+  expect(summary.exitedIds).toEqual(['left']);
+  expect(summary.balloons.map((entry) => entry.id)).not.toContain('outside');
+});
+
+test('round-trips fences through GeoJSON and localStorage', () => {
+  const circle = createFence({ name: 'Ring', shape: 'circle', center: { lat: 10, lon: 20 }, radiusKm: 50 });
+  const geojson = fencesToGeoJSON([box, circle]);
+  expect(geojson.features[1]).toMatchObject({
+    geometry: { type: 'Point', coordinates: [20, 10] },
+    properties: { name: 'Ring', shape: 'circle', radiusKm: 50 },
+  });
+
+  const imported = parseFencesGeoJSON(geojson);
+  expect(imported.map(({ name, shape }) => [name, shape])).toEqual([['Box', 'polygon'], ['Ring', 'circle']]);
+  expect(imported[0].id).not.toBe(box.id);
+
+  window.localStorage.clear();
+  saveFences([box, circle]);
+  expect(loadFences()).toEqual([box, circle]);
+  window.localStorage.clear();
+});
+
+test('imports circles with a radius in metres and skips other geometry', () => {
+  const fences = parseFencesGeoJSON({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: { radius: 5000 } },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [1, 2] }, properties: {} },
+      { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: {} },
+    ],
+  });
+  expect(fences).toHaveLength(1);
+  expect(fences[0]).toMatchObject({ name: 'Imported fence 1', shape: 'circle', center: { lat: 2, lon: 1 }, radiusKm: 5 });
+  expect(parseFencesGeoJSON(null)).toEqual([]);
+});
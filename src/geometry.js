@@ -0,0 +1,150 @@
+/**
+ * Planar point-in-polygon tests for GeoJSON geometries.
+ * Coordinates follow GeoJSON order: [lon, lat].
+ */
+
+/**
+ * Ray-casting test against a single linear ring.
+ * @param {number} lon - Point longitude.
+ * @param {number} lat - Point latitude.
+ * @param {Array<[number, number]>} ring - Ring of [lon, lat] pairs.
+ * @returns {boolean}
+ */
+export function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = ring[i][0], yi = ring[i][1];
+    const xj = ring[j][0], yj = ring[j][1];
+    const intersect = ((yi > lat) !== (yj > lat)) &&
+      (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Tests a point against Polygon coordinates: inside the outer ring and outside every hole.
+ * @param {number} lon
+ * @param {number} lat
+ * @param {Array<Array<[number, number]>>} rings - Outer ring first, then holes.
+ * @returns {boolean}
+ */
+export function pointInPolygonRings(lon, lat, rings) {
+  if (!Array.isArray(rings) || rings.length === 0 || !pointInRing(lon, lat, rings[0])) return false;
+  for (let i = 1; i < rings.length; i++) {
+    if (pointInRing(lon, lat, rings[i])) return false;
+  }
+  return true;
+}
+
+/**
+ * Tests a point against a Polygon, MultiPolygon or GeometryCollection.
+ * Other geometry types never contain a point.
+ * @param {number} lon
+ * @param {number} lat
+ * @param {object|null} geometry - GeoJSON geometry.
+ * @returns {boolean}
+ */
+export function pointInGeometry(lon, lat, geometry) {
+  if (!geometry) return false;
+  switch (geometry.type) {
+    case 'Polygon':
+      return pointInPolygonRings(lon, lat, geometry.coordinates);
+    case 'MultiPolygon':
+      return (geometry.coordinates || []).some((rings) => pointInPolygonRings(lon, lat, rings));
+    case 'GeometryCollection':
+      return (geometry.geometries || []).some((child) => pointInGeometry(lon, lat, child));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Bounding box of a geometry's polygon rings.
+ * @param {object|null} geometry - GeoJSON geometry.
+ * @returns {{ minLon: number, minLat: number, maxLon: number, maxLat: number }|null}
+ *   Null when the geometry has no polygon coordinates.
+ */
+export function geometryBounds(geometry) {
+  const bounds = { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity };
+  forEachRing(geometry, (ring) => {
+    ring.forEach(([lon, lat]) => {
+      if (lon < bounds.minLon) bounds.minLon = lon;
+      if (lon > bounds.maxLon) bounds.maxLon = lon;
+      if (lat < bounds.minLat) bounds.minLat = lat;
+      if (lat > bounds.maxLat) bounds.maxLat = lat;
+    });
+  });
+  return isFinite(bounds.minLon) ? bounds : null;
+}
+
+/**
+ * Calls fn for every linear ring in a Polygon, MultiPolygon or GeometryCollection.
+ * @param {object|null} geometry
+ * @param {Function} fn - Receives (ring, polygonIndex, ringIndex).
+ */
+export function forEachRing(geometry, fn) {
+  if (!geometry) return;
+  if (geometry.type === 'Polygon') {
+    (geometry.coordinates || []).forEach((ring, ringIndex) => fn(ring, 0, ringIndex));
+  } else if (geometry.type === 'MultiPolygon') {
+    (geometry.coordinates || []).forEach((rings, polygonIndex) => {
+      (rings || []).forEach((ring, ringIndex) => fn(ring, polygonIndex, ringIndex));
+    });
+  } else if (geometry.type === 'GeometryCollection') {
+    (geometry.geometries || []).forEach((child) => forEachRing(child, fn));
+  }
+}
+
+/**
+ * True when a bounding box contains a point.
+ * @param {{ minLon: number, minLat: number, maxLon: number, maxLat: number }} bounds
+ * @param {number} lon
+ * @param {number} lat
+ */
+export function boundsContain(bounds, lon, lat) {
+  return lon >= bounds.minLon && lon <= bounds.maxLon && lat >= bounds.minLat && lat <= bounds.maxLat;
+}
+
+function isValidRing(ring) {
+  return Array.isArray(ring) && ring.length >= 3 &&
+    ring.every((coord) => Array.isArray(coord) && Number.isFinite(coord[0]) && Number.isFinite(coord[1]));
+}
+
+function cleanPolygon(rings) {
+  if (!Array.isArray(rings) || !isValidRing(rings[0])) return null;
+  return rings.filter(isValidRing);
+}
+
+/**
+ * Polygons of a Polygon, MultiPolygon or GeometryCollection as lists of rings
+ * (outer ring first, then holes). Malformed holes are dropped, and so is any
+ * polygon whose outer ring is malformed.
+ * @param {object|null} geometry - GeoJSON geometry.
+ * @returns {Array<Array<Array<[number, number]>>>}
+ */
+export function polygonsOf(geometry) {
+  if (!geometry) return [];
+  switch (geometry.type) {
+    case 'Polygon': {
+      const polygon = cleanPolygon(geometry.coordinates);
+      return polygon ? [polygon] : [];
+    }
+    case 'MultiPolygon':
+      return (geometry.coordinates || []).map(cleanPolygon).filter(Boolean);
+    case 'GeometryCollection':
+      return (geometry.geometries || []).flatMap(polygonsOf);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Merges polygonal geometries into one MultiPolygon.
+ * @param {Array<object|null>} geometries - GeoJSON geometries.
+ * @returns {object|null} MultiPolygon, or null when none of them has a usable polygon.
+ */
+export function combinePolygons(geometries) {
+  const coordinates = geometries.flatMap(polygonsOf);
+  return coordinates.length > 0 ? { type: 'MultiPolygon', coordinates } : null;
+}
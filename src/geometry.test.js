@@ -0,0 +1,52 @@
+import { combinePolygons, geometryBounds, pointInGeometry, polygonsOf } from './geometry';
+import nwsAlerts from './__fixtures__/nwsAlerts';
+
+const byId = (id) => nwsAlerts.features.find((f) => f.properties.id === id);
+
+test('tests points against every part of a MultiPolygon', () => {
+  const { geometry } = byId('multipolygon');
+
+  expect(pointInGeometry(-89.5, 40.5, geometry)).toBe(true);
+  expect(pointInGeometry(-87.8, 41, geometry)).toBe(true);
+  expect(pointInGeometry(-88.5, 40.5, geometry)).toBe(false);
+});
+
+test('excludes points inside a hole', () => {
+  const { geometry } = byId('multipolygon');
+
+  expect(pointInGeometry(-87, 41, geometry)).toBe(false);
+});
+
+test('looks inside GeometryCollections and ignores non-polygon geometries', () => {
+  const collection = {
+    type: 'GeometryCollection',
+    geometries: [{ type: 'Point', coordinates: [0, 0] }, byId('polygon').geometry],
+  };
+
+  expect(pointInGeometry(-97.5, 35.5, collection)).toBe(true);
+  expect(pointInGeometry(0, 0, collection)).toBe(false);
+  expect(pointInGeometry(0, 0, null)).toBe(false);
+});
+
+test('polygonsOf drops malformed polygons and holes', () => {
+  const geometry = {
+    type: 'MultiPolygon',
+    coordinates: [
+      [[[0, 0], [1, 0], [1, 1], [0, 0]], [[0.2, 0.2], ['x', 0.3], [0.3, 0.3]]],
+      [[[5, 5], [6, 5]]],
+    ],
+  };
+
+  expect(polygonsOf(geometry)).toEqual([[[[0, 0], [1, 0], [1, 1], [0, 0]]]]);
+  expect(polygonsOf(null)).toEqual([]);
+  expect(polygonsOf({ type: 'LineString', coordinates: [[0, 0], [1, 1]] })).toEqual([]);
+});
+
+test('combinePolygons merges geometries into one MultiPolygon', () => {
+  const combined = combinePolygons([byId('polygon').geometry, null, byId('multipolygon').geometry]);
+
+  expect(combined.type).toBe('MultiPolygon');
+  expect(combined.coordinates).toHaveLength(3);
+  expect(geometryBounds(combined)).toEqual({ minLon: -98, minLat: 35, maxLon: -86, maxLat: 42 });
+  expect(combinePolygons([null])).toBeNull();
+});
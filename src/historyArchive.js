@@ -0,0 +1,271 @@
+/**
+ * Local archive of hourly treasure snapshots in IndexedDB, so history
+ * survives past the feed's 24-hour window. Snapshots are keyed by the
+ * real observation hour, so refetching an hour replaces it instead of
+ * adding a duplicate.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+const DB_NAME = "windborne-history";
+const DB_VERSION = 1;
+const STORE_NAME = "snapshots";
+const RETENTION_STORAGE_KEY = "windborne.archiveRetentionDays";
+
+export const RETENTION_OPTIONS = [1, 7, 30];
+export const DEFAULT_RETENTION_DAYS = 7;
+
+/**
+ * Truncates a time to the start of its hour.
+ * @param {Date|number} time
+ * @returns {Date}
+ */
+export function floorToHour(time) {
+  const ms = time instanceof Date ? time.getTime() : time;
+  return new Date(Math.floor(ms / MS_PER_HOUR) * MS_PER_HOUR);
+}
+
+/**
+ * Archive key for the hour an observation belongs to.
+ * ISO strings sort chronologically, which keeps range deletes simple.
+ * @param {Date} time
+ * @returns {string}
+ */
+export function observationHourKey(time) {
+  return floorToHour(time).toISOString();
+}
+
+/**
+ * Drops repeated fixes (same coordinates and altitude) from one snapshot.
+ * @param {Array<object>} fixes
+ * @returns {Array<{ lat: number, lon: number, alt: number }>}
+ */
+export function dedupeFixes(fixes) {
+  const seen = new Set();
+  const unique = [];
+  (fixes || []).forEach((fix) => {
+    const key = `${fix.lat},${fix.lon},${fix.alt}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    unique.push({ lat: fix.lat, lon: fix.lon, alt: fix.alt });
+  });
+  return unique;
+}
+
+/**
+ * Converts a fetched hourly snapshot to its stored form.
+ * @param {{ timestamp: Date, fixes: Array<object> }} snapshot
+ * @returns {{ key: string, time: number, fixes: Array<object> }}
+ */
+export function toArchiveRecord(snapshot) {
+  const hour = floorToHour(snapshot.timestamp);
+  return { key: hour.toISOString(), time: hour.getTime(), fixes: dedupeFixes(snapshot.fixes) };
+}
+
+/**
+ * Combines archived records with freshly fetched snapshots into the
+ * oldest-to-newest snapshot list used by track association. A fresh
+ * snapshot wins over an archived one for the same hour. Each snapshot's
+ * `hour` is its offset from the newest snapshot, as in the feed's file names.
+ * @param {Array<object>} archivedRecords - Records from loadArchive.
+ * @param {Array<object>} freshSnapshots - Snapshots from this fetch.
+ * @returns {Array<{ key: string, hour: number, timestamp: Date, fixes: Array<object> }>}
+ */
+export function mergeSnapshots(archivedRecords, freshSnapshots) {
+  const byKey = new Map();
+  (archivedRecords || []).forEach((record) => byKey.set(record.key, record));
+  (freshSnapshots || []).forEach((snapshot) => {
+    const record = toArchiveRecord(snapshot);
+    byKey.set(record.key, record);
+  });
+
+  const records = [...byKey.values()].sort((a, b) => a.time - b.time);
+  const newest = records.length > 0 ? records[records.length - 1].time : 0;
+  return records.map((record) => ({
+    key: record.key,
+    hour: Math.round((newest - record.time) / MS_PER_HOUR),
+    timestamp: new Date(record.time),
+    fixes: record.fixes,
+  }));
+}
+
+/**
+ * Oldest observation time kept for a retention period.
+ * @param {number} retentionDays
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function retentionCutoff(retentionDays, now = new Date()) {
+  return floorToHour(now.getTime() - retentionDays * MS_PER_DAY);
+}
+
+/**
+ * Reads the retention setting, falling back to the default.
+ * @returns {number} Days of history to keep.
+ */
+export function getRetentionDays() {
+  try {
+    const stored = parseInt(window.localStorage.getItem(RETENTION_STORAGE_KEY), 10);
+    return RETENTION_OPTIONS.includes(stored) ? stored : DEFAULT_RETENTION_DAYS;
+  } catch (e) {
+    return DEFAULT_RETENTION_DAYS;
+  }
+}
+
+/**
+ * Persists the retention setting.
+ * @param {number} days
+ */
+export function setRetentionDays(days) {
+  try {
+    window.localStorage.setItem(RETENTION_STORAGE_KEY, String(days));
+  } catch (e) {
+    console.warn("Could not save archive retention setting:", e);
+  }
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the archive database.
+ * @returns {Promise<IDBDatabase|null>} Null when IndexedDB is unavailable.
+ */
+export function openArchive() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: "key" });
+      }
+    };
+    dbPromise = requestToPromise(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Stores fetched snapshots, replacing any already archived for the same hour.
+ * @param {IDBDatabase} db
+ * @param {Array<object>} snapshots - Snapshots with timestamp and fixes.
+ * @returns {Promise<void>}
+ */
+export function saveSnapshots(db, snapshots) {
+  const transaction = db.transaction(STORE_NAME, "readwrite");
+  const store = transaction.objectStore(STORE_NAME);
+  snapshots.forEach((snapshot) => store.put(toArchiveRecord(snapshot)));
+  return transactionDone(transaction);
+}
+
+/**
+ * Loads archived records, oldest first.
+ * @param {IDBDatabase} db
+ * @param {Date} [since] - Only records at or after this time.
+ * @returns {Promise<Array<object>>}
+ */
+export function loadArchive(db, since) {
+  const store = db.transaction(STORE_NAME, "readonly").objectStore(STORE_NAME);
+  const range = since ? IDBKeyRange.lowerBound(observationHourKey(since)) : undefined;
+  return requestToPromise(store.getAll(range));
+}
+
+/**
+ * Deletes records older than the retention period.
+ * @param {IDBDatabase} db
+ * @param {number} retentionDays
+ * @param {Date} [now]
+ * @returns {Promise<void>}
+ */
+export function pruneArchive(db, retentionDays, now = new Date()) {
+  const transaction = db.transaction(STORE_NAME, "readwrite");
+  const cutoffKey = retentionCutoff(retentionDays, now).toISOString();
+  transaction.objectStore(STORE_NAME).delete(IDBKeyRange.upperBound(cutoffKey, true));
+  return transactionDone(transaction);
+}
+
+/**
+ * Removes every archived record.
+ * @param {IDBDatabase} db
+ * @returns {Promise<void>}
+ */
+export function clearArchive(db) {
+  const transaction = db.transaction(STORE_NAME, "readwrite");
+  transaction.objectStore(STORE_NAME).clear();
+  return transactionDone(transaction);
+}
+
+/**
+ * Summarizes the archive for display.
+ * @param {Array<object>} records - Records from loadArchive.
+ * @returns {{ hours: number, oldest: Date|null, newest: Date|null }}
+ */
+export function summarizeArchive(records) {
+  if (!records || records.length === 0) return { hours: 0, oldest: null, newest: null };
+  const times = records.map((record) => record.time);
+  return {
+    hours: records.length,
+    oldest: new Date(Math.min(...times)),
+    newest: new Date(Math.max(...times)),
+  };
+}
+
+/**
+ * Serializes records in the feed's own compact [lat, lon, alt] form, one entry per hour.
+ * @param {Array<object>} records - Records from loadArchive.
+ * @param {Date} [exportedAt]
+ * @returns {string} JSON text.
+ */
+export function serializeArchive(records, exportedAt = new Date()) {
+  return JSON.stringify({
+    exportedAt: exportedAt.toISOString(),
+    snapshots: records
+      .slice()
+      .sort((a, b) => a.time - b.time)
+      .map((record) => ({
+        hour: record.key,
+        fixes: record.fixes.map((fix) => [fix.lat, fix.lon, fix.alt]),
+      })),
+  });
+}
+
+/**
+ * Saves freshly fetched snapshots, prunes the archive to the retention
+ * setting and returns the full history for track association. Falls back to
+ * the fresh snapshots alone when IndexedDB is unavailable or fails.
+ * @param {Array<object>} freshSnapshots - Snapshots from this fetch.
+ * @param {number} [retentionDays] - Defaults to the saved setting.
+ * @returns {Promise<Array<object>>} Snapshots as returned by mergeSnapshots.
+ */
+export async function syncArchive(freshSnapshots, retentionDays = getRetentionDays()) {
+  try {
+    const db = await openArchive();
+    if (!db) return mergeSnapshots([], freshSnapshots);
+    await saveSnapshots(db, freshSnapshots);
+    await pruneArchive(db, retentionDays);
+    const archived = await loadArchive(db, retentionCutoff(retentionDays));
+    return mergeSnapshots(archived, freshSnapshots);
+  } catch (archiveError) {
+    console.warn("History archive unavailable, using the 24-hour feed only:", archiveError);
+    return mergeSnapshots([], freshSnapshots);
+  }
+}
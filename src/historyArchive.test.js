@@ -0,0 +1,65 @@
+import {
+  dedupeFixes,
+  floorToHour,
+  mergeSnapshots,
+  observationHourKey,
+  retentionCutoff,
+  serializeArchive,
+  summarizeArchive,
+  toArchiveRecord,
+} from './historyArchive';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date('2025-05-01T12:00:00Z').getTime();
+
+test('keys snapshots by observation hour', () => {
+  expect(floorToHour(new Date(T0 + 59 * 60 * 1000))).toEqual(new Date(T0));
+  expect(observationHourKey(new Date(T0 + 1234))).toBe('2025-05-01T12:00:00.000Z');
+});
+
+test('drops duplicate fixes within a snapshot', () => {
+  const fixes = dedupeFixes([
+    { lat: 1, lon: 2, alt: 3, sourceIndex: 0 },
+    { lat: 1, lon: 2, alt: 3, sourceIndex: 5 },
+    { lat: 1, lon: 2, alt: 4, sourceIndex: 6 },
+  ]);
+  expect(fixes).toEqual([{ lat: 1, lon: 2, alt: 3 }, { lat: 1, lon: 2, alt: 4 }]);
+});
+
+test('merges archive and fresh data, preferring the fresh copy of an hour', () => {
+  const archived = [
+    toArchiveRecord({ timestamp: new Date(T0 - 30 * HOUR), fixes: [{ lat: 1, lon: 1, alt: 1 }] }),
+    toArchiveRecord({ timestamp: new Date(T0 - HOUR), fixes: [{ lat: 9, lon: 9, alt: 9 }] }),
+  ];
+  const fresh = [
+    { hour: 0, timestamp: new Date(T0), fixes: [{ lat: 3, lon: 3, alt: 3 }] },
+    { hour: 1, timestamp: new Date(T0 - HOUR), fixes: [{ lat: 2, lon: 2, alt: 2 }] },
+  ];
+
+  const merged = mergeSnapshots(archived, fresh);
+
+  expect(merged.map((snapshot) => snapshot.hour)).toEqual([30, 1, 0]);
+  expect(merged[1].fixes).toEqual([{ lat: 2, lon: 2, alt: 2 }]);
+  expect(merged[0].timestamp).toEqual(new Date(T0 - 30 * HOUR));
+});
+
+test('computes the retention cutoff on an hour boundary', () => {
+  expect(retentionCutoff(7, new Date(T0 + 30 * 60 * 1000))).toEqual(new Date(T0 - 7 * 24 * HOUR));
+});
+
+test('summarizes and exports archived records', () => {
+  const records = [
+    toArchiveRecord({ timestamp: new Date(T0), fixes: [{ lat: 3, lon: 4, alt: 5 }] }),
+    toArchiveRecord({ timestamp: new Date(T0 - 2 * HOUR), fixes: [] }),
+  ];
+
+  expect(summarizeArchive(records)).toEqual({ hours: 2, oldest: new Date(T0 - 2 * HOUR), newest: new Date(T0) });
+  expect(summarizeArchive([]).hours).toBe(0);
+
+  const exported = JSON.parse(serializeArchive(records, new Date(T0)));
+  expect(exported.exportedAt).toBe('2025-05-01T12:00:00.000Z');
+  expect(exported.snapshots).toEqual([
+    { hour: '2025-05-01T10:00:00.000Z', fixes: [] },
+    { hour: '2025-05-01T12:00:00.000Z', fixes: [[3, 4, 5]] },
+  ]);
+});
@@ -0,0 +1,238 @@
+import { backoffDelay } from "./fetchClient";
+import { flagTrackPositions, trackDistanceKm } from "./dataQuality";
+import { MAX_GAP_HOURS, associateTracks } from "./trackAssociation";
+
+/**
+ * Live updates pushed by the tracker service over Server-Sent Events.
+ *
+ *   event: positions – { generatedAt, balloons: [{ id, after, positions }] }
+ *     positions are the fixes a track gained since the last update, newest first;
+ *     after is the newest fix the track had before them (null for a new track),
+ *     which is how the browser finds the balloon in its own tracks.
+ *   event: alerts – { generatedAt, added: [Feature], updated: [Feature], expired: [id] }
+ *
+ * The server side diffs each poll against the last one; the browser side
+ * subscribes with reconnect backoff and merges the changes into its state.
+ */
+
+export const RECONNECT_BASE_DELAY_MS = 1000;
+export const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000;
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const fixKey = (fix) => `${fix.lat.toFixed(4)},${fix.lon.toFixed(4)},${(fix.alt || 0).toFixed(3)}`;
+const alertId = (feature) => (feature.properties && feature.properties.id) || feature.id;
+const timeOf = (value) => (value instanceof Date ? value.getTime() : new Date(value).getTime());
+
+function plainFix({ lat, lon, alt, timestamp, linkConfidence = null }) {
+  return { lat, lon, alt, timestamp, linkConfidence };
+}
+
+/**
+ * Fixes each track gained between two sets of tracks with stable IDs.
+ * @param {Array<object>} previousBalloons - As last published.
+ * @param {Array<object>} balloons - Current tracks, positions newest first.
+ * @returns {Array<{ id: string, after: object|null, positions: Array<object> }>} Only tracks with new fixes.
+ */
+export function diffPositions(previousBalloons, balloons) {
+  const previousNewest = new Map(previousBalloons
+    .filter((balloon) => balloon.positions && balloon.positions.length > 0)
+    .map((balloon) => [balloon.id, balloon.positions[0]]));
+  const updates = [];
+  balloons.forEach((balloon) => {
+    const after = previousNewest.get(balloon.id) || null;
+    const fresh = after
+      ? balloon.positions.filter((pos) => timeOf(pos.timestamp) > timeOf(after.timestamp))
+      : balloon.positions;
+    if (fresh.length > 0) {
+      updates.push({ id: balloon.id, after: after && plainFix(after), positions: fresh.map(plainFix) });
+    }
+  });
+  return updates;
+}
+
+/**
+ * Alerts added, changed or gone between two lists of alerts in effect.
+ * @param {Array<object>} previousFeatures
+ * @param {Array<object>} features
+ * @returns {{ added: Array<object>, updated: Array<object>, expired: Array<string> }}
+ */
+export function diffAlerts(previousFeatures, features) {
+  const previous = new Map(previousFeatures.map((feature) => [alertId(feature), JSON.stringify(feature)]));
+  const current = new Set(features.map(alertId));
+  const added = [];
+  const updated = [];
+  features.forEach((feature) => {
+    const before = previous.get(alertId(feature));
+    if (before === undefined) added.push(feature);
+    else if (before !== JSON.stringify(feature)) updated.push(feature);
+  });
+  return { added, updated, expired: [...previous.keys()].filter((id) => !current.has(id)) };
+}
+
+/**
+ * Applies pushed fixes to the app's balloons. Updates are matched to balloons by the
+ * fix they continue from, since the service numbers its tracks independently. Fixes
+ * that match no balloon's newest fix (a new track, or tracks the browser linked
+ * differently) go through track association against the balloons' recent fixes, so
+ * they extend the balloon they fit or start new ones rather than being dropped.
+ * Quality flags and distances are recomputed for changed tracks.
+ * @param {Array<object>} balloons - App balloons, positions newest first.
+ * @param {Array<object>} updates - From a positions event.
+ * @returns {Array<object>} New balloons array; unchanged balloons are the same objects.
+ */
+export function mergePositionUpdates(balloons, updates) {
+  const byNewestFix = new Map(balloons
+    .filter((balloon) => balloon.currentPosition)
+    .map((balloon) => [fixKey(balloon.currentPosition), balloon]));
+  const known = new Set(balloons.flatMap((balloon) => balloon.positions.map(timedFixKey)));
+  const changed = new Map();
+  const unmatched = [];
+
+  updates.forEach((update) => {
+    const fresh = update.positions
+      .map((pos) => ({ ...pos, timestamp: new Date(pos.timestamp) }))
+      .filter((pos) => !known.has(timedFixKey(pos)));
+    if (fresh.length === 0) return;
+    const target = update.after && byNewestFix.get(fixKey(update.after));
+    if (target && !changed.has(target.id)) {
+      const newest = target.currentPosition.timestamp.getTime();
+      const positions = [...fresh.filter((pos) => pos.timestamp.getTime() > newest), ...target.positions];
+      changed.set(target.id, positions);
+    } else {
+      unmatched.push(...fresh);
+    }
+  });
+  const added = linkUnmatchedFixes(balloons, unmatched, changed);
+  if (changed.size === 0 && added.length === 0) return balloons;
+
+  const withTrack = (balloon, positions) => {
+    const flagged = flagTrackPositions(positions);
+    return { ...balloon, positions: flagged, currentPosition: flagged[0], totalDistance: trackDistanceKm(flagged) };
+  };
+  let nextId = balloons.reduce((max, balloon) => (Number.isInteger(Number(balloon.id)) ? Math.max(max, Number(balloon.id) + 1) : max), 0);
+  return [
+    ...balloons.map((balloon) => (changed.has(balloon.id) ? withTrack(balloon, changed.get(balloon.id)) : balloon)),
+    ...added.map((positions) => withTrack({ id: String(nextId++), trackConfidence: null }, positions)),
+  ];
+}
+
+const timedFixKey = (fix) => `${timeOf(fix.timestamp)}|${fixKey(fix)}`;
+
+/**
+ * Associates fixes no update could place with the balloons' fixes from the same
+ * hours, adding the ones that continue a balloon to its positions in changed.
+ * @returns {Array<Array<object>>} Positions of new tracks, newest first.
+ */
+function linkUnmatchedFixes(balloons, fixes, changed) {
+  if (fixes.length === 0) return [];
+  const since = Math.min(...fixes.map((fix) => fix.timestamp.getTime())) - MAX_GAP_HOURS * MS_PER_HOUR;
+  const snapshots = new Map();
+  const addFix = (fix, balloonId) => {
+    const time = fix.timestamp.getTime();
+    if (!snapshots.has(time)) snapshots.set(time, { hour: null, timestamp: new Date(time), fixes: [] });
+    snapshots.get(time).fixes.push({ ...fix, balloonId });
+  };
+  balloons.forEach((balloon) => {
+    (changed.get(balloon.id) || balloon.positions)
+      .filter((pos) => pos.timestamp.getTime() >= since)
+      .forEach((pos) => addFix(pos, balloon.id));
+  });
+  fixes.forEach((fix) => addFix(fix, null));
+
+  const added = [];
+  associateTracks([...snapshots.values()]).forEach((track) => {
+    const fresh = track.positions.filter((pos) => pos.balloonId === null).map(plainFix);
+    if (fresh.length === 0) return;
+    const owner = track.positions.find((pos) => pos.balloonId !== null);
+    if (!owner) {
+      added.push(fresh);
+      return;
+    }
+    const positions = [...fresh, ...(changed.get(owner.balloonId) || balloons.find((balloon) => balloon.id === owner.balloonId).positions)];
+    changed.set(owner.balloonId, positions.sort((a, b) => b.timestamp - a.timestamp));
+  });
+  return added;
+}
+
+/**
+ * Applies pushed alert changes to an alerts FeatureCollection.
+ * @param {object|null} collection
+ * @param {{ added: Array<object>, updated: Array<object>, expired: Array<string> }} changes
+ * @returns {object} New FeatureCollection.
+ */
+export function mergeAlertChanges(collection, { added = [], updated = [], expired = [] }) {
+  const replaced = new Set([...expired, ...updated.map(alertId)]);
+  const kept = ((collection && collection.features) || []).filter((feature) => !replaced.has(alertId(feature)));
+  return { type: "FeatureCollection", ...collection, features: [...kept, ...updated, ...added] };
+}
+
+/**
+ * Subscribes to the live update stream, reconnecting with exponential backoff
+ * whenever the connection drops.
+ * @param {string} url - Event stream URL.
+ * @param {{
+ *   onPositions?: Function,
+ *   onAlerts?: Function,
+ *   onStatus?: Function,
+ *   onReconnect?: Function,
+ *   createEventSource?: Function,
+ *   random?: Function
+ * }} handlers
+ *   onPositions and onAlerts receive the parsed event data; onStatus receives
+ *   { state: "connecting"|"open"|"waiting", retryInMs? }; onReconnect is called when a
+ *   dropped connection opens again, since updates sent in between were missed.
+ * @returns {Function} Unsubscribes and closes the connection.
+ */
+export function subscribeToUpdates(url, {
+  onPositions = () => {},
+  onAlerts = () => {},
+  onStatus = () => {},
+  onReconnect = () => {},
+  createEventSource = (streamUrl) => new EventSource(streamUrl),
+  random = Math.random,
+} = {}) {
+  let source = null;
+  let retryTimer = null;
+  let failures = 0;
+  let everOpened = false;
+
+  const listen = (type, handler) => source.addEventListener(type, (event) => {
+    try {
+      handler(JSON.parse(event.data));
+    } catch (err) {
+      console.warn(`Could not apply the live ${type} update:`, err);
+    }
+  });
+
+  function connect() {
+    onStatus({ state: "connecting" });
+    source = createEventSource(url);
+    source.onopen = () => {
+      failures = 0;
+      onStatus({ state: "open" });
+      if (everOpened) onReconnect();
+      everOpened = true;
+    };
+    // EventSource would retry on its own at a fixed rate; back off instead.
+    source.onerror = () => {
+      source.close();
+      failures++;
+      const retryInMs = backoffDelay(failures, {
+        baseDelayMs: RECONNECT_BASE_DELAY_MS,
+        maxDelayMs: RECONNECT_MAX_DELAY_MS,
+        random,
+      });
+      onStatus({ state: "waiting", retryInMs });
+      retryTimer = setTimeout(connect, retryInMs);
+    };
+    listen("positions", onPositions);
+    listen("alerts", onAlerts);
+  }
+
+  connect();
+  return () => {
+    clearTimeout(retryTimer);
+    source.close();
+  };
+}
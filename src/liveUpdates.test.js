@@ -0,0 +1,167 @@
+import {
+  RECONNECT_BASE_DELAY_MS,
+  diffAlerts,
+  diffPositions,
+  mergeAlertChanges,
+  mergePositionUpdates,
+  subscribeToUpdates,
+} from './liveUpdates';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 4, 1, 12);
+
+// Newest first, one hour apart, ending at the given hour.
+function track(points, newestAt = T0) {
+  return points.map(([lat, lon, alt], i) => ({ lat, lon, alt, timestamp: new Date(newestAt - i * HOUR), linkConfidence: 0.9 }));
+}
+
+function balloon(id, positions) {
+  return { id, positions, currentPosition: positions[0], totalDistance: 0, trackConfidence: 0.9 };
+}
+
+const alert = (id, severity = 'Moderate') => ({ type: 'Feature', geometry: null, properties: { id, severity } });
+
+test('publishes only the fixes each track gained, with the fix they continue from', () => {
+  const before = [balloon('1', track([[10, 20, 15], [10, 19.8, 15]]))];
+  const after = [
+    balloon('1', track([[10, 20.2, 15], [10, 20, 15], [10, 19.8, 15]], T0 + HOUR)),
+    balloon('2', track([[-5, 40, 12]], T0 + HOUR)),
+  ];
+  const updates = diffPositions(before, after);
+
+  expect(updates).toHaveLength(2);
+  expect(updates[0]).toMatchObject({ id: '1', after: { lat: 10, lon: 20 }, positions: [{ lat: 10, lon: 20.2 }] });
+  expect(updates[1]).toMatchObject({ id: '2', after: null, positions: [{ lat: -5, lon: 40 }] });
+  expect(diffPositions(after, after)).toEqual([]);
+});
+
+test('merges pushed fixes onto the balloon they continue, whatever its ID', () => {
+  const untouched = balloon('7', track([[30, -100, 14]]));
+  const balloons = [balloon('3', track([[10, 20, 15], [10, 19.8, 15]])), untouched];
+  // Timestamps arrive as ISO strings over the wire.
+  const updates = JSON.parse(JSON.stringify([
+    { id: '1', after: { lat: 10, lon: 20, alt: 15, timestamp: new Date(T0) }, positions: [{ lat: 10, lon: 20.2, alt: 15, timestamp: new Date(T0 + HOUR) }] },
+    { id: '9', after: null, positions: [{ lat: -5, lon: 40, alt: 12, timestamp: new Date(T0 + HOUR) }] },
+    { id: '4', after: { lat: 50, lon: 50, alt: 10, timestamp: new Date(T0) }, positions: [{ lat: 50, lon: 50.2, alt: 10, timestamp: new Date(T0 + HOUR) }] },
+  ]));
+  const merged = mergePositionUpdates(balloons, updates);
+
+  expect(merged).toHaveLength(4);
+  expect(merged[0].id).toBe('3');
+  expect(merged[0].positions.map((pos) => pos.lon)).toEqual([20.2, 20, 19.8]);
+  expect(merged[0].currentPosition.timestamp).toEqual(new Date(T0 + HOUR));
+  expect(merged[0].totalDistance).toBeGreaterThan(40);
+  expect(merged[1]).toBe(untouched);
+  // The new track, and the one continuing a fix nobody here has, start balloons.
+  expect(merged[2]).toMatchObject({ id: '8', currentPosition: { lat: -5, lon: 40 } });
+  expect(merged[3]).toMatchObject({ id: '9', currentPosition: { lat: 50, lon: 50.2 } });
+
+  expect(mergePositionUpdates(merged, [])).toBe(merged);
+  expect(mergePositionUpdates(merged, updates)).toBe(merged);
+});
+
+test('links fixes that continue a different newest fix to the balloon they fit', () => {
+  // The service linked the 12:00 fix differently, so its after is not this balloon's newest fix.
+  const balloons = [
+    balloon('3', track([[10, 20, 15], [10, 19.8, 15]])),
+    balloon('5', track([[-20, 60, 12], [-20, 59.8, 12]])),
+  ];
+  const updates = [
+    { id: '1', after: { lat: 10.3, lon: 20.1, alt: 15, timestamp: new Date(T0) }, positions: [{ lat: 10, lon: 20.2, alt: 15, timestamp: new Date(T0 + HOUR) }] },
+    // Starts again from a fix the browser already has, so only the newer fix is added.
+    { id: '2', after: { lat: -20, lon: 59.8, alt: 12, timestamp: new Date(T0 - HOUR) }, positions: [
+      { lat: -20, lon: 60.2, alt: 12, timestamp: new Date(T0 + HOUR) },
+      { lat: -20, lon: 60, alt: 12, timestamp: new Date(T0) },
+    ] },
+  ];
+  const merged = mergePositionUpdates(balloons, updates);
+
+  expect(merged.map((b) => b.id)).toEqual(['3', '5']);
+  expect(merged[0].positions.map((pos) => pos.lon)).toEqual([20.2, 20, 19.8]);
+  expect(merged[0].currentPosition.linkConfidence).toBeGreaterThan(0);
+  expect(merged[1].positions.map((pos) => pos.lon)).toEqual([60.2, 60, 59.8]);
+  expect(merged[1].positions[0]).not.toHaveProperty('balloonId');
+});
+
+test('diffs alerts in effect and applies the changes to a collection', () => {
+  const before = [alert('a'), alert('b'), alert('c')];
+  const now = [alert('a'), alert('b', 'Severe'), alert('d')];
+  const changes = diffAlerts(before, now);
+
+  expect(changes.added.map((f) => f.properties.id)).toEqual(['d']);
+  expect(changes.updated.map((f) => f.properties.id)).toEqual(['b']);
+  expect(changes.expired).toEqual(['c']);
+
+  const merged = mergeAlertChanges({ type: 'FeatureCollection', title: 'active', features: before }, changes);
+  expect(merged.title).toBe('active');
+  expect(merged.features.map((f) => [f.properties.id, f.properties.severity])).toEqual([
+    ['a', 'Moderate'], ['b', 'Severe'], ['d', 'Moderate'],
+  ]);
+  expect(mergeAlertChanges(null, changes).features).toHaveLength(2);
+});
+
+// Stand-in for EventSource that tests open, fail and push events on by hand.
+function fakeEventSources() {
+  const sources = [];
+  const create = (url) => {
+    const listeners = {};
+    const source = {
+      url,
+      closed: false,
+      addEventListener: (type, fn) => { listeners[type] = fn; },
+      close: () => { source.closed = true; },
+      emit: (type, data) => listeners[type]({ data: JSON.stringify(data) }),
+    };
+    sources.push(source);
+    return source;
+  };
+  return { sources, create };
+}
+
+describe('subscribeToUpdates', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('delivers events and reconnects with growing delays, catching up after a drop', () => {
+    const { sources, create } = fakeEventSources();
+    const onPositions = jest.fn();
+    const onAlerts = jest.fn();
+    const onReconnect = jest.fn();
+    const statuses = [];
+    const unsubscribe = subscribeToUpdates('/api/events', {
+      onPositions, onAlerts, onReconnect, onStatus: (status) => statuses.push(status), createEventSource: create, random: () => 1,
+    });
+
+    sources[0].onopen();
+    sources[0].emit('positions', { balloons: [] });
+    sources[0].emit('alerts', { added: [], updated: [], expired: ['x'] });
+    expect(onPositions).toHaveBeenCalledWith({ balloons: [] });
+    expect(onAlerts).toHaveBeenCalledWith({ added: [], updated: [], expired: ['x'] });
+    expect(onReconnect).not.toHaveBeenCalled();
+
+    sources[0].onerror();
+    expect(sources[0].closed).toBe(true);
+    expect(statuses[statuses.length - 1]).toEqual({ state: 'waiting', retryInMs: RECONNECT_BASE_DELAY_MS });
+    jest.advanceTimersByTime(RECONNECT_BASE_DELAY_MS);
+    sources[1].onerror();
+    expect(statuses[statuses.length - 1]).toEqual({ state: 'waiting', retryInMs: 2 * RECONNECT_BASE_DELAY_MS });
+    jest.advanceTimersByTime(2 * RECONNECT_BASE_DELAY_MS);
+
+    sources[2].onopen();
+    expect(onReconnect).toHaveBeenCalledTimes(1);
+    expect(statuses[statuses.length - 1]).toEqual({ state: 'open' });
+
+    unsubscribe();
+    expect(sources[2].closed).toBe(true);
+    expect(sources).toHaveLength(3);
+  });
+
+  test('stops retrying once unsubscribed', () => {
+    const { sources, create } = fakeEventSources();
+    const unsubscribe = subscribeToUpdates('/api/events', { createEventSource: create });
+    sources[0].onerror();
+    unsubscribe();
+    jest.advanceTimersByTime(60 * 60 * 1000);
+    expect(sources).toHaveLength(1);
+  });
+});
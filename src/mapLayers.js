@@ -0,0 +1,168 @@
+import { feature } from "topojson-client";
+import { NWS_SEVERITIES } from "./alertRules";
+
+/**
+ * Base maps, overlay toggles and NWS alert filters for the layer control.
+ * Settings persist in localStorage; the overlay toggles are also part of
+ * the shareable URL (see urlState.js).
+ */
+
+const LAYER_SETTINGS_STORAGE_KEY = "windborne.layers";
+
+/** Tiles served from the app's own origin, e.g. a pre-downloaded cache under public/tiles. */
+export const LOCAL_TILE_URL = process.env.REACT_APP_LOCAL_TILE_URL || `${process.env.PUBLIC_URL || ""}/tiles/{z}/{x}/{y}.png`;
+
+/** Base maps; one without a url is drawn from the bundled country outlines and needs no network. */
+export const BASE_MAPS = [
+  {
+    id: "osm",
+    label: "OpenStreetMap",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: "&copy; OpenStreetMap contributors",
+  },
+  {
+    id: "light",
+    label: "CARTO Light",
+    url: "https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png",
+    attribution: "&copy; OpenStreetMap contributors &copy; CARTO",
+  },
+  {
+    id: "topo",
+    label: "OpenTopoMap",
+    url: "https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png",
+    attribution: "&copy; OpenStreetMap contributors, SRTM | &copy; OpenTopoMap (CC-BY-SA)",
+    maxNativeZoom: 17,
+  },
+  {
+    id: "imagery",
+    label: "Satellite (Esri)",
+    url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+    attribution: "Tiles &copy; Esri",
+  },
+  {
+    id: "local",
+    label: "Local tiles",
+    url: LOCAL_TILE_URL,
+    attribution: "Local tile cache",
+  },
+  {
+    id: "outline",
+    label: "Offline outline",
+    url: null,
+    attribution: "Natural Earth via world-atlas",
+  },
+];
+
+/** Severity buckets, in the order and with the grouping NWSAlertsLayer styles them. */
+export const ALERT_SEVERITY_LEVELS = [...NWS_SEVERITIES, "Unknown"];
+
+export const DEFAULT_LAYER_SETTINGS = {
+  baseMap: "osm",
+  showAlerts: true,
+  showPaths: true,
+  showMarkers: true,
+  showForecast: true,
+  showProximity: true,
+  // Points flagged by the data-quality checks (see dataQuality.js) are hidden unless switched on.
+  showSuspectPoints: false,
+  alertSeverities: ALERT_SEVERITY_LEVELS,
+  hiddenEventTypes: [],
+};
+
+/**
+ * Severity bucket of an NWS alert. Missing severities are "Unknown"; any
+ * other unrecognized value is drawn as "Moderate".
+ * @param {string|undefined} severity - NWS severity property.
+ * @returns {string} One of ALERT_SEVERITY_LEVELS.
+ */
+export function severityLevel(severity) {
+  if (!severity) return "Unknown";
+  return NWS_SEVERITIES.find((level) => level.toLowerCase() === severity.toLowerCase()) || "Moderate";
+}
+
+/**
+ * Alerts whose severity and event type are switched on.
+ * @param {object|null} featureCollection - NWS alerts FeatureCollection.
+ * @param {{ alertSeverities: Array<string>, hiddenEventTypes: Array<string> }} settings
+ * @returns {object|null} The same collection when nothing is filtered out.
+ */
+export function filterAlertFeatures(featureCollection, { alertSeverities, hiddenEventTypes }) {
+  if (!featureCollection || !Array.isArray(featureCollection.features)) return featureCollection;
+  const features = featureCollection.features.filter((alertFeature) => {
+    const props = alertFeature.properties || {};
+    return alertSeverities.includes(severityLevel(props.severity)) && !hiddenEventTypes.includes(props.event || "");
+  });
+  return features.length === featureCollection.features.length ? featureCollection : { ...featureCollection, features };
+}
+
+/**
+ * Event types present in an alert collection, most frequent first.
+ * @param {object|null} featureCollection
+ * @returns {Array<{ event: string, count: number }>}
+ */
+export function alertEventTypes(featureCollection) {
+  const counts = new Map();
+  ((featureCollection && featureCollection.features) || []).forEach((alertFeature) => {
+    const event = (alertFeature.properties && alertFeature.properties.event) || "";
+    counts.set(event, (counts.get(event) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([event, count]) => ({ event, count }))
+    .sort((a, b) => b.count - a.count || a.event.localeCompare(b.event));
+}
+
+/**
+ * Reads saved layer settings, dropping unknown base maps and malformed fields.
+ * @returns {object} Settings shaped like DEFAULT_LAYER_SETTINGS.
+ */
+export function loadLayerSettings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(LAYER_SETTINGS_STORAGE_KEY) || "null");
+    if (!stored || typeof stored !== "object") return DEFAULT_LAYER_SETTINGS;
+    const settings = { ...DEFAULT_LAYER_SETTINGS };
+    if (BASE_MAPS.some((baseMap) => baseMap.id === stored.baseMap)) settings.baseMap = stored.baseMap;
+    ["showAlerts", "showPaths", "showMarkers", "showForecast", "showProximity", "showSuspectPoints"].forEach((key) => {
+      if (typeof stored[key] === "boolean") settings[key] = stored[key];
+    });
+    if (Array.isArray(stored.alertSeverities)) {
+      settings.alertSeverities = ALERT_SEVERITY_LEVELS.filter((level) => stored.alertSeverities.includes(level));
+    }
+    if (Array.isArray(stored.hiddenEventTypes)) {
+      settings.hiddenEventTypes = stored.hiddenEventTypes.filter((event) => typeof event === "string");
+    }
+    return settings;
+  } catch (e) {
+    console.warn("Could not read saved layer settings:", e);
+    return DEFAULT_LAYER_SETTINGS;
+  }
+}
+
+/**
+ * Persists layer settings.
+ * @param {object} settings
+ */
+export function saveLayerSettings(settings) {
+  try {
+    window.localStorage.setItem(LAYER_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Could not save layer settings:", e);
+  }
+}
+
+let outlinePromise = null;
+
+/**
+ * Loads the bundled country outlines for the offline base map.
+ * @returns {Promise<object>} GeoJSON FeatureCollection.
+ */
+export function loadOutlineBaseMap() {
+  if (!outlinePromise) {
+    outlinePromise = import("world-atlas/countries-50m.json")
+      .then(({ default: topology }) => feature(topology, topology.objects.countries))
+      .catch((err) => {
+        outlinePromise = null;
+        throw err;
+      });
+  }
+  return outlinePromise;
+}
@@ -0,0 +1,54 @@
+import {
+  DEFAULT_LAYER_SETTINGS,
+  alertEventTypes,
+  filterAlertFeatures,
+  loadLayerSettings,
+  saveLayerSettings,
+  severityLevel,
+} from './mapLayers';
+import nwsAlerts from './__fixtures__/nwsAlerts';
+
+const ids = (collection) => collection.features.map((f) => f.properties.id);
+
+test('buckets severities the way alert polygons are styled', () => {
+  expect(severityLevel('Extreme')).toBe('Extreme');
+  expect(severityLevel('minor')).toBe('Minor');
+  expect(severityLevel(undefined)).toBe('Unknown');
+  expect(severityLevel('Whatever')).toBe('Moderate');
+});
+
+test('filters alerts by severity and event type', () => {
+  expect(filterAlertFeatures(nwsAlerts, DEFAULT_LAYER_SETTINGS)).toBe(nwsAlerts);
+
+  const noMinor = filterAlertFeatures(nwsAlerts, { ...DEFAULT_LAYER_SETTINGS, alertSeverities: ['Extreme', 'Severe', 'Moderate'] });
+  expect(ids(noMinor)).toEqual(['polygon', 'multipolygon', 'zone-only']);
+
+  const noFloods = filterAlertFeatures(nwsAlerts, { ...DEFAULT_LAYER_SETTINGS, hiddenEventTypes: ['Flood Warning'] });
+  expect(ids(noFloods)).not.toContain('multipolygon');
+  expect(filterAlertFeatures(null, DEFAULT_LAYER_SETTINGS)).toBeNull();
+});
+
+test('lists event types by frequency', () => {
+  const types = alertEventTypes({
+    features: [
+      { properties: { event: 'Flood Warning' } },
+      { properties: { event: 'Heat Advisory' } },
+      { properties: { event: 'Heat Advisory' } },
+    ],
+  });
+  expect(types).toEqual([{ event: 'Heat Advisory', count: 2 }, { event: 'Flood Warning', count: 1 }]);
+  expect(alertEventTypes(null)).toEqual([]);
+});
+
+test('persists settings and ignores malformed saved values', () => {
+  window.localStorage.clear();
+  expect(loadLayerSettings()).toEqual(DEFAULT_LAYER_SETTINGS);
+
+  const settings = { ...DEFAULT_LAYER_SETTINGS, baseMap: 'outline', showPaths: false, hiddenEventTypes: ['Heat Advisory'] };
+  saveLayerSettings(settings);
+  expect(loadLayerSettings()).toEqual(settings);
+
+  window.localStorage.setItem('windborne.layers', JSON.stringify({ baseMap: 'moon', showAlerts: 'no', alertSeverities: ['Severe', 'Bogus'] }));
+  expect(loadLayerSettings()).toEqual({ ...DEFAULT_LAYER_SETTINGS, alertSeverities: ['Severe'] });
+  window.localStorage.clear();
+});
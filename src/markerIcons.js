@@ -0,0 +1,58 @@
+import L from "leaflet";
+
+/**
+ * Cached Leaflet divIcons. Markers that share a look share one icon
+ * object, so re-renders do not rebuild icons or replace marker DOM.
+ */
+
+const balloonIcons = new Map();
+const clusterIcons = new Map();
+
+/**
+ * Round balloon marker, larger and pulsing when the balloon is in an alert area.
+ * @param {string} color - CSS fill color.
+ * @param {boolean} hasAlerts
+ * @returns {L.DivIcon}
+ */
+export function balloonIcon(color, hasAlerts) {
+  const key = `${color}|${hasAlerts}`;
+  if (!balloonIcons.has(key)) {
+    const size = hasAlerts ? 18 : 14;
+    balloonIcons.set(key, L.divIcon({
+      html: `<div style="
+        background-color: ${color};
+        border: 2px solid #000;
+        border-radius: 50%;
+        width: 100%;
+        height: 100%;
+        box-shadow: 0 0 4px white, 0 0 6px rgba(0,0,0,0.7);
+        ${hasAlerts ? "animation: pulse 2s infinite;" : ""}
+      "></div>`,
+      className: "balloon-marker-icon",
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+    }));
+  }
+  return balloonIcons.get(key);
+}
+
+/**
+ * Cluster bubble with the balloon count and, if any member is in an alert area, a badge.
+ * @param {number} count
+ * @param {number} alertCount
+ * @returns {L.DivIcon}
+ */
+export function clusterIcon(count, alertCount) {
+  const key = `${count}|${alertCount}`;
+  if (!clusterIcons.has(key)) {
+    const size = count < 10 ? 30 : count < 100 ? 38 : 46;
+    const badge = alertCount > 0 ? `<span class="cluster-alert-badge">⚠${alertCount}</span>` : "";
+    clusterIcons.set(key, L.divIcon({
+      html: `<div class="balloon-cluster-bubble">${count}</div>${badge}`,
+      className: "balloon-cluster-icon",
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+    }));
+  }
+  return clusterIcons.get(key);
+}
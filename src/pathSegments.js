@@ -0,0 +1,57 @@
+import { calculateDistance, intermediatePoint, unwrapLongitude } from "./geo";
+
+/**
+ * Map geometry for balloon paths. Leaflet joins points with straight lines in
+ * Web Mercator, so long hops are densified along their great circle, and
+ * longitudes are unwrapped so a path crossing the antimeridian continues onto
+ * the neighbouring world copy instead of jumping back across the map.
+ */
+
+/** Longest straight piece drawn between two points of a path. */
+export const MAX_STEP_KM = 100;
+
+// Within this of a pole every longitude is the same point; keep the previous one.
+const POLE_EPSILON_DEG = 1e-9;
+
+function interpolateFix(from, to, fraction, referenceLon) {
+  const point = intermediatePoint(from.lat, from.lon, to.lat, to.lon, fraction);
+  const atPole = Math.abs(point.lat) > 90 - POLE_EPSILON_DEG;
+  const fix = {
+    lat: point.lat,
+    lon: atPole ? referenceLon : unwrapLongitude(point.lon, referenceLon),
+    interpolated: true,
+  };
+  if (typeof from.alt === "number" && typeof to.alt === "number") {
+    fix.alt = from.alt + (to.alt - from.alt) * fraction;
+  }
+  if (from.timestamp instanceof Date && to.timestamp instanceof Date) {
+    fix.timestamp = new Date(from.timestamp.getTime() + (to.timestamp.getTime() - from.timestamp.getTime()) * fraction);
+  }
+  return fix;
+}
+
+/**
+ * Positions along a balloon's path as one continuous line of great-circle arcs.
+ * The first position keeps its longitude (so the path meets the marker); later
+ * ones are shifted by whole turns to stay within 180° of the point before, and
+ * points are added between fixes more than maxStepKm apart, with altitude and
+ * time interpolated so the path can still be colored by them.
+ * @param {Array<object>} positions - Array of position objects {lat, lon, alt?, timestamp?, ...}.
+ * @param {{ maxStepKm?: number }} [options]
+ * @returns {Array<object>} Copies of the positions with unwrapped longitudes, and the added
+ *   points marked interpolated. Empty for fewer than two positions, which draw no line.
+ */
+export function greatCirclePath(positions, { maxStepKm = MAX_STEP_KM } = {}) {
+  if (!positions || positions.length < 2) return [];
+  const path = [positions[0]];
+  for (let i = 1; i < positions.length; i++) {
+    const from = positions[i - 1];
+    const to = positions[i];
+    const steps = Math.max(1, Math.ceil(calculateDistance(from.lat, from.lon, to.lat, to.lon) / maxStepKm));
+    for (let step = 1; step < steps; step++) {
+      path.push(interpolateFix(from, to, step / steps, path[path.length - 1].lon));
+    }
+    path.push({ ...to, lon: unwrapLongitude(to.lon, path[path.length - 1].lon) });
+  }
+  return path;
+}
@@ -0,0 +1,69 @@
+import { MAX_STEP_KM, greatCirclePath } from './pathSegments';
+import { calculateDistance, normalizeLongitude } from './geo';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2025, 4, 1, 12);
+
+// Newest first, one hour apart.
+function track(points) {
+  return points.map(([lat, lon, alt], i) => ({ lat, lon, alt, timestamp: new Date(T0 - i * HOUR) }));
+}
+
+const stepKm = (a, b) => calculateDistance(a.lat, a.lon, b.lat, b.lon);
+
+function expectContinuous(path) {
+  for (let i = 1; i < path.length; i++) {
+    expect(Math.abs(path[i].lon - path[i - 1].lon)).toBeLessThanOrEqual(180);
+    expect(stepKm(path[i - 1], path[i])).toBeLessThanOrEqual(MAX_STEP_KM + 1e-6);
+  }
+}
+
+test('keeps short hops as they are', () => {
+  const positions = track([[35.40524, -97.61402, 14.1], [35.68166, -98.12169, 13.9], [35.95509, -98.63342, 14]]);
+  const path = greatCirclePath(positions);
+
+  expect(path).toEqual(positions);
+  expect(path[0]).toBe(positions[0]);
+});
+
+test('continues across the antimeridian instead of breaking the line', () => {
+  const positions = track([[21.17004, -179.67534, 17.1], [20.93, 179.0, 17.3], [20.68, 178.39, 17.2]]);
+  const path = greatCirclePath(positions);
+
+  expect(path[0].lon).toBe(-179.67534);
+  expect(path[path.length - 1].lon).toBeCloseTo(178.39 - 360, 9);
+  expect(path.filter((pos) => !pos.interpolated).map((pos) => normalizeLongitude(pos.lon)))
+    .toEqual(positions.map((pos) => expect.closeTo(pos.lon, 9)));
+  expectContinuous(path);
+});
+
+test('follows the great circle on long hops, interpolating altitude and time', () => {
+  const positions = track([[50, 30, 12], [50, -30, 18]]);
+  const path = greatCirclePath(positions);
+
+  expect(path.length).toBeGreaterThan(40);
+  expectContinuous(path);
+  const middle = path[Math.floor(path.length / 2)];
+  // The great circle between two points on the 50th parallel bulges towards the pole.
+  expect(middle.lat).toBeGreaterThan(53);
+  expect(middle).toMatchObject({ interpolated: true, alt: expect.closeTo(15, 0) });
+  expect(middle.timestamp.getTime()).toBeCloseTo(T0 - HOUR / 2, -6);
+});
+
+test('goes over the pole on a polar route', () => {
+  const positions = track([[88, 20, 15], [88, -160, 15]]);
+  const path = greatCirclePath(positions);
+
+  expectContinuous(path);
+  expect(Math.max(...path.map((pos) => pos.lat))).toBeGreaterThan(89.5);
+  // Longitudes change by 180° at the pole, not gradually along the 88th parallel.
+  const longitudes = new Set(path.map((pos) => Math.round(normalizeLongitude(pos.lon))));
+  expect([...longitudes].sort((a, b) => a - b)).toEqual([-160, 20]);
+  expect(path[path.length - 1]).toMatchObject({ lat: 88, lon: expect.closeTo(-160, 9) });
+});
+
+test('returns no line for fewer than two positions', () => {
+  expect(greatCirclePath([])).toEqual([]);
+  expect(greatCirclePath(track([[10, 20, 15]]))).toEqual([]);
+  expect(greatCirclePath(undefined)).toEqual([]);
+});
@@ -0,0 +1,219 @@
+import { predictTrajectory, MAX_FORECAST_HOURS } from "./forecast";
+import { createPointGrid, queryRadius } from "./spatialGrid";
+
+/**
+ * Close approaches: pairs of balloons, or a balloon and a fixed point such as
+ * an airport or launch site, that come within a horizontal and vertical
+ * separation of each other now or along their forecast tracks. Positions are
+ * compared one time step at a time, and each step buckets them into a grid
+ * with cells about as wide as the horizontal limit, so a balloon is only
+ * measured against its neighbours rather than the whole constellation.
+ */
+
+const PROXIMITY_STORAGE_KEY = "windborne.proximity";
+const KM_PER_DEGREE_LAT = 111.32;
+// Grid cells never get smaller than this, so tiny limits don't make a huge sparse grid.
+const MIN_CELL_SIZE_DEG = 0.25;
+const MS_PER_MINUTE = 60 * 1000;
+
+/** Spacing of the forecast positions compared; finer than the map's forecast so fast pairs aren't missed. */
+export const SAMPLE_STEP_HOURS = 0.25;
+
+export const DEFAULT_PROXIMITY_SETTINGS = {
+  horizontalKm: 50,
+  verticalKm: 1,
+  forecastHours: 6,
+  points: [],
+};
+
+/**
+ * Positions of one balloon to compare: where it is at the reference time,
+ * then its forecast track after that.
+ * @param {string} id - Balloon ID.
+ * @param {object} position - Displayed position {lat, lon, alt}.
+ * @param {Array<object>} trail - Fixes up to the reference time, newest first.
+ * @param {{ referenceTime: Date, forecastHours: number, stepHours?: number }} options
+ *   forecastHours of 0 compares current positions only.
+ * @returns {{ id: string, samples: Array<{ lat: number, lon: number, alt: number, time: Date, forecast: boolean }> }}
+ */
+export function sampleBalloon(id, position, trail, { referenceTime, forecastHours, stepHours = SAMPLE_STEP_HOURS }) {
+  const samples = [{ lat: position.lat, lon: position.lon, alt: position.alt, time: referenceTime, forecast: false }];
+  const prediction = forecastHours > 0 ? predictTrajectory(trail, { hours: forecastHours, stepHours }) : null;
+  if (prediction) {
+    const end = referenceTime.getTime() + forecastHours * 60 * MS_PER_MINUTE;
+    prediction.steps
+      .filter((step) => step.timestamp > referenceTime && step.timestamp.getTime() <= end)
+      .forEach((step) => samples.push({ lat: step.lat, lon: step.lon, alt: step.alt, time: step.timestamp, forecast: true }));
+  }
+  return { id: String(id), samples };
+}
+
+function verticalSeparation(altA, altB) {
+  return typeof altA === "number" && typeof altB === "number" ? Math.abs(altA - altB) : null;
+}
+
+/**
+ * Every pair that comes within the limits, at its closest sampled moment.
+ * Balloons are only compared at equal times: all current positions with each
+ * other, and forecast positions with those of the same minute. A fixed point
+ * without an altitude matches on horizontal distance alone.
+ * @param {Array<{ id: string, samples: Array<object> }>} tracks - From sampleBalloon.
+ * @param {Array<{ id: string, name: string, lat: number, lon: number, altKm?: number }>} points - Fixed points.
+ * @param {{ horizontalKm: number, verticalKm: number }} limits
+ * @returns {Array<{
+ *   id: string,
+ *   kind: "balloon"|"point",
+ *   balloonIds: Array<string>,
+ *   point: object|null,
+ *   time: Date,
+ *   forecast: boolean,
+ *   distanceKm: number,
+ *   verticalKm: number|null,
+ *   from: { lat: number, lon: number },
+ *   to: { lat: number, lon: number },
+ *   closeNow: boolean,
+ *   firstTime: Date
+ * }>} time, distanceKm and the from/to positions are at the closest approach; firstTime is the
+ *   first sampled time within the limits. Sorted by time of closest approach, then distance.
+ */
+export function findCloseApproaches(tracks, points, { horizontalKm, verticalKm }) {
+  if (!(horizontalKm > 0)) return [];
+  const cellSizeDeg = Math.max(MIN_CELL_SIZE_DEG, horizontalKm / KM_PER_DEGREE_LAT);
+  const pointGrid = points.length > 0 ? createPointGrid(points, cellSizeDeg) : null;
+
+  const byTime = new Map();
+  tracks.forEach((track) => {
+    track.samples.forEach((sample) => {
+      const key = Math.round(sample.time.getTime() / MS_PER_MINUTE);
+      if (!byTime.has(key)) byTime.set(key, []);
+      byTime.get(key).push({ id: track.id, sample });
+    });
+  });
+
+  const approaches = new Map();
+  const record = (id, fields, sample, distanceKm, vertical, to) => {
+    const existing = approaches.get(id);
+    const closer = !existing || distanceKm < existing.distanceKm;
+    const approach = closer
+      ? {
+        id,
+        ...fields,
+        time: sample.time,
+        forecast: sample.forecast,
+        distanceKm,
+        verticalKm: vertical,
+        from: { lat: sample.lat, lon: sample.lon },
+        to: { lat: to.lat, lon: to.lon },
+        closeNow: existing ? existing.closeNow : false,
+        firstTime: existing ? existing.firstTime : sample.time,
+      }
+      : existing;
+    if (!sample.forecast) approach.closeNow = true;
+    if (sample.time < approach.firstTime) approach.firstTime = sample.time;
+    approaches.set(id, approach);
+  };
+
+  byTime.forEach((entries) => {
+    const grid = createPointGrid(entries, cellSizeDeg, (entry) => entry.sample);
+    entries.forEach(({ id, sample }) => {
+      queryRadius(grid, sample.lat, sample.lon, horizontalKm).forEach(({ item, distance }) => {
+        // Each pair is found from both ends; keep the one with the lower ID.
+        if (!(id < item.id)) return;
+        const vertical = verticalSeparation(sample.alt, item.sample.alt);
+        if (vertical !== null && vertical > verticalKm) return;
+        record(`${id}|${item.id}`, { kind: "balloon", balloonIds: [id, item.id], point: null }, sample, distance, vertical, item.sample);
+      });
+      if (!pointGrid) return;
+      queryRadius(pointGrid, sample.lat, sample.lon, horizontalKm).forEach(({ item: point, distance }) => {
+        const hasAlt = typeof point.altKm === "number";
+        const vertical = hasAlt ? verticalSeparation(sample.alt, point.altKm) : null;
+        if (vertical !== null && vertical > verticalKm) return;
+        record(`${id}|point:${point.id}`, { kind: "point", balloonIds: [id], point }, sample, distance, vertical, point);
+      });
+    });
+  });
+
+  return [...approaches.values()].sort((a, b) => a.time - b.time || a.distanceKm - b.distanceKm);
+}
+
+// Reads "lat, lon" or "lat, lon, alt" off the end of a line's fields; null when they don't fit.
+function coordinatesAtEnd(fields, count) {
+  if (fields.length <= count) return null;
+  const numbers = fields.slice(-count).map((field) => (field ? Number(field) : NaN));
+  const [lat, lon, altKm] = numbers;
+  if (!numbers.every(isFinite) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  const name = fields.slice(0, -count).join(", ");
+  return name ? { name, lat, lon, ...(count === 3 ? { altKm } : {}) } : null;
+}
+
+/**
+ * Fixed points from text, one per line: "name, lat, lon" with an optional
+ * altitude in km after the longitude. The numbers are read from the end of
+ * the line, so names may contain commas ("Denver, CO, 39.86, -104.67").
+ * Blank lines and lines starting with # are ignored.
+ * @param {string} text
+ * @returns {{ points: Array<{ id: string, name: string, lat: number, lon: number, altKm?: number }>, errors: Array<string> }}
+ *   errors name the lines that could not be read.
+ */
+export function parseFixedPoints(text) {
+  const points = [];
+  const errors = [];
+  String(text || "").split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+    const fields = trimmed.split(",").map((field) => field.trim());
+    const point = coordinatesAtEnd(fields, 3) || coordinatesAtEnd(fields, 2);
+    if (!point) {
+      errors.push(`Line ${index + 1}: expected "name, lat, lon" or "name, lat, lon, alt km"`);
+      return;
+    }
+    points.push({ id: `${points.length + 1}-${point.name}`, ...point });
+  });
+  return { points, errors };
+}
+
+/**
+ * Fixed points as text that parseFixedPoints reads back.
+ * @param {Array<object>} points
+ * @returns {string}
+ */
+export function formatFixedPoints(points) {
+  return points
+    .map((point) => [point.name, point.lat, point.lon, ...(typeof point.altKm === "number" ? [point.altKm] : [])].join(", "))
+    .join("\n");
+}
+
+/**
+ * Separation limits, forecast horizon and fixed points saved in this browser.
+ * @returns {object} Shaped like DEFAULT_PROXIMITY_SETTINGS.
+ */
+export function loadProximitySettings() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(PROXIMITY_STORAGE_KEY) || "null");
+    if (!stored || typeof stored !== "object") return DEFAULT_PROXIMITY_SETTINGS;
+    const settings = { ...DEFAULT_PROXIMITY_SETTINGS };
+    ["horizontalKm", "verticalKm"].forEach((key) => {
+      if (typeof stored[key] === "number" && stored[key] > 0) settings[key] = stored[key];
+    });
+    if (typeof stored.forecastHours === "number") {
+      settings.forecastHours = Math.max(0, Math.min(MAX_FORECAST_HOURS, stored.forecastHours));
+    }
+    if (Array.isArray(stored.points)) {
+      settings.points = parseFixedPoints(formatFixedPoints(stored.points.filter((point) => point && typeof point.name === "string"))).points;
+    }
+    return settings;
+  } catch (e) {
+    console.warn("Could not read saved proximity settings:", e);
+    return DEFAULT_PROXIMITY_SETTINGS;
+  }
+}
+
+/** @param {object} settings */
+export function saveProximitySettings(settings) {
+  try {
+    window.localStorage.setItem(PROXIMITY_STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Could not save proximity settings:", e);
+  }
+}
+
@@ -0,0 +1,152 @@
+import * as geo from './geo';
+import {
+  DEFAULT_PROXIMITY_SETTINGS,
+  findCloseApproaches,
+  formatFixedPoints,
+  loadProximitySettings,
+  parseFixedPoints,
+  sampleBalloon,
+  saveProximitySettings,
+} from './proximity';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date(Date.UTC(2025, 4, 1, 12));
+const LIMITS = { horizontalKm: 50, verticalKm: 1 };
+
+// A balloon seen only at T0.
+const now = (id, lat, lon, alt = 15) => ({ id, samples: [{ lat, lon, alt, time: T0, forecast: false }] });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  window.localStorage.clear();
+});
+
+test('pairs balloons within the horizontal and vertical limits now', () => {
+  const approaches = findCloseApproaches([
+    now('1', 35, -97, 15),
+    now('2', 35.3, -97, 15.4),
+    // Close horizontally but 3 km higher.
+    now('3', 35.1, -97.1, 18),
+    // 100 km away.
+    now('4', 35.9, -97),
+  ], [], LIMITS);
+
+  expect(approaches).toHaveLength(1);
+  expect(approaches[0]).toMatchObject({
+    id: '1|2',
+    kind: 'balloon',
+    balloonIds: ['1', '2'],
+    time: T0,
+    forecast: false,
+    closeNow: true,
+    verticalKm: expect.closeTo(0.4, 9),
+    from: { lat: 35, lon: -97 },
+    to: { lat: 35.3, lon: -97 },
+  });
+  expect(approaches[0].distanceKm).toBeCloseTo(33.4, 0);
+});
+
+test('finds the time of closest approach along the forecast tracks', () => {
+  // Two balloons 222 km apart flying towards each other at 100 km/h.
+  const degreesPerHour = 100 / 111.195;
+  const eastbound = [{ lat: 0, lon: 0, alt: 15, timestamp: T0 }, { lat: 0, lon: -degreesPerHour, alt: 15, timestamp: new Date(T0 - HOUR) }];
+  const westbound = [{ lat: 0, lon: 2, alt: 15.5, timestamp: T0 }, { lat: 0, lon: 2 + degreesPerHour, alt: 15.5, timestamp: new Date(T0 - HOUR) }];
+  const tracks = [
+    sampleBalloon('a', eastbound[0], eastbound, { referenceTime: T0, forecastHours: 3 }),
+    sampleBalloon('b', westbound[0], westbound, { referenceTime: T0, forecastHours: 3 }),
+  ];
+  expect(tracks[0].samples).toHaveLength(13);
+
+  const [approach] = findCloseApproaches(tracks, [], LIMITS);
+  expect(approach).toMatchObject({ id: 'a|b', forecast: true, closeNow: false, verticalKm: expect.closeTo(0.5, 9) });
+  expect(approach.time).toEqual(new Date(T0.getTime() + HOUR));
+  expect(approach.firstTime).toEqual(approach.time);
+  expect(approach.distanceKm).toBeCloseTo(22.4, 0);
+
+  // Without a forecast only the current positions count.
+  const current = tracks.map((track) => ({ ...track, samples: track.samples.filter((sample) => !sample.forecast) }));
+  expect(findCloseApproaches(current, [], LIMITS)).toEqual([]);
+});
+
+test('matches fixed points by distance, and by altitude when they have one', () => {
+  const { points } = parseFixedPoints('KOKC, 35.3931, -97.6007\nTower, 35.2, -97.4, 14.5\nDeep, 35.2, -97.4, 2');
+  const approaches = findCloseApproaches([now('7', 35.25, -97.45, 15)], points, LIMITS);
+
+  expect(approaches.map((approach) => approach.point.name)).toEqual(['Tower', 'KOKC']);
+  expect(approaches[0]).toMatchObject({ kind: 'point', balloonIds: ['7'], verticalKm: expect.closeTo(0.5, 9), to: { lat: 35.2, lon: -97.4 } });
+  expect(approaches[1].verticalKm).toBeNull();
+});
+
+test('pairs balloons either side of the antimeridian', () => {
+  const [approach] = findCloseApproaches([now('1', 21.17, -179.9), now('2', 21.2, 179.9)], [], LIMITS);
+
+  expect(approach.balloonIds).toEqual(['1', '2']);
+  expect(approach.distanceKm).toBeLessThan(25);
+});
+
+test('agrees with checking every pair while measuring only nearby balloons', () => {
+  // A constellation with some balloons launched in pairs, from a fixed seed.
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const tracks = [];
+  for (let i = 0; i < 600; i++) {
+    const lat = random() * 140 - 70;
+    const lon = random() * 360 - 180;
+    tracks.push(now(`b${i}`, lat, lon, 10 + random() * 10));
+    if (i % 10 === 0) tracks.push(now(`b${i}-twin`, lat + random() * 0.5, lon, 10 + random() * 10));
+  }
+
+  const expected = [];
+  tracks.forEach((a) => tracks.forEach((b) => {
+    if (!(a.id < b.id)) return;
+    const [pa, pb] = [a.samples[0], b.samples[0]];
+    if (geo.calculateDistance(pa.lat, pa.lon, pb.lat, pb.lon) <= 50 && Math.abs(pa.alt - pb.alt) <= 1) expected.push(`${a.id}|${b.id}`);
+  }));
+
+  const distanceSpy = jest.spyOn(geo, 'calculateDistance');
+  const approaches = findCloseApproaches(tracks, [], LIMITS);
+
+  expect(expected.length).toBeGreaterThan(0);
+  expect(approaches.map((approach) => approach.id).sort()).toEqual(expected.sort());
+  // Each balloon is measured against itself and a few neighbours, not the other 659.
+  expect(distanceSpy.mock.calls.length).toBeGreaterThanOrEqual(tracks.length);
+  expect(distanceSpy.mock.calls.length).toBeLessThan(tracks.length * 10);
+});
+
+test('reads fixed points from text and writes them back', () => {
+  const { points, errors } = parseFixedPoints('# sites\nKOKC, 35.3931, -97.6007\n\nLaunch, 36.1, -96, 0.4\nBad line\nNorth, 91, 0\nEmpty, , 10');
+
+  expect(points.map(({ name, lat, lon, altKm }) => ({ name, lat, lon, altKm }))).toEqual([
+    { name: 'KOKC', lat: 35.3931, lon: -97.6007, altKm: undefined },
+    { name: 'Launch', lat: 36.1, lon: -96, altKm: 0.4 },
+  ]);
+  expect(errors.map((error) => error.split(':')[0])).toEqual(['Line 5', 'Line 6', 'Line 7']);
+  expect(formatFixedPoints(points)).toBe('KOKC, 35.3931, -97.6007\nLaunch, 36.1, -96, 0.4');
+});
+
+test('keeps commas in point names, reading the numbers from the end of the line', () => {
+  const { points, errors } = parseFixedPoints('Denver, CO, 39.86, -104.67\nDenver, CO, 39.86, -104.67, 1.6');
+
+  expect(errors).toEqual([]);
+  expect(points.map(({ name, lat, lon, altKm }) => ({ name, lat, lon, altKm }))).toEqual([
+    { name: 'Denver, CO', lat: 39.86, lon: -104.67, altKm: undefined },
+    { name: 'Denver, CO', lat: 39.86, lon: -104.67, altKm: 1.6 },
+  ]);
+  expect(parseFixedPoints(formatFixedPoints(points)).points).toEqual(points);
+});
+
+test('saves and restores the settings, falling back to the defaults', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(loadProximitySettings()).toEqual(DEFAULT_PROXIMITY_SETTINGS);
+
+  const { points } = parseFixedPoints('KOKC, 35.3931, -97.6007');
+  saveProximitySettings({ horizontalKm: 20, verticalKm: 0.5, forecastHours: 40, points });
+  expect(loadProximitySettings()).toEqual({ horizontalKm: 20, verticalKm: 0.5, forecastHours: 12, points });
+
+  window.localStorage.setItem('windborne.proximity', '{not json');
+  expect(loadProximitySettings()).toEqual(DEFAULT_PROXIMITY_SETTINGS);
+  expect(console.warn).toHaveBeenCalled();
+});
@@ -0,0 +1,44 @@
+import { feature } from "topojson-client";
+import { boundsContain, geometryBounds, pointInGeometry } from "./geometry";
+
+/**
+ * Builds a lookup that names the region containing a point.
+ * Layers are checked in order, so finer layers (US states) should come before
+ * coarser ones (countries).
+ * @param {Array<object>} layers - GeoJSON FeatureCollections whose features have properties.name.
+ * @returns {Function} (lat, lon) => region name, or null over open water.
+ */
+export function createRegionLookup(layers) {
+  const regions = [];
+  layers.forEach((collection) => {
+    (collection.features || []).forEach((regionFeature) => {
+      const bounds = geometryBounds(regionFeature.geometry);
+      const name = regionFeature.properties && regionFeature.properties.name;
+      if (bounds && name) {
+        regions.push({ name, bounds, geometry: regionFeature.geometry });
+      }
+    });
+  });
+
+  return function lookupRegion(lat, lon) {
+    const region = regions.find((candidate) =>
+      boundsContain(candidate.bounds, lon, lat) && pointInGeometry(lon, lat, candidate.geometry));
+    return region ? region.name : null;
+  };
+}
+
+/**
+ * Loads the bundled US state and world country boundaries and builds a region lookup.
+ * The boundary files are split into their own chunk so they do not delay the first paint.
+ * @returns {Promise<Function>} Resolves to a lookup from createRegionLookup.
+ */
+export async function loadRegionLookup() {
+  const [{ default: statesTopology }, { default: countriesTopology }] = await Promise.all([
+    import("us-atlas/states-10m.json"),
+    import("world-atlas/countries-110m.json"),
+  ]);
+  return createRegionLookup([
+    feature(statesTopology, statesTopology.objects.states),
+    feature(countriesTopology, countriesTopology.objects.countries),
+  ]);
+}
@@ -0,0 +1,29 @@
+import { createRegionLookup, loadRegionLookup } from './regions';
+
+const square = (name, minLon, minLat, maxLon, maxLat) => ({
+  type: 'Feature',
+  properties: { name },
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[minLon, minLat], [maxLon, minLat], [maxLon, maxLat], [minLon, maxLat], [minLon, minLat]]],
+  },
+});
+
+test('checks finer layers before coarser ones', () => {
+  const lookup = createRegionLookup([
+    { features: [square('Inner', 0, 0, 1, 1)] },
+    { features: [square('Outer', -5, -5, 5, 5)] },
+  ]);
+
+  expect(lookup(0.5, 0.5)).toBe('Inner');
+  expect(lookup(3, 3)).toBe('Outer');
+  expect(lookup(10, 10)).toBeNull();
+});
+
+test('names US states, other countries and open water from the bundled boundaries', async () => {
+  const lookup = await loadRegionLookup();
+
+  expect(lookup(39.74, -104.99)).toBe('Colorado');
+  expect(lookup(48.86, 2.35)).toBe('France');
+  expect(lookup(30, -40)).toBeNull();
+});
@@ -0,0 +1,110 @@
+import { intermediatePoint } from "./geo";
+import { MAX_GAP_HOURS } from "./trackAssociation";
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/** How long after its last fix a balloon is still shown at that fix during replay. */
+const HOLD_LAST_FIX_MS = MS_PER_HOUR;
+
+/**
+ * How long after its last fix a balloon still counts as flying when live.
+ * Association closes a track after this gap, so nothing can continue it.
+ */
+export const LIVE_LAST_SEEN_MS = MAX_GAP_HOURS * MS_PER_HOUR;
+
+/**
+ * Earliest and latest fix times across all balloons.
+ * @param {Array<object>} balloons - Balloons with positions sorted newest first.
+ * @returns {{ start: Date, end: Date }|null} Null when there are no fixes.
+ */
+export function getReplayBounds(balloons) {
+  let start = Infinity;
+  let end = -Infinity;
+  (balloons || []).forEach((balloon) => {
+    (balloon.positions || []).forEach((pos) => {
+      const time = pos.timestamp.getTime();
+      if (time < start) start = time;
+      if (time > end) end = time;
+    });
+  });
+  if (!isFinite(start) || !isFinite(end)) return null;
+  return { start: new Date(start), end: new Date(end) };
+}
+
+/**
+ * Where a balloon was at a given moment, interpolated along the great circle
+ * between the two hourly fixes around it. Altitude is interpolated linearly.
+ * @param {Array<object>} positions - Fixes sorted newest first.
+ * @param {Date} time - Moment to look up.
+ * @returns {object|null} Position with `interpolated: true` when between fixes,
+ *   or null when the balloon was not being tracked at that time.
+ */
+export function positionAtTime(positions, time) {
+  if (!positions || positions.length === 0) return null;
+  const target = time.getTime();
+  const newest = positions[0];
+
+  if (target >= newest.timestamp.getTime()) {
+    return target - newest.timestamp.getTime() <= HOLD_LAST_FIX_MS ? newest : null;
+  }
+
+  for (let i = 1; i < positions.length; i++) {
+    const older = positions[i];
+    const olderTime = older.timestamp.getTime();
+    if (olderTime > target) continue;
+    if (olderTime === target) return older;
+
+    const newer = positions[i - 1];
+    const fraction = (target - olderTime) / (newer.timestamp.getTime() - olderTime);
+    const point = intermediatePoint(older.lat, older.lon, newer.lat, newer.lon, fraction);
+    return {
+      ...point,
+      alt: older.alt + (newer.alt - older.alt) * fraction,
+      timestamp: new Date(target),
+      interpolated: true,
+    };
+  }
+  return null;
+}
+
+/**
+ * The part of a track flown up to a given moment, ending at the interpolated position.
+ * @param {Array<object>} positions - Fixes sorted newest first.
+ * @param {Date} time - Moment the trail should end at.
+ * @returns {Array<object>} Positions sorted newest first.
+ */
+export function positionsUpTo(positions, time) {
+  const head = positionAtTime(positions, time);
+  if (!head) return [];
+  const earlier = positions.filter((pos) => pos.timestamp.getTime() < head.timestamp.getTime());
+  return [head, ...earlier];
+}
+
+/**
+ * Moves a replay time by whole hours, staying within the replay bounds.
+ * @param {Date} time - Current replay time.
+ * @param {number} hours - Hours to move; negative steps back.
+ * @param {{ start: Date, end: Date }} bounds
+ * @returns {Date}
+ */
+export function stepReplayTime(time, hours, bounds) {
+  const next = time.getTime() + hours * MS_PER_HOUR;
+  return new Date(Math.min(bounds.end.getTime(), Math.max(bounds.start.getTime(), next)));
+}
+
+/**
+ * Balloons seen within LIVE_LAST_SEEN_MS of the newest fix of any balloon.
+ * Tracks that ended earlier stay in the history for replay and export but
+ * are not current. Measured from the newest fix rather than the clock, so a
+ * feed served from an offline copy still shows its balloons.
+ * @param {Array<object>} balloons - Balloons, positions newest first.
+ * @returns {Array<object>} The flying balloons, in the same order.
+ */
+export function flyingBalloons(balloons) {
+  const seen = (balloon) => {
+    const newest = balloon.currentPosition || (balloon.positions || [])[0];
+    return newest ? newest.timestamp.getTime() : -Infinity;
+  };
+  const newest = (balloons || []).reduce((max, balloon) => Math.max(max, seen(balloon)), -Infinity);
+  return (balloons || []).filter((balloon) => seen(balloon) >= newest - LIVE_LAST_SEEN_MS);
+}
@@ -0,0 +1,76 @@
+import { LIVE_LAST_SEEN_MS, flyingBalloons, getReplayBounds, positionAtTime, positionsUpTo, stepReplayTime } from './replay';
+import { calculateDistance } from './geo';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date('2025-05-01T12:00:00Z').getTime();
+
+// Newest first, as produced by track association.
+const positions = [
+  { lat: 0, lon: 20, alt: 12, timestamp: new Date(T0) },
+  { lat: 0, lon: 10, alt: 10, timestamp: new Date(T0 - HOUR) },
+  { lat: 0, lon: 0, alt: 8, timestamp: new Date(T0 - 2 * HOUR) },
+];
+
+test('interpolates between the fixes around the requested time', () => {
+  const pos = positionAtTime(positions, new Date(T0 - 1.5 * HOUR));
+
+  expect(pos.interpolated).toBe(true);
+  expect(pos.lat).toBeCloseTo(0, 6);
+  expect(pos.lon).toBeCloseTo(5, 6);
+  expect(pos.alt).toBeCloseTo(9, 6);
+});
+
+test('follows the great circle rather than a straight lat/lon line', () => {
+  const high = [
+    { lat: 60, lon: 90, alt: 10, timestamp: new Date(T0) },
+    { lat: 60, lon: -90, alt: 10, timestamp: new Date(T0 - HOUR) },
+  ];
+  const mid = positionAtTime(high, new Date(T0 - 0.5 * HOUR));
+
+  // The shortest route between these points passes over the pole.
+  expect(mid.lat).toBeCloseTo(90, 4);
+  const half = calculateDistance(60, -90, 60, 90) / 2;
+  expect(calculateDistance(60, -90, mid.lat, mid.lon)).toBeCloseTo(half, 3);
+});
+
+test('returns exact fixes without interpolating', () => {
+  expect(positionAtTime(positions, new Date(T0 - HOUR))).toBe(positions[1]);
+});
+
+test('returns null outside the tracked window', () => {
+  expect(positionAtTime(positions, new Date(T0 - 3 * HOUR))).toBeNull();
+  expect(positionAtTime(positions, new Date(T0 + 2 * HOUR))).toBeNull();
+  expect(positionAtTime(positions, new Date(T0 + 0.5 * HOUR))).toBe(positions[0]);
+});
+
+test('ends the trail at the replayed moment', () => {
+  const trail = positionsUpTo(positions, new Date(T0 - 0.5 * HOUR));
+
+  expect(trail).toHaveLength(3);
+  expect(trail[0].lon).toBeCloseTo(15, 6);
+  expect(trail.slice(1)).toEqual(positions.slice(1));
+});
+
+test('computes bounds across balloons and clamps hour steps to them', () => {
+  const bounds = getReplayBounds([{ positions }, { positions: [] }]);
+
+  expect(bounds.start).toEqual(new Date(T0 - 2 * HOUR));
+  expect(bounds.end).toEqual(new Date(T0));
+  expect(stepReplayTime(new Date(T0 - HOUR), 1, bounds)).toEqual(new Date(T0));
+  expect(stepReplayTime(new Date(T0), 1, bounds)).toEqual(new Date(T0));
+  expect(stepReplayTime(new Date(T0 - 1.5 * HOUR), -1, bounds)).toEqual(new Date(T0 - 2 * HOUR));
+  expect(getReplayBounds([])).toBeNull();
+});
+
+test('counts only balloons seen lately as flying, whatever the clock says', () => {
+  const seenAt = (id, time) => ({ id, currentPosition: { lat: 0, lon: 0, alt: 10, timestamp: new Date(time) } });
+  const balloons = [
+    seenAt('now', T0),
+    seenAt('gap', T0 - LIVE_LAST_SEEN_MS),
+    seenAt('ended', T0 - 50 * HOUR),
+    { id: 'empty', currentPosition: null, positions: [] },
+  ];
+
+  expect(flyingBalloons(balloons).map((balloon) => balloon.id)).toEqual(['now', 'gap']);
+  expect(flyingBalloons([])).toEqual([]);
+});
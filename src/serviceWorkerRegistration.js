@@ -0,0 +1,27 @@
+/**
+ * Registers public/service-worker.js, which keeps the app shell, the last
+ * feed and alert downloads and viewed map tiles available offline. Only in
+ * production builds: in development it would serve stale bundles.
+ */
+
+/**
+ * @param {{ onUpdate?: Function }} [options] - onUpdate(registration) is called when a new
+ *   version of the worker has installed and will take over on the next load.
+ */
+export function registerServiceWorker({ onUpdate } = {}) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            if (installing.state === "installed" && navigator.serviceWorker.controller && onUpdate) onUpdate(registration);
+          };
+        };
+      })
+      .catch((err) => console.warn("Service worker registration failed:", err));
+  });
+}
@@ -1,6 +1,15 @@
 const { createProxyMiddleware } = require('http-proxy-middleware');
 
+// With BACKEND_URL set (e.g. http://localhost:4000 from `npm run server`), the dev
+// server sends both API paths to the tracker service; otherwise straight upstream.
+const backendUrl = process.env.BACKEND_URL;
+
 module.exports = function(app) {
+  if (backendUrl) {
+    app.use(createProxyMiddleware({ pathFilter: ['/api', '/weather-api'], target: backendUrl, changeOrigin: true }));
+    return;
+  }
+
   app.use(
     '/api',
     createProxyMiddleware({
@@ -11,4 +20,19 @@ module.exports = function(app) {
       },
     })
   );
-}; 
\ No newline at end of file
+  app.use(
+    '/weather-api',
+    createProxyMiddleware({
+      target: 'https://api.weather.gov',
+      changeOrigin: true,
+      pathRewrite: {
+        '^/weather-api': '',
+      },
+      // api.weather.gov rejects requests that do not identify the client.
+      headers: {
+        'User-Agent': '(Windborne Balloon Tracker, learning project)',
+        Accept: 'application/geo+json',
+      },
+    })
+  );
+};
@@ -3,3 +3,13 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no SVG geometry, so Leaflet would find no renderer for polygons and
+// polylines. Its SVG renderer only checks that createSVGRect exists.
+if (typeof SVGSVGElement !== 'undefined' && !SVGSVGElement.prototype.createSVGRect) {
+  SVGSVGElement.prototype.createSVGRect = () => ({ x: 0, y: 0, width: 0, height: 0 });
+}
+
+// jsdom logs "Not implemented" whenever window.scrollTo is called while the
+// alert list scrolls; scrolling has no effect on what the tests assert.
+window.scrollTo = () => {};
@@ -0,0 +1,84 @@
+import { calculateDistance } from "./geo";
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+/**
+ * Buckets items with a lat/lon into fixed-size degree cells so that
+ * radius queries only visit nearby cells instead of every item.
+ * @param {Array<object>} items - Items to index.
+ * @param {number} [cellSizeDeg=5] - Cell edge length in degrees.
+ * @param {Function} [getLatLon] - Maps an item to { lat, lon }. Defaults to the item itself.
+ * @returns {{ cellSizeDeg: number, cells: Map<string, Array<object>>, getLatLon: Function }}
+ */
+export function createPointGrid(items, cellSizeDeg = 5, getLatLon = (item) => item) {
+  const cells = new Map();
+  items.forEach((item) => {
+    const { lat, lon } = getLatLon(item);
+    if (!isFinite(lat) || !isFinite(lon)) return;
+    const key = cellKey(lat, lon, cellSizeDeg);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(item);
+  });
+  return { cellSizeDeg, cells, getLatLon };
+}
+
+function cellKey(lat, lon, cellSizeDeg) {
+  return `${latCell(lat, cellSizeDeg)}:${lonCell(lon, cellSizeDeg)}`;
+}
+
+function latCell(lat, cellSizeDeg) {
+  return Math.floor((lat + 90) / cellSizeDeg);
+}
+
+function lonCell(lon, cellSizeDeg) {
+  const wrapped = ((((lon + 180) % 360) + 360) % 360);
+  return Math.floor(wrapped / cellSizeDeg);
+}
+
+/**
+ * Returns every indexed item within radiusKm of a point, with its distance.
+ * Handles the antimeridian and widens the longitude search near the poles.
+ * @param {object} grid - Grid from createPointGrid.
+ * @param {number} lat - Query latitude.
+ * @param {number} lon - Query longitude.
+ * @param {number} radiusKm - Search radius.
+ * @returns {Array<{ item: object, distance: number }>}
+ */
+export function queryRadius(grid, lat, lon, radiusKm) {
+  const { cellSizeDeg, cells, getLatLon } = grid;
+  const results = [];
+  const latCellCount = Math.ceil(180 / cellSizeDeg);
+  const lonCellCount = Math.ceil(360 / cellSizeDeg);
+
+  const latSpanDeg = radiusKm / KM_PER_DEGREE_LAT;
+  const minLatCell = Math.max(0, latCell(lat - latSpanDeg, cellSizeDeg));
+  const maxLatCell = Math.min(latCellCount - 1, latCell(lat + latSpanDeg, cellSizeDeg));
+
+  // The longitude span of the search circle is widest at the most poleward latitude it reaches.
+  const extremeLat = Math.min(89.999, Math.abs(lat) + latSpanDeg);
+  const lonSpanDeg = radiusKm / (KM_PER_DEGREE_LAT * Math.cos(extremeLat * Math.PI / 180));
+  const lonRadiusCells = extremeLat >= 89.999 || lonSpanDeg >= 180
+    ? Math.ceil(lonCellCount / 2)
+    : Math.ceil(lonSpanDeg / cellSizeDeg);
+  const centerLonCell = lonCell(lon, cellSizeDeg);
+
+  const visitedLonCells = new Set();
+  for (let offset = -lonRadiusCells; offset <= lonRadiusCells; offset++) {
+    visitedLonCells.add((((centerLonCell + offset) % lonCellCount) + lonCellCount) % lonCellCount);
+  }
+
+  for (let latIdx = minLatCell; latIdx <= maxLatCell; latIdx++) {
+    visitedLonCells.forEach((lonIdx) => {
+      const bucket = cells.get(`${latIdx}:${lonIdx}`);
+      if (!bucket) return;
+      bucket.forEach((item) => {
+        const point = getLatLon(item);
+        const distance = calculateDistance(lat, lon, point.lat, point.lon);
+        if (distance <= radiusKm) {
+          results.push({ item, distance });
+        }
+      });
+    });
+  }
+  return results;
+}
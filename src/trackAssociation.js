@@ -0,0 +1,325 @@
+import { calculateDistance, calculateBearing, destinationPoint, bearingDifference } from "./geo";
+import { createPointGrid, queryRadius } from "./spatialGrid";
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/** Fastest plausible stratospheric drift; links implying more than this are rejected. */
+export const MAX_DRIFT_SPEED_KMH = 400;
+/** Fastest plausible sustained climb or descent. */
+export const MAX_ALTITUDE_RATE_KMH = 6;
+/** How many hours a track may go unobserved before it is closed. */
+export const MAX_GAP_HOURS = 3;
+/** Spread of the prediction residual that still counts as a good match. */
+const PREDICTION_SIGMA_KMH = 120;
+/** Displacements shorter than this carry no usable bearing. */
+const MIN_BEARING_DISTANCE_KM = 5;
+
+/**
+ * Links each hour's fixes to the tracks built from the previous hours.
+ *
+ * Snapshots are processed oldest first. For every open track, candidate fixes
+ * within reach of the drift speed limit are scored on how close they land to
+ * the track's extrapolated position, how much altitude changed and how much
+ * the bearing turned. Links are then accepted greedily by confidence so each
+ * fix joins at most one track; leftover fixes start new tracks.
+ *
+ * @param {Array<{ hour: number, timestamp: Date, fixes: Array<object> }>} snapshots
+ *   One entry per hourly file. Fixes need lat, lon and alt.
+ * @param {object} [options]
+ * @param {Array<object>} [options.previousTracks] - Tracks from the last refresh, used to keep IDs stable.
+ * @param {number} [options.maxSpeedKmh]
+ * @param {number} [options.maxAltitudeRateKmh]
+ * @param {number} [options.maxGapHours]
+ * @returns {Array<{ id: string, positions: Array<object>, confidence: number|null }>}
+ *   Tracks with positions sorted newest first. Each position carries the
+ *   linkConfidence (0-1) of its link to the previous fix, null for the first fix.
+ *   A first fix that looks like another track jumping too far also carries impossibleSpeedKmh.
+ */
+export function associateTracks(snapshots, options = {}) {
+  const {
+    previousTracks = [],
+    maxSpeedKmh = MAX_DRIFT_SPEED_KMH,
+    maxAltitudeRateKmh = MAX_ALTITUDE_RATE_KMH,
+    maxGapHours = MAX_GAP_HOURS,
+  } = options;
+
+  const tracks = linkSnapshots(validSnapshots(snapshots), [], { maxSpeedKmh, maxAltitudeRateKmh, maxGapHours });
+  return finishTracks(tracks, previousTracks);
+}
+
+/**
+ * Associates only the hours the previous tracks were not built from. Fixes
+ * older than the first such hour keep the links they had, and the tracks still
+ * open then are continued, so an hourly refresh links the new hours instead of
+ * the whole archive. An hour counts as linked only when the previous tracks
+ * hold every one of its fixes: an hour only partly seen (through live updates,
+ * say) is linked again in full. Fixes from hours no longer in snapshots (past
+ * the retention period) are dropped, as associateTracks would.
+ *
+ * @param {Array<{ hour: number, timestamp: Date, fixes: Array<object> }>} snapshots
+ *   The whole history, as for associateTracks.
+ * @param {Array<object>} previousTracks - Tracks or balloons from the last refresh, positions newest first.
+ * @param {object} [options] - maxSpeedKmh, maxAltitudeRateKmh and maxGapHours, as for associateTracks.
+ * @returns {Array<{ id: string, positions: Array<object>, confidence: number|null }>} As associateTracks.
+ */
+export function associateNewHours(snapshots, previousTracks = [], options = {}) {
+  const {
+    maxSpeedKmh = MAX_DRIFT_SPEED_KMH,
+    maxAltitudeRateKmh = MAX_ALTITUDE_RATE_KMH,
+    maxGapHours = MAX_GAP_HOURS,
+  } = options;
+
+  const ordered = validSnapshots(snapshots);
+  const linkedFixes = new Set(previousTracks.flatMap((track) => (track.positions || []).map(timedFixKey)));
+  const firstNew = ordered.findIndex((snapshot) => snapshot.fixes
+    .some((fix) => !linkedFixes.has(timedFixKey({ ...fix, timestamp: snapshot.timestamp }))));
+  const startTime = firstNew === -1 ? Infinity : ordered[firstNew].timestamp.getTime();
+  const hourByTime = new Map(ordered.map((snapshot) => [snapshot.timestamp.getTime(), snapshot.hour]));
+
+  const seeds = previousTracks
+    .map((track) => {
+      const fixes = (track.positions || [])
+        .filter((pos) => pos.timestamp.getTime() < startTime && hourByTime.has(pos.timestamp.getTime()))
+        .reverse()
+        .map(({ lat, lon, alt, timestamp, linkConfidence, impossibleSpeedKmh }, i) => ({
+          lat,
+          lon,
+          alt,
+          timestamp,
+          hour: hourByTime.get(timestamp.getTime()),
+          linkConfidence: i === 0 ? null : linkConfidence,
+          ...(impossibleSpeedKmh ? { impossibleSpeedKmh } : {}),
+        }));
+      return { fixes };
+    })
+    .filter((track) => track.fixes.length > 0);
+
+  const newSnapshots = firstNew === -1 ? [] : ordered.slice(firstNew);
+  const tracks = linkSnapshots(newSnapshots, seeds, { maxSpeedKmh, maxAltitudeRateKmh, maxGapHours });
+  return finishTracks(tracks, previousTracks);
+}
+
+function validSnapshots(snapshots) {
+  return (snapshots || [])
+    .filter((snapshot) => snapshot && Array.isArray(snapshot.fixes) && snapshot.timestamp)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Links ordered snapshots onto tracks, extending the given tracks where they are still open.
+ * @returns {Array<{ fixes: Array<object> }>} The given tracks followed by new ones, fixes oldest first.
+ */
+function linkSnapshots(ordered, tracks, { maxSpeedKmh, maxAltitudeRateKmh, maxGapHours }) {
+  let openTracks = [...tracks];
+
+  ordered.forEach((snapshot) => {
+    const snapshotTime = snapshot.timestamp.getTime();
+    openTracks = openTracks.filter((track) => {
+      const gapHours = (snapshotTime - lastFix(track).timestamp.getTime()) / MS_PER_HOUR;
+      return gapHours <= maxGapHours;
+    });
+
+    const fixes = snapshot.fixes.map((fix) => ({
+      ...fix,
+      timestamp: snapshot.timestamp,
+      hour: snapshot.hour,
+      linkConfidence: null,
+    }));
+    const grid = createPointGrid(fixes);
+
+    const candidates = [];
+    openTracks.forEach((track) => {
+      const from = lastFix(track);
+      const dtHours = (snapshotTime - from.timestamp.getTime()) / MS_PER_HOUR;
+      if (dtHours <= 0) return;
+      const predicted = predictNextFix(track, dtHours);
+      queryRadius(grid, from.lat, from.lon, maxSpeedKmh * dtHours).forEach(({ item, distance }) => {
+        const confidence = scoreLink(track, item, {
+          dtHours, distance, predicted, maxSpeedKmh, maxAltitudeRateKmh,
+        });
+        if (confidence > 0) {
+          candidates.push({ track, fix: item, confidence });
+        }
+      });
+    });
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+    const extendedTracks = new Set();
+    const claimedFixes = new Set();
+    candidates.forEach(({ track, fix, confidence }) => {
+      if (extendedTracks.has(track) || claimedFixes.has(fix)) return;
+      fix.linkConfidence = confidence;
+      track.fixes.push(fix);
+      extendedTracks.add(track);
+      claimedFixes.add(fix);
+    });
+
+    markImpossibleJumps(
+      openTracks.filter((track) => !extendedTracks.has(track)),
+      fixes.filter((fix) => !claimedFixes.has(fix)),
+      snapshotTime,
+      { maxSpeedKmh, maxAltitudeRateKmh }
+    );
+
+    fixes.forEach((fix) => {
+      if (claimedFixes.has(fix)) return;
+      const track = { fixes: [fix] };
+      tracks.push(track);
+      openTracks.push(track);
+    });
+  });
+
+  return tracks;
+}
+
+/**
+ * Marks leftover fixes that look like an unextended track jumping further than
+ * a balloon can drift: the track and the fix are each other's nearest, and the
+ * altitude change is plausible. The fix still starts a track of its own; it
+ * gets impossibleSpeedKmh so the data-quality checks can flag it.
+ */
+function markImpossibleJumps(tracks, fixes, snapshotTime, { maxSpeedKmh, maxAltitudeRateKmh }) {
+  if (tracks.length === 0 || fixes.length === 0) return;
+  const distanceBetween = (a, b) => calculateDistance(a.lat, a.lon, b.lat, b.lon);
+  const nearest = (items, distanceTo) => items.reduce((best, item) => {
+    const distance = distanceTo(item);
+    return best && best.distance <= distance ? best : { item, distance };
+  }, null);
+
+  tracks.forEach((track) => {
+    const from = lastFix(track);
+    const dtHours = (snapshotTime - from.timestamp.getTime()) / MS_PER_HOUR;
+    if (dtHours <= 0) return;
+    const plausible = fixes.filter((fix) => Math.abs((fix.alt || 0) - (from.alt || 0)) / dtHours <= maxAltitudeRateKmh);
+    const closest = nearest(plausible, (fix) => distanceBetween(from, fix));
+    if (!closest || closest.distance / dtHours <= maxSpeedKmh) return;
+    if (nearest(tracks, (other) => distanceBetween(lastFix(other), closest.item)).item !== track) return;
+    closest.item.impossibleSpeedKmh = Math.round(closest.distance / dtHours);
+  });
+}
+
+function finishTracks(tracks, previousTracks) {
+  const ids = assignTrackIds(tracks, previousTracks);
+
+  return tracks.map((track, i) => {
+    const links = track.fixes.slice(1).map((fix) => fix.linkConfidence);
+    return {
+      id: ids[i],
+      positions: track.fixes.slice().reverse(),
+      confidence: links.length > 0 ? links.reduce((sum, c) => sum + c, 0) / links.length : null,
+    };
+  });
+}
+
+function lastFix(track) {
+  return track.fixes[track.fixes.length - 1];
+}
+
+/**
+ * Extrapolates a track by dtHours assuming it keeps its last observed velocity.
+ * @returns {{ lat: number, lon: number, bearing: number }|null} Null when the track has a single fix.
+ */
+function predictNextFix(track, dtHours) {
+  if (track.fixes.length < 2) return null;
+  const prev = track.fixes[track.fixes.length - 2];
+  const last = lastFix(track);
+  const legHours = (last.timestamp.getTime() - prev.timestamp.getTime()) / MS_PER_HOUR;
+  const legDistance = calculateDistance(prev.lat, prev.lon, last.lat, last.lon);
+  if (legHours <= 0 || legDistance < MIN_BEARING_DISTANCE_KM) {
+    return { lat: last.lat, lon: last.lon, bearing: null };
+  }
+  const bearing = calculateBearing(prev.lat, prev.lon, last.lat, last.lon);
+  const point = destinationPoint(last.lat, last.lon, bearing, (legDistance / legHours) * dtHours);
+  return { ...point, bearing };
+}
+
+/**
+ * Scores how plausible it is that a fix continues a track.
+ * @returns {number} Confidence in 0-1; 0 means the link is impossible.
+ */
+function scoreLink(track, fix, { dtHours, distance, predicted, maxSpeedKmh, maxAltitudeRateKmh }) {
+  const from = lastFix(track);
+
+  const speed = distance / dtHours;
+  if (speed > maxSpeedKmh) return 0;
+
+  const altitudeRate = Math.abs((fix.alt || 0) - (from.alt || 0)) / dtHours;
+  if (altitudeRate > maxAltitudeRateKmh) return 0;
+  const altitudeScore = 1 - altitudeRate / maxAltitudeRateKmh;
+
+  let motionScore;
+  let bearingScore = 1;
+  if (predicted) {
+    const residual = calculateDistance(predicted.lat, predicted.lon, fix.lat, fix.lon);
+    const normalized = residual / (PREDICTION_SIGMA_KMH * dtHours);
+    motionScore = Math.exp(-0.5 * normalized * normalized);
+    if (predicted.bearing !== null && distance >= MIN_BEARING_DISTANCE_KM) {
+      const turn = bearingDifference(predicted.bearing, calculateBearing(from.lat, from.lon, fix.lat, fix.lon));
+      bearingScore = (1 + Math.cos(turn * Math.PI / 180)) / 2;
+    }
+  } else {
+    // Without a velocity estimate, prefer the nearest fix.
+    motionScore = 1 - speed / maxSpeedKmh;
+  }
+
+  // Weighted geometric mean: a poor score on any one cue drags the link down.
+  const confidence =
+    Math.pow(Math.max(motionScore, 1e-6), 0.5) *
+    Math.pow(Math.max(altitudeScore, 1e-6), 0.3) *
+    Math.pow(Math.max(bearingScore, 1e-6), 0.2);
+  return Math.min(1, Math.max(0, confidence));
+}
+
+function fixKey(fix) {
+  return `${fix.lat.toFixed(4)},${fix.lon.toFixed(4)},${(fix.alt || 0).toFixed(3)}`;
+}
+
+function timedFixKey(fix) {
+  return `${fix.timestamp.getTime()}|${fixKey(fix)}`;
+}
+
+/**
+ * Reuses IDs from the previous refresh for tracks that share fixes with an
+ * earlier track, so a balloon keeps its ID as hourly files shift. Tracks with
+ * no predecessor get the next unused numeric ID.
+ * @returns {Array<string>} IDs in the same order as tracks.
+ */
+function assignTrackIds(tracks, previousTracks) {
+  const previousIdByFix = new Map();
+  let nextId = 0;
+  previousTracks.forEach((track) => {
+    const numericId = Number(track.id);
+    if (Number.isInteger(numericId) && numericId >= nextId) nextId = numericId + 1;
+    (track.positions || []).forEach((pos) => previousIdByFix.set(fixKey(pos), track.id));
+  });
+
+  const votes = tracks.map((track, index) => {
+    const counts = new Map();
+    track.fixes.forEach((fix) => {
+      const previousId = previousIdByFix.get(fixKey(fix));
+      if (previousId !== undefined) counts.set(previousId, (counts.get(previousId) || 0) + 1);
+    });
+    const [bestId, bestCount] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    return { index, bestId, bestCount };
+  });
+
+  const ids = new Array(tracks.length);
+  const usedIds = new Set();
+  votes
+    .filter((vote) => vote.bestId !== null)
+    .sort((a, b) => b.bestCount - a.bestCount)
+    .forEach(({ index, bestId }) => {
+      if (usedIds.has(bestId)) return;
+      ids[index] = bestId;
+      usedIds.add(bestId);
+    });
+
+  for (let i = 0; i < tracks.length; i++) {
+    if (ids[i] === undefined) {
+      while (usedIds.has(String(nextId))) nextId++;
+      ids[i] = String(nextId);
+      usedIds.add(ids[i]);
+    }
+  }
+  return ids;
+}
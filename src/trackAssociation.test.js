@@ -0,0 +1,164 @@
+import { associateNewHours, associateTracks } from './trackAssociation';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2025-05-01T12:00:00Z').getTime();
+
+function snapshot(hour, fixes) {
+  return { hour, timestamp: new Date(NOW - hour * HOUR), fixes };
+}
+
+// Two balloons drifting east at different latitudes, with the array order swapped every other hour.
+function crossingOrderSnapshots() {
+  const snapshots = [];
+  for (let hour = 5; hour >= 0; hour--) {
+    const step = 5 - hour;
+    const north = { lat: 40, lon: -100 + step * 0.8, alt: 15 };
+    const south = { lat: 38, lon: -99 + step * 0.7, alt: 12 };
+    snapshots.push(snapshot(hour, hour % 2 === 0 ? [north, south] : [south, north]));
+  }
+  return snapshots;
+}
+
+test('links fixes into tracks regardless of array order', () => {
+  const tracks = associateTracks(crossingOrderSnapshots());
+
+  expect(tracks).toHaveLength(2);
+  tracks.forEach((track) => {
+    expect(track.positions).toHaveLength(6);
+    const lats = new Set(track.positions.map((pos) => pos.lat));
+    expect(lats.size).toBe(1);
+  });
+});
+
+test('returns positions newest first with link confidences', () => {
+  const [track] = associateTracks(crossingOrderSnapshots());
+
+  expect(track.positions[0].hour).toBe(0);
+  expect(track.positions[track.positions.length - 1].hour).toBe(5);
+  expect(track.positions[track.positions.length - 1].linkConfidence).toBeNull();
+  track.positions.slice(0, -1).forEach((pos) => {
+    expect(pos.linkConfidence).toBeGreaterThan(0);
+    expect(pos.linkConfidence).toBeLessThanOrEqual(1);
+  });
+  expect(track.confidence).toBeGreaterThan(0.5);
+});
+
+test('does not link fixes that imply an impossible drift speed', () => {
+  const tracks = associateTracks([
+    snapshot(1, [{ lat: 0, lon: 0, alt: 10 }]),
+    snapshot(0, [{ lat: 0, lon: 20, alt: 10 }]),
+  ]);
+
+  expect(tracks).toHaveLength(2);
+  tracks.forEach((track) => expect(track.confidence).toBeNull());
+});
+
+test('does not link fixes with an implausible altitude change', () => {
+  const tracks = associateTracks([
+    snapshot(1, [{ lat: 10, lon: 10, alt: 20 }]),
+    snapshot(0, [{ lat: 10, lon: 10.5, alt: 2 }]),
+  ]);
+
+  expect(tracks).toHaveLength(2);
+});
+
+test('prefers the candidate that continues the current heading', () => {
+  const tracks = associateTracks([
+    snapshot(2, [{ lat: 0, lon: 0, alt: 10 }]),
+    snapshot(1, [{ lat: 0, lon: 1, alt: 10 }]),
+    // Straight ahead is 1 degree east; the decoy is the same distance to the north.
+    snapshot(0, [{ lat: 1, lon: 1, alt: 10 }, { lat: 0, lon: 2, alt: 10 }]),
+  ]);
+
+  const main = tracks.find((track) => track.positions.length === 3);
+  expect(main.positions[0]).toMatchObject({ lat: 0, lon: 2 });
+});
+
+test('bridges a missing hour', () => {
+  const tracks = associateTracks([
+    snapshot(3, [{ lat: 20, lon: 20, alt: 10 }]),
+    snapshot(2, [{ lat: 20, lon: 21, alt: 10 }]),
+    snapshot(0, [{ lat: 20, lon: 23, alt: 10 }]),
+  ]);
+
+  expect(tracks).toHaveLength(1);
+  expect(tracks[0].positions).toHaveLength(3);
+});
+
+test('keeps track IDs stable across refreshes', () => {
+  const first = associateTracks(crossingOrderSnapshots());
+
+  // An hour later every file has shifted by one and the order is different again.
+  const next = crossingOrderSnapshots()
+    .slice(1)
+    .map((snap) => ({ ...snap, fixes: snap.fixes.slice().reverse() }));
+  next.push(snapshot(-1, [
+    { lat: 38, lon: -99 + 6 * 0.7, alt: 12 },
+    { lat: 40, lon: -100 + 6 * 0.8, alt: 15 },
+  ]));
+  const second = associateTracks(next, { previousTracks: first });
+
+  const idAtLat = (tracks, lat) => tracks.find((track) => track.positions[0].lat === lat).id;
+  expect(idAtLat(second, 40)).toBe(idAtLat(first, 40));
+  expect(idAtLat(second, 38)).toBe(idAtLat(first, 38));
+});
+
+test('gives new tracks IDs that do not collide with previous ones', () => {
+  const previousTracks = [{ id: '7', positions: [{ lat: -50, lon: 100, alt: 5 }] }];
+  const tracks = associateTracks([snapshot(0, [{ lat: 10, lon: 10, alt: 10 }])], { previousTracks });
+
+  expect(tracks[0].id).toBe('8');
+});
+
+describe('associateNewHours', () => {
+  test('links new hours onto the previous tracks as a full association would', () => {
+    const snapshots = crossingOrderSnapshots();
+    const previous = associateTracks(snapshots.slice(0, 4));
+    const tracks = associateNewHours(snapshots, previous);
+    const full = associateTracks(snapshots, { previousTracks: previous });
+
+    expect(tracks.map((track) => track.id)).toEqual(full.map((track) => track.id));
+    expect(tracks.map((track) => track.positions.map((pos) => [pos.lat, pos.lon, pos.hour]))).toEqual(
+      full.map((track) => track.positions.map((pos) => [pos.lat, pos.lon, pos.hour]))
+    );
+  });
+
+  test('keeps the links of hours it has seen and drops hours gone from the archive', () => {
+    const snapshots = crossingOrderSnapshots();
+    const previous = associateTracks(snapshots.slice(0, 5)).map((track) => ({
+      ...track,
+      // Stand-in confidences, to tell kept links from relinked ones.
+      positions: track.positions.map((pos) => ({ ...pos, linkConfidence: pos.linkConfidence === null ? null : 0.5 })),
+    }));
+    const tracks = associateNewHours(snapshots.slice(1), previous);
+
+    expect(tracks.map((track) => track.id)).toEqual(previous.map((track) => track.id));
+    tracks.forEach((track) => {
+      expect(track.positions).toHaveLength(5);
+      expect(track.positions[0].linkConfidence).not.toBe(0.5);
+      expect(track.positions.slice(1, -1).map((pos) => pos.linkConfidence)).toEqual([0.5, 0.5, 0.5]);
+      expect(track.positions[4].linkConfidence).toBeNull();
+    });
+  });
+
+  test('links again an hour the previous tracks hold only some fixes of', () => {
+    const snapshots = crossingOrderSnapshots();
+    // Live updates brought one balloon's newest fix; the fetched hour file has both.
+    const pushed = [...snapshots.slice(0, 5), { ...snapshots[5], fixes: snapshots[5].fixes.slice(0, 1) }];
+    const previous = associateTracks(pushed);
+    const tracks = associateNewHours(snapshots, previous);
+
+    expect(tracks).toHaveLength(2);
+    tracks.forEach((track) => expect(track.positions.map((pos) => pos.hour)).toEqual([0, 1, 2, 3, 4, 5]));
+  });
+
+  test('relinks from the oldest hour the previous tracks were not built from', () => {
+    const snapshots = crossingOrderSnapshots();
+    // Hour 3 failed last time and loads now.
+    const previous = associateTracks(snapshots.filter((s) => s.hour !== 3));
+    const tracks = associateNewHours(snapshots, previous);
+
+    expect(tracks).toHaveLength(2);
+    tracks.forEach((track) => expect(track.positions.map((pos) => pos.hour)).toEqual([0, 1, 2, 3, 4, 5]));
+  });
+});
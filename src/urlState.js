@@ -0,0 +1,219 @@
+import { COLOR_MODES } from "./colorScales";
+import { ALTITUDE_BANDS } from "./windField";
+import { MAX_FORECAST_HOURS } from "./forecast";
+import { DEFAULT_LIST_FILTERS } from "./balloonList";
+import { parseRegion } from "./alertRules";
+import { ALERT_SEVERITY_LEVELS, BASE_MAPS } from "./mapLayers";
+import { normalizeLongitude } from "./geo";
+
+/**
+ * Shareable view state in the URL hash: map centre and zoom, path history
+ * window, selection, color mode, base map, layer toggles and balloon-list filters.
+ * Every field is always written, so a link restores the whole view rather
+ * than merging with whatever the recipient had open. Track IDs are assigned
+ * per browser, so selected balloons are written as their newest fix and
+ * matched back to a track when the link is opened.
+ */
+
+const MAX_ZOOM = 20;
+// URL names of the overlay toggles in the layer settings.
+const OVERLAY_PARAMS = {
+  alerts: "showAlerts",
+  paths: "showPaths",
+  markers: "showMarkers",
+  forecast: "showForecast",
+  suspect: "showSuspectPoints",
+  proximity: "showProximity",
+};
+
+/** URL changes closer together than this replace the current history entry instead of adding one. */
+export const URL_HISTORY_MERGE_MS = 1000;
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function parseNumber(text, min, max) {
+  if (text === null || text === "") return undefined;
+  const value = Number(text);
+  return isFinite(value) && value >= min && value <= max ? value : undefined;
+}
+
+// Fixes match when their times agree to the second and positions to the rounding written in the URL.
+const FIX_MATCH_DEG = 1e-3;
+
+function encodeFix(fix) {
+  return [Math.round(fix.time.getTime() / 1000), round(fix.lat, 4), round(fix.lon, 4)].join("_");
+}
+
+function decodeFix(text) {
+  const [seconds, lat, lon] = text.split("_").map((part) => parseNumber(part, -Infinity, Infinity));
+  if (seconds === undefined || lat === undefined || lon === undefined || Math.abs(lat) > 90) return null;
+  return { time: new Date(seconds * 1000), lat, lon };
+}
+
+/**
+ * The fixes that identify selected balloons in a link: each one's newest fix.
+ * @param {Array<object>} balloons - Balloons with positions newest first.
+ * @param {Array<string>} ids - Selected track IDs.
+ * @returns {Array<{ time: Date, lat: number, lon: number }>} In the order of ids; unknown IDs are left out.
+ */
+export function selectionFixes(balloons, ids) {
+  return ids
+    .map((id) => balloons.find((balloon) => balloon.id === id))
+    .filter((balloon) => balloon && balloon.positions && balloon.positions.length > 0)
+    .map((balloon) => ({ time: balloon.positions[0].timestamp, lat: balloon.positions[0].lat, lon: balloon.positions[0].lon }));
+}
+
+/**
+ * Track IDs of the balloons that have the given fixes, in this browser's tracks.
+ * @param {Array<object>} balloons
+ * @param {Array<{ time: Date, lat: number, lon: number }>} fixes - From a link.
+ * @returns {Array<string>} Fixes no track has are skipped.
+ */
+export function resolveSelection(balloons, fixes) {
+  const ids = [];
+  fixes.forEach((fix) => {
+    const seconds = Math.round(fix.time.getTime() / 1000);
+    const match = balloons.find((balloon) => (balloon.positions || []).some((pos) => Math.round(pos.timestamp.getTime() / 1000) === seconds
+      && Math.abs(pos.lat - fix.lat) <= FIX_MATCH_DEG
+      && Math.abs(normalizeLongitude(pos.lon - fix.lon)) <= FIX_MATCH_DEG));
+    if (match && !ids.includes(match.id)) ids.push(match.id);
+  });
+  return ids;
+}
+
+function optionalNumberText(value) {
+  return value === null || value === undefined ? "" : String(value);
+}
+
+/**
+ * Serializes view state into a hash fragment (without the leading "#").
+ * @param {{
+ *   center: { lat: number, lng: number },
+ *   zoom: number,
+ *   timeFilter: number,
+ *   selectedFixes: Array<{ time: Date, lat: number, lon: number }>,
+ *   colorMode: string,
+ *   layers: { baseMap: string, showAlerts: boolean, showPaths: boolean, showMarkers: boolean, showForecast: boolean,
+ *     showSuspectPoints: boolean, showProximity: boolean, alertSeverities: Array<string>, hiddenEventTypes: Array<string> },
+ *   forecastHours: number,
+ *   showWindField: boolean,
+ *   windBandId: string,
+ *   filters: object
+ * }} state
+ *   layers holds the base map, overlay toggles and alert filters of the layer settings (see mapLayers.js);
+ *   filters are the balloon-list filters (see balloonList.js); selectedFixes come from selectionFixes.
+ * @returns {string}
+ */
+export function encodeViewState(state) {
+  const { filters } = state;
+  const params = new URLSearchParams();
+  params.set("c", `${round(state.center.lat, 4)},${round(state.center.lng, 4)}`);
+  params.set("z", String(round(state.zoom, 2)));
+  params.set("h", String(state.timeFilter));
+  params.set("color", state.colorMode);
+  params.set("base", state.layers.baseMap);
+  params.set("show", Object.keys(OVERLAY_PARAMS).filter((name) => state.layers[OVERLAY_PARAMS[name]]).join(","));
+  params.set("sev", state.layers.alertSeverities.join(","));
+  params.set("hideev", state.layers.hiddenEventTypes.join(","));
+  params.set("forecast", String(state.forecastHours));
+  params.set("wind", state.showWindField ? state.windBandId : "off");
+  params.set("sel", state.selectedFixes.map(encodeFix).join(","));
+  params.set("q", filters.query);
+  params.set("alt", `${optionalNumberText(filters.minAltKm)},${optionalNumberText(filters.maxAltKm)}`);
+  params.set("dist", optionalNumberText(filters.minDistanceKm));
+  params.set("inalert", filters.onlyInAlert ? "1" : "0");
+  params.set("box", filters.region
+    ? [filters.region.minLat, filters.region.minLon, filters.region.maxLat, filters.region.maxLon].join(",")
+    : "");
+  return params.toString();
+}
+
+/**
+ * Reads view state from a hash fragment. Fields that are missing or invalid
+ * are left out, so callers keep their own value for them.
+ * @param {string} hash - With or without the leading "#".
+ * @returns {object} Any of the fields accepted by encodeViewState, with center as { lat, lng };
+ *   layers may hold only some of its fields. selectedFixes are resolved to tracks with resolveSelection.
+ */
+export function decodeViewState(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const state = {};
+
+  // Longitude is not wrapped: after panning across world copies the centre can lie beyond ±180.
+  const [lat, lng] = (params.get("c") || "").split(",").map((part) => parseNumber(part, -Infinity, Infinity));
+  if (lat !== undefined && lng !== undefined && Math.abs(lat) <= 90) state.center = { lat, lng };
+  const zoom = parseNumber(params.get("z"), 0, MAX_ZOOM);
+  if (zoom !== undefined) state.zoom = zoom;
+  const timeFilter = parseNumber(params.get("h"), 1, Infinity);
+  if (timeFilter !== undefined) state.timeFilter = Math.round(timeFilter);
+  if (COLOR_MODES.some((mode) => mode.id === params.get("color"))) state.colorMode = params.get("color");
+
+  const layers = {};
+  if (BASE_MAPS.some((baseMap) => baseMap.id === params.get("base"))) layers.baseMap = params.get("base");
+  if (params.has("show")) {
+    const shown = params.get("show").split(",");
+    Object.entries(OVERLAY_PARAMS).forEach(([name, key]) => {
+      layers[key] = shown.includes(name);
+    });
+  }
+  if (params.has("sev")) {
+    const severities = params.get("sev").split(",");
+    layers.alertSeverities = ALERT_SEVERITY_LEVELS.filter((level) => severities.includes(level));
+  }
+  if (params.has("hideev")) layers.hiddenEventTypes = params.get("hideev").split(",").filter(Boolean);
+  if (Object.keys(layers).length > 0) state.layers = layers;
+  const forecastHours = parseNumber(params.get("forecast"), 1, MAX_FORECAST_HOURS);
+  if (forecastHours !== undefined) state.forecastHours = Math.round(forecastHours);
+  if (params.get("wind") === "off") {
+    state.showWindField = false;
+  } else if (ALTITUDE_BANDS.some((band) => band.id === params.get("wind"))) {
+    state.showWindField = true;
+    state.windBandId = params.get("wind");
+  }
+
+  if (params.has("sel")) state.selectedFixes = params.get("sel").split(",").map(decodeFix).filter(Boolean);
+
+  if (["q", "alt", "dist", "inalert", "box"].some((key) => params.has(key))) {
+    const [minAltKm, maxAltKm] = (params.get("alt") || "").split(",").map((part) => parseNumber(part, -Infinity, Infinity));
+    const minDistanceKm = parseNumber(params.get("dist"), 0, Infinity);
+    state.filters = {
+      ...DEFAULT_LIST_FILTERS,
+      query: params.get("q") || "",
+      minAltKm: minAltKm ?? null,
+      maxAltKm: maxAltKm ?? null,
+      minDistanceKm: minDistanceKm ?? null,
+      onlyInAlert: params.get("inalert") === "1",
+      region: parseRegion(params.get("box") || ""),
+    };
+  }
+  return state;
+}
+
+/**
+ * View state from the page's current URL.
+ * @returns {object} As from decodeViewState.
+ */
+export function readUrlState() {
+  return decodeViewState(window.location.hash);
+}
+
+/**
+ * Puts an encoded state in the URL, as a new history entry or in place of the current one.
+ * @param {string} encoded - From encodeViewState.
+ * @param {{ push?: boolean }} [options]
+ */
+export function writeUrlState(encoded, { push = true } = {}) {
+  const url = `${window.location.pathname}${window.location.search}#${encoded}`;
+  try {
+    if (push) {
+      window.history.pushState(null, "", url);
+    } else {
+      window.history.replaceState(null, "", url);
+    }
+  } catch (e) {
+    console.warn("Could not update the page URL:", e);
+  }
+}
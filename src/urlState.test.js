@@ -0,0 +1,98 @@
+import { decodeViewState, encodeViewState, resolveSelection, selectionFixes } from './urlState';
+import { DEFAULT_LIST_FILTERS } from './balloonList';
+
+const view = {
+  center: { lat: 38.51234567, lng: -98.00001 },
+  zoom: 5,
+  timeFilter: 12,
+  selectedFixes: [
+    { time: new Date('2025-05-01T12:00:00Z'), lat: 35.4052, lon: -97.614 },
+    { time: new Date('2025-05-01T11:00:00Z'), lat: -12.5, lon: 179.9999 },
+  ],
+  colorMode: 'altitude',
+  layers: {
+    baseMap: 'topo',
+    showAlerts: true,
+    showPaths: false,
+    showMarkers: true,
+    showForecast: true,
+    showSuspectPoints: true,
+    showProximity: true,
+    alertSeverities: ['Extreme', 'Severe', 'Unknown'],
+    hiddenEventTypes: ['Heat Advisory', 'Special Weather Statement'],
+  },
+  forecastHours: 8,
+  showWindField: true,
+  windBandId: '10-15',
+  filters: {
+    ...DEFAULT_LIST_FILTERS,
+    query: 'a b&c',
+    minAltKm: 5,
+    onlyInAlert: true,
+    region: { minLat: 0, minLon: 170, maxLat: 20, maxLon: -170 },
+  },
+};
+
+test('round-trips the whole view through the hash', () => {
+  const hash = encodeViewState(view);
+  const decoded = decodeViewState(`#${hash}`);
+
+  expect(decoded).toEqual({ ...view, center: { lat: 38.5123, lng: -98 } });
+  // Encoding is canonical, so a restored view does not rewrite its own URL.
+  expect(encodeViewState(decoded)).toBe(hash);
+});
+
+test('encodes hidden layers as off', () => {
+  const layers = {
+    baseMap: 'outline',
+    showAlerts: false,
+    showPaths: false,
+    showMarkers: false,
+    showForecast: false,
+    showSuspectPoints: false,
+    showProximity: false,
+    alertSeverities: [],
+    hiddenEventTypes: [],
+  };
+  const decoded = decodeViewState(encodeViewState({ ...view, layers, showWindField: false }));
+  expect(decoded.layers).toEqual(layers);
+  expect(decoded.forecastHours).toBe(8);
+  expect(decoded.showWindField).toBe(false);
+  expect(decoded).not.toHaveProperty('windBandId');
+});
+
+test('round-trips default filters and an empty selection', () => {
+  const decoded = decodeViewState(encodeViewState({ ...view, selectedFixes: [], filters: DEFAULT_LIST_FILTERS }));
+  expect(decoded.selectedFixes).toEqual([]);
+  expect(decoded.filters).toEqual(DEFAULT_LIST_FILTERS);
+});
+
+test('keeps only known alert severities', () => {
+  expect(decodeViewState('sev=Severe,Catastrophic,Minor').layers).toEqual({ alertSeverities: ['Severe', 'Minor'] });
+});
+
+test('leaves out missing and invalid fields', () => {
+  expect(decodeViewState('')).toEqual({});
+  expect(decodeViewState('#c=95,10&z=abc&h=0&color=rainbow&base=moon&forecast=99&wind=nope')).toEqual({});
+  expect(decodeViewState('base=imagery')).toEqual({ layers: { baseMap: 'imagery' } });
+  expect(decodeViewState('c=10,200&z=3')).toEqual({ center: { lat: 10, lng: 200 }, zoom: 3 });
+});
+
+test('selects the same balloons in a browser that numbered its tracks differently', () => {
+  const HOUR = 60 * 60 * 1000;
+  const T0 = Date.UTC(2025, 4, 1, 12);
+  const track = (id, lat, lon) => ({
+    id,
+    positions: [0, 1, 2].map((h) => ({ lat: lat - h * 0.1, lon: lon - h * 0.2, alt: 14, timestamp: new Date(T0 - h * HOUR) })),
+  });
+  const sender = [track('3', 35.40524, -97.61402), track('12', 21.17004, -179.67534), track('40', 10, 10)];
+  const hash = encodeViewState({ ...view, selectedFixes: selectionFixes(sender, ['12', '3', 'gone']) });
+
+  // The recipient has more history, other IDs, and one more fix on each track since the link was made.
+  const recipient = [track('b', 10, 10), track('a', 21.17004, -179.67534), track('c', 35.40524, -97.61402)].map((balloon) => ({
+    ...balloon,
+    positions: [{ ...balloon.positions[0], lat: balloon.positions[0].lat + 0.3, timestamp: new Date(T0 + HOUR) }, ...balloon.positions],
+  }));
+  expect(resolveSelection(recipient, decodeViewState(hash).selectedFixes)).toEqual(['a', 'c']);
+  expect(resolveSelection(recipient, [{ time: new Date(T0), lat: 50, lon: 50 }])).toEqual([]);
+});
@@ -0,0 +1,127 @@
+import { calculateBearing, calculateDistance, intermediatePoint } from "./geo";
+import { createPointGrid } from "./spatialGrid";
+import { createColorScale } from "./colorScales";
+
+/**
+ * Wind field derived from balloon drift. A balloon moves with the air around
+ * it, so each hourly displacement is a wind measurement at the segment's
+ * midpoint and mean altitude. Vectors are averaged per grid cell by their
+ * east/north components, which keeps opposing winds from adding up.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+export const ALTITUDE_BANDS = [
+  { id: "all", label: "All altitudes", min: -Infinity, max: Infinity },
+  { id: "0-5", label: "0–5 km", min: 0, max: 5 },
+  { id: "5-10", label: "5–10 km", min: 5, max: 10 },
+  { id: "10-15", label: "10–15 km", min: 10, max: 15 },
+  { id: "15-20", label: "15–20 km", min: 15, max: 20 },
+  { id: "20+", label: "Above 20 km", min: 20, max: Infinity },
+];
+
+/** Speeds in m/s, for the arrow colors and legend. */
+export const WIND_SPEED_SCALE = createColorScale({
+  domain: [0, 50],
+  stops: [{ t: 0, hsl: [200, 70, 55] }, { t: 0.4, hsl: [120, 65, 40] }, { t: 0.7, hsl: [45, 95, 50] }, { t: 1, hsl: [330, 80, 45] }],
+  ticks: [0, 10, 20, 30, 40, 50].map((ms) => ({ value: ms, label: ms === 50 ? "50+ m/s" : String(ms) })),
+});
+
+/**
+ * Turns a track into wind vectors, one per pair of consecutive fixes.
+ * Long gaps and weak track links are skipped, as their drift may not be one balloon's.
+ * @param {Array<object>} positions - Track positions, newest first.
+ * @param {{ maxGapHours?: number, minLinkConfidence?: number, maxSpeedKmh?: number }} [options]
+ * @returns {Array<{ lat: number, lon: number, alt: number, time: Date, speedMs: number,
+ *   directionFrom: number, u: number, v: number }>}
+ *   directionFrom is the meteorological direction the wind blows from;
+ *   u and v are the eastward and northward components in m/s.
+ */
+export function windVectorsFromTrack(positions, { maxGapHours = 3, minLinkConfidence = 0.3, maxSpeedKmh = 400 } = {}) {
+  const vectors = [];
+  for (let i = 0; i < positions.length - 1; i++) {
+    const newer = positions[i];
+    const older = positions[i + 1];
+    const hours = (newer.timestamp - older.timestamp) / MS_PER_HOUR;
+    if (!(hours > 0) || hours > maxGapHours) continue;
+    if (typeof newer.linkConfidence === "number" && newer.linkConfidence < minLinkConfidence) continue;
+
+    const speedKmh = calculateDistance(older.lat, older.lon, newer.lat, newer.lon) / hours;
+    if (speedKmh > maxSpeedKmh) continue;
+    const mid = intermediatePoint(older.lat, older.lon, newer.lat, newer.lon, 0.5);
+    const toward = calculateBearing(older.lat, older.lon, newer.lat, newer.lon);
+    const speedMs = speedKmh / 3.6;
+    const towardRad = toward * Math.PI / 180;
+    vectors.push({
+      lat: mid.lat,
+      lon: mid.lon,
+      alt: (older.alt + newer.alt) / 2,
+      time: new Date((older.timestamp.getTime() + newer.timestamp.getTime()) / 2),
+      speedMs,
+      directionFrom: (toward + 180) % 360,
+      u: speedMs * Math.sin(towardRad),
+      v: speedMs * Math.cos(towardRad),
+    });
+  }
+  return vectors;
+}
+
+/**
+ * Wind vectors from every balloon within a time window and altitude band.
+ * @param {Array<object>} balloons
+ * @param {{ from?: Date, to?: Date, bandId?: string }} [filter]
+ * @returns {Array<object>} Vectors as from windVectorsFromTrack.
+ */
+export function collectWindVectors(balloons, { from = null, to = null, bandId = "all" } = {}) {
+  const band = ALTITUDE_BANDS.find((b) => b.id === bandId) || ALTITUDE_BANDS[0];
+  return balloons
+    .flatMap((balloon) => windVectorsFromTrack(balloon.positions || []))
+    .filter((vector) =>
+      vector.alt >= band.min && vector.alt < band.max &&
+      (!from || vector.time >= from) && (!to || vector.time <= to));
+}
+
+/**
+ * Averages vectors per grid cell.
+ * @param {Array<object>} vectors - Vectors from collectWindVectors.
+ * @param {number} [cellSizeDeg=4]
+ * @returns {Array<{ lat: number, lon: number, alt: number, speedMs: number, directionFrom: number,
+ *   u: number, v: number, count: number }>} One entry per occupied cell, placed at its samples' centroid.
+ */
+export function gridWindField(vectors, cellSizeDeg = 4) {
+  const grid = createPointGrid(vectors, cellSizeDeg);
+  const cells = [];
+  grid.cells.forEach((members) => {
+    const n = members.length;
+    const u = members.reduce((sum, m) => sum + m.u, 0) / n;
+    const v = members.reduce((sum, m) => sum + m.v, 0) / n;
+    // Mean longitude on the circle, so cells at the antimeridian do not land on 0.
+    const lonRad = members.map((m) => m.lon * Math.PI / 180);
+    const lon = Math.atan2(
+      lonRad.reduce((sum, r) => sum + Math.sin(r), 0),
+      lonRad.reduce((sum, r) => sum + Math.cos(r), 0)
+    ) * 180 / Math.PI;
+    const toward = (Math.atan2(u, v) * 180 / Math.PI + 360) % 360;
+    cells.push({
+      lat: members.reduce((sum, m) => sum + m.lat, 0) / n,
+      lon,
+      alt: members.reduce((sum, m) => sum + m.alt, 0) / n,
+      speedMs: Math.hypot(u, v),
+      directionFrom: (toward + 180) % 360,
+      u,
+      v,
+      count: n,
+    });
+  });
+  return cells;
+}
+
+/**
+ * Compass label for a direction, e.g. 225 → "SW".
+ * @param {number} degrees
+ * @returns {string}
+ */
+export function compassPoint(degrees) {
+  const points = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+  return points[Math.round((((degrees % 360) + 360) % 360) / 45) % 8];
+}
@@ -0,0 +1,83 @@
+import { collectWindVectors, compassPoint, gridWindField, windVectorsFromTrack } from './windField';
+import { calculateDistance } from './geo';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date('2025-05-01T12:00:00Z').getTime();
+
+// Newest first: one hour due east along the equator at 12 km, then a long gap.
+const track = [
+  { lat: 0, lon: 1, alt: 12, timestamp: new Date(T0), linkConfidence: 0.9 },
+  { lat: 0, lon: 0, alt: 12, timestamp: new Date(T0 - HOUR), linkConfidence: 0.9 },
+  { lat: 0, lon: -3, alt: 11, timestamp: new Date(T0 - 6 * HOUR) },
+];
+
+test('turns hourly displacement into a wind vector at the segment midpoint', () => {
+  const [vector, ...rest] = windVectorsFromTrack(track);
+  const expectedMs = calculateDistance(0, 0, 0, 1) / 3.6;
+
+  expect(rest).toHaveLength(0); // the five-hour gap is skipped
+  expect(vector.lat).toBeCloseTo(0, 6);
+  expect(vector.lon).toBeCloseTo(0.5, 6);
+  expect(vector.alt).toBe(12);
+  expect(vector.time).toEqual(new Date(T0 - HOUR / 2));
+  expect(vector.speedMs).toBeCloseTo(expectedMs, 6);
+  // Moving east means a westerly wind.
+  expect(vector.directionFrom).toBeCloseTo(270, 6);
+  expect(vector.u).toBeCloseTo(expectedMs, 6);
+  expect(vector.v).toBeCloseTo(0, 6);
+});
+
+test('skips weakly linked segments and implausible speeds', () => {
+  const weak = [{ ...track[0], linkConfidence: 0.1 }, track[1]];
+  const jump = [{ ...track[0], lon: 10 }, track[1]];
+
+  expect(windVectorsFromTrack(weak)).toHaveLength(0);
+  expect(windVectorsFromTrack(jump)).toHaveLength(0);
+});
+
+test('filters vectors by altitude band and time window', () => {
+  const balloons = [
+    { id: 'a', positions: track },
+    {
+      id: 'b',
+      positions: [
+        { lat: 10, lon: 0, alt: 3, timestamp: new Date(T0) },
+        { lat: 9.9, lon: 0, alt: 3, timestamp: new Date(T0 - HOUR) },
+      ],
+    },
+  ];
+
+  expect(collectWindVectors(balloons)).toHaveLength(2);
+  expect(collectWindVectors(balloons, { bandId: '10-15' }).map((v) => v.alt)).toEqual([12]);
+  expect(collectWindVectors(balloons, { bandId: '0-5' }).map((v) => v.alt)).toEqual([3]);
+  expect(collectWindVectors(balloons, { from: new Date(T0) })).toHaveLength(0);
+});
+
+test('averages a cell by components so opposing winds cancel', () => {
+  const base = { lat: 1, alt: 10, time: new Date(T0) };
+  const cells = gridWindField([
+    { ...base, lon: 1, u: 10, v: 0 },
+    { ...base, lon: 2, u: -10, v: 0 },
+    { ...base, lon: 3, u: 0, v: 6 },
+  ]);
+
+  expect(cells).toHaveLength(1);
+  expect(cells[0].count).toBe(3);
+  expect(cells[0].speedMs).toBeCloseTo(2, 6);
+  expect(cells[0].directionFrom).toBeCloseTo(180, 6); // blowing north, from the south
+  expect(cells[0].lon).toBeCloseTo(2, 6);
+});
+
+test('places antimeridian cells on the right side of the map', () => {
+  const base = { lat: 0, alt: 10, u: 1, v: 0, time: new Date(T0) };
+  const cells = gridWindField([{ ...base, lon: 179.5 }, { ...base, lon: 179.9 }], 4);
+
+  expect(cells[0].lon).toBeCloseTo(179.7, 6);
+});
+
+test('names compass points', () => {
+  expect(compassPoint(0)).toBe('N');
+  expect(compassPoint(224)).toBe('SW');
+  expect(compassPoint(350)).toBe('N');
+  expect(compassPoint(-90)).toBe('W');
+});